@@ -4,17 +4,25 @@ pragma solidity ^0.8.13;
 import {Script, console} from "forge-std/Script.sol";
 import {SGDC} from "../src/SGDC.sol";
 import {TES3} from "../src/TES3.sol";
+import {TokenizedETF} from "../src/TokenizedETF.sol";
 import {dCDP} from "../src/dCDP.sol";
+import {PriceOracle} from "../src/PriceOracle.sol";
+import {DvPSettlement} from "../src/DvPSettlement.sol";
+import {OrderBook} from "../src/OrderBook.sol";
 
 /**
  * @title Deploy - Deployment script for all contracts
- * @notice Deploys SGDC, TES3, and dCDP contracts with proper configuration
+ * @notice Deploys SGDC, TES3, dCDP, TG3B, PriceOracle, DvPSettlement and OrderBook contracts with proper configuration
  * 
  * Deployment order:
  * 1. Deploy SGDC (stablecoin) - needs owner and minter addresses
  * 2. Deploy TES3 (tokenized ETF) - needs owner and temporary dCDP address
- * 3. Deploy dCDP (protocol) - needs owner and TES3 address
+ * 3. Deploy dCDP (protocol) - needs owner and TES3 address (registers ES3 -> TES3)
  * 4. Update TES3 to set correct dCDP address
+ * 5. Deploy TG3B (tokenized G3B), link it to dCDP and register G3B -> TG3B
+ * 6. Deploy PriceOracle - reference prices pushed by the price publisher (admin is the updater)
+ * 7. Deploy DvPSettlement - settles tokenized ETF trades against SGDC, recording the oracle price
+ * 8. Deploy OrderBook - Digital Exchange limit orders priced in SGDC
  * 
  * Three main accounts needed:
  * - Admin: Controls dCDP protocol (deployer)
@@ -26,6 +34,10 @@ contract DeployScript is Script {
     SGDC public sgdc;
     TES3 public tes3;
     dCDP public dcdp;
+    TokenizedETF public tg3b;
+    PriceOracle public priceOracle;
+    DvPSettlement public dvp;
+    OrderBook public orderBook;
 
     // Account addresses (will be set from environment or Anvil defaults)
     address public admin;
@@ -71,12 +83,34 @@ contract DeployScript is Script {
         tes3.setDCDP(address(dcdp));
         console.log("TES3 dCDP address updated to:", address(dcdp));
 
-        // Step 5: Create AP's wallet automatically
+        // Step 5: Deploy TG3B (Tokenized Nikko AM STI ETF) and register it for G3B
+        console.log("\n--- Deploying TG3B ---");
+        tg3b = new TokenizedETF("Tokenized Nikko AM STI ETF", "TG3B", admin, address(dcdp));
+        dcdp.registerToken("G3B", address(tg3b));
+        console.log("TG3B deployed at:", address(tg3b));
+
+        // Step 6: Deploy PriceOracle (prices published by script/publishPrices.js)
+        // For demo purposes, admin is the updater
+        console.log("\n--- Deploying PriceOracle ---");
+        priceOracle = new PriceOracle(admin, admin);
+        console.log("PriceOracle deployed at:", address(priceOracle));
+
+        // Step 7: Deploy DvPSettlement (atomic settlement of Buy/Sell trades, paid in SGDC)
+        console.log("\n--- Deploying DvPSettlement ---");
+        dvp = new DvPSettlement(address(sgdc), address(priceOracle));
+        console.log("DvPSettlement deployed at:", address(dvp));
+
+        // Step 8: Deploy OrderBook (Digital Exchange limit orders, priced in SGDC)
+        console.log("\n--- Deploying OrderBook ---");
+        orderBook = new OrderBook(address(sgdc));
+        console.log("OrderBook deployed at:", address(orderBook));
+
+        // Step 9: Create AP's wallet automatically
         console.log("\n--- Creating AP's wallet ---");
         dcdp.createWallet("AP", AP_ADDRESS);
         console.log("AP wallet created: AP ->", AP_ADDRESS);
 
-        // Step 6: Mint 1,000,000 SGDC to AP wallet
+        // Step 10: Mint 1,000,000 SGDC to AP wallet
         console.log("\n--- Minting SGDC to AP ---");
         sgdc.mint(AP_ADDRESS, 1000000 ether);
         console.log("Minted 1,000,000 SGDC to AP at address:", AP_ADDRESS);
@@ -88,6 +122,10 @@ contract DeployScript is Script {
         console.log("SGDC Token:", address(sgdc));
         console.log("TES3 Token:", address(tes3));
         console.log("dCDP Protocol:", address(dcdp));
+        console.log("TG3B Token:", address(tg3b));
+        console.log("PriceOracle:", address(priceOracle));
+        console.log("DvPSettlement:", address(dvp));
+        console.log("OrderBook:", address(orderBook));
         console.log("Admin:", admin);
         console.log("Stablecoin Provider:", stablecoinProvider);
 
@@ -98,6 +136,7 @@ contract DeployScript is Script {
     /**
      * @notice Save deployment addresses and ABIs to JSON file
      * @dev Creates a deployment-info.json file that frontend can read
+     * `tokens` maps each ETF symbol to its tokenized ETF contract
      */
     function saveDeploymentInfo() internal {
         string memory json = string.concat(
@@ -107,7 +146,15 @@ contract DeployScript is Script {
             '  "contracts": {\n',
             string.concat('    "SGDC": {\n      "address": "', vm.toString(address(sgdc)), '"\n    },\n'),
             string.concat('    "TES3": {\n      "address": "', vm.toString(address(tes3)), '"\n    },\n'),
-            string.concat('    "dCDP": {\n      "address": "', vm.toString(address(dcdp)), '"\n    }\n'),
+            string.concat('    "dCDP": {\n      "address": "', vm.toString(address(dcdp)), '"\n    },\n'),
+            string.concat('    "TG3B": {\n      "address": "', vm.toString(address(tg3b)), '"\n    },\n'),
+            string.concat('    "PriceOracle": {\n      "address": "', vm.toString(address(priceOracle)), '"\n    },\n'),
+            string.concat('    "DvPSettlement": {\n      "address": "', vm.toString(address(dvp)), '"\n    },\n'),
+            string.concat('    "OrderBook": {\n      "address": "', vm.toString(address(orderBook)), '"\n    }\n'),
+            "  },\n",
+            '  "tokens": {\n',
+            string.concat('    "ES3": {\n      "symbol": "TES3",\n      "address": "', vm.toString(address(tes3)), '"\n    },\n'),
+            string.concat('    "G3B": {\n      "symbol": "TG3B",\n      "address": "', vm.toString(address(tg3b)), '"\n    }\n'),
             "  },\n",
             string.concat('  "admin": "', vm.toString(admin), '",\n'),
             string.concat('  "stablecoinProvider": "', vm.toString(stablecoinProvider), '"\n'),
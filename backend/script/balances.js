@@ -0,0 +1,134 @@
+/**
+ * @file balances.js
+ * @notice Read an owner's balances from the CDP registry and onchain
+ * @dev Combines the Depository view (stocks, ETF shares, shares locked for tokenization, SGD cash)
+ * with the owner's wallet balances of SGDC and every tokenized ETF in deployment-info.json
+ */
+
+import { ethers } from 'ethers';
+import { fetchRegistry } from './registryClient.js';
+import { loadDeploymentInfo, getTokens } from './deployment.js';
+import { formatTable } from './reconcile.js';
+
+// RPC URL for Anvil (default local network)
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+
+const dCDP_ABI = [
+    "function ownerToAddress(string memory) external view returns (address)"
+];
+
+const ERC20_ABI = [
+    "function balanceOf(address) external view returns (uint256)"
+];
+
+/**
+ * Read registry and onchain balances
+ * @param {Object} [options] - Options
+ * @param {string} [options.ownerId] - Only this owner (default: every account in the registry)
+ * @param {ethers.Provider} [options.provider] - Provider (default JSON-RPC at RPC_URL)
+ * @returns {Promise<Array<Object>>} One entry per owner
+ */
+async function getBalances({ ownerId, provider = new ethers.JsonRpcProvider(RPC_URL) } = {}) {
+    const deploymentInfo = loadDeploymentInfo();
+    const registry = await fetchRegistry();
+
+    const ownerIds = ownerId ? [ownerId] : Object.keys(registry.accounts || {});
+    if (ownerId && !registry.accounts?.[ownerId]) {
+        throw new Error(`Owner ${ownerId} not found in CDP registry`);
+    }
+
+    const dCDP = new ethers.Contract(deploymentInfo.contracts.dCDP.address, dCDP_ABI, provider);
+    const onchainTokens = {
+        SGDC: deploymentInfo.contracts.SGDC.address,
+        ...Object.fromEntries(
+            Object.values(getTokens(deploymentInfo)).map((token) => [token.symbol, token.address])
+        )
+    };
+
+    const balances = [];
+    for (const id of ownerIds) {
+        const account = registry.accounts[id];
+        const wallet = await dCDP.ownerToAddress(id);
+
+        const onchain = {};
+        if (wallet !== ethers.ZeroAddress) {
+            for (const [symbol, address] of Object.entries(onchainTokens)) {
+                const token = new ethers.Contract(address, ERC20_ABI, provider);
+                onchain[symbol] = ethers.formatUnits(await token.balanceOf(wallet), 18);
+            }
+        }
+
+        balances.push({
+            ownerId: id,
+            uniqueId: registry.owner_ids?.[id] || null,
+            wallet: wallet === ethers.ZeroAddress ? null : wallet,
+            registry: {
+                etfs: account.etfs || {},
+                locked: account.locked || {},
+                cash: account.cash || {},
+                stocks: account.stocks || {}
+            },
+            onchain
+        });
+    }
+    return balances;
+}
+
+/**
+ * Print balances for humans
+ * @param {Array<Object>} balances - Entries returned by getBalances()
+ */
+function printBalances(balances) {
+    const tokens = getTokens(loadDeploymentInfo());
+
+    for (const entry of balances) {
+        const uniqueId = entry.uniqueId ? ` (${entry.uniqueId})` : '';
+        console.log(`\n=== ${entry.ownerId}${uniqueId} ===`);
+        console.log(`Wallet: ${entry.wallet || '(none)'}\n`);
+
+        const { etfs, locked, cash, stocks } = entry.registry;
+        const rows = Object.keys(etfs).map((symbol) => {
+            const tokenSymbol = tokens[symbol]?.symbol;
+            const onchain = tokenSymbol && entry.onchain[tokenSymbol] !== undefined
+                ? `${entry.onchain[tokenSymbol]} ${tokenSymbol}`
+                : '-';
+            return [symbol, etfs[symbol], locked[symbol] || 0, onchain];
+        });
+        for (const [currency, amount] of Object.entries(cash)) {
+            rows.push([`${currency} cash`, amount, '-', '-']);
+        }
+        if (entry.onchain.SGDC !== undefined) {
+            rows.push(['SGDC', '-', '-', entry.onchain.SGDC]);
+        }
+
+        console.log(rows.length === 0 ? '(no balances)' : formatTable(['Asset', 'Depository', 'Locked', 'Onchain'], rows));
+
+        const heldStocks = Object.values(stocks).filter((quantity) => quantity > 0).length;
+        if (heldStocks > 0) {
+            console.log(`\nStocks: ${heldStocks} constituents held (use --json for the full list)`);
+        }
+    }
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = process.argv.slice(2);
+    const json = args.includes('--json');
+    const ownerId = args.find((arg) => !arg.startsWith('--'));
+
+    getBalances({ ownerId })
+        .then(balances => {
+            if (json) {
+                console.log(JSON.stringify(balances, null, 2));
+            } else {
+                printBalances(balances);
+            }
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+export { getBalances, printBalances };
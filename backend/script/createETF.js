@@ -2,105 +2,72 @@
  * @file createETF.js
  * @notice Offchain script to create ETF shares from underlying stocks
  * @dev Reads ETF composition, validates AP has sufficient holdings, updates CDP registry
+ * through the registry service
  * 
  * This is an offchain operation that simulates the traditional ETF creation process.
- * It decreases constituent stock balances and increases ETF balance in the CDP registry.
+ * Creations happen in whole creation units: for each unit it decreases constituent stock
+ * balances and debits the SGD cash component, charges the creation fee once per order, and
+ * increases the ETF balance in the CDP registry.
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Path to CDP registry JSON file
-const CDP_REGISTRY_PATH = path.join(__dirname, '../data/cdp-registry.json');
+import { createETFInRegistry, previewCreateETF, printRegistryDiff } from './registryClient.js';
 
 /**
  * Create ETF shares from underlying stocks
+ * @dev The registry service validates the creation unit multiple, stock holdings and cash
+ * against the ETF composition and applies the change; when the service is not running the
+ * registry file is updated directly
  * @param {string} ownerId - Owner ID (e.g., "AP")
  * @param {string} etfSymbol - ETF symbol (e.g., "ES3")
- * @param {number} quantity - Number of ETF shares to create
+ * @param {number} quantity - Number of ETF shares to create (a multiple of the creation unit size)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Validate and preview the registry changes without writing them
+ * @returns {Promise<Object>} Breakdown of the stocks and cash debited
  */
-function createETF(ownerId, etfSymbol, quantity) {
-    console.log(`\n=== Creating ${quantity} ${etfSymbol} shares for ${ownerId} ===\n`);
-
-    // Read CDP registry
-    const registry = JSON.parse(fs.readFileSync(CDP_REGISTRY_PATH, 'utf8'));
-
-    // Validate owner exists
-    if (!registry.accounts[ownerId]) {
-        throw new Error(`Owner ${ownerId} not found in CDP registry`);
+async function createETF(ownerId, etfSymbol, quantity, { dryRun = false } = {}) {
+    console.log(`\n=== ${dryRun ? 'Dry run: ' : ''}Creating ${quantity} ${etfSymbol} shares for ${ownerId} ===\n`);
+
+    // Validate holdings and cash, deduct stocks and cash, and add ETF shares in one registry update
+    if (dryRun) {
+        const { result, diff } = await previewCreateETF(ownerId, etfSymbol, quantity);
+        printRegistryDiff(diff);
+        return { ...result, dryRun: true, registryDiff: diff };
     }
 
-    // Validate ETF composition exists
-    if (!registry.etf_compositions[etfSymbol]) {
-        throw new Error(`ETF ${etfSymbol} composition not found`);
-    }
+    console.log('Updating CDP registry...');
+    const result = await createETFInRegistry(ownerId, etfSymbol, quantity);
 
-    const account = registry.accounts[ownerId];
-    const composition = registry.etf_compositions[etfSymbol];
-
-    // Initialize ETF balance if it doesn't exist
-    if (!account.etfs[etfSymbol]) {
-        account.etfs[etfSymbol] = 0;
+    const { cash } = result;
+    console.log(`  ✓ ${result.creationUnits} creation unit(s) of ${result.creationUnitSize} shares`);
+    for (const [stockSymbol, deducted] of Object.entries(result.deductedStocks)) {
+        console.log(`  ✓ Deducted ${deducted} ${stockSymbol}`);
     }
-
-    // Validate sufficient holdings for each constituent stock
-    console.log('Validating sufficient holdings...');
-    const constituents = composition.constituents;
-    
-    for (const [stockSymbol, requiredPerETF] of Object.entries(constituents)) {
-        const currentBalance = account.stocks[stockSymbol] || 0;
-        const required = requiredPerETF * quantity;
-
-        if (currentBalance < required) {
-            throw new Error(
-                `Insufficient ${stockSymbol}: have ${currentBalance}, need ${required} ` +
-                `(${requiredPerETF} per ETF × ${quantity} ETFs)`
-            );
-        }
-
-        console.log(`  ✓ ${stockSymbol}: ${currentBalance} → ${currentBalance - required} (need ${required})`);
-    }
-
-    // Deduct constituent stocks and add ETF shares
-    console.log('\nUpdating balances...');
-    for (const [stockSymbol, requiredPerETF] of Object.entries(constituents)) {
-        const required = requiredPerETF * quantity;
-        account.stocks[stockSymbol] -= required;
-        console.log(`  ✓ Deducted ${required} ${stockSymbol}`);
-    }
-
-    // Increase ETF balance
-    account.etfs[etfSymbol] += quantity;
+    console.log(`  ✓ Debited ${cash.cashComponent} ${cash.currency} cash component`);
+    console.log(`  ✓ Debited ${cash.creationFee} ${cash.currency} creation fee`);
+    console.log(`  ✓ New ${cash.currency} cash balance: ${cash.newBalance}`);
     console.log(`  ✓ Added ${quantity} ${etfSymbol} shares`);
-    console.log(`  ✓ New ${etfSymbol} balance: ${account.etfs[etfSymbol]}`);
-
-    // Write updated registry back to file
-    fs.writeFileSync(CDP_REGISTRY_PATH, JSON.stringify(registry, null, 2));
+    console.log(`  ✓ New ${etfSymbol} balance: ${result.newETFBalance}`);
     console.log('\n✓ CDP registry updated successfully');
 
     return {
         success: true,
-        newETFBalance: account.etfs[etfSymbol],
-        deductedStocks: Object.fromEntries(
-            Object.entries(constituents).map(([symbol, perETF]) => [
-                symbol,
-                perETF * quantity
-            ])
-        )
+        creationUnitSize: result.creationUnitSize,
+        creationUnits: result.creationUnits,
+        newETFBalance: result.newETFBalance,
+        deductedStocks: result.deductedStocks,
+        cash
     };
 }
 
 // Command line interface
 if (import.meta.url === `file://${process.argv[1]}`) {
-    const args = process.argv.slice(2);
+    // --dry-run may appear anywhere; the remaining arguments are positional
+    const dryRun = process.argv.includes('--dry-run');
+    const args = process.argv.slice(2).filter((arg) => arg !== '--dry-run');
     
     if (args.length !== 3) {
-        console.error('Usage: node createETF.js <ownerId> <etfSymbol> <quantity>');
-        console.error('Example: node createETF.js AP ES3 100');
+        console.error('Usage: node createETF.js <ownerId> <etfSymbol> <quantity> [--dry-run]');
+        console.error('Example: node createETF.js AP ES3 1000');
         process.exit(1);
     }
 
@@ -112,15 +79,16 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         process.exit(1);
     }
 
-    try {
-        const result = createETF(ownerId, etfSymbol, quantity);
-        console.log('\n=== Success ===');
-        console.log(JSON.stringify(result, null, 2));
-    } catch (error) {
-        console.error('\n=== Error ===');
-        console.error(error.message);
-        process.exit(1);
-    }
+    createETF(ownerId, etfSymbol, quantity, { dryRun })
+        .then(result => {
+            console.log('\n=== Success ===');
+            console.log(JSON.stringify(result, null, 2));
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.message);
+            process.exit(1);
+        });
 }
 
 export { createETF };
@@ -0,0 +1,94 @@
+/**
+ * @file createWallet.js
+ * @notice Onchain script to register a wallet for an owner ID in dCDP
+ * @dev Calls dCDP.createWallet() so the owner can receive tokenized ETFs and appear in reconciliation
+ * 
+ * The Digital Exchange does this when it onboards a new client; the AP's wallet is registered by
+ * Deploy.s.sol.
+ */
+
+import { ethers } from 'ethers';
+import { loadDeploymentInfo } from './deployment.js';
+import { loadSigner } from './signer.js';
+
+// RPC URL for Anvil (default local network)
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+
+const dCDP_ABI = [
+    "function createWallet(string memory owner_id, address walletAddress) external",
+    "function ownerToAddress(string memory) external view returns (address)",
+    "function getOwnerId(address walletAddress) external view returns (string memory)"
+];
+
+/**
+ * Register a wallet address for an owner ID
+ * @param {string} ownerId - Owner ID (e.g., "THOMAS")
+ * @param {string} walletAddress - Wallet address to register
+ * @param {ethers.Wallet} wallet - Admin wallet connected to the RPC provider (see signer.js)
+ */
+async function createWallet(ownerId, walletAddress, wallet) {
+    console.log(`\n=== Creating wallet for ${ownerId} ===\n`);
+
+    if (!ethers.isAddress(walletAddress)) {
+        throw new Error(`Invalid wallet address: ${walletAddress}`);
+    }
+
+    const deploymentInfo = loadDeploymentInfo();
+
+    console.log(`✓ Connected to ${RPC_URL}`);
+    console.log(`✓ Using admin account: ${wallet.address}`);
+
+    const dCDP = new ethers.Contract(deploymentInfo.contracts.dCDP.address, dCDP_ABI, wallet);
+
+    // Check both sides of the mapping so the error names the conflict instead of a revert
+    const existingAddress = await dCDP.ownerToAddress(ownerId);
+    if (existingAddress !== ethers.ZeroAddress) {
+        throw new Error(`Owner ${ownerId} already has a wallet: ${existingAddress}`);
+    }
+    const existingOwner = await dCDP.getOwnerId(walletAddress);
+    if (existingOwner) {
+        throw new Error(`Address ${walletAddress} is already registered to ${existingOwner}`);
+    }
+
+    console.log('\nCalling dCDP.createWallet()...');
+    const tx = await dCDP.createWallet(ownerId, walletAddress);
+    console.log(`  Transaction hash: ${tx.hash}`);
+    const receipt = await tx.wait();
+    console.log(`  ✓ Transaction confirmed in block ${receipt.blockNumber}`);
+
+    return {
+        success: true,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        ownerId,
+        walletAddress: ethers.getAddress(walletAddress)
+    };
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = process.argv.slice(2);
+
+    if (args.length !== 2) {
+        console.error('Usage: node createWallet.js <ownerId> <walletAddress>');
+        console.error('Example: TETF_KEYSTORE=~/.tetf/admin.json node createWallet.js THOMAS 0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC');
+        console.error('\nNote: Signs with the admin account from TETF_KEYSTORE or TETF_PRIVATE_KEY (see signer.js)');
+        process.exit(1);
+    }
+
+    const [ownerId, walletAddress] = args;
+
+    loadSigner(new ethers.JsonRpcProvider(RPC_URL))
+        .then(wallet => createWallet(ownerId, walletAddress, wallet))
+        .then(result => {
+            console.log('\n=== Success ===');
+            console.log(JSON.stringify(result, null, 2));
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+export { createWallet };
@@ -0,0 +1,87 @@
+/**
+ * @file deployment.js
+ * @notice Reads deployment-info.json written by Deploy.s.sol
+ * @dev Resolves each ETF symbol to the tokenized ETF contract that dCDP mints for it,
+ * e.g. ES3 → TES3 and G3B → TG3B
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Paths
+const DEPLOYMENT_INFO_PATH = path.join(__dirname, '../deployment-info.json');
+
+/**
+ * Read deployment info to get contract addresses
+ * @returns {Object} Parsed deployment-info.json
+ */
+function loadDeploymentInfo() {
+    try {
+        return JSON.parse(fs.readFileSync(DEPLOYMENT_INFO_PATH, 'utf8'));
+    } catch (error) {
+        throw new Error(
+            'Deployment info not found. Please deploy contracts first using: forge script script/Deploy.s.sol --broadcast'
+        );
+    }
+}
+
+/**
+ * Get the symbol → tokenized ETF map
+ * @dev Deployments made before multi-ETF support only list TES3 under `contracts`
+ * @param {Object} deploymentInfo - Parsed deployment-info.json
+ * @returns {Object} e.g. { ES3: { symbol: "TES3", address: "0x..." } }
+ */
+function getTokens(deploymentInfo) {
+    if (deploymentInfo.tokens) {
+        return deploymentInfo.tokens;
+    }
+    return { ES3: { symbol: 'TES3', address: deploymentInfo.contracts.TES3.address } };
+}
+
+/**
+ * Resolve the tokenized ETF contract for an ETF symbol
+ * @param {Object} deploymentInfo - Parsed deployment-info.json
+ * @param {string} symbol - ETF symbol (e.g., "G3B")
+ * @returns {{symbol: string, address: string}} Token symbol (e.g., "TG3B") and address
+ */
+function getTokenInfo(deploymentInfo, symbol) {
+    const tokens = getTokens(deploymentInfo);
+    const token = tokens[symbol];
+    if (!token) {
+        throw new Error(
+            `No tokenized ETF deployed for ${symbol} (supported: ${Object.keys(tokens).join(', ')})`
+        );
+    }
+    return token;
+}
+
+/**
+ * Resolve the address of a deployed contract
+ * @dev Contracts added after the first release (e.g. OrderBook) are missing from older
+ * deployments, which need a redeploy
+ * @param {Object} deploymentInfo - Parsed deployment-info.json
+ * @param {string} name - Contract name as listed under `contracts` (e.g., "OrderBook")
+ * @returns {string} Contract address
+ */
+function getContractAddress(deploymentInfo, name) {
+    const entry = deploymentInfo.contracts?.[name];
+    const address = entry?.address || entry;
+    if (!address) {
+        throw new Error(
+            `${name} is not in deployment-info.json. Redeploy the contracts: forge script script/Deploy.s.sol --broadcast`
+        );
+    }
+    return address;
+}
+
+export {
+    DEPLOYMENT_INFO_PATH,
+    loadDeploymentInfo,
+    getTokens,
+    getTokenInfo,
+    getContractAddress
+};
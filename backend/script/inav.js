@@ -0,0 +1,135 @@
+/**
+ * @file inav.js
+ * @notice Indicative NAV (iNAV) of an ETF share from its constituent basket
+ * @dev iNAV per share = Σ constituent quantity per share × price + cash component / creation unit
+ * size, using the ETF's composition in the CDP registry (etf_compositions, the same basket
+ * createETF.js takes per share) and a constituent price file (default
+ * ../data/constituent-prices.json, override with --prices or TETF_PRICES):
+ *
+ *   { "as_of": "2025-11-03", "currency": "SGD", "prices": { "D05": 0.013048, ... } }
+ *
+ * The bundled figures are synthetic, not market closes: each "price" is the constituent's value
+ * per ETF share (its basket weight) scaled so the demo ES3 iNAV comes out at 4.50 SGD. A real
+ * price feed needs realistic closes paired with constituent quantities per share to match.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fetchRegistry } from './registryClient.js';
+import { getCreationTerms } from './registry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_PRICES_PATH = path.join(__dirname, '../data/constituent-prices.json');
+
+/**
+ * Load a constituent price file
+ * @param {string} [pricesPath] - Price file (default TETF_PRICES, then data/constituent-prices.json)
+ * @returns {{asOf: string|null, currency: string, prices: Object<string, number>}}
+ */
+function loadConstituentPrices(pricesPath = process.env.TETF_PRICES || DEFAULT_PRICES_PATH) {
+    const file = path.resolve(pricesPath);
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read constituent prices from ${file}: ${error.message}`);
+    }
+
+    if (!data.prices || typeof data.prices !== 'object') {
+        throw new Error(`Constituent price file ${file} has no "prices" map`);
+    }
+    for (const [stock, price] of Object.entries(data.prices)) {
+        if (typeof price !== 'number' || !(price > 0)) {
+            throw new Error(`Invalid price for ${stock} in ${file}: ${price}`);
+        }
+    }
+
+    return { asOf: data.as_of ?? null, currency: data.currency || 'SGD', prices: data.prices };
+}
+
+/**
+ * Calculate the iNAV of one ETF share
+ * @param {Object} composition - Entry of registry.etf_compositions
+ * @param {Object<string, number>} prices - Price per constituent share
+ * @returns {Object} nav and basketValue (per ETF share), cashComponent (per creation unit),
+ * creationUnitSize, and the value of each constituent line per share
+ */
+function calculateINAV(composition, prices) {
+    const { creationUnitSize, cashComponent } = getCreationTerms(composition);
+    const constituents = Object.entries(composition.constituents || {});
+
+    const missing = constituents.filter(([stock]) => prices[stock] === undefined).map(([stock]) => stock);
+    if (missing.length > 0) {
+        throw new Error(`No price for constituent(s): ${missing.join(', ')}`);
+    }
+
+    const lines = constituents.map(([stock, quantity]) => ({
+        stock,
+        quantity,
+        price: prices[stock],
+        value: quantity * prices[stock]
+    }));
+    const basketValue = lines.reduce((sum, line) => sum + line.value, 0);
+
+    return {
+        nav: basketValue + cashComponent / creationUnitSize,
+        basketValue,
+        cashComponent,
+        creationUnitSize,
+        lines
+    };
+}
+
+/**
+ * Calculate an ETF's iNAV from the registry composition and a price file
+ * @param {Object} [options]
+ * @param {string} [options.symbol] - ETF symbol (default "ES3")
+ * @param {string} [options.pricesPath] - Constituent price file
+ * @returns {Promise<Object>} iNAV with the price date and currency
+ */
+async function getINAV({ symbol = 'ES3', pricesPath } = {}) {
+    const registry = await fetchRegistry();
+    const composition = registry.etf_compositions?.[symbol];
+    if (!composition) {
+        throw new Error(`ETF ${symbol} not found in etf_compositions`);
+    }
+
+    const { asOf, currency, prices } = loadConstituentPrices(pricesPath);
+    return { symbol, asOf, currency, ...calculateINAV(composition, prices) };
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = process.argv.slice(2);
+    const json = args.includes('--json');
+    const pricesIndex = args.indexOf('--prices');
+    const pricesPath = pricesIndex !== -1 ? args[pricesIndex + 1] : undefined;
+    const [symbol = 'ES3'] = args.filter((arg, index) => !arg.startsWith('--') && (pricesIndex === -1 || index !== pricesIndex + 1));
+
+    if (pricesIndex !== -1 && !pricesPath) {
+        console.error('Usage: node inav.js [etfSymbol] [--prices <file>] [--json]');
+        process.exit(1);
+    }
+
+    getINAV({ symbol, pricesPath })
+        .then(inav => {
+            if (json) {
+                console.log(JSON.stringify(inav, null, 2));
+                return;
+            }
+            console.log(`\n=== ${inav.symbol} iNAV (${inav.currency}, prices as of ${inav.asOf ?? 'unknown'}) ===\n`);
+            console.log(`Basket value:   ${inav.basketValue.toFixed(4)} per share`);
+            console.log(`Cash component: ${inav.cashComponent.toFixed(2)} per ${inav.creationUnitSize}-share creation unit`);
+            console.log(`iNAV per share: ${inav.nav.toFixed(4)}`);
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+export { loadConstituentPrices, calculateINAV, getINAV };
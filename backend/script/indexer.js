@@ -0,0 +1,486 @@
+/**
+ * @file indexer.js
+ * @notice Chain indexer for the Block Explorer
+ * @dev Follows the chain from genesis and stores every transaction and event in SQLite
+ * (indexerStore.js). Calls and events of the deployed contracts (SGDC, the tokenized ETFs, dCDP,
+ * DvPSettlement, OrderBook and PriceOracle) are decoded with their ABIs. Each transaction gets
+ * the same function label the Block Explorer shows (mintSGDC, tokenize, linkTES3, deployTES3, ...).
+ *
+ * Reorgs: before indexing new blocks the indexer checks that the last indexed block is still on
+ * the chain. If it is not, it walks back to the last block that is, and drops everything above
+ * it. An Anvil restart shows up as a new genesis hash, which drops the whole index. Redeploying
+ * the contracts (a new deployment-info.json) re-indexes from genesis so the labels follow the
+ * new addresses.
+ *
+ * Usage: node indexer.js [--once]
+ *   --once  Catch up to the chain head and exit (default: keep following new blocks)
+ * The JSON API is served by indexerServer.js, which runs the indexer in the same process.
+ */
+
+import { ethers } from 'ethers';
+import { loadDeploymentInfo, getTokens } from './deployment.js';
+import {
+    openIndexerStore,
+    getMeta,
+    setMeta,
+    getLastIndexedBlock,
+    getBlockHash,
+    insertBlock,
+    rollbackTo
+} from './indexerStore.js';
+
+// RPC URL for Anvil (default local network)
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+
+// How often to poll for new blocks
+const POLL_INTERVAL_MS = parseInt(process.env.INDEXER_POLL_MS || '1000', 10);
+
+const OWNABLE_ABI = [
+    "function transferOwnership(address newOwner)",
+    "function renounceOwnership()",
+    "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)"
+];
+
+const ERC20_ABI = [
+    "function transfer(address to, uint256 value) returns (bool)",
+    "function transferFrom(address from, address to, uint256 value) returns (bool)",
+    "function approve(address spender, uint256 value) returns (bool)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Approval(address indexed owner, address indexed spender, uint256 value)"
+];
+
+const SGDC_ABI = [
+    ...ERC20_ABI,
+    ...OWNABLE_ABI,
+    "function mint(address to, uint256 amount)",
+    "function redeem(uint256 amount)",
+    "function setMinter(address newMinter)",
+    "event MinterUpdated(address indexed oldMinter, address indexed newMinter)",
+    "event Redeemed(address indexed account, uint256 amount)"
+];
+
+const TOKENIZED_ETF_ABI = [
+    ...ERC20_ABI,
+    ...OWNABLE_ABI,
+    "function mint(address to, uint256 amount)",
+    "function burn(address from, uint256 amount)",
+    "function setDCDP(address newDCDP)",
+    "event DCDPUpdated(address indexed oldDCDP, address indexed newDCDP)"
+];
+
+const dCDP_ABI = [
+    ...OWNABLE_ABI,
+    "function createWallet(string owner_id, address walletAddress)",
+    "function tokenize(string owner_id, uint256 quantity, string symbol)",
+    "function redeem(string owner_id, uint256 quantity, string symbol)",
+    "function setTES3Token(address newTES3TokenAddress)",
+    "function registerToken(string symbol, address tokenAddress)",
+    "event WalletCreated(string indexed owner_id, address indexed walletAddress)",
+    "event TokenRegistered(string symbol, address indexed tokenAddress)",
+    "event Tokenized(string indexed owner_id, string symbol, uint256 quantity, address indexed tokenAddress)",
+    "event Redeemed(string indexed owner_id, string symbol, uint256 quantity, address indexed tokenAddress)"
+];
+
+const DVP_ABI = [
+    "function proposeTrade(address seller, address buyer, address asset, uint256 assetAmount, uint256 cashAmount) returns (uint256)",
+    "function settleTrade(uint256 tradeId)",
+    "function cancelTrade(uint256 tradeId)",
+    "event TradeProposed(uint256 indexed tradeId, address indexed seller, address indexed buyer, address asset, uint256 assetAmount, uint256 cashAmount)",
+    "event TradeSettled(uint256 indexed tradeId, address indexed seller, address indexed buyer, address asset, uint256 assetAmount, uint256 cashAmount)",
+    "event TradePriceRecorded(uint256 indexed tradeId, address indexed asset, uint256 oraclePrice, uint256 oracleUpdatedAt)",
+    "event TradeCancelled(uint256 indexed tradeId, address indexed cancelledBy)"
+];
+
+const ORDER_BOOK_ABI = [
+    "function placeOrder(address asset, uint8 side, uint256 price, uint256 quantity) returns (uint256)",
+    "function matchOrders(uint256 buyOrderId, uint256 sellOrderId, uint256 quantity)",
+    "function cancelOrder(uint256 orderId)",
+    "event OrderPlaced(uint256 indexed orderId, address indexed trader, address indexed asset, uint8 side, uint256 price, uint256 quantity)",
+    "event OrderMatched(uint256 indexed buyOrderId, uint256 indexed sellOrderId, address indexed asset, uint256 price, uint256 quantity, uint256 cashAmount)",
+    "event OrderCancelled(uint256 indexed orderId, address indexed trader)"
+];
+
+const PRICE_ORACLE_ABI = [
+    ...OWNABLE_ABI,
+    "function setPrice(address asset, uint256 price)",
+    "function setPrices(address[] assets, uint256[] newPrices)",
+    "function setUpdater(address newUpdater)",
+    "event PriceUpdated(address indexed asset, uint256 price, uint256 updatedAt)",
+    "event UpdaterUpdated(address indexed oldUpdater, address indexed newUpdater)"
+];
+
+// Contracts listed under `contracts` in deployment-info.json, with their deployment label
+const CORE_CONTRACTS = {
+    SGDC: { abi: SGDC_ABI, deployLabel: 'deploySGDC' },
+    dCDP: { abi: dCDP_ABI, deployLabel: 'deployTDepository' },
+    DvPSettlement: { abi: DVP_ABI, deployLabel: 'deployDvPSettlement' },
+    OrderBook: { abi: ORDER_BOOK_ABI, deployLabel: 'deployOrderBook' },
+    PriceOracle: { abi: PRICE_ORACLE_ABI, deployLabel: 'deployPriceOracle' }
+};
+
+/**
+ * Map each deployed contract address to its name and ABI
+ * @param {Object|null} deploymentInfo - Parsed deployment-info.json (null before deployment)
+ * @returns {Map<string, Object>} Lowercase address → { name, iface, deployLabel, isToken }
+ */
+function buildContractMap(deploymentInfo) {
+    const contracts = new Map();
+    if (!deploymentInfo) return contracts;
+
+    for (const [name, { abi, deployLabel }] of Object.entries(CORE_CONTRACTS)) {
+        const address = deploymentInfo.contracts?.[name]?.address;
+        if (address) {
+            contracts.set(address.toLowerCase(), { name, iface: new ethers.Interface(abi), deployLabel, isToken: false });
+        }
+    }
+    for (const token of Object.values(getTokens(deploymentInfo))) {
+        contracts.set(token.address.toLowerCase(), {
+            name: token.symbol,
+            iface: new ethers.Interface(TOKENIZED_ETF_ABI),
+            deployLabel: `deploy${token.symbol}`,
+            isToken: true
+        });
+    }
+    return contracts;
+}
+
+/**
+ * Block Explorer label for a call to a known contract
+ * @param {Object} contract - Entry from buildContractMap()
+ * @param {string|null} method - Decoded function name, or null if the selector is not in the ABI
+ * @returns {string} Label (e.g., "mintSGDC", "redeemSGDC", "linkTES3", "tokenize")
+ */
+function labelCall(contract, method) {
+    if (contract.name === 'SGDC') {
+        if (method === 'mint') return 'mintSGDC';
+        if (method === 'redeem') return 'redeemSGDC';
+    }
+    if (contract.isToken && method === 'setDCDP') {
+        return `link${contract.name}`;
+    }
+    if (method) return method;
+    return contract.name === 'dCDP' ? 'dcdpCall' : `${contract.name.toLowerCase()}Call`;
+}
+
+/**
+ * Convert decoded ABI values to JSON-safe values
+ * @param {*} value - Decoded value (bigint, Indexed, Result, string, ...)
+ * @returns {*} Value with bigints as decimal strings and indexed dynamic values as their hash
+ */
+function toJSONValue(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof ethers.Indexed) return value.hash;
+    if (Array.isArray(value)) return Array.from(value, toJSONValue);
+    return value;
+}
+
+/**
+ * Name decoded values after the ABI parameters
+ * @param {ReadonlyArray<ethers.ParamType>} inputs - Fragment inputs
+ * @param {ethers.Result} values - Decoded values
+ * @returns {Object} { parameterName: value } (positional index for unnamed parameters)
+ */
+function namedArgs(inputs, values) {
+    return Object.fromEntries(inputs.map((input, i) => [input.name || String(i), toJSONValue(values[i])]));
+}
+
+/**
+ * Collect every address in decoded values (for filtering history by account)
+ * @param {ReadonlyArray<ethers.ParamType>} inputs - Fragment inputs
+ * @param {ethers.Result} values - Decoded values
+ * @returns {Array<string>} Addresses
+ */
+function addressArgs(inputs, values) {
+    const addresses = [];
+    inputs.forEach((input, i) => {
+        if (input.type === 'address') addresses.push(values[i]);
+        if (input.type === 'address[]') addresses.push(...values[i]);
+    });
+    return addresses;
+}
+
+/**
+ * Decode one transaction and its logs
+ * @param {ethers.TransactionResponse} tx - Transaction
+ * @param {ethers.TransactionReceipt} receipt - Its receipt
+ * @param {ethers.Block} block - Block it was mined in
+ * @param {Map<string, Object>} contracts - From buildContractMap()
+ * @returns {{transaction: Object, events: Array<Object>, accounts: Array<string>}} Rows for indexerStore.js
+ */
+function decodeTransaction(tx, receipt, block, contracts) {
+    const accounts = [tx.from];
+    let contract = null;
+    let method = null;
+    let args = null;
+    let label;
+
+    if (!tx.to) {
+        // Contract deployment; named after the address it created
+        const created = receipt.contractAddress && contracts.get(receipt.contractAddress.toLowerCase());
+        contract = created ? created.name : null;
+        label = created ? created.deployLabel : 'deployContract';
+        if (receipt.contractAddress) accounts.push(receipt.contractAddress);
+    } else {
+        accounts.push(tx.to);
+        const target = contracts.get(tx.to.toLowerCase());
+        if (!tx.data || tx.data === '0x') {
+            label = 'ethTransfer';
+        } else if (target) {
+            contract = target.name;
+            const parsed = target.iface.parseTransaction({ data: tx.data, value: tx.value });
+            if (parsed) {
+                method = parsed.name;
+                args = namedArgs(parsed.fragment.inputs, parsed.args);
+                accounts.push(...addressArgs(parsed.fragment.inputs, parsed.args));
+            }
+            label = labelCall(target, method);
+        } else {
+            label = 'unknown';
+        }
+    }
+
+    // Indexed strings (e.g. dCDP owner_id) only appear as their hash; recover them from the call
+    const callStrings = Object.values(args || {}).filter((value) => typeof value === 'string');
+    const resolveIndexed = (hash) => callStrings.find((value) => ethers.id(value) === hash) ?? hash;
+
+    const events = receipt.logs.map((log) => {
+        const emitter = contracts.get(log.address.toLowerCase());
+        const parsed = emitter ? emitter.iface.parseLog(log) : null;
+        let eventArgs = null;
+        if (parsed) {
+            eventArgs = namedArgs(parsed.fragment.inputs, parsed.args);
+            parsed.fragment.inputs.forEach((input, i) => {
+                if (input.indexed && input.type === 'string') {
+                    eventArgs[input.name] = resolveIndexed(toJSONValue(parsed.args[i]));
+                }
+            });
+            accounts.push(...addressArgs(parsed.fragment.inputs, parsed.args));
+        }
+        return {
+            txHash: tx.hash,
+            logIndex: log.index,
+            blockNumber: block.number,
+            address: log.address,
+            contract: emitter ? emitter.name : null,
+            name: parsed ? parsed.name : null,
+            args: eventArgs
+        };
+    });
+
+    return {
+        transaction: {
+            hash: tx.hash,
+            blockNumber: block.number,
+            index: tx.index,
+            timestamp: block.timestamp,
+            from: tx.from,
+            to: tx.to,
+            contract,
+            function: label,
+            method,
+            args,
+            value: tx.value.toString(),
+            input: tx.data,
+            status: receipt.status,
+            gasUsed: receipt.gasUsed.toString(),
+            contractAddress: receipt.contractAddress
+        },
+        events,
+        accounts: [...new Set(accounts.filter((address) => address && address !== ethers.ZeroAddress))]
+    };
+}
+
+/**
+ * Fetch and decode one block
+ * @param {ethers.Provider} provider - Provider
+ * @param {number} number - Block number
+ * @param {Map<string, Object>} contracts - From buildContractMap()
+ * @returns {Promise<Object>} Block rows for insertBlock()
+ */
+async function fetchBlock(provider, number, contracts) {
+    const block = await provider.getBlock(number, true);
+    if (!block) {
+        throw new Error(`Block ${number} not found`);
+    }
+
+    const transactions = [];
+    const events = [];
+    const accounts = [];
+    for (const tx of block.prefetchedTransactions) {
+        const receipt = await provider.getTransactionReceipt(tx.hash);
+        const decoded = decodeTransaction(tx, receipt, block, contracts);
+        transactions.push(decoded.transaction);
+        events.push(...decoded.events);
+        accounts.push(...decoded.accounts.map((address) => ({ txHash: tx.hash, address })));
+    }
+
+    return {
+        block: { number: block.number, hash: block.hash, parentHash: block.parentHash, timestamp: block.timestamp },
+        transactions,
+        events,
+        accounts
+    };
+}
+
+/**
+ * Find the highest indexed block that is still on the chain
+ * @param {Database} db - Indexer database
+ * @param {ethers.Provider} provider - Provider
+ * @param {number} from - Block to start walking back from
+ * @returns {Promise<number>} Common ancestor (-1 if none)
+ */
+async function findCommonAncestor(db, provider, from) {
+    for (let number = from; number >= 0; number--) {
+        const block = await provider.getBlock(number);
+        if (block && block.hash === getBlockHash(db, number)) {
+            return number;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Drop indexed blocks above a block number and count the reorg
+ * @param {Database} db - Indexer database
+ * @param {number} blockNumber - Last block to keep
+ * @param {string} reason - Logged reason
+ * @param {Function} log - Logger
+ */
+function rewind(db, blockNumber, reason, log) {
+    const removed = rollbackTo(db, blockNumber);
+    setMeta(db, 'reorgs', Number(getMeta(db, 'reorgs') || 0) + 1);
+    log(`[indexer] ${reason}: dropped ${removed} block(s) above ${blockNumber}`);
+}
+
+/**
+ * Bring the index up to the chain head
+ * @param {Database} db - Indexer database
+ * @param {ethers.Provider} provider - Provider
+ * @param {Object} [options] - Options
+ * @param {Function} [options.log] - Logger (default console.log)
+ * @returns {Promise<{head: number, indexedBlock: number, indexed: number}>} Chain head, last
+ * indexed block and number of blocks indexed by this call
+ */
+async function syncChain(db, provider, { log = console.log } = {}) {
+    const [network, genesis] = await Promise.all([provider.getNetwork(), provider.getBlock(0)]);
+
+    // A new genesis hash means Anvil was restarted: nothing indexed is valid any more
+    const knownGenesis = getMeta(db, 'genesisHash');
+    if (knownGenesis && knownGenesis !== genesis.hash) {
+        rewind(db, -1, 'Chain restarted (new genesis block)', log);
+    }
+    setMeta(db, 'genesisHash', genesis.hash);
+    setMeta(db, 'chainId', network.chainId);
+
+    // Labels depend on the deployed addresses, so a redeployment re-indexes everything
+    let deploymentInfo = null;
+    try {
+        deploymentInfo = loadDeploymentInfo();
+    } catch (error) {
+        // Not deployed yet: index undecoded until deployment-info.json appears
+    }
+    const deployment = JSON.stringify({ contracts: deploymentInfo?.contracts, tokens: deploymentInfo?.tokens });
+    if (getMeta(db, 'deployment') !== deployment) {
+        if (getLastIndexedBlock(db) >= 0) {
+            rollbackTo(db, -1);
+            log('[indexer] Deployment changed: re-indexing from genesis');
+        }
+        setMeta(db, 'deployment', deployment);
+    }
+    const contracts = buildContractMap(deploymentInfo);
+
+    let indexed = 0;
+    for (;;) {
+        const head = await provider.getBlockNumber();
+        const last = getLastIndexedBlock(db);
+
+        // Walk back over blocks that are no longer on the chain (reorg, or a shorter chain)
+        const ancestor = last >= 0 ? await findCommonAncestor(db, provider, Math.min(last, head)) : -1;
+        if (ancestor < last) {
+            rewind(db, ancestor, 'Reorg', log);
+        }
+
+        let reorged = false;
+        for (let number = ancestor + 1; number <= head; number++) {
+            const rows = await fetchBlock(provider, number, contracts);
+            // The chain changed under us while catching up; re-check from the top
+            if (number > 0 && rows.block.parentHash !== getBlockHash(db, number - 1)) {
+                reorged = true;
+                break;
+            }
+            insertBlock(db, rows);
+            indexed++;
+        }
+
+        if (!reorged) {
+            return { head, indexedBlock: getLastIndexedBlock(db), indexed };
+        }
+    }
+}
+
+/**
+ * Keep the index in step with the chain
+ * @dev Errors (e.g. the node is down) are logged and retried on the next poll
+ * @param {Database} db - Indexer database
+ * @param {ethers.Provider} provider - Provider
+ * @param {Object} [options] - Options
+ * @param {number} [options.intervalMs] - Poll interval (default INDEXER_POLL_MS or 1000)
+ * @param {Function} [options.log] - Logger (default console.log)
+ * @returns {Function} Stops following
+ */
+function followChain(db, provider, { intervalMs = POLL_INTERVAL_MS, log = console.log } = {}) {
+    let stopped = false;
+    let timer = null;
+    let lastError = null;
+
+    const poll = async () => {
+        try {
+            const { indexed, indexedBlock } = await syncChain(db, provider, { log });
+            if (indexed > 0) {
+                log(`[indexer] Indexed ${indexed} block(s), now at block ${indexedBlock}`);
+            }
+            lastError = null;
+        } catch (error) {
+            // Log each distinct failure once rather than on every poll
+            if (error.message !== lastError) {
+                log(`[indexer] Sync failed, retrying: ${error.shortMessage || error.message}`);
+                lastError = error.message;
+            }
+        }
+        if (!stopped) {
+            timer = setTimeout(poll, intervalMs);
+        }
+    };
+    poll();
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const once = process.argv.includes('--once');
+    const db = openIndexerStore();
+    const provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { staticNetwork: true });
+
+    if (once) {
+        syncChain(db, provider)
+            .then(result => {
+                console.log('\n=== Success ===');
+                console.log(JSON.stringify(result, null, 2));
+                process.exit(0);
+            })
+            .catch(error => {
+                console.error('\n=== Error ===');
+                console.error(error.shortMessage || error.message);
+                process.exit(1);
+            });
+    } else {
+        console.log(`Indexing ${RPC_URL} into the local SQLite store`);
+        followChain(db, provider);
+    }
+}
+
+export { buildContractMap, decodeTransaction, syncChain, followChain };
@@ -0,0 +1,195 @@
+/**
+ * @file indexerServer.js
+ * @notice Local HTTP service for the indexed chain history
+ * @dev Runs the chain indexer (indexer.js) and serves what it has stored in data/indexer.db, so
+ * the Block Explorer can page through the full history without scanning blocks over RPC.
+ *
+ * Endpoints (all JSON, GET only):
+ *   GET /api/health                Liveness check
+ *   GET /api/status                Chain ID, genesis hash, chain head and last indexed block
+ *   GET /api/transactions          Transactions, newest first
+ *       ?address=0x...             Only transactions that touched the address (sender, recipient or event argument)
+ *       &function=mintSGDC,mint    Function label (comma-separated for any of several)
+ *       &contract=TES3             Contract name
+ *       &fromBlock=N&toBlock=N     Block range (inclusive)
+ *       &fromTime=T&toTime=T       Block timestamp range in seconds (inclusive)
+ *       &cursor=...&limit=50       Paging: pass the previous page's nextCursor
+ *   GET /api/transactions/:hash    One transaction with its decoded events
+ *   GET /api/events                Decoded events, newest first
+ *       ?contract=SGDC&name=Transfer&address=0x...&fromBlock=N&toBlock=N&cursor=...&limit=50
+ */
+
+import http from 'http';
+import { ethers } from 'ethers';
+import { followChain } from './indexer.js';
+import {
+    openIndexerStore,
+    queryTransactions,
+    getTransaction,
+    queryEvents,
+    getIndexStatus
+} from './indexerStore.js';
+
+// RPC URL for Anvil (default local network)
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+
+// Port the service listens on (the React app expects 4001 by default)
+const PORT = parseInt(process.env.INDEXER_PORT || '4001', 10);
+
+// Origin allowed to call the service from a browser
+const CORS_ORIGIN = process.env.INDEXER_CORS_ORIGIN || '*';
+
+/**
+ * Send a JSON response with CORS headers
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - JSON body
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': CORS_ORIGIN,
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read an optional block number or timestamp query parameter
+ * @param {URLSearchParams} query - Query string
+ * @param {string} name - Parameter name
+ * @returns {number|undefined} Value, or undefined when absent
+ */
+function parseIntegerParam(query, name) {
+    if (!query.has(name)) return undefined;
+    const value = Number(query.get(name));
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${name} must be a non-negative integer`);
+    }
+    return value;
+}
+
+/**
+ * Read the filters shared by the list endpoints
+ * @param {URLSearchParams} query - Query string
+ * @returns {Object} Filters for queryTransactions()/queryEvents()
+ */
+function parseFilters(query) {
+    const address = query.get('address') || undefined;
+    if (address && !ethers.isAddress(address)) {
+        throw new Error(`address is not a valid address: ${address}`);
+    }
+
+    return {
+        address,
+        fromBlock: parseIntegerParam(query, 'fromBlock'),
+        toBlock: parseIntegerParam(query, 'toBlock'),
+        cursor: query.get('cursor') || undefined,
+        limit: query.has('limit') ? Number(query.get('limit')) : undefined
+    };
+}
+
+/**
+ * Route a request to its handler
+ * @param {Database} db - Indexer database
+ * @param {ethers.Provider} provider - Provider (for the chain head in /api/status)
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(db, provider, req, res) {
+    const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'OPTIONS') {
+        sendJSON(res, 204, {});
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        sendJSON(res, 405, { error: `${req.method} is not supported` });
+        return;
+    }
+
+    if (pathname === '/api/health') {
+        sendJSON(res, 200, { status: 'ok' });
+        return;
+    }
+
+    if (pathname === '/api/status') {
+        const head = await provider.getBlockNumber().catch(() => null);
+        sendJSON(res, 200, { ...getIndexStatus(db), head });
+        return;
+    }
+
+    if (pathname === '/api/transactions') {
+        sendJSON(res, 200, queryTransactions(db, {
+            ...parseFilters(searchParams),
+            function: searchParams.get('function')?.split(',').filter(Boolean) || undefined,
+            contract: searchParams.get('contract') || undefined,
+            fromTime: parseIntegerParam(searchParams, 'fromTime'),
+            toTime: parseIntegerParam(searchParams, 'toTime')
+        }));
+        return;
+    }
+
+    const transactionMatch = pathname.match(/^\/api\/transactions\/(0x[0-9a-fA-F]{64})$/);
+    if (transactionMatch) {
+        const transaction = getTransaction(db, transactionMatch[1]);
+        if (!transaction) {
+            sendJSON(res, 404, { error: `Transaction ${transactionMatch[1]} is not indexed` });
+            return;
+        }
+        sendJSON(res, 200, transaction);
+        return;
+    }
+
+    if (pathname === '/api/events') {
+        sendJSON(res, 200, queryEvents(db, {
+            ...parseFilters(searchParams),
+            contract: searchParams.get('contract') || undefined,
+            name: searchParams.get('name') || undefined
+        }));
+        return;
+    }
+
+    sendJSON(res, 404, { error: `No route for ${req.method} ${pathname}` });
+}
+
+/**
+ * Start the indexer and its API
+ * @param {number} port - Port to listen on
+ * @returns {{server: http.Server, stop: Function}} Running server, and a function that stops
+ * the server and the indexer
+ */
+function startIndexerServer(port = PORT) {
+    const db = openIndexerStore();
+    const provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { staticNetwork: true });
+    const stopIndexer = followChain(db, provider);
+
+    const server = http.createServer((req, res) => {
+        handleRequest(db, provider, req, res).catch((error) => {
+            // Invalid filters and cursors throw, report them as bad requests
+            sendJSON(res, 400, { error: error.message });
+        });
+    });
+
+    server.listen(port, () => {
+        console.log(`Chain indexer listening on http://localhost:${port}/api (following ${RPC_URL})`);
+    });
+
+    return {
+        server,
+        stop: () => {
+            stopIndexer();
+            server.close();
+            db.close();
+        }
+    };
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    startIndexerServer();
+}
+
+export { startIndexerServer };
@@ -0,0 +1,431 @@
+/**
+ * @file indexerStore.js
+ * @notice SQLite storage for the chain indexer (data/indexer.db)
+ * @dev Holds the indexed blocks, decoded transactions and decoded events, plus the accounts each
+ * transaction touched (sender, recipient and every address in its events) so history can be
+ * filtered by account. Every row carries its block number, so undoing a reorg is a delete of
+ * everything above the common ancestor.
+ *
+ * Written by indexer.js, read by indexerServer.js. The file can be deleted at any time; the
+ * indexer rebuilds it from genesis.
+ */
+
+import path from 'path';
+import Database from 'better-sqlite3';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Path to the SQLite database
+const INDEXER_DB_PATH = process.env.INDEXER_DB || path.join(__dirname, '../data/indexer.db');
+
+// Largest page the query functions return
+const MAX_PAGE_SIZE = 500;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL,
+        parent_hash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS transactions (
+        hash TEXT PRIMARY KEY,
+        block_number INTEGER NOT NULL,
+        tx_index INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        from_address TEXT NOT NULL COLLATE NOCASE,
+        to_address TEXT COLLATE NOCASE,
+        contract TEXT,
+        function TEXT NOT NULL,
+        method TEXT,
+        args TEXT,
+        value TEXT NOT NULL,
+        input TEXT NOT NULL,
+        status INTEGER,
+        gas_used TEXT,
+        contract_address TEXT COLLATE NOCASE
+    );
+    CREATE INDEX IF NOT EXISTS transactions_by_block ON transactions (block_number, tx_index);
+
+    CREATE TABLE IF NOT EXISTS events (
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        block_number INTEGER NOT NULL,
+        address TEXT NOT NULL COLLATE NOCASE,
+        contract TEXT,
+        name TEXT,
+        args TEXT,
+        PRIMARY KEY (tx_hash, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_by_block ON events (block_number, log_index);
+    CREATE INDEX IF NOT EXISTS events_by_name ON events (contract, name);
+
+    CREATE TABLE IF NOT EXISTS transaction_accounts (
+        tx_hash TEXT NOT NULL,
+        block_number INTEGER NOT NULL,
+        address TEXT NOT NULL COLLATE NOCASE,
+        PRIMARY KEY (tx_hash, address)
+    );
+    CREATE INDEX IF NOT EXISTS transaction_accounts_by_address ON transaction_accounts (address);
+`;
+
+/**
+ * Open (and create if needed) the indexer database
+ * @param {string} [file] - Database path (default data/indexer.db, or INDEXER_DB)
+ * @param {Object} [options] - better-sqlite3 options (e.g. { readonly: true })
+ * @returns {Database} Open database
+ */
+function openIndexerStore(file = INDEXER_DB_PATH, options = {}) {
+    const db = new Database(file, options);
+    if (!options.readonly) {
+        // WAL lets the API server read while the indexer writes
+        db.pragma('journal_mode = WAL');
+        db.exec(SCHEMA);
+    }
+    return db;
+}
+
+/**
+ * Read a metadata value
+ * @param {Database} db - Indexer database
+ * @param {string} key - Key (e.g., "genesisHash")
+ * @returns {string|null} Value, or null if unset
+ */
+function getMeta(db, key) {
+    return db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null;
+}
+
+/**
+ * Write a metadata value
+ * @param {Database} db - Indexer database
+ * @param {string} key - Key
+ * @param {string|number} value - Value
+ */
+function setMeta(db, key, value) {
+    db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+        .run(key, String(value));
+}
+
+/**
+ * Highest indexed block
+ * @param {Database} db - Indexer database
+ * @returns {number} Block number, or -1 when nothing is indexed
+ */
+function getLastIndexedBlock(db) {
+    return db.prepare('SELECT MAX(number) AS number FROM blocks').get().number ?? -1;
+}
+
+/**
+ * Hash of an indexed block
+ * @param {Database} db - Indexer database
+ * @param {number} number - Block number
+ * @returns {string|null} Block hash, or null if the block is not indexed
+ */
+function getBlockHash(db, number) {
+    return db.prepare('SELECT hash FROM blocks WHERE number = ?').get(number)?.hash ?? null;
+}
+
+/**
+ * Store a block with its decoded transactions and events in one SQLite transaction
+ * @param {Database} db - Indexer database
+ * @param {Object} indexed - Block from indexer.js: { block: { number, hash, parentHash, timestamp },
+ * transactions: [...], events: [...], accounts: [{ txHash, address }] }
+ */
+function insertBlock(db, { block, transactions, events, accounts }) {
+    const insertBlockRow = db.prepare(
+        'INSERT INTO blocks (number, hash, parent_hash, timestamp) VALUES (@number, @hash, @parentHash, @timestamp)'
+    );
+    const insertTransaction = db.prepare(`
+        INSERT INTO transactions (hash, block_number, tx_index, timestamp, from_address, to_address, contract,
+            function, method, args, value, input, status, gas_used, contract_address)
+        VALUES (@hash, @blockNumber, @index, @timestamp, @from, @to, @contract,
+            @function, @method, @args, @value, @input, @status, @gasUsed, @contractAddress)
+    `);
+    const insertEvent = db.prepare(`
+        INSERT INTO events (tx_hash, log_index, block_number, address, contract, name, args)
+        VALUES (@txHash, @logIndex, @blockNumber, @address, @contract, @name, @args)
+    `);
+    const insertAccount = db.prepare(
+        'INSERT OR IGNORE INTO transaction_accounts (tx_hash, block_number, address) VALUES (?, ?, ?)'
+    );
+
+    db.transaction(() => {
+        insertBlockRow.run(block);
+        for (const tx of transactions) {
+            insertTransaction.run({ ...tx, args: tx.args ? JSON.stringify(tx.args) : null });
+        }
+        for (const event of events) {
+            insertEvent.run({ ...event, args: event.args ? JSON.stringify(event.args) : null });
+        }
+        for (const account of accounts) {
+            insertAccount.run(account.txHash, block.number, account.address);
+        }
+    })();
+}
+
+/**
+ * Drop every block above a block number (reorg, or a chain that was restarted shorter)
+ * @param {Database} db - Indexer database
+ * @param {number} blockNumber - Last block to keep (-1 drops everything)
+ * @returns {number} Number of blocks removed
+ */
+function rollbackTo(db, blockNumber) {
+    return db.transaction(() => {
+        db.prepare('DELETE FROM transaction_accounts WHERE block_number > ?').run(blockNumber);
+        db.prepare('DELETE FROM events WHERE block_number > ?').run(blockNumber);
+        db.prepare('DELETE FROM transactions WHERE block_number > ?').run(blockNumber);
+        return db.prepare('DELETE FROM blocks WHERE number > ?').run(blockNumber).changes;
+    })();
+}
+
+/**
+ * Parse a "blockNumber:index" paging cursor
+ * @param {string} [cursor] - Cursor returned as nextCursor by a previous page
+ * @returns {{blockNumber: number, index: number}|null} Position, or null for the first page
+ */
+function parseCursor(cursor) {
+    if (!cursor) return null;
+    const match = /^(\d+):(\d+)$/.exec(cursor);
+    if (!match) {
+        throw new Error(`Invalid cursor: ${cursor}`);
+    }
+    return { blockNumber: Number(match[1]), index: Number(match[2]) };
+}
+
+/**
+ * Clamp a requested page size
+ * @param {number} [limit] - Requested size
+ * @returns {number} Page size between 1 and MAX_PAGE_SIZE (default 50)
+ */
+function pageSize(limit) {
+    const size = Number(limit) || 50;
+    return Math.min(Math.max(Math.floor(size), 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Convert a transactions row to the API shape
+ * @param {Object} row - transactions row
+ * @returns {Object} Transaction
+ */
+function toTransaction(row) {
+    return {
+        hash: row.hash,
+        blockNumber: row.block_number,
+        index: row.tx_index,
+        timestamp: row.timestamp,
+        from: row.from_address,
+        to: row.to_address,
+        contract: row.contract,
+        function: row.function,
+        method: row.method,
+        args: row.args ? JSON.parse(row.args) : null,
+        value: row.value,
+        input: row.input,
+        status: row.status,
+        gasUsed: row.gas_used,
+        contractAddress: row.contract_address
+    };
+}
+
+/**
+ * Convert an events row to the API shape
+ * @param {Object} row - events row
+ * @returns {Object} Event
+ */
+function toEvent(row) {
+    return {
+        transactionHash: row.tx_hash,
+        logIndex: row.log_index,
+        blockNumber: row.block_number,
+        address: row.address,
+        contract: row.contract,
+        name: row.name,
+        args: row.args ? JSON.parse(row.args) : null
+    };
+}
+
+/**
+ * Page through indexed transactions, newest block first (chain order within a block)
+ * @param {Database} db - Indexer database
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.address] - Only transactions that touched this address
+ * @param {string|Array<string>} [filters.function] - Function label, or any of several labels
+ * (e.g., "tokenize", ["mintSGDC", "mint"])
+ * @param {string} [filters.contract] - Contract name (e.g., "SGDC", "TES3", "dCDP")
+ * @param {number} [filters.fromBlock] - Lowest block (inclusive)
+ * @param {number} [filters.toBlock] - Highest block (inclusive)
+ * @param {number} [filters.fromTime] - Earliest block timestamp in seconds (inclusive)
+ * @param {number} [filters.toTime] - Latest block timestamp in seconds (inclusive)
+ * @param {string} [filters.cursor] - nextCursor of the previous page
+ * @param {number} [filters.limit] - Page size (default 50)
+ * @returns {{transactions: Array<Object>, nextCursor: string|null}} Page, and the cursor of the
+ * next one (null on the last page)
+ */
+function queryTransactions(db, filters = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (filters.address) {
+        conditions.push('hash IN (SELECT tx_hash FROM transaction_accounts WHERE address = @address)');
+        params.address = filters.address;
+    }
+    const labels = [].concat(filters.function || []);
+    if (labels.length > 0) {
+        conditions.push(`function IN (${labels.map((_, i) => `@function${i}`).join(', ')})`);
+        labels.forEach((label, i) => {
+            params[`function${i}`] = label;
+        });
+    }
+    if (filters.contract) {
+        conditions.push('contract = @contract');
+        params.contract = filters.contract;
+    }
+    if (Number.isInteger(filters.fromBlock)) {
+        conditions.push('block_number >= @fromBlock');
+        params.fromBlock = filters.fromBlock;
+    }
+    if (Number.isInteger(filters.toBlock)) {
+        conditions.push('block_number <= @toBlock');
+        params.toBlock = filters.toBlock;
+    }
+    if (Number.isInteger(filters.fromTime)) {
+        conditions.push('timestamp >= @fromTime');
+        params.fromTime = filters.fromTime;
+    }
+    if (Number.isInteger(filters.toTime)) {
+        conditions.push('timestamp <= @toTime');
+        params.toTime = filters.toTime;
+    }
+    const cursor = parseCursor(filters.cursor);
+    if (cursor) {
+        conditions.push('(block_number < @cursorBlock OR (block_number = @cursorBlock AND tx_index > @cursorIndex))');
+        params.cursorBlock = cursor.blockNumber;
+        params.cursorIndex = cursor.index;
+    }
+
+    const limit = pageSize(filters.limit);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    // Fetch one extra row to know whether another page follows
+    const rows = db.prepare(
+        `SELECT * FROM transactions ${where} ORDER BY block_number DESC, tx_index ASC LIMIT ${limit + 1}`
+    ).all(params);
+
+    const page = rows.slice(0, limit).map(toTransaction);
+    const last = page[page.length - 1];
+    return {
+        transactions: page,
+        nextCursor: rows.length > limit ? `${last.blockNumber}:${last.index}` : null
+    };
+}
+
+/**
+ * Read one transaction with its decoded events
+ * @param {Database} db - Indexer database
+ * @param {string} hash - Transaction hash
+ * @returns {Object|null} Transaction with `events`, or null if it is not indexed
+ */
+function getTransaction(db, hash) {
+    const row = db.prepare('SELECT * FROM transactions WHERE hash = ? COLLATE NOCASE').get(hash);
+    if (!row) return null;
+
+    const events = db.prepare('SELECT * FROM events WHERE tx_hash = ? ORDER BY log_index').all(row.hash);
+    return { ...toTransaction(row), events: events.map(toEvent) };
+}
+
+/**
+ * Page through indexed events, newest block first (log order within a block)
+ * @param {Database} db - Indexer database
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.contract] - Contract name (e.g., "SGDC")
+ * @param {string} [filters.name] - Event name (e.g., "Transfer")
+ * @param {string} [filters.address] - Only events of transactions that touched this address
+ * @param {number} [filters.fromBlock] - Lowest block (inclusive)
+ * @param {number} [filters.toBlock] - Highest block (inclusive)
+ * @param {string} [filters.cursor] - nextCursor of the previous page
+ * @param {number} [filters.limit] - Page size (default 50)
+ * @returns {{events: Array<Object>, nextCursor: string|null}} Page and the cursor of the next one
+ */
+function queryEvents(db, filters = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (filters.contract) {
+        conditions.push('contract = @contract');
+        params.contract = filters.contract;
+    }
+    if (filters.name) {
+        conditions.push('name = @name');
+        params.name = filters.name;
+    }
+    if (filters.address) {
+        conditions.push('tx_hash IN (SELECT tx_hash FROM transaction_accounts WHERE address = @address)');
+        params.address = filters.address;
+    }
+    if (Number.isInteger(filters.fromBlock)) {
+        conditions.push('block_number >= @fromBlock');
+        params.fromBlock = filters.fromBlock;
+    }
+    if (Number.isInteger(filters.toBlock)) {
+        conditions.push('block_number <= @toBlock');
+        params.toBlock = filters.toBlock;
+    }
+    const cursor = parseCursor(filters.cursor);
+    if (cursor) {
+        conditions.push('(block_number < @cursorBlock OR (block_number = @cursorBlock AND log_index > @cursorIndex))');
+        params.cursorBlock = cursor.blockNumber;
+        params.cursorIndex = cursor.index;
+    }
+
+    const limit = pageSize(filters.limit);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = db.prepare(
+        `SELECT * FROM events ${where} ORDER BY block_number DESC, log_index ASC LIMIT ${limit + 1}`
+    ).all(params);
+
+    const page = rows.slice(0, limit).map(toEvent);
+    const last = page[page.length - 1];
+    return {
+        events: page,
+        nextCursor: rows.length > limit ? `${last.blockNumber}:${last.logIndex}` : null
+    };
+}
+
+/**
+ * Summarise what has been indexed
+ * @param {Database} db - Indexer database
+ * @returns {Object} { chainId, genesisHash, indexedBlock, transactions, events, reorgs }
+ */
+function getIndexStatus(db) {
+    return {
+        chainId: getMeta(db, 'chainId') === null ? null : Number(getMeta(db, 'chainId')),
+        genesisHash: getMeta(db, 'genesisHash'),
+        indexedBlock: getLastIndexedBlock(db),
+        transactions: db.prepare('SELECT COUNT(*) AS count FROM transactions').get().count,
+        events: db.prepare('SELECT COUNT(*) AS count FROM events').get().count,
+        reorgs: Number(getMeta(db, 'reorgs') || 0)
+    };
+}
+
+export {
+    INDEXER_DB_PATH,
+    MAX_PAGE_SIZE,
+    openIndexerStore,
+    getMeta,
+    setMeta,
+    getLastIndexedBlock,
+    getBlockHash,
+    insertBlock,
+    rollbackTo,
+    queryTransactions,
+    getTransaction,
+    queryEvents,
+    getIndexStatus
+};
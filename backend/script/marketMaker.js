@@ -0,0 +1,427 @@
+/**
+ * @file marketMaker.js
+ * @notice AP market-making bot for a tokenized ETF on the Digital Exchange order book
+ * @dev Each cycle:
+ *   1. Prices the ETF at its iNAV from the constituent basket (see inav.js)
+ *   2. Reads the AP's inventory: tokens in its wallet plus tokens escrowed in its open sell order
+ *   3. If the inventory has left the band around the target, tokenizes ETF shares (inventory too
+ *      low) or redeems tokens (too high) through dCDP, bringing it back to the target. When the
+ *      owner holds too few ETF shares to tokenize, whole creation units are created from its
+ *      constituent basket first.
+ *   4. Posts a two-sided quote around iNAV: the spread is split evenly around a mid that is
+ *      skewed against the inventory (long inventory lowers both prices so investors buy more
+ *      from the AP, short inventory raises them). A resting quote that is still correct is kept.
+ *   5. Matches any orders the new quotes cross
+ *
+ * Together with creation and redemption of the ETF itself this is the arbitrage that keeps the
+ * token trading close to NAV.
+ *
+ * Two accounts sign: the market maker (the AP's registered dCDP wallet) places and cancels
+ * orders, from TETF_MM_KEYSTORE or TETF_MM_PRIVATE_KEY; the dCDP admin tokenizes and redeems,
+ * from TETF_KEYSTORE or TETF_PRIVATE_KEY as in the other scripts (see signer.js).
+ */
+
+import { ethers } from 'ethers';
+import { loadDeploymentInfo, getTokenInfo } from './deployment.js';
+import { fetchAccount } from './registryClient.js';
+import { createETF } from './createETF.js';
+import { getINAV } from './inav.js';
+import { cashFor, getMarket, loadBook, runMatching } from './orderBook.js';
+import { loadSigner } from './signer.js';
+import { tokenize } from './tokenize.js';
+import { redeem } from './redeem.js';
+
+// RPC URL for Anvil (default local network)
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+
+const ERC20_ABI = [
+    "function balanceOf(address) external view returns (uint256)",
+    "function allowance(address owner, address spender) external view returns (uint256)",
+    "function approve(address spender, uint256 amount) external returns (bool)"
+];
+
+const DCDP_ABI = [
+    "function ownerToAddress(string memory) external view returns (address)"
+];
+
+// OrderBook.Side
+const SIDE_VALUES = { buy: 0, sell: 1 };
+
+// Quotes are rounded to 0.001 SGDC, bids down and asks up
+const TICK = 10n ** 15n;
+
+const DEFAULTS = {
+    symbol: 'ES3',
+    ownerId: 'AP',
+    spreadBps: 50,
+    skewBps: 25,
+    size: 100,
+    target: 1000,
+    band: 500
+};
+
+/**
+ * Work out the quote for the current iNAV and inventory
+ * @param {Object} params
+ * @param {number} params.nav - iNAV per share
+ * @param {number} params.inventory - Tokens held, in shares
+ * @param {number} params.target - Target inventory, in shares
+ * @param {number} params.band - Allowed distance from the target, in shares
+ * @param {number} params.spreadBps - Quoted spread, bid to ask, in basis points of the mid
+ * @param {number} params.skewBps - Mid shift at the edge of the band, in basis points
+ * @returns {{mid: bigint, bid: bigint, ask: bigint, skewBps: number}} Prices in SGDC wei, and the
+ * mid shift from iNAV in basis points (negative when long)
+ */
+function computeQuote({ nav, inventory, target, band, spreadBps, skewBps }) {
+    // -1 at the bottom of the band, +1 at the top; long inventory moves the mid down
+    const position = Math.max(-1, Math.min(1, (inventory - target) / band));
+    const appliedSkewBps = -Math.round(position * skewBps);
+
+    const navWei = ethers.parseUnits(nav.toFixed(6), 18);
+    const mid = (navWei * BigInt(10000 + appliedSkewBps)) / 10000n;
+    const bid = (mid * BigInt(20000 - spreadBps)) / 20000n;
+    const ask = (mid * BigInt(20000 + spreadBps)) / 20000n;
+
+    return {
+        mid,
+        bid: (bid / TICK) * TICK,
+        ask: ((ask + TICK - 1n) / TICK) * TICK,
+        skewBps: appliedSkewBps
+    };
+}
+
+/**
+ * Approve the order book to pull a token, unless the allowance already covers the amount
+ * @param {ethers.Contract} token - ERC20 connected to the owner's wallet
+ * @param {string} owner - Token holder
+ * @param {string} spender - OrderBook address
+ * @param {bigint} amount - Amount the order escrows
+ */
+async function ensureAllowance(token, owner, spender, amount) {
+    if (await token.allowance(owner, spender) >= amount) {
+        return;
+    }
+    const tx = await token.approve(spender, amount);
+    await tx.wait();
+}
+
+/**
+ * Load the market maker and admin wallets and check the market maker is the owner's dCDP wallet
+ * @param {ethers.Provider} provider - Provider
+ * @param {string} ownerId - Owner ID the bot trades for (e.g. "AP")
+ * @returns {Promise<{marketMaker: ethers.Wallet, admin: ethers.Wallet}>}
+ */
+async function loadWallets(provider, ownerId) {
+    const marketMaker = await loadSigner(provider, {
+        keystore: process.env.TETF_MM_KEYSTORE || null,
+        privateKey: process.env.TETF_MM_PRIVATE_KEY || null,
+        envPrefix: 'TETF_MM'
+    });
+    const admin = await loadSigner(provider);
+
+    const deploymentInfo = loadDeploymentInfo();
+    const dCDP = new ethers.Contract(deploymentInfo.contracts.dCDP.address, DCDP_ABI, provider);
+    const ownerAddress = await dCDP.ownerToAddress(ownerId);
+    if (ownerAddress.toLowerCase() !== marketMaker.address.toLowerCase()) {
+        throw new Error(
+            `Market maker wallet ${marketMaker.address} is not ${ownerId}'s dCDP wallet ` +
+            `(${ownerAddress === ethers.ZeroAddress ? 'none registered' : ownerAddress})`
+        );
+    }
+    return { marketMaker, admin };
+}
+
+/**
+ * Run one market-making cycle
+ * @param {Object} options
+ * @param {ethers.Wallet} options.marketMaker - Wallet that quotes (the owner's dCDP wallet)
+ * @param {ethers.Wallet} options.admin - dCDP admin wallet for tokenize and redeem
+ * @param {string} [options.symbol] - ETF symbol (default "ES3")
+ * @param {string} [options.ownerId] - Owner ID tokenized and redeemed for (default "AP")
+ * @param {string} [options.pricesPath] - Constituent price file (see inav.js)
+ * @param {number} [options.spreadBps] - Quoted spread in basis points (default 50)
+ * @param {number} [options.skewBps] - Maximum inventory skew in basis points (default 25)
+ * @param {number} [options.size] - Shares quoted on each side (default 100)
+ * @param {number} [options.target] - Target token inventory in shares (default 1000)
+ * @param {number} [options.band] - Inventory band around the target in shares (default 500)
+ * @param {boolean} [options.dryRun] - Print what would be done without sending anything
+ * @returns {Promise<Object>} iNAV, inventory, rebalance, quotes, order actions and matches
+ */
+async function runMarketMaker(options) {
+    const {
+        marketMaker,
+        admin,
+        symbol,
+        ownerId,
+        pricesPath,
+        spreadBps,
+        skewBps,
+        size,
+        target,
+        band,
+        dryRun = false
+    } = { ...DEFAULTS, ...options };
+    const prefix = dryRun ? '[dry run] ' : '';
+
+    const deploymentInfo = loadDeploymentInfo();
+    const tokenInfo = getTokenInfo(deploymentInfo, symbol);
+    const { orderBook } = getMarket(symbol, marketMaker);
+    const orderBookAddress = await orderBook.getAddress();
+    const token = new ethers.Contract(tokenInfo.address, ERC20_ABI, marketMaker);
+    const sgdc = new ethers.Contract(await orderBook.cashToken(), ERC20_ABI, marketMaker);
+
+    // Step 1: iNAV
+    const inav = await getINAV({ symbol, pricesPath });
+    console.log(`${prefix}${symbol} iNAV ${inav.nav.toFixed(4)} ${inav.currency} (prices as of ${inav.asOf ?? 'unknown'})`);
+
+    // Step 2: inventory, including the tokens escrowed by the bot's own sell order
+    const readOwnOrders = async () => {
+        const book = await loadBook(orderBook, tokenInfo.address);
+        const own = (order) => order.trader.toLowerCase() === marketMaker.address.toLowerCase();
+        return { bids: book.bids.filter(own), asks: book.asks.filter(own) };
+    };
+    const readInventory = async (ownOrders) => {
+        const escrowed = ownOrders.asks.reduce((sum, order) => sum + order.remaining, 0n);
+        return Number(ethers.formatUnits(await token.balanceOf(marketMaker.address) + escrowed, 18));
+    };
+
+    const cancelled = [];
+    const cancel = async (order) => {
+        if (!dryRun) {
+            const tx = await orderBook.cancelOrder(order.id);
+            await tx.wait();
+        }
+        console.log(`  ${prefix}Cancelled ${order.side} #${order.id} @ ${ethers.formatUnits(order.price, 18)}`);
+        cancelled.push(order.id);
+    };
+
+    let ownOrders = await readOwnOrders();
+    let inventory = await readInventory(ownOrders);
+    console.log(`${prefix}Inventory ${inventory} ${tokenInfo.symbol} (target ${target} ± ${band})`);
+
+    // Step 3: bring the inventory back to target through dCDP when it leaves the band
+    let rebalance = null;
+    if (inventory < target - band || inventory > target + band) {
+        // Pull the resting quotes first so escrowed tokens can be redeemed
+        for (const order of [...ownOrders.bids, ...ownOrders.asks]) {
+            await cancel(order);
+        }
+        ownOrders = { bids: [], asks: [] };
+
+        const action = inventory < target - band ? 'tokenize' : 'redeem';
+        const quantity = action === 'tokenize' ? Math.ceil(target - inventory) : Math.floor(inventory - target);
+        console.log(`${prefix}Inventory outside band: ${action === 'tokenize' ? 'tokenizing' : 'redeeming'} ${quantity} ${symbol}`);
+        rebalance = { action, quantity };
+
+        // A failed rebalance (e.g. the owner has neither ETF shares nor the basket to create them)
+        // is reported and the bot keeps quoting with the inventory it has
+        try {
+            if (action === 'tokenize') {
+                // Create whole creation units from the owner's constituent basket first if the
+                // owner does not hold enough ETF shares to tokenize
+                const account = await fetchAccount(ownerId);
+                const shortfall = quantity - (account.etfs?.[symbol] || 0);
+                if (shortfall > 0) {
+                    const creationQuantity = Math.ceil(shortfall / inav.creationUnitSize) * inav.creationUnitSize;
+                    console.log(`${prefix}${ownerId} is short ${shortfall} ${symbol}: creating ${creationQuantity} from the basket`);
+                    rebalance.creation = await createETF(ownerId, symbol, creationQuantity, { dryRun });
+                }
+            }
+
+            if (dryRun && rebalance.creation) {
+                // The dry-run creation is not saved, so tokenize would fail its balance check
+                console.log(`${prefix}Would tokenize ${quantity} ${symbol} for ${ownerId}`);
+            } else {
+                const run = action === 'tokenize' ? tokenize : redeem;
+                rebalance.result = await run(ownerId, symbol, quantity, admin, { dryRun });
+            }
+
+            if (dryRun) {
+                inventory += action === 'tokenize' ? quantity : -quantity;
+            } else {
+                inventory = await readInventory(ownOrders);
+            }
+        } catch (error) {
+            console.error(`${prefix}Rebalance failed: ${error.shortMessage || error.message}`);
+            rebalance.error = error.shortMessage || error.message;
+        }
+    }
+
+    // Step 4: quote around iNAV, skewed by inventory
+    const quote = computeQuote({ nav: inav.nav, inventory, target, band, spreadBps, skewBps });
+    const sizeWei = ethers.parseUnits(String(size), 18);
+    console.log(
+        `${prefix}Quoting ${size} @ ${ethers.formatUnits(quote.bid, 18)} / ${ethers.formatUnits(quote.ask, 18)} ` +
+        `(mid ${ethers.formatUnits(quote.mid, 18)}, skew ${quote.skewBps} bps)`
+    );
+
+    const orders = [];
+    for (const side of ['buy', 'sell']) {
+        const price = side === 'buy' ? quote.bid : quote.ask;
+        const existing = side === 'buy' ? ownOrders.bids : ownOrders.asks;
+        const entry = { side, price: ethers.formatUnits(price, 18), quantity: String(size) };
+
+        if (existing.length === 1 && existing[0].price === price && existing[0].remaining === sizeWei) {
+            console.log(`  Kept ${side} #${existing[0].id} ${size} @ ${entry.price}`);
+            orders.push({ ...entry, action: 'kept', orderId: existing[0].id });
+            continue;
+        }
+        for (const order of existing) {
+            await cancel(order);
+        }
+
+        // Buys escrow SGDC for the full order value, sells escrow the tokens
+        const escrowToken = side === 'buy' ? sgdc : token;
+        const escrow = side === 'buy' ? cashFor(sizeWei, price) : sizeWei;
+        if (!dryRun && await escrowToken.balanceOf(marketMaker.address) < escrow) {
+            const reason = `insufficient ${side === 'buy' ? 'SGDC' : tokenInfo.symbol} for a ${size}-share quote`;
+            console.log(`  Skipped ${side}: ${reason}`);
+            orders.push({ ...entry, action: 'skipped', reason });
+            continue;
+        }
+
+        if (dryRun) {
+            console.log(`  ${prefix}Would place ${side} ${size} @ ${entry.price}`);
+            orders.push({ ...entry, action: 'placed' });
+            continue;
+        }
+
+        await ensureAllowance(escrowToken, marketMaker.address, orderBookAddress, escrow);
+        const tx = await orderBook.placeOrder(tokenInfo.address, SIDE_VALUES[side], price, sizeWei);
+        const receipt = await tx.wait();
+        const placed = receipt.logs
+            .map((log) => {
+                try {
+                    return orderBook.interface.parseLog(log);
+                } catch {
+                    return null;
+                }
+            })
+            .find((parsed) => parsed?.name === 'OrderPlaced');
+        const orderId = placed ? Number(placed.args.orderId) : null;
+        console.log(`  Placed ${side} #${orderId} ${size} @ ${entry.price}`);
+        orders.push({ ...entry, action: 'placed', orderId, transactionHash: tx.hash });
+    }
+
+    // Step 5: match anything the new quotes cross
+    const { matches } = await runMatching({ symbol, wallet: marketMaker, dryRun });
+
+    return {
+        success: true,
+        symbol,
+        tokenSymbol: tokenInfo.symbol,
+        dryRun,
+        inav: inav.nav,
+        inventory,
+        target,
+        band,
+        rebalance,
+        quote: {
+            bid: ethers.formatUnits(quote.bid, 18),
+            ask: ethers.formatUnits(quote.ask, 18),
+            mid: ethers.formatUnits(quote.mid, 18),
+            skewBps: quote.skewBps
+        },
+        cancelled,
+        orders,
+        matches
+    };
+}
+
+/**
+ * Run a market-making cycle every interval until interrupted
+ * @param {Object} options - Same as runMarketMaker()
+ * @param {number} intervalSeconds - Seconds between the end of one cycle and the start of the next
+ */
+function watchMarketMaker(options, intervalSeconds) {
+    console.log(`Market making ${options.symbol || DEFAULTS.symbol} every ${intervalSeconds}s (Ctrl+C to stop)...`);
+
+    const cycle = async () => {
+        console.log(`\n--- ${new Date().toISOString()} ---`);
+        try {
+            await runMarketMaker(options);
+        } catch (error) {
+            console.error(`Cycle failed: ${error.shortMessage || error.message}`);
+        }
+        setTimeout(cycle, intervalSeconds * 1000);
+    };
+    cycle();
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = process.argv.slice(2);
+    const usage = () => {
+        console.error('Usage: node marketMaker.js [etfSymbol] [--owner AP] [--spread-bps 50] [--skew-bps 25]');
+        console.error('                           [--size 100] [--target 1000] [--band 500] [--prices <file>]');
+        console.error('                           [--watch] [--interval 30] [--dry-run]');
+        console.error('Example: TETF_MM_PRIVATE_KEY=0x... TETF_PRIVATE_KEY=0x... node marketMaker.js ES3 --watch');
+        process.exit(1);
+    };
+
+    const valueFlags = ['--owner', '--spread-bps', '--skew-bps', '--size', '--target', '--band', '--prices', '--interval'];
+    const values = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (valueFlags.includes(args[i])) {
+            if (args[i + 1] === undefined) usage();
+            values[args[i]] = args[++i];
+        } else if (args[i] === '--watch' || args[i] === '--dry-run') {
+            values[args[i]] = true;
+        } else if (args[i].startsWith('--') || positional.length > 0) {
+            usage();
+        } else {
+            positional.push(args[i]);
+        }
+    }
+
+    const number = (flag, fallback) => {
+        if (values[flag] === undefined) return fallback;
+        const value = Number(values[flag]);
+        if (!Number.isFinite(value) || value < 0) {
+            console.error(`Error: ${flag} must be a non-negative number`);
+            process.exit(1);
+        }
+        return value;
+    };
+
+    const options = {
+        symbol: positional[0] || DEFAULTS.symbol,
+        ownerId: values['--owner'] || DEFAULTS.ownerId,
+        pricesPath: values['--prices'],
+        spreadBps: Math.round(number('--spread-bps', DEFAULTS.spreadBps)),
+        skewBps: Math.round(number('--skew-bps', DEFAULTS.skewBps)),
+        size: number('--size', DEFAULTS.size),
+        target: number('--target', DEFAULTS.target),
+        band: number('--band', DEFAULTS.band),
+        dryRun: Boolean(values['--dry-run'])
+    };
+    if (options.size <= 0 || options.band <= 0 || options.spreadBps >= 20000) {
+        console.error('Error: --size and --band must be positive and --spread-bps below 20000');
+        process.exit(1);
+    }
+
+    const provider = new ethers.JsonRpcProvider(RPC_URL);
+    loadWallets(provider, options.ownerId)
+        .then(({ marketMaker, admin }) => {
+            if (values['--watch']) {
+                watchMarketMaker({ ...options, marketMaker, admin }, number('--interval', 30));
+                return null;
+            }
+            console.log(`\n=== ${options.dryRun ? 'Dry run: ' : ''}Market making ${options.symbol} ===\n`);
+            return runMarketMaker({ ...options, marketMaker, admin });
+        })
+        .then(result => {
+            if (result) {
+                console.log('\n=== Success ===');
+                console.log(JSON.stringify(result, null, 2));
+            }
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.shortMessage || error.message);
+            process.exit(1);
+        });
+}
+
+export { computeQuote, runMarketMaker, watchMarketMaker };
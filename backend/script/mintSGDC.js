@@ -0,0 +1,142 @@
+/**
+ * @file mintSGDC.js
+ * @notice Onchain script to mint SGDC to an owner's wallet
+ * @dev Signed by the stablecoin provider (the SGDC minter). Simulates an onramp where SGD received
+ * offchain is issued as SGDC. The SGD deposit is recorded in the reserve ledger (`fiat_deposits`,
+ * see registryClient.js) before minting and linked to the mint transaction afterwards, so every
+ * SGDC in circulation is backed by a recorded deposit (see proofOfReserves.js).
+ */
+
+import { ethers } from 'ethers';
+import { loadDeploymentInfo } from './deployment.js';
+import { recordFiatDeposit, markDepositMinted } from './registryClient.js';
+import { loadSigner } from './signer.js';
+
+// RPC URL for Anvil (default local network)
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+
+const SGDC_ABI = [
+    "function mint(address to, uint256 amount) external",
+    "function minter() external view returns (address)",
+    "function balanceOf(address) external view returns (uint256)"
+];
+
+const dCDP_ABI = [
+    "function ownerToAddress(string memory) external view returns (address)",
+    "function getOwnerId(address walletAddress) external view returns (string memory)"
+];
+
+/**
+ * Resolve an owner ID or address to a wallet address
+ * @param {ethers.Contract} dCDP - dCDP contract
+ * @param {string} recipient - Owner ID (e.g., "THOMAS") or wallet address
+ * @returns {Promise<string>} Wallet address
+ */
+async function resolveRecipient(dCDP, recipient) {
+    if (ethers.isAddress(recipient)) {
+        return ethers.getAddress(recipient);
+    }
+    const address = await dCDP.ownerToAddress(recipient);
+    if (address === ethers.ZeroAddress) {
+        throw new Error(`Owner ${recipient} does not have a registered wallet`);
+    }
+    return address;
+}
+
+/**
+ * Mint SGDC to a wallet
+ * @param {string} recipient - Owner ID (e.g., "THOMAS") or wallet address
+ * @param {number} amount - Amount of SGDC to mint
+ * @param {ethers.Wallet} wallet - Stablecoin provider (SGDC minter) wallet connected to the RPC provider
+ * (see signer.js)
+ */
+async function mintSGDC(recipient, amount, wallet) {
+    console.log(`\n=== Minting ${amount} SGDC to ${recipient} ===\n`);
+
+    const deploymentInfo = loadDeploymentInfo();
+
+    // The signing wallet (see signer.js) is already connected to the RPC provider
+    const provider = wallet.provider;
+
+    console.log(`✓ Connected to ${RPC_URL}`);
+    console.log(`✓ Using minter account: ${wallet.address}`);
+
+    const sgdc = new ethers.Contract(deploymentInfo.contracts.SGDC.address, SGDC_ABI, wallet);
+    const dCDP = new ethers.Contract(deploymentInfo.contracts.dCDP.address, dCDP_ABI, provider);
+
+    const minter = await sgdc.minter();
+    if (minter !== wallet.address) {
+        throw new Error(`${wallet.address} is not the SGDC minter (${minter})`);
+    }
+
+    const to = await resolveRecipient(dCDP, recipient);
+    console.log(`✓ Recipient wallet: ${to}`);
+
+    // Convert amount to wei (18 decimals)
+    const amountWei = ethers.parseUnits(amount.toString(), 18);
+
+    // Record the SGD received before issuing SGDC against it
+    const ownerId = ethers.isAddress(recipient) ? (await dCDP.getOwnerId(to)) || null : recipient;
+    const { deposit } = await recordFiatDeposit({ ownerId, amount, address: to });
+    console.log(`✓ Fiat deposit ${deposit.id} recorded: ${deposit.amount} ${deposit.currency}`);
+
+    console.log('\nCalling SGDC.mint()...');
+    const tx = await sgdc.mint(to, amountWei);
+    console.log(`  Transaction hash: ${tx.hash}`);
+    const receipt = await tx.wait();
+    console.log(`  ✓ Transaction confirmed in block ${receipt.blockNumber}`);
+
+    // A deposit left unlinked still counts as reserves; proofOfReserves.js lists it as unminted
+    try {
+        await markDepositMinted(deposit.id, { txHash: receipt.hash, blockNumber: receipt.blockNumber });
+    } catch (error) {
+        console.warn(`  ⚠ Minted, but deposit ${deposit.id} could not be linked to ${receipt.hash}: ${error.message}`);
+    }
+
+    const balance = await sgdc.balanceOf(to);
+    console.log(`  ✓ New SGDC balance: ${ethers.formatUnits(balance, 18)}`);
+
+    return {
+        success: true,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        to,
+        amount,
+        depositId: deposit.id,
+        newBalance: ethers.formatUnits(balance, 18)
+    };
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = process.argv.slice(2);
+
+    if (args.length !== 2) {
+        console.error('Usage: node mintSGDC.js <ownerId|address> <amount>');
+        console.error('Example: TETF_KEYSTORE=~/.tetf/minter.json node mintSGDC.js THOMAS 1000');
+        console.error('\nNote: Signs with the SGDC minter account from TETF_KEYSTORE or TETF_PRIVATE_KEY (see signer.js)');
+        process.exit(1);
+    }
+
+    const [recipient, amountStr] = args;
+    const amount = parseFloat(amountStr);
+
+    if (isNaN(amount) || amount <= 0) {
+        console.error('Error: amount must be a positive number');
+        process.exit(1);
+    }
+
+    loadSigner(new ethers.JsonRpcProvider(RPC_URL))
+        .then(wallet => mintSGDC(recipient, amount, wallet))
+        .then(result => {
+            console.log('\n=== Success ===');
+            console.log(JSON.stringify(result, null, 2));
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+export { mintSGDC };
@@ -0,0 +1,133 @@
+/**
+ * @file offrampSGDC.js
+ * @notice Onchain script to redeem an owner's SGDC for Singapore dollars
+ * @dev Signed by the owner's wallet. Burns the SGDC with SGDC.redeem(), then records the SGD paid
+ * out by the stablecoin provider in the fiat payout ledger (`fiat_payouts` in the registry, see
+ * registryClient.js). Reverse of mintSGDC.js.
+ */
+
+import { ethers } from 'ethers';
+import { loadDeploymentInfo } from './deployment.js';
+import { recordFiatPayout } from './registryClient.js';
+import { loadSigner } from './signer.js';
+
+// RPC URL for Anvil (default local network)
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+
+const SGDC_ABI = [
+    "function redeem(uint256 amount) external",
+    "function balanceOf(address) external view returns (uint256)",
+    "function totalSupply() external view returns (uint256)"
+];
+
+const dCDP_ABI = [
+    "function ownerToAddress(string memory) external view returns (address)"
+];
+
+/**
+ * Redeem SGDC from an owner's wallet and record the fiat payout
+ * @param {string} ownerId - Owner ID paid out (e.g., "THOMAS")
+ * @param {number} amount - Amount of SGDC to redeem
+ * @param {ethers.Wallet} wallet - The owner's registered wallet, connected to the RPC provider
+ * (see signer.js)
+ */
+async function offrampSGDC(ownerId, amount, wallet) {
+    console.log(`\n=== Offramping ${amount} SGDC for ${ownerId} ===\n`);
+
+    const deploymentInfo = loadDeploymentInfo();
+    const provider = wallet.provider;
+
+    console.log(`✓ Connected to ${RPC_URL}`);
+
+    const sgdc = new ethers.Contract(deploymentInfo.contracts.SGDC.address, SGDC_ABI, wallet);
+    const dCDP = new ethers.Contract(deploymentInfo.contracts.dCDP.address, dCDP_ABI, provider);
+
+    // Only the owner's registered wallet can be paid out as that owner
+    const ownerAddress = await dCDP.ownerToAddress(ownerId);
+    if (ownerAddress === ethers.ZeroAddress) {
+        throw new Error(`Owner ${ownerId} does not have a registered wallet`);
+    }
+    if (ownerAddress !== wallet.address) {
+        throw new Error(`${wallet.address} is not ${ownerId}'s registered wallet (${ownerAddress})`);
+    }
+    console.log(`✓ Using ${ownerId} wallet: ${wallet.address}`);
+
+    // Convert amount to wei (18 decimals)
+    const amountWei = ethers.parseUnits(amount.toString(), 18);
+
+    const balance = await sgdc.balanceOf(wallet.address);
+    if (balance < amountWei) {
+        throw new Error(`Insufficient SGDC: have ${ethers.formatUnits(balance, 18)}, need ${amount}`);
+    }
+
+    console.log('\nCalling SGDC.redeem()...');
+    const tx = await sgdc.redeem(amountWei);
+    console.log(`  Transaction hash: ${tx.hash}`);
+    const receipt = await tx.wait();
+    console.log(`  ✓ Transaction confirmed in block ${receipt.blockNumber}`);
+
+    // The SGDC is already burned, so a failed ledger write must leave enough to record it by hand
+    let payout;
+    try {
+        ({ payout } = await recordFiatPayout({
+            ownerId,
+            amount,
+            txHash: receipt.hash,
+            address: wallet.address,
+            blockNumber: receipt.blockNumber
+        }));
+    } catch (error) {
+        throw new Error(`SGDC burned in ${receipt.hash} but the fiat payout was not recorded: ${error.message}`);
+    }
+    console.log(`  ✓ Fiat payout recorded: ${payout.amount} ${payout.currency}`);
+
+    const [newBalance, totalSupply] = await Promise.all([
+        sgdc.balanceOf(wallet.address),
+        sgdc.totalSupply()
+    ]);
+
+    return {
+        success: true,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        from: wallet.address,
+        amount,
+        newBalance: ethers.formatUnits(newBalance, 18),
+        totalSupply: ethers.formatUnits(totalSupply, 18),
+        payout
+    };
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = process.argv.slice(2);
+
+    if (args.length !== 2) {
+        console.error('Usage: node offrampSGDC.js <ownerId> <amount>');
+        console.error('Example: TETF_KEYSTORE=~/.tetf/thomas.json node offrampSGDC.js THOMAS 1000');
+        console.error('\nNote: Signs with the owner\'s registered wallet from TETF_KEYSTORE or TETF_PRIVATE_KEY (see signer.js)');
+        process.exit(1);
+    }
+
+    const [ownerId, amountStr] = args;
+    const amount = parseFloat(amountStr);
+
+    if (isNaN(amount) || amount <= 0) {
+        console.error('Error: amount must be a positive number');
+        process.exit(1);
+    }
+
+    loadSigner(new ethers.JsonRpcProvider(RPC_URL))
+        .then(wallet => offrampSGDC(ownerId, amount, wallet))
+        .then(result => {
+            console.log('\n=== Success ===');
+            console.log(JSON.stringify(result, null, 2));
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.shortMessage || error.message);
+            process.exit(1);
+        });
+}
+
+export { offrampSGDC };
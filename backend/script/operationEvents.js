@@ -0,0 +1,200 @@
+/**
+ * @file operationEvents.js
+ * @notice Onchain evidence for two-phase tokenize/redeem operations
+ * @dev A pending operation may only be committed to the CDP registry once dCDP has emitted the
+ * matching `Tokenized`/`Redeemed` event (same owner, symbol and quantity), and a submitted one may
+ * only be rolled back once its transaction is known not to have carried it out. Shared by the
+ * registry service (which checks every commit and rollback), the registry client's local-file
+ * fallback and the recovery in pendingOperations.js.
+ */
+
+import { ethers } from 'ethers';
+import { loadDeploymentInfo } from './deployment.js';
+import {
+    readRegistry,
+    writeRegistry,
+    getPendingOperation,
+    getCommittedOperationId,
+    applyCommit,
+    applyRollback
+} from './registry.js';
+
+// RPC URL for Anvil (default local network)
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+
+// Events emitted by dCDP for each operation type
+const dCDP_EVENTS_ABI = [
+    "event Tokenized(string indexed owner_id, string symbol, uint256 quantity, address indexed tokenAddress)",
+    "event Redeemed(string indexed owner_id, string symbol, uint256 quantity, address indexed tokenAddress)"
+];
+const EVENT_NAMES = { tokenize: 'Tokenized', redeem: 'Redeemed' };
+
+/**
+ * Read the dCDP address from deployment-info.json
+ * @returns {string} dCDP contract address
+ */
+function getDCDPAddress() {
+    return loadDeploymentInfo().contracts.dCDP.address;
+}
+
+/**
+ * Provider for the local chain, for callers that have none of their own
+ * @returns {ethers.JsonRpcProvider} Provider
+ */
+function createOperationProvider() {
+    return new ethers.JsonRpcProvider(RPC_URL, undefined, { staticNetwork: true });
+}
+
+/**
+ * Check a decoded dCDP event's arguments against an operation
+ * @param {Object} operation - Pending operation
+ * @param {ethers.Result} args - Event arguments (owner_id is only checked by the caller's filter)
+ * @returns {boolean} True if symbol and quantity match
+ */
+function matchesOperation(operation, args) {
+    return args.symbol === operation.symbol &&
+        args.quantity === ethers.parseUnits(operation.quantity.toString(), 18);
+}
+
+/**
+ * Find the dCDP event emitted for a reserved operation whose tx hash was never recorded
+ * @dev Used for operations started by clients that cannot pre-sign (e.g. browser wallets)
+ * and were interrupted between sending the transaction and recording its hash
+ * @param {ethers.Provider} provider - Provider
+ * @param {Object} operation - Pending operation
+ * @param {Set<string>} claimedHashes - Tx hashes (lowercased) already attributed to other
+ * operations, pending or committed
+ * @returns {Promise<string|null>} Matching transaction hash, if any
+ */
+async function findOperationEvent(provider, operation, claimedHashes) {
+    const dcdp = new ethers.Contract(getDCDPAddress(), dCDP_EVENTS_ABI, provider);
+    const filter = dcdp.filters[EVENT_NAMES[operation.type]](operation.ownerId);
+
+    const events = await dcdp.queryFilter(filter, operation.fromBlock ?? 0);
+    const match = events.find((event) =>
+        matchesOperation(operation, event.args) && !claimedHashes.has(event.transactionHash.toLowerCase())
+    );
+    return match ? match.transactionHash : null;
+}
+
+/**
+ * Check that a submitted operation's transaction carried it out onchain
+ * @param {ethers.Provider} provider - Provider
+ * @param {Object} operation - Pending operation with its recorded txHash
+ * @returns {Promise<ethers.TransactionReceipt>} Receipt of the operation's transaction
+ * @throws {Error} If no transaction is recorded, it is not mined or reverted, or it emitted no
+ * matching dCDP event
+ */
+async function verifyOperationTransaction(provider, operation) {
+    if (!operation.txHash) {
+        throw new Error(`Operation ${operation.id} has no submitted transaction`);
+    }
+
+    const receipt = await provider.getTransactionReceipt(operation.txHash);
+    if (!receipt) {
+        throw new Error(`Transaction ${operation.txHash} is not mined`);
+    }
+    if (receipt.status !== 1) {
+        throw new Error(`Transaction ${operation.txHash} reverted`);
+    }
+
+    const iface = new ethers.Interface(dCDP_EVENTS_ABI);
+    const dcdpAddress = getDCDPAddress().toLowerCase();
+    const ownerTopic = ethers.id(operation.ownerId);
+    const matched = receipt.logs.some((log) => {
+        if (log.address.toLowerCase() !== dcdpAddress) return false;
+        const parsed = iface.parseLog(log);
+        return parsed?.name === EVENT_NAMES[operation.type] &&
+            parsed.args.owner_id.hash === ownerTopic &&
+            matchesOperation(operation, parsed.args);
+    });
+    if (!matched) {
+        throw new Error(
+            `Transaction ${operation.txHash} emitted no dCDP ${EVENT_NAMES[operation.type]} event for ` +
+            `${operation.quantity} ${operation.symbol} (${operation.ownerId})`
+        );
+    }
+    return receipt;
+}
+
+/**
+ * Commit a pending operation once its transaction is confirmed onchain
+ * @dev The chain is checked outside the registry lock, so the registry is written with
+ * writeRegistry: if another writer changed it meanwhile the commit fails with StaleRegistryError
+ * instead of overwriting that change, and can simply be retried
+ * @param {ethers.Provider} provider - Provider
+ * @param {string} id - Operation ID
+ * @param {Object} [details] - Commit request ({ txHash? })
+ * @returns {Promise<Object>} applyCommit result
+ */
+async function commitVerifiedOperation(provider, id, details = {}) {
+    const registry = readRegistry();
+    const operation = getPendingOperation(registry, id);
+    await verifyOperationTransaction(provider, operation);
+
+    const result = applyCommit(registry, id, details);
+    await writeRegistry(registry);
+    return result;
+}
+
+/**
+ * Check that a submitted operation's transaction can no longer carry it out
+ * @dev A transaction the node does not know was never broadcast or was dropped; one that is
+ * known but not yet mined may still succeed, so it is not a reason to roll back
+ * @param {ethers.Provider} provider - Provider
+ * @param {Object} operation - Pending operation with its recorded txHash
+ * @returns {Promise<string>} "reverted" or "not found"
+ * @throws {Error} If the transaction succeeded or is still waiting to be mined
+ */
+async function verifyOperationFailed(provider, operation) {
+    const receipt = await provider.getTransactionReceipt(operation.txHash);
+    if (receipt) {
+        if (receipt.status === 1) {
+            throw new Error(
+                `Transaction ${operation.txHash} of operation ${operation.id} succeeded; ` +
+                `it can only be committed, not rolled back`
+            );
+        }
+        return 'reverted';
+    }
+
+    if (await provider.getTransaction(operation.txHash)) {
+        throw new Error(
+            `Transaction ${operation.txHash} of operation ${operation.id} is still pending; ` +
+            `settle it once it is mined (npm run resume)`
+        );
+    }
+    return 'not found';
+}
+
+/**
+ * Roll back a pending operation, checking the chain first if its transaction was submitted
+ * @dev Rolling back a tokenize whose mint went through would release shares that back minted
+ * tokens, and rolling back a redeem whose burn went through would lose the owner's shares.
+ * Reserved operations have no transaction to check, and neither do operations whose transaction
+ * already settled another one. Written with writeRegistry for the same reason as
+ * commitVerifiedOperation.
+ * @param {ethers.Provider} provider - Provider
+ * @param {string} id - Operation ID
+ * @param {string} [reason] - Why the operation is rolled back
+ * @returns {Promise<Object>} applyRollback result
+ */
+async function rollbackVerifiedOperation(provider, id, reason = null) {
+    const registry = readRegistry();
+    const operation = getPendingOperation(registry, id);
+    if (operation.status === 'submitted' && !getCommittedOperationId(registry, operation.txHash)) {
+        await verifyOperationFailed(provider, operation);
+    }
+
+    const result = applyRollback(registry, id, reason);
+    await writeRegistry(registry);
+    return result;
+}
+
+export {
+    createOperationProvider,
+    findOperationEvent,
+    verifyOperationTransaction,
+    commitVerifiedOperation,
+    rollbackVerifiedOperation
+};
@@ -0,0 +1,383 @@
+/**
+ * @file orderBook.js
+ * @notice Matching and quote service for the Digital Exchange order book
+ * @dev Reads the OrderBook contract's open limit orders for a tokenized ETF (resolved from
+ * deployment-info.json, e.g. ES3 → TES3), prices market orders against them, and matches
+ * crossing orders onchain with matchOrders().
+ *
+ * Matching uses price-time priority: the highest bid meets the lowest ask, earlier orders first
+ * at the same price, and each match executes at the price of the order placed first. Orders from
+ * the same trader are never matched together. Matching is permissionless, so any funded account
+ * can run the service; the order escrow guarantees every match settles.
+ *
+ * Commands:
+ *   book  <etfSymbol>                        Print the open bids and asks
+ *   quote <etfSymbol> <buy|sell> <quantity>  Price a market order against the book
+ *   match <etfSymbol> [--watch] [--dry-run]  Match crossing orders (--watch: on every new block)
+ */
+
+import { ethers } from 'ethers';
+import { loadDeploymentInfo, getTokenInfo, getContractAddress } from './deployment.js';
+import { formatTable } from './reconcile.js';
+import { loadSigner } from './signer.js';
+
+// RPC URL for Anvil (default local network)
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+
+const ORDER_BOOK_ABI = [
+    "function orderCount() external view returns (uint256)",
+    "function orders(uint256) external view returns (address trader, address asset, uint8 side, uint256 price, uint256 quantity, uint256 remaining, uint256 cashEscrow, uint8 status)",
+    "function cashToken() external view returns (address)",
+    "function placeOrder(address asset, uint8 side, uint256 price, uint256 quantity) external returns (uint256 orderId)",
+    "function matchOrders(uint256 buyOrderId, uint256 sellOrderId, uint256 quantity) external",
+    "function cancelOrder(uint256 orderId) external",
+    "event OrderPlaced(uint256 indexed orderId, address indexed trader, address indexed asset, uint8 side, uint256 price, uint256 quantity)",
+    "event OrderMatched(uint256 indexed buyOrderId, uint256 indexed sellOrderId, address indexed asset, uint256 price, uint256 quantity, uint256 cashAmount)"
+];
+
+// OrderBook.Side and OrderBook.OrderStatus
+const SIDES = ['buy', 'sell'];
+const ORDER_STATUS_OPEN = 1n;
+
+const ONE = 10n ** 18n;
+
+/**
+ * SGDC value of a quantity at a price, rounded down like OrderBook.cashFor()
+ * @param {bigint} quantity - Shares (wei)
+ * @param {bigint} price - SGDC per share (wei)
+ * @returns {bigint} SGDC (wei)
+ */
+function cashFor(quantity, price) {
+    return (quantity * price) / ONE;
+}
+
+/**
+ * Get the OrderBook contract and the tokenized ETF for an ETF symbol
+ * @param {string} symbol - ETF symbol (e.g., "ES3")
+ * @param {ethers.Provider|ethers.Signer} runner - Provider, or signer for matching
+ * @returns {{orderBook: ethers.Contract, token: {symbol: string, address: string}}}
+ */
+function getMarket(symbol, runner) {
+    const deploymentInfo = loadDeploymentInfo();
+    const token = getTokenInfo(deploymentInfo, symbol);
+    const orderBook = new ethers.Contract(getContractAddress(deploymentInfo, 'OrderBook'), ORDER_BOOK_ABI, runner);
+    return { orderBook, token };
+}
+
+/**
+ * Read the open orders for an asset and sort them into bids and asks
+ * @param {ethers.Contract} orderBook - OrderBook contract
+ * @param {string} asset - Tokenized ETF address
+ * @returns {Promise<{bids: Array<Object>, asks: Array<Object>}>} Bids best (highest) first,
+ * asks best (lowest) first; earlier orders first at the same price
+ */
+async function loadBook(orderBook, asset) {
+    const count = Number(await orderBook.orderCount());
+    const bids = [];
+    const asks = [];
+
+    for (let id = 1; id <= count; id++) {
+        const order = await orderBook.orders(id);
+        if (order.status !== ORDER_STATUS_OPEN || order.asset.toLowerCase() !== asset.toLowerCase()) {
+            continue;
+        }
+        const entry = {
+            id,
+            trader: order.trader,
+            side: SIDES[Number(order.side)],
+            price: order.price,
+            quantity: order.quantity,
+            remaining: order.remaining
+        };
+        (entry.side === 'buy' ? bids : asks).push(entry);
+    }
+
+    const byPriority = (better) => (a, b) => (a.price === b.price ? a.id - b.id : better(a.price, b.price) ? -1 : 1);
+    bids.sort(byPriority((a, b) => a > b));
+    asks.sort(byPriority((a, b) => a < b));
+    return { bids, asks };
+}
+
+/**
+ * Find the matches that clear every crossing bid and ask
+ * @param {{bids: Array<Object>, asks: Array<Object>}} book - Book from loadBook()
+ * @returns {Array<Object>} Matches in execution order: { buyOrderId, sellOrderId, quantity, price }
+ */
+function findMatches(book) {
+    const asks = book.asks.map((ask) => ({ ...ask }));
+    const matches = [];
+
+    for (const bid of book.bids) {
+        let remaining = bid.remaining;
+        for (const ask of asks) {
+            if (remaining === 0n || ask.price > bid.price) break;
+            if (ask.remaining === 0n || ask.trader === bid.trader) continue;
+
+            const quantity = remaining < ask.remaining ? remaining : ask.remaining;
+            const price = bid.id < ask.id ? bid.price : ask.price;
+            // The contract rejects matches worth less than 1 wei of SGDC
+            if (cashFor(quantity, price) === 0n) continue;
+
+            matches.push({ buyOrderId: bid.id, sellOrderId: ask.id, quantity, price });
+            remaining -= quantity;
+            ask.remaining -= quantity;
+        }
+    }
+    return matches;
+}
+
+/**
+ * Price a market order by walking the opposite side of the book
+ * @param {{bids: Array<Object>, asks: Array<Object>}} book - Book from loadBook()
+ * @param {string} side - "buy" (walks the asks) or "sell" (walks the bids)
+ * @param {bigint} quantity - Shares to trade (wei)
+ * @returns {Object} Fills, filled quantity, SGDC amount and average price (wei)
+ */
+function quoteMarketOrder(book, side, quantity) {
+    const levels = side === 'buy' ? book.asks : book.bids;
+    const fills = [];
+    let filled = 0n;
+    let cashAmount = 0n;
+
+    for (const order of levels) {
+        if (filled === quantity) break;
+        const take = quantity - filled < order.remaining ? quantity - filled : order.remaining;
+        fills.push({ orderId: order.id, price: order.price, quantity: take });
+        filled += take;
+        cashAmount += cashFor(take, order.price);
+    }
+
+    return {
+        fills,
+        filled,
+        cashAmount,
+        averagePrice: filled > 0n ? (cashAmount * ONE) / filled : 0n,
+        fullyFilled: filled === quantity
+    };
+}
+
+/**
+ * Format an order for output
+ * @param {Object} order - Order from loadBook()
+ * @returns {Object} Order with amounts as decimal strings
+ */
+function formatOrder(order) {
+    return {
+        id: order.id,
+        trader: order.trader,
+        side: order.side,
+        price: ethers.formatUnits(order.price, 18),
+        quantity: ethers.formatUnits(order.quantity, 18),
+        remaining: ethers.formatUnits(order.remaining, 18)
+    };
+}
+
+/**
+ * Read the open order book for an ETF
+ * @param {Object} options
+ * @param {string} [options.symbol] - ETF symbol (default "ES3")
+ * @param {ethers.Provider} [options.provider] - Provider (default JSON-RPC at RPC_URL)
+ * @returns {Promise<Object>} Bids, asks, best bid/ask and spread
+ */
+async function getOrderBook({ symbol = 'ES3', provider = new ethers.JsonRpcProvider(RPC_URL) } = {}) {
+    const { orderBook, token } = getMarket(symbol, provider);
+    const book = await loadBook(orderBook, token.address);
+    const bestBid = book.bids[0]?.price;
+    const bestAsk = book.asks[0]?.price;
+
+    return {
+        symbol,
+        tokenSymbol: token.symbol,
+        bids: book.bids.map(formatOrder),
+        asks: book.asks.map(formatOrder),
+        bestBid: bestBid !== undefined ? ethers.formatUnits(bestBid, 18) : null,
+        bestAsk: bestAsk !== undefined ? ethers.formatUnits(bestAsk, 18) : null,
+        spread: bestBid !== undefined && bestAsk !== undefined ? ethers.formatUnits(bestAsk - bestBid, 18) : null
+    };
+}
+
+/**
+ * Quote a market order against the open book
+ * @param {Object} options
+ * @param {string} [options.symbol] - ETF symbol (default "ES3")
+ * @param {string} options.side - "buy" or "sell"
+ * @param {string|number} options.quantity - Shares (e.g. "250.5")
+ * @param {ethers.Provider} [options.provider] - Provider (default JSON-RPC at RPC_URL)
+ * @returns {Promise<Object>} Quote with fills, SGDC amount and average price
+ */
+async function getQuote({ symbol = 'ES3', side, quantity, provider = new ethers.JsonRpcProvider(RPC_URL) }) {
+    if (!SIDES.includes(side)) {
+        throw new Error(`Side must be buy or sell, got ${side}`);
+    }
+    const amount = ethers.parseUnits(String(quantity), 18);
+    if (amount <= 0n) {
+        throw new Error('Quantity must be a positive number');
+    }
+
+    const { orderBook, token } = getMarket(symbol, provider);
+    const quote = quoteMarketOrder(await loadBook(orderBook, token.address), side, amount);
+
+    return {
+        symbol,
+        tokenSymbol: token.symbol,
+        side,
+        quantity: ethers.formatUnits(amount, 18),
+        filled: ethers.formatUnits(quote.filled, 18),
+        fullyFilled: quote.fullyFilled,
+        cashAmount: ethers.formatUnits(quote.cashAmount, 18),
+        averagePrice: ethers.formatUnits(quote.averagePrice, 18),
+        fills: quote.fills.map((fill) => ({
+            orderId: fill.orderId,
+            price: ethers.formatUnits(fill.price, 18),
+            quantity: ethers.formatUnits(fill.quantity, 18)
+        }))
+    };
+}
+
+/**
+ * Match every crossing bid and ask onchain
+ * @param {Object} options
+ * @param {string} [options.symbol] - ETF symbol (default "ES3")
+ * @param {ethers.Wallet} options.wallet - Connected wallet that sends matchOrders()
+ * @param {boolean} [options.dryRun] - Check each match with a static call without sending it
+ * @returns {Promise<Object>} Matches and their transaction hashes
+ */
+async function runMatching({ symbol = 'ES3', wallet, dryRun = false }) {
+    const { orderBook, token } = getMarket(symbol, wallet);
+    const matches = findMatches(await loadBook(orderBook, token.address));
+
+    const results = [];
+    for (const match of matches) {
+        const label = `buy #${match.buyOrderId} × sell #${match.sellOrderId}: ` +
+            `${ethers.formatUnits(match.quantity, 18)} ${token.symbol} @ ${ethers.formatUnits(match.price, 18)} SGDC`;
+        const result = {
+            buyOrderId: match.buyOrderId,
+            sellOrderId: match.sellOrderId,
+            quantity: ethers.formatUnits(match.quantity, 18),
+            price: ethers.formatUnits(match.price, 18)
+        };
+
+        if (dryRun) {
+            await orderBook.matchOrders.staticCall(match.buyOrderId, match.sellOrderId, match.quantity);
+            console.log(`  ✓ Would match ${label}`);
+        } else {
+            const tx = await orderBook.matchOrders(match.buyOrderId, match.sellOrderId, match.quantity);
+            const receipt = await tx.wait();
+            console.log(`  ✓ Matched ${label} (block ${receipt.blockNumber})`);
+            result.transactionHash = tx.hash;
+        }
+        results.push(result);
+    }
+
+    if (results.length === 0) {
+        console.log('  No crossing orders');
+    }
+    return { success: true, symbol, tokenSymbol: token.symbol, dryRun, matches: results };
+}
+
+/**
+ * Run the matcher on every new block until interrupted
+ * @param {Object} options - Same as runMatching()
+ */
+function watchMatching(options) {
+    const provider = options.wallet.provider;
+    let running = false;
+
+    console.log(`Matching ${options.symbol || 'ES3'} orders on every block (Ctrl+C to stop)...`);
+    provider.on('block', async (blockNumber) => {
+        if (running) return;
+        running = true;
+        try {
+            const { matches } = await runMatching(options);
+            if (matches.length > 0) {
+                console.log(`Block ${blockNumber}: ${matches.length} match(es)`);
+            }
+        } catch (error) {
+            console.error(`Block ${blockNumber}: matching failed: ${error.shortMessage || error.message}`);
+        } finally {
+            running = false;
+        }
+    });
+}
+
+/**
+ * Print the order book for humans
+ * @param {Object} book - Result of getOrderBook()
+ */
+function printOrderBook(book) {
+    console.log(`\n=== ${book.tokenSymbol} order book (${book.symbol}, SGDC) ===\n`);
+    const rows = (orders) => orders.map((order) => [order.id, order.price, order.remaining, order.trader]);
+
+    console.log('Bids:');
+    console.log(book.bids.length === 0 ? '  (none)' : formatTable(['ID', 'Price', 'Remaining', 'Trader'], rows(book.bids)));
+    console.log('\nAsks:');
+    console.log(book.asks.length === 0 ? '  (none)' : formatTable(['ID', 'Price', 'Remaining', 'Trader'], rows(book.asks)));
+
+    if (book.spread !== null) {
+        console.log(`\nBest bid ${book.bestBid}, best ask ${book.bestAsk}, spread ${book.spread}`);
+    }
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const usage = () => {
+        console.error('Usage: node orderBook.js book <etfSymbol>');
+        console.error('       node orderBook.js quote <etfSymbol> <buy|sell> <quantity>');
+        console.error('       node orderBook.js match <etfSymbol> [--watch] [--dry-run]');
+        console.error('Example: node orderBook.js quote ES3 buy 500');
+        process.exit(1);
+    };
+
+    const flags = process.argv.slice(2).filter((arg) => arg.startsWith('--'));
+    const [command, symbol, ...rest] = process.argv.slice(2).filter((arg) => !arg.startsWith('--'));
+    const watch = flags.includes('--watch');
+    const dryRun = flags.includes('--dry-run');
+
+    let run;
+    if (command === 'book' && symbol && rest.length === 0) {
+        run = () => getOrderBook({ symbol }).then((book) => {
+            printOrderBook(book);
+            return book;
+        });
+    } else if (command === 'quote' && symbol && rest.length === 2) {
+        run = () => getQuote({ symbol, side: rest[0], quantity: rest[1] });
+    } else if (command === 'match' && symbol && rest.length === 0) {
+        run = () => loadSigner(new ethers.JsonRpcProvider(RPC_URL)).then((wallet) => {
+            if (watch) {
+                watchMatching({ symbol, wallet, dryRun });
+                return null;
+            }
+            console.log(`\n=== ${dryRun ? 'Dry run: ' : ''}Matching ${symbol} orders ===\n`);
+            return runMatching({ symbol, wallet, dryRun });
+        });
+    } else {
+        usage();
+    }
+
+    run()
+        .then(result => {
+            if (result) {
+                console.log('\n=== Success ===');
+                console.log(JSON.stringify(result, null, 2));
+            }
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.shortMessage || error.message);
+            process.exit(1);
+        });
+}
+
+export {
+    SIDES,
+    cashFor,
+    getMarket,
+    loadBook,
+    getOrderBook,
+    getQuote,
+    runMatching,
+    watchMatching,
+    findMatches,
+    quoteMarketOrder,
+    printOrderBook
+};
@@ -0,0 +1,314 @@
+/**
+ * @file pendingOperations.js
+ * @notice Two-phase tokenize/redeem execution and recovery
+ * @dev Keeps the offchain CDP registry and the onchain token supply (TES3, TG3B, ...) in step:
+ *
+ *   1. Reserve   - the registry locks the ETF shares (tokenize) or records the pending credit
+ *                  (redeem) under a new operation ID
+ *   2. Submit    - the transaction is signed locally, its raw bytes and hash are persisted on
+ *                  the pending operation, and only then broadcast
+ *   3. Settle    - the receipt decides: success commits the operation, a revert rolls it back
+ *
+ * Every step is persisted in the registry's `pending_operations`, so an operation interrupted
+ * by a crash can be finished later with `node pendingOperations.js` (npm run resume).
+ */
+
+import { ethers } from 'ethers';
+import {
+    fetchRegistry,
+    reserveOperation,
+    markOperationSubmitted,
+    commitOperation,
+    rollbackOperation,
+    previewTwoPhase
+} from './registryClient.js';
+import { findOperationEvent } from './operationEvents.js';
+
+// RPC URL for Anvil (default local network)
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+
+// How long to wait for a receipt before leaving an operation pending
+const RECEIPT_TIMEOUT_MS = 60000;
+const RECEIPT_POLL_MS = 1000;
+
+// Reservations without a recorded transaction are only rolled back after this long, so an
+// operation whose transaction is still being sent by another client is not undone
+const UNSUBMITTED_GRACE_MS = 2 * 60 * 1000;
+
+/**
+ * Poll for a receipt, returning null instead of throwing on timeout
+ * @dev Polls directly rather than using provider.waitForTransaction, which waits for a new
+ * block and can miss transactions that an automining node has already included
+ * @param {ethers.Provider} provider - Provider
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<ethers.TransactionReceipt|null>} Receipt or null
+ */
+async function waitForReceipt(provider, txHash) {
+    const deadline = Date.now() + RECEIPT_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        const receipt = await provider.getTransactionReceipt(txHash);
+        if (receipt) {
+            return receipt;
+        }
+        await new Promise((resolve) => setTimeout(resolve, RECEIPT_POLL_MS));
+    }
+    return null;
+}
+
+/**
+ * Commit or roll back an operation based on its receipt
+ * @param {Object} operation - Pending operation
+ * @param {ethers.TransactionReceipt} receipt - Mined receipt
+ * @returns {Promise<Object>} Registry result
+ */
+async function settle(operation, receipt) {
+    if (receipt.status === 1) {
+        const result = await commitOperation(operation.id, { txHash: receipt.hash });
+        console.log(`  ✓ Committed ${operation.type} ${operation.id} (block ${receipt.blockNumber})`);
+        return { ...result, receipt };
+    }
+
+    const result = await rollbackOperation(operation.id, `Transaction ${receipt.hash} reverted`);
+    console.log(`  ✓ Rolled back ${operation.type} ${operation.id}: transaction reverted`);
+    return { ...result, receipt };
+}
+
+/**
+ * Run a tokenize or redeem as reserve → submit → commit/rollback
+ * @param {Object} params - Operation parameters
+ * @param {string} params.type - "tokenize" or "redeem"
+ * @param {string} params.ownerId - Owner ID (e.g., "AP")
+ * @param {string} params.symbol - Security symbol (e.g., "ES3")
+ * @param {number} params.quantity - Quantity (registry units)
+ * @param {ethers.Wallet} params.wallet - Signer connected to a provider
+ * @param {ethers.Contract} params.contract - dCDP contract
+ * @param {Array} params.args - Arguments for dCDP.tokenize / dCDP.redeem
+ * @returns {Promise<Object>} { operation, receipt, ... } where operation is the committed entry
+ */
+async function executeTwoPhase({ type, ownerId, symbol, quantity, wallet, contract, args }) {
+    const provider = wallet.provider;
+
+    // Phase 1: reserve registry balances
+    console.log('\nReserving CDP registry balance...');
+    const fromBlock = await provider.getBlockNumber();
+    const { operation } = await reserveOperation(type, { ownerId, symbol, quantity, fromBlock });
+    console.log(`  ✓ Reserved as pending operation ${operation.id}`);
+
+    // Sign before broadcasting so the raw transaction can be persisted and re-sent on resume
+    let rawTx;
+    let txHash;
+    try {
+        const txRequest = await contract[type].populateTransaction(...args);
+        const populated = await wallet.populateTransaction(txRequest);
+        rawTx = await wallet.signTransaction(populated);
+        txHash = ethers.Transaction.from(rawTx).hash;
+        await markOperationSubmitted(operation.id, { txHash, rawTx });
+    } catch (error) {
+        await rollbackOperation(operation.id, `Transaction not sent: ${error.shortMessage || error.message}`);
+        console.log(`  ✓ Rolled back reservation ${operation.id}`);
+        throw error;
+    }
+
+    // Phase 2: broadcast and settle on the receipt
+    console.log(`\nCalling dCDP.${type}()...`);
+    console.log(`  Transaction hash: ${txHash}`);
+    try {
+        await provider.broadcastTransaction(rawTx);
+    } catch (error) {
+        // The transaction may already be known to the node; resolve() decides from the chain state
+        console.warn(`  ⚠ Broadcast failed (${error.shortMessage || error.message}), checking chain state...`);
+        const result = await resolvePendingOperation(provider, { ...operation, status: 'submitted', txHash, rawTx });
+        if (result.status === 'pending') {
+            throw new Error(`Operation ${operation.id} is still pending. Run: npm run resume`);
+        }
+        if (result.status !== 'committed') {
+            throw new Error(`Transaction failed: ${error.shortMessage || error.message}`);
+        }
+        return {
+            operation: { ...operation, status: 'committed', txHash },
+            receipt: await provider.getTransactionReceipt(txHash)
+        };
+    }
+
+    console.log(`  Waiting for confirmation...`);
+    const receipt = await waitForReceipt(provider, txHash);
+    if (!receipt) {
+        throw new Error(
+            `Transaction ${txHash} not confirmed within ${RECEIPT_TIMEOUT_MS / 1000}s. ` +
+            `Operation ${operation.id} stays pending; run: npm run resume`
+        );
+    }
+    console.log(`  ✓ Transaction ${receipt.status === 1 ? 'confirmed' : 'reverted'} in block ${receipt.blockNumber}`);
+
+    const result = await settle(operation, receipt);
+    if (receipt.status !== 1) {
+        throw new Error(`dCDP.${type}() reverted in transaction ${txHash}; reservation rolled back`);
+    }
+    return result;
+}
+
+/**
+ * Preview a tokenize or redeem without writing the registry or broadcasting (dry run)
+ * @dev Runs the call with staticCall so a revert surfaces with its reason, estimates gas and
+ * fills in the transaction exactly as executeTwoPhase would sign it
+ * @param {Object} params - Same parameters as executeTwoPhase
+ * @returns {Promise<Object>} { transaction, registryDiff, result }
+ */
+async function simulateTwoPhase({ type, ownerId, symbol, quantity, wallet, contract, args }) {
+    // Registry: same validation as the reservation, applied to a copy
+    const { result, diff } = await previewTwoPhase(type, { ownerId, symbol, quantity });
+
+    // Chain: throws with the revert reason if dCDP would reject the call
+    console.log(`\nSimulating dCDP.${type}()...`);
+    try {
+        await contract[type].staticCall(...args);
+    } catch (error) {
+        throw new Error(`dCDP.${type}() would revert: ${error.reason || error.shortMessage || error.message}`);
+    }
+    const gasEstimate = await contract[type].estimateGas(...args);
+    console.log(`  ✓ Call succeeds, estimated gas: ${gasEstimate.toString()}`);
+
+    const txRequest = await contract[type].populateTransaction(...args);
+    const populated = await wallet.populateTransaction({ ...txRequest, gasLimit: gasEstimate });
+
+    // BigInt fields are written as strings so the preview can be printed as JSON
+    const transaction = {
+        method: `dCDP.${type}`,
+        args: args.map((arg) => (typeof arg === 'bigint' ? arg.toString() : arg))
+    };
+    for (const [key, value] of Object.entries(populated)) {
+        if (value !== null && value !== undefined) {
+            transaction[key] = typeof value === 'bigint' ? value.toString() : value;
+        }
+    }
+
+    return { transaction, registryDiff: diff, result };
+}
+
+/**
+ * Bring one pending operation to a final state where possible
+ * @param {ethers.Provider} provider - Provider
+ * @param {Object} operation - Pending operation
+ * @param {Set<string>} [claimedHashes] - Tx hashes (lowercased) already attributed to other operations
+ * @returns {Promise<Object>} { id, status: "committed" | "rolled_back" | "pending", detail }
+ */
+async function resolvePendingOperation(provider, operation, claimedHashes = new Set()) {
+    const { id } = operation;
+
+    if (!operation.txHash) {
+        // No transaction recorded: either it was never sent, or the sender crashed before
+        // recording it. Look for the matching event before giving the shares back.
+        const txHash = await findOperationEvent(provider, operation, claimedHashes);
+        if (txHash) {
+            claimedHashes.add(txHash.toLowerCase());
+            await markOperationSubmitted(id, { txHash });
+            await commitOperation(id, { txHash });
+            return { id, status: 'committed', detail: `matched event in ${txHash}` };
+        }
+
+        const age = Date.now() - new Date(operation.createdAt).getTime();
+        if (age < UNSUBMITTED_GRACE_MS) {
+            return { id, status: 'pending', detail: 'reserved recently, transaction may still be in flight' };
+        }
+
+        await rollbackOperation(id, 'No transaction was recorded or found on chain');
+        return { id, status: 'rolled_back', detail: 'no transaction found' };
+    }
+
+    let receipt = await provider.getTransactionReceipt(operation.txHash);
+
+    if (!receipt && !(await provider.getTransaction(operation.txHash))) {
+        // The node has never seen the transaction (e.g. crash before broadcast or node restart)
+        if (!operation.rawTx) {
+            await rollbackOperation(id, `Transaction ${operation.txHash} not found on chain`);
+            return { id, status: 'rolled_back', detail: 'transaction not found' };
+        }
+
+        try {
+            await provider.broadcastTransaction(operation.rawTx);
+        } catch (error) {
+            // A nonce that is already used means the transaction can never be mined
+            if (error.code === 'NONCE_EXPIRED') {
+                await rollbackOperation(id, `Transaction ${operation.txHash} replaced: nonce already used`);
+                return { id, status: 'rolled_back', detail: 'nonce already used' };
+            }
+            throw error;
+        }
+    }
+
+    if (!receipt) {
+        receipt = await waitForReceipt(provider, operation.txHash);
+    }
+    if (!receipt) {
+        return { id, status: 'pending', detail: `waiting for ${operation.txHash}` };
+    }
+
+    claimedHashes.add(receipt.hash.toLowerCase());
+    await settle(operation, receipt);
+    return {
+        id,
+        status: receipt.status === 1 ? 'committed' : 'rolled_back',
+        detail: `${operation.txHash} ${receipt.status === 1 ? 'succeeded' : 'reverted'}`
+    };
+}
+
+/**
+ * Resolve every pending operation in the registry
+ * @param {ethers.Provider} provider - Provider
+ * @returns {Promise<Array<Object>>} Outcome per operation
+ */
+async function resumePendingOperations(provider) {
+    const registry = await fetchRegistry();
+    const operations = Object.values(registry.pending_operations || {});
+    // Hashes recorded on other pending operations or already committed cannot settle another one
+    const committedHashes = new Set(Object.keys(registry.committed_transactions || {}));
+    const claimedHashes = new Set([
+        ...operations.map((operation) => operation.txHash?.toLowerCase()).filter(Boolean),
+        ...committedHashes
+    ]);
+    const outcomes = [];
+
+    for (const operation of operations) {
+        console.log(`Resolving ${operation.type} ${operation.id} (${operation.quantity} ${operation.symbol} for ${operation.ownerId}, ${operation.status})...`);
+        let outcome;
+        if (operation.txHash && committedHashes.has(operation.txHash.toLowerCase())) {
+            await rollbackOperation(operation.id, `Transaction ${operation.txHash} already settled another operation`);
+            outcome = { id: operation.id, status: 'rolled_back', detail: `${operation.txHash} already committed` };
+        } else {
+            outcome = await resolvePendingOperation(provider, operation, claimedHashes);
+        }
+        console.log(`  → ${outcome.status}: ${outcome.detail}`);
+        outcomes.push(outcome);
+    }
+
+    return outcomes;
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const provider = new ethers.JsonRpcProvider(RPC_URL);
+
+    console.log(`\n=== Resuming pending tokenize/redeem operations ===\n`);
+
+    resumePendingOperations(provider)
+        .then(outcomes => {
+            if (outcomes.length === 0) {
+                console.log('No pending operations');
+            }
+            console.log('\n=== Success ===');
+            console.log(JSON.stringify(outcomes, null, 2));
+            process.exit(outcomes.some((outcome) => outcome.status === 'pending') ? 2 : 0);
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+export {
+    executeTwoPhase,
+    simulateTwoPhase,
+    resolvePendingOperation,
+    resumePendingOperations
+};
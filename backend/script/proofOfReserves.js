@@ -0,0 +1,409 @@
+/**
+ * @file proofOfReserves.js
+ * @notice Proof-of-reserves report for SGDC
+ * @dev Compares the stablecoin provider's reserve ledger (`fiat_deposits` less `fiat_payouts`
+ * in the registry) with SGDC.totalSupply(), and commits to every holder balance with a Merkle
+ * root so each holder can check that their balance was counted in the liabilities.
+ *
+ * Checks:
+ *   1. Fiat reserves cover SGDC.totalSupply()
+ *   2. Reserve ledger (minted deposits - payouts) equals SGDC.totalSupply()
+ *   3. Sum of holder balances (the Merkle leaves) equals SGDC.totalSupply()
+ *   4. Every SGDC mint (Transfer from the zero address) has a recorded deposit
+ *   5. Every SGDC redemption (Redeemed event) has a recorded payout
+ *
+ * Mints are matched to deposits by transaction hash. Deposits recorded without one, such as
+ * the opening float minted by Deploy.s.sol, are matched by recipient and amount instead.
+ *
+ * Merkle leaves are keccak256(keccak256(abi.encode(address, uint256 balance))) sorted by
+ * address, and pairs are hashed in sorted order, so proofs verify with OpenZeppelin's
+ * MerkleProof.verify().
+ *
+ * Prints the report as a table (or JSON with --json, or to a file with --out) and exits with
+ * code 1 if any check fails, 2 if the report could not be produced.
+ */
+
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { fetchRegistry } from './registryClient.js';
+import { summariseReserves } from './registry.js';
+import { loadDeploymentInfo } from './deployment.js';
+import { formatTable, toUnits } from './reconcile.js';
+
+// RPC URL for Anvil (default local network)
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+
+const SGDC_ABI = [
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Redeemed(address indexed account, uint256 amount)",
+    "function totalSupply() external view returns (uint256)",
+    "function balanceOf(address) external view returns (uint256)"
+];
+
+const dCDP_ABI = [
+    "function getOwnerId(address walletAddress) external view returns (string memory)"
+];
+
+/**
+ * Hash a holder balance into a Merkle leaf
+ * @param {string} address - Holder address
+ * @param {bigint} balance - Balance in wei
+ * @returns {string} Leaf hash
+ */
+function hashLeaf(address, balance) {
+    const encoded = ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [address, balance]);
+    return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+/**
+ * Hash two nodes in sorted order (commutative, as MerkleProof.verify() expects)
+ * @param {string} a - Node hash
+ * @param {string} b - Node hash
+ * @returns {string} Parent hash
+ */
+function hashPair(a, b) {
+    return a.toLowerCase() < b.toLowerCase()
+        ? ethers.keccak256(ethers.concat([a, b]))
+        : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build a Merkle tree bottom-up
+ * @dev An odd node at the end of a layer is carried up unchanged
+ * @param {Array<string>} leaves - Leaf hashes
+ * @returns {Array<Array<string>>} Layers from the leaves to the root
+ */
+function buildMerkleTree(leaves) {
+    if (leaves.length === 0) {
+        return [[ethers.ZeroHash]];
+    }
+
+    const layers = [leaves];
+    while (layers[layers.length - 1].length > 1) {
+        const layer = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layers.push(next);
+    }
+    return layers;
+}
+
+/**
+ * Collect the sibling hashes proving one leaf
+ * @param {Array<Array<string>>} layers - Tree from buildMerkleTree()
+ * @param {number} index - Leaf index
+ * @returns {Array<string>} Proof, leaf to root
+ */
+function getMerkleProof(layers, index) {
+    const proof = [];
+    let position = index;
+    for (const layer of layers.slice(0, -1)) {
+        const sibling = position % 2 === 0 ? position + 1 : position - 1;
+        if (sibling < layer.length) {
+            proof.push(layer[sibling]);
+        }
+        position = Math.floor(position / 2);
+    }
+    return proof;
+}
+
+/**
+ * Check a leaf against a Merkle root
+ * @param {string} leaf - Leaf hash
+ * @param {Array<string>} proof - Proof from getMerkleProof()
+ * @param {string} root - Merkle root
+ * @returns {boolean} True if the leaf is in the tree
+ */
+function verifyMerkleProof(leaf, proof, root) {
+    return proof.reduce((node, sibling) => hashPair(node, sibling), leaf) === root;
+}
+
+/**
+ * Read the SGDC balance of every address that has ever held it
+ * @param {ethers.Contract} sgdc - SGDC contract
+ * @param {ethers.Contract} dcdp - dCDP contract (to label holders with their owner ID)
+ * @param {Array<Object>} transfers - SGDC Transfer events
+ * @param {number} blockNumber - Block to read balances at
+ * @returns {Promise<Array<Object>>} Holders with a non-zero balance, sorted by address
+ */
+async function readHolderBalances(sgdc, dcdp, transfers, blockNumber) {
+    const addresses = new Set();
+    for (const transfer of transfers) {
+        addresses.add(transfer.args.from);
+        addresses.add(transfer.args.to);
+    }
+    addresses.delete(ethers.ZeroAddress);
+
+    const holders = [];
+    for (const address of addresses) {
+        const balance = await sgdc.balanceOf(address, { blockTag: blockNumber });
+        if (balance === 0n) continue;
+        const ownerId = await dcdp.getOwnerId(address).catch(() => '');
+        holders.push({ address, ownerId: ownerId || null, balance });
+    }
+    return holders.sort((a, b) => a.address.toLowerCase().localeCompare(b.address.toLowerCase()));
+}
+
+/**
+ * Match SGDC mints to the deposits that back them
+ * @param {Array<Object>} mints - Transfer events from the zero address
+ * @param {Array<Object>} deposits - registry.fiat_deposits entries
+ * @returns {{matched: bigint, unrecorded: Array<Object>}} Amount backed by a deposit and the mints without one
+ */
+function matchMints(mints, deposits) {
+    const byTxHash = new Map(deposits.filter((deposit) => deposit.mintTxHash).map((deposit) => [deposit.mintTxHash, deposit]));
+    const unlinked = deposits.filter((deposit) => deposit.status === 'minted' && !deposit.mintTxHash);
+
+    let matched = 0n;
+    const unrecorded = [];
+    for (const mint of mints) {
+        const { to, value } = mint.args;
+        const linked = byTxHash.get(mint.transactionHash);
+        const index = linked ? -1 : unlinked.findIndex((deposit) =>
+            deposit.address?.toLowerCase() === to.toLowerCase() && toUnits(deposit.amount) === value
+        );
+
+        if (linked && toUnits(linked.amount) === value) {
+            matched += value;
+        } else if (index !== -1) {
+            unlinked.splice(index, 1);
+            matched += value;
+        } else {
+            unrecorded.push({
+                transactionHash: mint.transactionHash,
+                blockNumber: mint.blockNumber,
+                to,
+                amount: ethers.formatUnits(value, 18),
+                depositAmount: linked ? linked.amount : null
+            });
+        }
+    }
+    return { matched, unrecorded };
+}
+
+/**
+ * Match SGDC redemptions to their fiat payouts
+ * @param {Array<Object>} redemptions - Redeemed events
+ * @param {Array<Object>} payouts - registry.fiat_payouts entries
+ * @returns {{matched: bigint, unpaid: Array<Object>}} Amount paid out and the redemptions without a payout
+ */
+function matchRedemptions(redemptions, payouts) {
+    const byTxHash = new Map(payouts.map((payout) => [payout.txHash, payout]));
+
+    let matched = 0n;
+    const unpaid = [];
+    for (const redemption of redemptions) {
+        const { account, amount } = redemption.args;
+        const payout = byTxHash.get(redemption.transactionHash);
+        if (payout && toUnits(payout.amount) === amount) {
+            matched += amount;
+        } else {
+            unpaid.push({
+                transactionHash: redemption.transactionHash,
+                blockNumber: redemption.blockNumber,
+                account,
+                amount: ethers.formatUnits(amount, 18),
+                payoutAmount: payout ? payout.amount : null
+            });
+        }
+    }
+    return { matched, unpaid };
+}
+
+/**
+ * Build a check result
+ * @param {string} name - Check description
+ * @param {bigint} expected - Reference value (SGDC supply or onchain amount)
+ * @param {bigint} actual - Value being checked
+ * @param {boolean} [ok] - Pass condition (default: actual equals expected)
+ * @returns {Object} Check with formatted values
+ */
+function check(name, expected, actual, ok = actual === expected) {
+    return {
+        name,
+        expected: ethers.formatUnits(expected, 18),
+        actual: ethers.formatUnits(actual, 18),
+        difference: ethers.formatUnits(actual - expected, 18),
+        ok
+    };
+}
+
+/**
+ * Produce the proof-of-reserves report
+ * @param {Object} [options] - Options
+ * @param {number} [options.fromBlock] - First block to scan for SGDC events (default 0)
+ * @param {ethers.Provider} [options.provider] - Provider (default JSON-RPC at RPC_URL)
+ * @returns {Promise<Object>} Report; report.ok is false if any check failed
+ */
+async function proofOfReserves({ fromBlock = 0, provider = new ethers.JsonRpcProvider(RPC_URL) } = {}) {
+    const deploymentInfo = loadDeploymentInfo();
+    const sgdc = new ethers.Contract(deploymentInfo.contracts.SGDC.address, SGDC_ABI, provider);
+    const dcdp = new ethers.Contract(deploymentInfo.contracts.dCDP.address, dCDP_ABI, provider);
+
+    const registry = await fetchRegistry();
+    const deposits = Object.values(registry.fiat_deposits || {});
+    const payouts = Object.values(registry.fiat_payouts || {});
+    const summary = summariseReserves(registry);
+
+    // Pin every read to one block so the ledger, the events and the balances describe the same state
+    const blockNumber = await provider.getBlockNumber();
+    const [totalSupply, transfers, redemptions] = await Promise.all([
+        sgdc.totalSupply({ blockTag: blockNumber }),
+        sgdc.queryFilter(sgdc.filters.Transfer(), fromBlock, blockNumber),
+        sgdc.queryFilter(sgdc.filters.Redeemed(), fromBlock, blockNumber)
+    ]);
+    const holders = await readHolderBalances(sgdc, dcdp, transfers, blockNumber);
+
+    const mints = transfers.filter((transfer) => transfer.args.from === ethers.ZeroAddress);
+    const minted = mints.reduce((sum, mint) => sum + mint.args.value, 0n);
+    const redeemed = redemptions.reduce((sum, redemption) => sum + redemption.args.amount, 0n);
+    const mintMatch = matchMints(mints, deposits);
+    const redemptionMatch = matchRedemptions(redemptions, payouts);
+
+    const leaves = holders.map((holder) => hashLeaf(holder.address, holder.balance));
+    const layers = buildMerkleTree(leaves);
+    const root = layers[layers.length - 1][0];
+    const sumOfBalances = holders.reduce((sum, holder) => sum + holder.balance, 0n);
+
+    const reserves = toUnits(summary.reserves);
+    const checks = [
+        check('Fiat reserves cover SGDC.totalSupply()', totalSupply, reserves, reserves >= totalSupply),
+        check('Reserve ledger (minted deposits - payouts) vs SGDC.totalSupply()', totalSupply, toUnits(summary.ledgerSupply)),
+        check('Holder balances (Merkle leaves) vs SGDC.totalSupply()', totalSupply, sumOfBalances),
+        check('SGDC mints with a recorded deposit', minted, mintMatch.matched),
+        check('SGDC redemptions with a recorded payout', redeemed, redemptionMatch.matched)
+    ];
+
+    return {
+        ok: checks.every((result) => result.ok),
+        blockNumber,
+        generatedAt: new Date().toISOString(),
+        checks,
+        onchain: {
+            token: await sgdc.getAddress(),
+            totalSupply: ethers.formatUnits(totalSupply, 18),
+            minted: ethers.formatUnits(minted, 18),
+            redeemed: ethers.formatUnits(redeemed, 18)
+        },
+        reserves: {
+            currency: 'SGD',
+            ...summary,
+            // Reserves per SGDC in circulation; null while nothing is minted
+            coverageRatio: totalSupply > 0n ? summary.reserves / Number(ethers.formatUnits(totalSupply, 18)) : null,
+            registryVersion: registry.version
+        },
+        merkle: {
+            root,
+            leafEncoding: 'keccak256(keccak256(abi.encode(address, uint256)))',
+            holderCount: holders.length,
+            holders: holders.map((holder, index) => ({
+                address: holder.address,
+                ownerId: holder.ownerId,
+                balance: ethers.formatUnits(holder.balance, 18),
+                leaf: leaves[index],
+                proof: getMerkleProof(layers, index)
+            }))
+        },
+        unrecordedMints: mintMatch.unrecorded,
+        unpaidRedemptions: redemptionMatch.unpaid,
+        // Deposits not minted yet are reserves without a liability, so they are listed but not a break
+        unmintedDeposits: deposits
+            .filter((deposit) => deposit.status !== 'minted')
+            .map(({ id, ownerId, address, amount, receivedAt }) => ({ id, ownerId, address, amount, receivedAt }))
+    };
+}
+
+/**
+ * Print a proof-of-reserves report for humans
+ * @param {Object} report - Report returned by proofOfReserves()
+ */
+function printReport(report) {
+    const { reserves, onchain, merkle } = report;
+    console.log(`\n=== Proof of reserves: SGDC at block ${report.blockNumber} ===\n`);
+
+    console.log(formatTable(
+        ['Check', 'Expected', 'Actual', 'Difference', 'Status'],
+        report.checks.map((result) => [
+            result.name, result.expected, result.actual, result.difference, result.ok ? 'OK' : 'BREAK'
+        ])
+    ));
+
+    const coverage = reserves.coverageRatio === null ? '-' : `${(reserves.coverageRatio * 100).toFixed(2)}%`;
+    console.log(`\nReserves: ${reserves.reserves} ${reserves.currency} (received ${reserves.received}, paid out ${reserves.paidOut})`);
+    console.log(`Supply:   ${onchain.totalSupply} SGDC (coverage ${coverage})`);
+
+    console.log(`\nMerkle root of ${merkle.holderCount} holder balance(s): ${merkle.root}`);
+    console.log(merkle.holders.length === 0 ? '  (no holders)' : formatTable(
+        ['Address', 'Owner', 'Balance', 'Leaf'],
+        merkle.holders.map((holder) => [holder.address, holder.ownerId || '-', holder.balance, holder.leaf])
+    ));
+
+    if (report.unrecordedMints.length > 0) {
+        console.log('\nMints without a recorded deposit:');
+        console.log(formatTable(
+            ['Transaction', 'Block', 'To', 'Amount'],
+            report.unrecordedMints.map((mint) => [mint.transactionHash, mint.blockNumber, mint.to, mint.amount])
+        ));
+    }
+
+    if (report.unpaidRedemptions.length > 0) {
+        console.log('\nRedemptions without a recorded payout:');
+        console.log(formatTable(
+            ['Transaction', 'Block', 'Account', 'Amount'],
+            report.unpaidRedemptions.map((redemption) => [
+                redemption.transactionHash, redemption.blockNumber, redemption.account, redemption.amount
+            ])
+        ));
+    }
+
+    if (report.unmintedDeposits.length > 0) {
+        console.log('\nDeposits received but not minted:');
+        console.log(formatTable(
+            ['ID', 'Owner', 'Amount', 'Received'],
+            report.unmintedDeposits.map((deposit) => [deposit.id, deposit.ownerId || '-', deposit.amount, deposit.receivedAt])
+        ));
+    }
+
+    console.log(report.ok ? '\n✓ SGDC fully backed' : '\n✗ Breaks found');
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = process.argv.slice(2);
+    const json = args.includes('--json');
+    const outIndex = args.indexOf('--out');
+    const fromBlockIndex = args.indexOf('--from-block');
+
+    const outFile = outIndex !== -1 ? args[outIndex + 1] : null;
+    const fromBlock = fromBlockIndex !== -1 ? parseInt(args[fromBlockIndex + 1], 10) : 0;
+
+    if ((outIndex !== -1 && !outFile) || isNaN(fromBlock) || fromBlock < 0) {
+        console.error('Usage: node proofOfReserves.js [--json] [--out <file>] [--from-block N]');
+        process.exit(2);
+    }
+
+    proofOfReserves({ fromBlock })
+        .then(report => {
+            if (outFile) {
+                fs.writeFileSync(outFile, `${JSON.stringify(report, null, 2)}\n`);
+            }
+            if (json) {
+                console.log(JSON.stringify(report, null, 2));
+            } else {
+                printReport(report);
+                if (outFile) {
+                    console.log(`Report written to ${outFile}`);
+                }
+            }
+            process.exit(report.ok ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.message);
+            process.exit(2);
+        });
+}
+
+export { proofOfReserves, printReport, hashLeaf, buildMerkleTree, getMerkleProof, verifyMerkleProof };
@@ -0,0 +1,224 @@
+/**
+ * @file publishPrices.js
+ * @notice Price publisher: pushes tokenized ETF prices from a local price file to the PriceOracle
+ * @dev Each ETF with a deployed token is priced at its iNAV from the constituent price file (the
+ * same file and calculation as inav.js: data/constituent-prices.json, --prices or TETF_PRICES).
+ * ETFs without a composition in the CDP registry can be priced directly by listing the ETF
+ * symbol in the file's prices map (e.g. "G3B": 4.23).
+ *
+ * Prices that already match the oracle are skipped; the rest are published in a single
+ * setPrices() transaction. DvPSettlement records the oracle price of every trade it settles,
+ * and the React app prices Buy/Sell trades from the oracle.
+ *
+ * Signs as the oracle's updater: TETF_ORACLE_KEYSTORE or TETF_ORACLE_PRIVATE_KEY, falling back to
+ * TETF_KEYSTORE or TETF_PRIVATE_KEY (the admin, which Deploy.s.sol makes the updater).
+ */
+
+import { ethers } from 'ethers';
+import { loadDeploymentInfo, getTokens, getContractAddress } from './deployment.js';
+import { fetchRegistry } from './registryClient.js';
+import { loadConstituentPrices, calculateINAV } from './inav.js';
+import { loadSigner } from './signer.js';
+
+// RPC URL for Anvil (default local network)
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+
+const PRICE_ORACLE_ABI = [
+    "function updater() external view returns (address)",
+    "function prices(address asset) external view returns (uint256 price, uint256 updatedAt)",
+    "function setPrices(address[] assets, uint256[] newPrices) external",
+    "event PriceUpdated(address indexed asset, uint256 price, uint256 updatedAt)"
+];
+
+/**
+ * Work out the price of each ETF from the price file
+ * @param {Object} params
+ * @param {Object} params.tokens - Symbol → tokenized ETF map from deployment info
+ * @param {Object} params.compositions - registry.etf_compositions
+ * @param {Object<string, number>} params.prices - Prices from the price file
+ * @param {string[]} [params.symbols] - ETFs to price (default: every deployed token)
+ * @returns {Array<Object>} { symbol, token, asset, nav, source: 'inav' | 'feed' } per ETF
+ */
+function priceETFs({ tokens, compositions, prices, symbols = Object.keys(tokens) }) {
+    return symbols.map(symbol => {
+        const token = tokens[symbol];
+        if (!token) {
+            throw new Error(`No tokenized ETF deployed for ${symbol} (supported: ${Object.keys(tokens).join(', ')})`);
+        }
+
+        if (compositions[symbol]) {
+            const { nav } = calculateINAV(compositions[symbol], prices);
+            return { symbol, token: token.symbol, asset: token.address, nav, source: 'inav' };
+        }
+        if (prices[symbol] !== undefined) {
+            return { symbol, token: token.symbol, asset: token.address, nav: prices[symbol], source: 'feed' };
+        }
+        throw new Error(`No composition in etf_compositions and no price in the price file for ${symbol}`);
+    });
+}
+
+/**
+ * Publish ETF prices to the PriceOracle
+ * @param {Object} params
+ * @param {ethers.Wallet} params.updater - Signer for the oracle's updater
+ * @param {string[]} [params.symbols] - ETFs to publish (default: every deployed token)
+ * @param {string} [params.pricesPath] - Constituent price file
+ * @param {boolean} [params.dryRun] - Work out the prices without sending a transaction
+ * @returns {Promise<Object>} Prices, which of them were published, and the transaction hash
+ */
+async function publishPrices({ updater, symbols, pricesPath, dryRun = false }) {
+    const deploymentInfo = loadDeploymentInfo();
+    const oracle = new ethers.Contract(getContractAddress(deploymentInfo, 'PriceOracle'), PRICE_ORACLE_ABI, updater);
+
+    const oracleUpdater = await oracle.updater();
+    if (oracleUpdater.toLowerCase() !== updater.address.toLowerCase()) {
+        throw new Error(`Signer ${updater.address} is not the oracle's updater (${oracleUpdater})`);
+    }
+
+    const registry = await fetchRegistry();
+    const { asOf, currency, prices } = loadConstituentPrices(pricesPath);
+    const quotes = priceETFs({
+        tokens: getTokens(deploymentInfo),
+        compositions: registry.etf_compositions || {},
+        prices,
+        symbols
+    });
+
+    // Compare with the oracle at the 6 decimal places prices are published with
+    const entries = [];
+    for (const quote of quotes) {
+        const price = ethers.parseUnits(quote.nav.toFixed(6), 18);
+        const [current, updatedAt] = await oracle.prices(quote.asset);
+        entries.push({
+            ...quote,
+            price: ethers.formatUnits(price, 18),
+            previous: updatedAt > 0n ? ethers.formatUnits(current, 18) : null,
+            changed: updatedAt === 0n || current !== price,
+            priceWei: price
+        });
+    }
+
+    const toPublish = entries.filter(entry => entry.changed);
+    const result = {
+        success: true,
+        asOf,
+        currency,
+        oracle: await oracle.getAddress(),
+        prices: entries.map(({ priceWei, changed, ...entry }) => ({ ...entry, published: changed && !dryRun })),
+        transactionHash: null,
+        blockNumber: null
+    };
+
+    if (dryRun || toPublish.length === 0) {
+        return result;
+    }
+
+    console.log(`Publishing ${toPublish.map(entry => `${entry.token} ${entry.price}`).join(', ')}...`);
+    const tx = await oracle.setPrices(
+        toPublish.map(entry => entry.asset),
+        toPublish.map(entry => entry.priceWei)
+    );
+    console.log(`Transaction hash: ${tx.hash}`);
+    const receipt = await tx.wait();
+    if (receipt.status !== 1) {
+        throw new Error('setPrices transaction failed');
+    }
+
+    result.transactionHash = receipt.hash;
+    result.blockNumber = receipt.blockNumber;
+    return result;
+}
+
+/**
+ * Re-read the price file and publish changed prices every interval until interrupted
+ * @param {Object} options - Same as publishPrices()
+ * @param {number} intervalSeconds - Seconds between the end of one run and the start of the next
+ */
+function watchPrices(options, intervalSeconds) {
+    console.log(`Publishing prices every ${intervalSeconds}s (Ctrl+C to stop)...`);
+
+    const cycle = async () => {
+        console.log(`\n--- ${new Date().toISOString()} ---`);
+        try {
+            const result = await publishPrices(options);
+            for (const entry of result.prices) {
+                console.log(`${entry.token}: ${entry.price} ${result.currency}${entry.published ? ' (published)' : ''}`);
+            }
+        } catch (error) {
+            console.error(`Publish failed: ${error.shortMessage || error.message}`);
+        }
+        setTimeout(cycle, intervalSeconds * 1000);
+    };
+    cycle();
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = process.argv.slice(2);
+    const usage = () => {
+        console.error('Usage: node publishPrices.js [etfSymbol...] [--prices <file>] [--watch] [--interval 60] [--dry-run]');
+        console.error('Example: TETF_PRIVATE_KEY=0x... node publishPrices.js ES3 G3B');
+        process.exit(1);
+    };
+
+    const valueFlags = ['--prices', '--interval'];
+    const values = {};
+    const symbols = [];
+    for (let i = 0; i < args.length; i++) {
+        if (valueFlags.includes(args[i])) {
+            if (args[i + 1] === undefined) usage();
+            values[args[i]] = args[++i];
+        } else if (args[i] === '--watch' || args[i] === '--dry-run') {
+            values[args[i]] = true;
+        } else if (args[i].startsWith('--')) {
+            usage();
+        } else {
+            symbols.push(args[i]);
+        }
+    }
+
+    const interval = Number(values['--interval'] ?? 60);
+    if (!Number.isFinite(interval) || interval <= 0) {
+        console.error('Error: --interval must be a positive number of seconds');
+        process.exit(1);
+    }
+
+    const options = {
+        symbols: symbols.length > 0 ? symbols : undefined,
+        pricesPath: values['--prices'],
+        dryRun: Boolean(values['--dry-run'])
+    };
+
+    const provider = new ethers.JsonRpcProvider(RPC_URL);
+    // The oracle's own keystore and key both win over the admin's, so TETF_ORACLE_PRIVATE_KEY is
+    // not shadowed by a TETF_KEYSTORE set for the other scripts
+    const hasOracleSigner = Boolean(process.env.TETF_ORACLE_KEYSTORE || process.env.TETF_ORACLE_PRIVATE_KEY);
+    loadSigner(provider, hasOracleSigner
+        ? {
+            keystore: process.env.TETF_ORACLE_KEYSTORE || null,
+            privateKey: process.env.TETF_ORACLE_PRIVATE_KEY || null,
+            envPrefix: 'TETF_ORACLE'
+        }
+        : {})
+        .then(updater => {
+            if (values['--watch']) {
+                watchPrices({ ...options, updater }, interval);
+                return null;
+            }
+            console.log(`\n=== ${options.dryRun ? 'Dry run: ' : ''}Publishing prices ===\n`);
+            return publishPrices({ ...options, updater });
+        })
+        .then(result => {
+            if (result) {
+                console.log('\n=== Success ===');
+                console.log(JSON.stringify(result, null, 2));
+            }
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.shortMessage || error.message);
+            process.exit(1);
+        });
+}
+
+export { PRICE_ORACLE_ABI, priceETFs, publishPrices, watchPrices };
@@ -0,0 +1,430 @@
+/**
+ * @file reconcile.js
+ * @notice Offchain script to reconcile the CDP registry against the onchain token supply
+ * @dev Replays dCDP Tokenized/Redeemed events into a tokenized ledger, reads the token's
+ * totalSupply() and every holder's balance, and compares them with the ETF shares held in
+ * `tokenized_custody` in the CDP registry and with each owner's share of the ledger. The token
+ * is resolved from deployment-info.json (ES3 → TES3, G3B → TG3B).
+ *
+ * Checks:
+ *   1. Tokenized ledger (minted - burned per events) equals the token's totalSupply()
+ *   2. Sum of token holder balances equals totalSupply()
+ *   3. ETF shares in registry custody equal totalSupply()
+ *   4. Per owner: net tokenized - redeemed for the owner_id, plus transfers through a known venue
+ *      (DvPSettlement trades, OrderBook escrow and fills), equals the owner's wallet balance.
+ *      Venue transfers are reported as explained differences; any other difference (e.g. a mint
+ *      to the wrong wallet, or a direct wallet-to-wallet transfer) is a break
+ *
+ * Prints a break report as a table (or JSON with --json) and exits with code 1 if any check
+ * fails, 2 if the reconciliation could not run.
+ */
+
+import { ethers } from 'ethers';
+import { fetchRegistry } from './registryClient.js';
+import { loadDeploymentInfo, getTokenInfo } from './deployment.js';
+
+// RPC URL for Anvil (default local network)
+const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
+
+const dCDP_ABI = [
+    "event Tokenized(string indexed owner_id, string symbol, uint256 quantity, address indexed tokenAddress)",
+    "event Redeemed(string indexed owner_id, string symbol, uint256 quantity, address indexed tokenAddress)",
+    "function getOwnerId(address walletAddress) external view returns (string memory)",
+    "function ownerToAddress(string owner_id) external view returns (address)"
+];
+
+// Contracts that move tokens between wallets as part of a trade; their transfers explain a
+// difference between an owner's tokenized ledger and wallet balance
+const TRANSFER_VENUES = ['DvPSettlement', 'OrderBook'];
+
+const TOKEN_ABI = [
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "function totalSupply() external view returns (uint256)",
+    "function balanceOf(address) external view returns (uint256)"
+];
+
+/**
+ * Convert a registry quantity (plain number) to 18-decimal token units
+ * @dev Rounds to 9 decimals first so floating point noise in the JSON registry
+ * (e.g. 0.1 + 0.2) does not show up as a break
+ * @param {number} quantity - Registry quantity
+ * @returns {bigint} Quantity in wei
+ */
+function toUnits(quantity) {
+    return ethers.parseUnits(Number(quantity || 0).toFixed(9), 18);
+}
+
+/**
+ * Replay Tokenized/Redeemed events into a per-owner tokenized ledger
+ * @param {ethers.Contract} dcdp - dCDP contract
+ * @param {string} symbol - Security symbol to include (e.g., "ES3")
+ * @param {Object} ownerIdsByHash - keccak256(owner_id) → owner_id, to decode indexed owner IDs
+ * @param {number} fromBlock - First block to replay
+ * @param {number} toBlock - Last block to replay
+ * @returns {Promise<Object>} Ledger totals and per-owner breakdown (wei)
+ */
+async function replayLedger(dcdp, symbol, ownerIdsByHash, fromBlock, toBlock) {
+    const [tokenizedEvents, redeemedEvents] = await Promise.all([
+        dcdp.queryFilter(dcdp.filters.Tokenized(), fromBlock, toBlock),
+        dcdp.queryFilter(dcdp.filters.Redeemed(), fromBlock, toBlock)
+    ]);
+
+    const byOwner = {};
+    const entryFor = (event) => {
+        // Indexed strings are only available as their hash
+        const ownerHash = event.topics[1];
+        const ownerId = ownerIdsByHash[ownerHash] || ownerHash;
+        if (!byOwner[ownerId]) {
+            byOwner[ownerId] = { tokenized: 0n, redeemed: 0n };
+        }
+        return byOwner[ownerId];
+    };
+
+    let tokenized = 0n;
+    let redeemed = 0n;
+    for (const event of tokenizedEvents) {
+        if (event.args.symbol !== symbol) continue;
+        entryFor(event).tokenized += event.args.quantity;
+        tokenized += event.args.quantity;
+    }
+    for (const event of redeemedEvents) {
+        if (event.args.symbol !== symbol) continue;
+        entryFor(event).redeemed += event.args.quantity;
+        redeemed += event.args.quantity;
+    }
+
+    return {
+        eventCount: tokenizedEvents.length + redeemedEvents.length,
+        tokenized,
+        redeemed,
+        net: tokenized - redeemed,
+        byOwner
+    };
+}
+
+/**
+ * Read the balance of every address that has ever held the token
+ * @param {ethers.Contract} token - Tokenized ETF contract
+ * @param {ethers.Contract} dcdp - dCDP contract (to label holders with their owner ID)
+ * @param {Array<ethers.EventLog>} transfers - The token's Transfer events
+ * @param {number} toBlock - Block to read balances at
+ * @returns {Promise<Array<Object>>} Holders with a non-zero balance
+ */
+async function readHolderBalances(token, dcdp, transfers, toBlock) {
+    const addresses = new Set();
+    for (const transfer of transfers) {
+        addresses.add(transfer.args.from);
+        addresses.add(transfer.args.to);
+    }
+    addresses.delete(ethers.ZeroAddress);
+
+    const holders = [];
+    for (const address of addresses) {
+        const balance = await token.balanceOf(address, { blockTag: toBlock });
+        if (balance === 0n) continue;
+        const ownerId = await dcdp.getOwnerId(address).catch(() => '');
+        holders.push({ address, ownerId: ownerId || null, balance });
+    }
+    return holders;
+}
+
+/**
+ * Net the token transfers between wallets (not mints or burns) that went through a known venue
+ * @dev A transfer goes through a venue if the venue is one side of it (OrderBook escrow) or the
+ * transaction called the venue (DvPSettlement moves the asset straight from seller to buyer)
+ * @param {ethers.Provider} provider - Provider
+ * @param {Array<ethers.EventLog>} transfers - The token's Transfer events
+ * @param {Object} venues - Lowercased venue address → venue name
+ * @returns {Promise<Object>} Lowercased address → { [venue name]: net amount (wei) }
+ */
+async function netVenueTransfers(provider, transfers, venues) {
+    const calledContracts = {};
+    const flows = {};
+    const add = (address, venue, amount) => {
+        const key = address.toLowerCase();
+        flows[key] = flows[key] || {};
+        flows[key][venue] = (flows[key][venue] || 0n) + amount;
+    };
+
+    for (const transfer of transfers) {
+        const { from, to, value } = transfer.args;
+        if (from === ethers.ZeroAddress || to === ethers.ZeroAddress) continue;
+
+        const hash = transfer.transactionHash;
+        if (!(hash in calledContracts)) {
+            calledContracts[hash] = (await provider.getTransaction(hash))?.to?.toLowerCase() || null;
+        }
+        const venue = venues[from.toLowerCase()] || venues[to.toLowerCase()] || venues[calledContracts[hash]];
+        if (!venue) continue;
+
+        add(from, venue, -value);
+        add(to, venue, value);
+    }
+    return flows;
+}
+
+/**
+ * Reconcile each owner's wallet against its share of the tokenized ledger
+ * @param {Object} params
+ * @param {ethers.Contract} params.dcdp - dCDP contract (to find each owner's wallet)
+ * @param {Object} params.ledger - Result of replayLedger()
+ * @param {Array<Object>} params.holders - Result of readHolderBalances()
+ * @param {Object} params.flows - Result of netVenueTransfers()
+ * @param {Object} params.venues - Lowercased venue address → venue name
+ * @param {number} params.blockNumber - Block the balances were read at
+ * @returns {Promise<Array<Object>>} One row per owner wallet, venue or other holder
+ */
+async function reconcileOwners({ dcdp, ledger, holders, flows, venues, blockNumber }) {
+    const rows = {};
+    const rowFor = (address, ownerId) => {
+        const key = address ? address.toLowerCase() : `owner:${ownerId}`;
+        rows[key] = rows[key] || {
+            ownerId: ownerId || null,
+            address,
+            venue: address ? venues[address.toLowerCase()] || null : null,
+            ledgerNet: 0n,
+            balance: 0n
+        };
+        return rows[key];
+    };
+
+    for (const [ownerId, entry] of Object.entries(ledger.byOwner)) {
+        // Owner IDs missing from the registry are only known by their hash and have no wallet
+        const wallet = ownerId.startsWith('0x')
+            ? null
+            : await dcdp.ownerToAddress(ownerId, { blockTag: blockNumber });
+        const row = rowFor(wallet && wallet !== ethers.ZeroAddress ? wallet : null, ownerId);
+        row.ledgerNet += entry.tokenized - entry.redeemed;
+    }
+    for (const holder of holders) {
+        rowFor(holder.address, holder.ownerId).balance = holder.balance;
+    }
+
+    return Object.values(rows).map((row) => {
+        const explained = (row.address && flows[row.address.toLowerCase()]) || {};
+        const explainedTotal = Object.values(explained).reduce((sum, amount) => sum + amount, 0n);
+        const unexplained = row.balance - row.ledgerNet - explainedTotal;
+        return {
+            ownerId: row.ownerId,
+            address: row.address,
+            venue: row.venue,
+            ledgerNet: ethers.formatUnits(row.ledgerNet, 18),
+            explained: Object.fromEntries(
+                Object.entries(explained).map(([venue, amount]) => [venue, ethers.formatUnits(amount, 18)])
+            ),
+            balance: ethers.formatUnits(row.balance, 18),
+            unexplained: ethers.formatUnits(unexplained, 18),
+            ok: unexplained === 0n
+        };
+    });
+}
+
+/**
+ * Build a check result
+ * @param {string} name - Check description
+ * @param {bigint} expected - Reference value (token supply)
+ * @param {bigint} actual - Value being reconciled
+ * @returns {Object} Check with formatted values
+ */
+function check(name, expected, actual) {
+    return {
+        name,
+        expected: ethers.formatUnits(expected, 18),
+        actual: ethers.formatUnits(actual, 18),
+        difference: ethers.formatUnits(actual - expected, 18),
+        ok: actual === expected
+    };
+}
+
+/**
+ * Reconcile the CDP registry, the tokenized ledger and the tokenized ETF contract
+ * @param {Object} [options] - Options
+ * @param {string} [options.symbol] - Security symbol (default "ES3")
+ * @param {number} [options.fromBlock] - First block to replay (default 0)
+ * @param {ethers.Provider} [options.provider] - Provider (default JSON-RPC at RPC_URL)
+ * @returns {Promise<Object>} Break report; report.ok is false if any check or owner failed
+ */
+async function reconcile({ symbol = 'ES3', fromBlock = 0, provider = new ethers.JsonRpcProvider(RPC_URL) } = {}) {
+    const deploymentInfo = loadDeploymentInfo();
+    const tokenInfo = getTokenInfo(deploymentInfo, symbol);
+
+    const dcdp = new ethers.Contract(deploymentInfo.contracts.dCDP.address, dCDP_ABI, provider);
+    const token = new ethers.Contract(tokenInfo.address, TOKEN_ABI, provider);
+
+    const registry = await fetchRegistry();
+    const ownerIdsByHash = {};
+    for (const ownerId of Object.keys(registry.accounts || {})) {
+        ownerIdsByHash[ethers.id(ownerId)] = ownerId;
+    }
+
+    // Venues missing from older deployments are simply not recognised
+    const venues = {};
+    for (const name of TRANSFER_VENUES) {
+        const address = deploymentInfo.contracts?.[name]?.address;
+        if (address) {
+            venues[address.toLowerCase()] = name;
+        }
+    }
+
+    // Pin every read to one block so the three sources describe the same state
+    const blockNumber = await provider.getBlockNumber();
+    const transfers = await token.queryFilter(token.filters.Transfer(), fromBlock, blockNumber);
+    const [totalSupply, ledger, holders, flows] = await Promise.all([
+        token.totalSupply({ blockTag: blockNumber }),
+        replayLedger(dcdp, symbol, ownerIdsByHash, fromBlock, blockNumber),
+        readHolderBalances(token, dcdp, transfers, blockNumber),
+        netVenueTransfers(provider, transfers, venues)
+    ]);
+    const owners = await reconcileOwners({ dcdp, ledger, holders, flows, venues, blockNumber });
+
+    const sumOfBalances = holders.reduce((sum, holder) => sum + holder.balance, 0n);
+    const custody = toUnits(registry.tokenized_custody?.[symbol]);
+    const pendingOperations = Object.values(registry.pending_operations || {})
+        .filter((operation) => operation.symbol === symbol);
+
+    const checks = [
+        check(`Tokenized ledger (events) vs ${tokenInfo.symbol}.totalSupply()`, totalSupply, ledger.net),
+        check(`Sum of holder balances vs ${tokenInfo.symbol}.totalSupply()`, totalSupply, sumOfBalances),
+        check(`Registry ${symbol} custody vs ${tokenInfo.symbol}.totalSupply()`, totalSupply, custody)
+    ];
+
+    return {
+        ok: checks.every((result) => result.ok) && owners.every((owner) => owner.ok),
+        symbol,
+        blockNumber,
+        checks,
+        owners,
+        onchain: {
+            token: tokenInfo.address,
+            tokenSymbol: tokenInfo.symbol,
+            totalSupply: ethers.formatUnits(totalSupply, 18),
+            holders: holders.map((holder) => ({
+                ...holder,
+                balance: ethers.formatUnits(holder.balance, 18)
+            }))
+        },
+        ledger: {
+            eventCount: ledger.eventCount,
+            tokenized: ethers.formatUnits(ledger.tokenized, 18),
+            redeemed: ethers.formatUnits(ledger.redeemed, 18),
+            net: ethers.formatUnits(ledger.net, 18),
+            byOwner: Object.fromEntries(
+                Object.entries(ledger.byOwner).map(([ownerId, entry]) => [ownerId, {
+                    tokenized: ethers.formatUnits(entry.tokenized, 18),
+                    redeemed: ethers.formatUnits(entry.redeemed, 18),
+                    net: ethers.formatUnits(entry.tokenized - entry.redeemed, 18)
+                }])
+            )
+        },
+        registry: {
+            version: registry.version,
+            custody: ethers.formatUnits(custody, 18),
+            // In-flight operations explain a temporary difference between custody and supply
+            pendingOperations: pendingOperations.map(({ id, type, ownerId, quantity, status, txHash }) => ({
+                id, type, ownerId, quantity, status, txHash
+            }))
+        }
+    };
+}
+
+/**
+ * Render rows as a fixed-width text table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Table rows
+ * @returns {string} Table
+ */
+function formatTable(headers, rows) {
+    const widths = headers.map((header, column) =>
+        Math.max(header.length, ...rows.map((row) => String(row[column]).length))
+    );
+    const line = (cells) => cells.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd();
+    return [line(headers), widths.map((width) => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Print a break report for humans
+ * @param {Object} report - Report returned by reconcile()
+ */
+function printReport(report) {
+    const tokenSymbol = report.onchain.tokenSymbol;
+    console.log(`\n=== Reconciliation: ${report.symbol} vs ${tokenSymbol} at block ${report.blockNumber} ===\n`);
+
+    console.log(formatTable(
+        ['Check', `${tokenSymbol} supply`, 'Reconciled', 'Difference', 'Status'],
+        report.checks.map((result) => [
+            result.name, result.expected, result.actual, result.difference, result.ok ? 'OK' : 'BREAK'
+        ])
+    ));
+
+    console.log(`\nLedger vs ${tokenSymbol} balance by owner (venue transfers are explained differences):`);
+    console.log(report.owners.length === 0 ? '  (none)' : formatTable(
+        ['Owner', 'Address', 'Ledger net', 'Explained', 'Balance', 'Unexplained', 'Status'],
+        report.owners.map((owner) => [
+            owner.ownerId || (owner.venue ? `(${owner.venue})` : '-'),
+            owner.address || '(no wallet)',
+            owner.ledgerNet,
+            Object.entries(owner.explained).map(([venue, amount]) => `${venue} ${amount}`).join(', ') || '-',
+            owner.balance,
+            owner.unexplained,
+            owner.ok ? 'OK' : 'BREAK'
+        ])
+    ));
+
+    console.log('\nTokenized ledger by owner:');
+    const owners = Object.entries(report.ledger.byOwner);
+    console.log(owners.length === 0 ? '  (no events)' : formatTable(
+        ['Owner', 'Tokenized', 'Redeemed', 'Net'],
+        owners.map(([ownerId, entry]) => [ownerId, entry.tokenized, entry.redeemed, entry.net])
+    ));
+
+    console.log(`\n${tokenSymbol} holders:`);
+    console.log(report.onchain.holders.length === 0 ? '  (none)' : formatTable(
+        ['Address', 'Owner', 'Balance'],
+        report.onchain.holders.map((holder) => [holder.address, holder.ownerId || '-', holder.balance])
+    ));
+
+    if (report.registry.pendingOperations.length > 0) {
+        console.log('\nPending registry operations (may explain a custody break):');
+        console.log(formatTable(
+            ['ID', 'Type', 'Owner', 'Quantity', 'Status'],
+            report.registry.pendingOperations.map((operation) => [
+                operation.id, operation.type, operation.ownerId, operation.quantity, operation.status
+            ])
+        ));
+    }
+
+    console.log(report.ok ? '\n✓ No breaks found' : '\n✗ Breaks found');
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = process.argv.slice(2);
+    const json = args.includes('--json');
+    const symbolIndex = args.indexOf('--symbol');
+    const fromBlockIndex = args.indexOf('--from-block');
+
+    const symbol = symbolIndex !== -1 ? args[symbolIndex + 1] : 'ES3';
+    const fromBlock = fromBlockIndex !== -1 ? parseInt(args[fromBlockIndex + 1], 10) : 0;
+
+    if (!symbol || isNaN(fromBlock) || fromBlock < 0) {
+        console.error('Usage: node reconcile.js [--json] [--symbol ES3|G3B] [--from-block N]');
+        process.exit(2);
+    }
+
+    reconcile({ symbol, fromBlock })
+        .then(report => {
+            if (json) {
+                console.log(JSON.stringify(report, null, 2));
+            } else {
+                printReport(report);
+            }
+            process.exit(report.ok ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.message);
+            process.exit(2);
+        });
+}
+
+export { reconcile, printReport, formatTable, toUnits };
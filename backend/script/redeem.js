@@ -1,24 +1,19 @@
 /**
  * @file redeem.js
  * @notice Offchain script to redeem tokenized tokens back to traditional securities via dCDP
- * @dev Validates TES3 balance, calls dCDP.redeem(), updates CDP registry
+ * @dev Validates the token balance, records a pending credit in the CDP registry, calls
+ * dCDP.redeem(), then commits or rolls back the credit based on the receipt
  * 
- * This script bridges the onchain TES3 tokens with the offchain CDP registry.
- * It ensures TES3 balance is sufficient, calls the smart contract to burn tokens,
- * then updates the CDP registry to reflect the redemption.
+ * This script bridges the onchain tokenized ETFs (e.g. TES3, TG3B) with the offchain CDP registry.
+ * The pending credit is persisted before the burn is sent, so an interrupted run can be
+ * finished with `npm run resume` (see pendingOperations.js).
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { ethers } from 'ethers';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Paths
-const CDP_REGISTRY_PATH = path.join(__dirname, '../data/cdp-registry.json');
-const DEPLOYMENT_INFO_PATH = path.join(__dirname, '../deployment-info.json');
+import { printRegistryDiff } from './registryClient.js';
+import { executeTwoPhase, simulateTwoPhase } from './pendingOperations.js';
+import { loadDeploymentInfo, getTokenInfo } from './deployment.js';
+import { loadSigner } from './signer.js';
 
 // RPC URL for Anvil (default local network)
 const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
@@ -26,26 +21,22 @@ const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
 /**
  * Redeem tokenized tokens back to traditional securities
  * @param {string} ownerId - Owner ID (e.g., "AP")
- * @param {string} symbol - Security symbol (e.g., "ES3")
+ * @param {string} symbol - Security symbol (e.g., "ES3", "G3B")
  * @param {number} quantity - Quantity to redeem
- * @param {string} privateKey - Private key of admin account (for signing transactions)
+ * @param {ethers.Wallet} wallet - Admin wallet connected to the RPC provider (see signer.js)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Simulate the call and preview the registry changes without
+ * writing the registry or broadcasting
  */
-async function redeem(ownerId, symbol, quantity, privateKey) {
-    console.log(`\n=== Redeeming ${quantity} ${symbol} for ${ownerId} ===\n`);
-
-    // Read deployment info to get contract addresses
-    let deploymentInfo;
-    try {
-        deploymentInfo = JSON.parse(fs.readFileSync(DEPLOYMENT_INFO_PATH, 'utf8'));
-    } catch (error) {
-        throw new Error(
-            'Deployment info not found. Please deploy contracts first using: forge script script/Deploy.s.sol --broadcast'
-        );
-    }
+async function redeem(ownerId, symbol, quantity, wallet, { dryRun = false } = {}) {
+    console.log(`\n=== ${dryRun ? 'Dry run: ' : ''}Redeeming ${quantity} ${symbol} for ${ownerId} ===\n`);
+
+    // Read deployment info and resolve the token burned for this ETF
+    const deploymentInfo = loadDeploymentInfo();
+    const tokenInfo = getTokenInfo(deploymentInfo, symbol);
 
-    // Connect to blockchain
-    const provider = new ethers.JsonRpcProvider(RPC_URL);
-    const wallet = new ethers.Wallet(privateKey, provider);
+    // The signing wallet (see signer.js) is already connected to the RPC provider
+    const provider = wallet.provider;
 
     console.log(`✓ Connected to ${RPC_URL}`);
     console.log(`✓ Using admin account: ${wallet.address}`);
@@ -56,15 +47,14 @@ async function redeem(ownerId, symbol, quantity, privateKey) {
         "function ownerToAddress(string memory) external view returns (address)"
     ];
 
-    // Load TES3 contract ABI to check balance
-    const TES3_ABI = [
+    // Load token contract ABI to check balance
+    const TOKEN_ABI = [
         "function balanceOf(address) external view returns (uint256)"
     ];
 
     const dCDPAddress = deploymentInfo.contracts.dCDP.address;
-    const tes3Address = deploymentInfo.contracts.TES3.address;
     const dCDP = new ethers.Contract(dCDPAddress, dCDP_ABI, wallet);
-    const tes3 = new ethers.Contract(tes3Address, TES3_ABI, provider);
+    const token = new ethers.Contract(tokenInfo.address, TOKEN_ABI, provider);
 
     // Verify owner has a registered wallet
     const ownerAddress = await dCDP.ownerToAddress(ownerId);
@@ -80,63 +70,66 @@ async function redeem(ownerId, symbol, quantity, privateKey) {
     const quantityWei = ethers.parseUnits(quantity.toString(), 18);
     console.log(`✓ Quantity in wei: ${quantityWei.toString()}`);
 
-    // Check TES3 balance
-    const balance = await tes3.balanceOf(ownerAddress);
-    console.log(`✓ Current TES3 balance: ${ethers.formatUnits(balance, 18)}`);
+    // Check token balance
+    const balance = await token.balanceOf(ownerAddress);
+    console.log(`✓ Current ${tokenInfo.symbol} balance: ${ethers.formatUnits(balance, 18)}`);
     
     if (balance < quantityWei) {
         throw new Error(
-            `Insufficient TES3 balance: have ${ethers.formatUnits(balance, 18)}, need ${quantity}`
+            `Insufficient ${tokenInfo.symbol} balance: have ${ethers.formatUnits(balance, 18)}, need ${quantity}`
         );
     }
 
-    // Call redeem function
-    console.log('\nCalling dCDP.redeem()...');
-    const tx = await dCDP.redeem(ownerId, quantityWei, symbol);
-    console.log(`  Transaction hash: ${tx.hash}`);
-    console.log(`  Waiting for confirmation...`);
-
-    const receipt = await tx.wait();
-    console.log(`  ✓ Transaction confirmed in block ${receipt.blockNumber}`);
-
-    // Read CDP registry
-    const registry = JSON.parse(fs.readFileSync(CDP_REGISTRY_PATH, 'utf8'));
-
-    // Validate owner exists
-    if (!registry.accounts[ownerId]) {
-        throw new Error(`Owner ${ownerId} not found in CDP registry`);
+    if (dryRun) {
+        const { transaction, registryDiff } = await simulateTwoPhase({
+            type: 'redeem',
+            ownerId,
+            symbol,
+            quantity,
+            wallet,
+            contract: dCDP,
+            args: [ownerId, quantityWei, symbol]
+        });
+        printRegistryDiff(registryDiff);
+
+        return {
+            success: true,
+            dryRun: true,
+            ownerId,
+            symbol,
+            tokenSymbol: tokenInfo.symbol,
+            tokenAddress: tokenInfo.address,
+            quantity,
+            ownerAddress,
+            transaction,
+            registryDiff
+        };
     }
 
-    const account = registry.accounts[ownerId];
-
-    // Update CDP registry (increase traditional balance)
-    console.log('\nUpdating CDP registry...');
-    if (symbol === 'ES3') {
-        // Initialize ETF balance if it doesn't exist
-        if (!account.etfs) {
-            account.etfs = {};
-        }
-        if (!account.etfs[symbol]) {
-            account.etfs[symbol] = 0;
-        }
-        
-        const oldBalance = account.etfs[symbol];
-        account.etfs[symbol] += quantity;
-        console.log(`  ✓ Increased ${symbol} balance: ${oldBalance} → ${account.etfs[symbol]}`);
-    } else {
-        throw new Error(`Redemption of ${symbol} not supported (only ES3 supported)`);
+    // Record the pending credit, burn the tokens, then commit (or roll back on failure)
+    const { operation, receipt, previousBalance, newBalance } = await executeTwoPhase({
+        type: 'redeem',
+        ownerId,
+        symbol,
+        quantity,
+        wallet,
+        contract: dCDP,
+        args: [ownerId, quantityWei, symbol]
+    });
+    if (newBalance !== undefined) {
+        console.log(`  ✓ Increased ${symbol} balance: ${previousBalance} → ${newBalance}`);
     }
-
-    // Write updated registry back to file
-    fs.writeFileSync(CDP_REGISTRY_PATH, JSON.stringify(registry, null, 2));
     console.log('  ✓ CDP registry updated');
 
     return {
         success: true,
-        transactionHash: tx.hash,
+        operationId: operation.id,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         ownerId,
         symbol,
+        tokenSymbol: tokenInfo.symbol,
+        tokenAddress: tokenInfo.address,
         quantity,
         ownerAddress
     };
@@ -144,16 +137,18 @@ async function redeem(ownerId, symbol, quantity, privateKey) {
 
 // Command line interface
 if (import.meta.url === `file://${process.argv[1]}`) {
-    const args = process.argv.slice(2);
+    // --dry-run may appear anywhere; the remaining arguments are positional
+    const dryRun = process.argv.includes('--dry-run');
+    const args = process.argv.slice(2).filter((arg) => arg !== '--dry-run');
     
-    if (args.length !== 4) {
-        console.error('Usage: node redeem.js <ownerId> <symbol> <quantity> <privateKey>');
-        console.error('Example: node redeem.js AP ES3 50 0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
-        console.error('\nNote: Use admin account private key');
+    if (args.length !== 3) {
+        console.error('Usage: node redeem.js <ownerId> <symbol> <quantity> [--dry-run]');
+        console.error('Example: TETF_KEYSTORE=~/.tetf/admin.json node redeem.js AP ES3 50');
+        console.error('\nNote: Signs with the admin account from TETF_KEYSTORE or TETF_PRIVATE_KEY (see signer.js)');
         process.exit(1);
     }
 
-    const [ownerId, symbol, quantityStr, privateKey] = args;
+    const [ownerId, symbol, quantityStr] = args;
     const quantity = parseFloat(quantityStr);
 
     if (isNaN(quantity) || quantity <= 0) {
@@ -161,7 +156,8 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         process.exit(1);
     }
 
-    redeem(ownerId, symbol, quantity, privateKey)
+    loadSigner(new ethers.JsonRpcProvider(RPC_URL))
+        .then(wallet => redeem(ownerId, symbol, quantity, wallet, { dryRun }))
         .then(result => {
             console.log('\n=== Success ===');
             console.log(JSON.stringify(result, null, 2));
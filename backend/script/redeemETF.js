@@ -0,0 +1,83 @@
+/**
+ * @file redeemETF.js
+ * @notice Offchain script to redeem ETF shares in kind back to the underlying stocks
+ * @dev Reverse of createETF.js: validates the AP holds enough ETF shares, then updates the
+ * CDP registry through the registry service
+ * 
+ * This is an offchain operation that simulates the traditional in-kind redemption process.
+ * It decreases the ETF balance and credits the constituent stocks pro rata in the CDP registry.
+ */
+
+import { redeemETFInRegistry, previewRedeemETF, printRegistryDiff } from './registryClient.js';
+
+/**
+ * Redeem ETF shares in kind back to the underlying stocks
+ * @dev The registry service validates the ETF balance against the same composition used for
+ * creation and applies the change; when the service is not running the registry file is
+ * updated directly
+ * @param {string} ownerId - Owner ID (e.g., "AP")
+ * @param {string} etfSymbol - ETF symbol (e.g., "ES3")
+ * @param {number} quantity - Number of ETF shares to redeem
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Validate and preview the registry changes without writing them
+ */
+async function redeemETF(ownerId, etfSymbol, quantity, { dryRun = false } = {}) {
+    console.log(`\n=== ${dryRun ? 'Dry run: ' : ''}Redeeming ${quantity} ${etfSymbol} shares for ${ownerId} ===\n`);
+
+    // Validate ETF balance, burn ETF shares and credit constituent stocks in one registry update
+    if (dryRun) {
+        const { result, diff } = await previewRedeemETF(ownerId, etfSymbol, quantity);
+        printRegistryDiff(diff);
+        return { ...result, dryRun: true, registryDiff: diff };
+    }
+
+    console.log('Updating CDP registry...');
+    const result = await redeemETFInRegistry(ownerId, etfSymbol, quantity);
+
+    console.log(`  ✓ Removed ${quantity} ${etfSymbol} shares`);
+    for (const [stockSymbol, credited] of Object.entries(result.creditedStocks)) {
+        console.log(`  ✓ Credited ${credited} ${stockSymbol}`);
+    }
+    console.log(`  ✓ New ${etfSymbol} balance: ${result.newETFBalance}`);
+    console.log('\n✓ CDP registry updated successfully');
+
+    return {
+        success: true,
+        newETFBalance: result.newETFBalance,
+        creditedStocks: result.creditedStocks
+    };
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    // --dry-run may appear anywhere; the remaining arguments are positional
+    const dryRun = process.argv.includes('--dry-run');
+    const args = process.argv.slice(2).filter((arg) => arg !== '--dry-run');
+    
+    if (args.length !== 3) {
+        console.error('Usage: node redeemETF.js <ownerId> <etfSymbol> <quantity> [--dry-run]');
+        console.error('Example: node redeemETF.js AP ES3 10');
+        process.exit(1);
+    }
+
+    const [ownerId, etfSymbol, quantityStr] = args;
+    const quantity = parseInt(quantityStr, 10);
+
+    if (isNaN(quantity) || quantity <= 0) {
+        console.error('Error: quantity must be a positive number');
+        process.exit(1);
+    }
+
+    redeemETF(ownerId, etfSymbol, quantity, { dryRun })
+        .then(result => {
+            console.log('\n=== Success ===');
+            console.log(JSON.stringify(result, null, 2));
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+export { redeemETF };
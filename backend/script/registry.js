@@ -0,0 +1,715 @@
+/**
+ * @file registry.js
+ * @notice Shared CDP registry operations
+ * @dev Used by the registry service (registryServer.js) and by the helper scripts when the
+ * service is not running. Every operation validates its inputs, mutates the registry object
+ * in place and returns a summary of what changed.
+ *
+ * Persistence (locking, atomic writes, versioning) lives in registryStore.js; the read and
+ * update helpers are re-exported here so callers only need one import.
+ */
+
+import { readRegistry, writeRegistry, updateRegistry } from './registryStore.js';
+
+// Currency of the cash component and creation fee
+const CASH_CURRENCY = 'SGD';
+
+/**
+ * Look up an account, initialising the balance buckets it is expected to have
+ * @param {Object} registry - CDP registry
+ * @param {string} ownerId - Owner ID (e.g., "AP")
+ * @returns {Object} Account record
+ */
+function getAccount(registry, ownerId) {
+    if (!registry.accounts || !registry.accounts[ownerId]) {
+        throw new Error(`Owner ${ownerId} not found in CDP registry`);
+    }
+
+    const account = registry.accounts[ownerId];
+    if (!account.stocks) {
+        account.stocks = {};
+    }
+    if (!account.etfs) {
+        account.etfs = {};
+    }
+    if (!account.cash) {
+        account.cash = {};
+    }
+    return account;
+}
+
+/**
+ * Round an amount of cash to cents
+ * @param {number} amount - Cash amount
+ * @returns {number} Amount rounded to 2 decimal places
+ */
+function roundCash(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Round a share quantity to 9 decimal places, as reconcile.js does
+ * @dev Keeps floating point noise (e.g. 0.1 + 0.2) out of share balances in the JSON registry
+ * @param {number} quantity - Share quantity
+ * @returns {number} Quantity rounded to 9 decimal places
+ */
+function roundShares(quantity) {
+    return Math.round(quantity * 1e9) / 1e9;
+}
+
+/**
+ * Release shares locked for a pending tokenization
+ * @dev Removes the symbol from `locked` once nothing is locked, so no dust is left behind
+ * @param {Object} account - Registry account (mutated)
+ * @param {string} symbol - Security symbol
+ * @param {number} quantity - Shares to release
+ */
+function releaseLocked(account, symbol, quantity) {
+    const remaining = roundShares((account.locked?.[symbol] || 0) - quantity);
+    if (remaining === 0) {
+        delete account.locked?.[symbol];
+    } else {
+        account.locked[symbol] = remaining;
+    }
+}
+
+/**
+ * Read the creation terms of an ETF composition
+ * @dev Compositions written before creation units were introduced default to single-share
+ * units with no cash component and no fee
+ * @param {Object} composition - Entry of registry.etf_compositions
+ * @returns {{creationUnitSize: number, cashComponent: number, creationFee: number}}
+ * creationUnitSize in ETF shares, cashComponent in SGD per creation unit, creationFee in SGD
+ * per creation order
+ */
+function getCreationTerms(composition) {
+    return {
+        creationUnitSize: composition.creation_unit_size ?? 1,
+        cashComponent: composition.cash_component ?? 0,
+        creationFee: composition.creation_fee ?? 0
+    };
+}
+
+/**
+ * Create ETF shares from underlying stocks
+ * @dev Creations happen in whole creation units. Each unit takes the constituent basket plus
+ * the composition's SGD cash component, and every creation order pays the creation fee.
+ * @param {Object} registry - CDP registry (mutated)
+ * @param {string} ownerId - Owner ID (e.g., "AP")
+ * @param {string} etfSymbol - ETF symbol (e.g., "ES3")
+ * @param {number} quantity - Number of ETF shares to create (a multiple of the creation unit size)
+ * @returns {Object} New ETF balance and the stocks deducted
+ */
+function applyCreateETF(registry, ownerId, etfSymbol, quantity) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error('quantity must be a positive integer');
+    }
+
+    const account = getAccount(registry, ownerId);
+
+    // Validate ETF composition exists
+    if (!registry.etf_compositions || !registry.etf_compositions[etfSymbol]) {
+        throw new Error(`ETF ${etfSymbol} composition not found`);
+    }
+
+    const composition = registry.etf_compositions[etfSymbol];
+    const constituents = composition.constituents;
+    const { creationUnitSize, cashComponent, creationFee } = getCreationTerms(composition);
+
+    if (quantity % creationUnitSize !== 0) {
+        throw new Error(
+            `${etfSymbol} is created in units of ${creationUnitSize} shares; ` +
+            `${quantity} is not a whole number of creation units`
+        );
+    }
+
+    const creationUnits = quantity / creationUnitSize;
+    const cashComponentTotal = roundCash(cashComponent * creationUnits);
+    const cashRequired = roundCash(cashComponentTotal + creationFee);
+
+    // Validate sufficient holdings for every constituent and the cash before touching any balance
+    const validationErrors = [];
+    for (const [stockSymbol, requiredPerETF] of Object.entries(constituents)) {
+        const currentBalance = account.stocks[stockSymbol] || 0;
+        const required = requiredPerETF * quantity;
+
+        if (currentBalance < required) {
+            validationErrors.push(
+                `Insufficient ${stockSymbol}: have ${currentBalance}, need ${required} ` +
+                `(${requiredPerETF} per ETF × ${quantity} ETFs)`
+            );
+        }
+    }
+
+    const cashBalance = account.cash[CASH_CURRENCY] || 0;
+    if (cashBalance < cashRequired) {
+        validationErrors.push(
+            `Insufficient ${CASH_CURRENCY} cash: have ${cashBalance}, need ${cashRequired} ` +
+            `(${cashComponent} per unit × ${creationUnits} units + ${creationFee} creation fee)`
+        );
+    }
+
+    if (validationErrors.length > 0) {
+        throw new Error(validationErrors.join('; '));
+    }
+
+    // Deduct constituent stocks and cash, then add ETF shares
+    const deductedStocks = {};
+    for (const [stockSymbol, requiredPerETF] of Object.entries(constituents)) {
+        const required = requiredPerETF * quantity;
+        account.stocks[stockSymbol] = (account.stocks[stockSymbol] || 0) - required;
+        deductedStocks[stockSymbol] = required;
+    }
+
+    account.cash[CASH_CURRENCY] = roundCash(cashBalance - cashRequired);
+    account.etfs[etfSymbol] = (account.etfs[etfSymbol] || 0) + quantity;
+
+    return {
+        success: true,
+        ownerId,
+        symbol: etfSymbol,
+        quantity,
+        creationUnitSize,
+        creationUnits,
+        newETFBalance: account.etfs[etfSymbol],
+        deductedStocks,
+        cash: {
+            currency: CASH_CURRENCY,
+            cashComponent: cashComponentTotal,
+            creationFee,
+            totalDebited: cashRequired,
+            newBalance: account.cash[CASH_CURRENCY]
+        }
+    };
+}
+
+/**
+ * Redeem ETF shares in kind back to the underlying stocks (reverse of applyCreateETF)
+ * @param {Object} registry - CDP registry (mutated)
+ * @param {string} ownerId - Owner ID (e.g., "AP")
+ * @param {string} etfSymbol - ETF symbol (e.g., "ES3")
+ * @param {number} quantity - Number of ETF shares to redeem
+ * @returns {Object} New ETF balance and the stocks credited
+ */
+function applyRedeemETF(registry, ownerId, etfSymbol, quantity) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error('quantity must be a positive integer');
+    }
+
+    const account = getAccount(registry, ownerId);
+
+    // Validate ETF composition exists
+    if (!registry.etf_compositions || !registry.etf_compositions[etfSymbol]) {
+        throw new Error(`ETF ${etfSymbol} composition not found`);
+    }
+
+    const constituents = registry.etf_compositions[etfSymbol].constituents;
+
+    // Shares locked for an in-flight tokenization are not redeemable
+    const currentBalance = account.etfs[etfSymbol] || 0;
+    if (currentBalance < quantity) {
+        throw new Error(`Insufficient ${etfSymbol}: have ${currentBalance}, need ${quantity}`);
+    }
+
+    // Burn ETF shares and credit the constituent basket pro rata
+    account.etfs[etfSymbol] = currentBalance - quantity;
+
+    const creditedStocks = {};
+    for (const [stockSymbol, requiredPerETF] of Object.entries(constituents)) {
+        const credited = requiredPerETF * quantity;
+        account.stocks[stockSymbol] = (account.stocks[stockSymbol] || 0) + credited;
+        creditedStocks[stockSymbol] = credited;
+    }
+
+    return {
+        success: true,
+        ownerId,
+        symbol: etfSymbol,
+        quantity,
+        newETFBalance: account.etfs[etfSymbol],
+        creditedStocks
+    };
+}
+
+// Two-phase operations that move balances between the registry and the chain
+const OPERATION_TYPES = ['tokenize', 'redeem'];
+
+/**
+ * Look up a pending operation
+ * @param {Object} registry - CDP registry
+ * @param {string} id - Operation ID
+ * @returns {Object} Pending operation
+ */
+function getPendingOperation(registry, id) {
+    const operation = registry.pending_operations?.[id];
+    if (!operation) {
+        throw new Error(`Pending operation ${id} not found`);
+    }
+    return operation;
+}
+
+/**
+ * Look up the operation a transaction has already been committed for
+ * @dev Committed operations leave `pending_operations`, so `committed_transactions` keeps their
+ * hashes (lowercased) to stop one Tokenized/Redeemed transaction from settling two operations
+ * @param {Object} registry - CDP registry
+ * @param {string} txHash - Transaction hash
+ * @returns {string|null} ID of the operation committed in that transaction, if any
+ */
+function getCommittedOperationId(registry, txHash) {
+    return registry.committed_transactions?.[txHash.toLowerCase()] || null;
+}
+
+/**
+ * Reserve registry balances for a tokenize or redeem before its transaction is sent
+ * @dev Tokenize moves the ETF shares from `etfs` into `locked` so they cannot be spent twice
+ * while the mint is in flight. Redeem only records the intent; the shares are credited on
+ * commit once the burn is confirmed. Reserving an ID that already exists returns the existing
+ * entry so retries are safe.
+ * @param {Object} registry - CDP registry (mutated)
+ * @param {Object} params - Operation parameters
+ * @param {string} params.id - Caller-generated operation ID
+ * @param {string} params.type - "tokenize" or "redeem"
+ * @param {string} params.ownerId - Owner ID (e.g., "AP")
+ * @param {string} params.symbol - Security symbol (e.g., "ES3")
+ * @param {number} params.quantity - Quantity to tokenize or redeem
+ * @param {number} [params.fromBlock] - Block number before the transaction was sent
+ * @returns {Object} Pending operation and the owner's balances after the reservation
+ */
+function applyReserve(registry, { id, type, ownerId, symbol, quantity, fromBlock = null }) {
+    if (!OPERATION_TYPES.includes(type)) {
+        throw new Error(`Unknown operation type ${type}`);
+    }
+    if (typeof quantity !== 'number' || !(quantity > 0)) {
+        throw new Error('quantity must be a positive number');
+    }
+
+    if (!registry.pending_operations) {
+        registry.pending_operations = {};
+    }
+
+    const existing = registry.pending_operations[id];
+    if (existing) {
+        if (existing.type !== type || existing.ownerId !== ownerId ||
+            existing.symbol !== symbol || existing.quantity !== quantity) {
+            throw new Error(`Pending operation ${id} already exists with different parameters`);
+        }
+        return { success: true, operation: existing };
+    }
+
+    const account = getAccount(registry, ownerId);
+    if (!account.locked) {
+        account.locked = {};
+    }
+
+    if (type === 'tokenize') {
+        const currentBalance = account.etfs[symbol] || 0;
+        if (currentBalance < quantity) {
+            throw new Error(`Insufficient ${symbol}: have ${currentBalance}, need ${quantity}`);
+        }
+        account.etfs[symbol] = roundShares(currentBalance - quantity);
+        account.locked[symbol] = roundShares((account.locked[symbol] || 0) + quantity);
+    }
+
+    const now = new Date().toISOString();
+    const operation = {
+        id,
+        type,
+        ownerId,
+        symbol,
+        quantity,
+        status: 'reserved',
+        fromBlock,
+        txHash: null,
+        rawTx: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    registry.pending_operations[id] = operation;
+
+    return {
+        success: true,
+        operation,
+        balance: account.etfs[symbol] || 0,
+        locked: account.locked[symbol] || 0
+    };
+}
+
+/**
+ * Record the transaction that carries out a reserved operation
+ * @dev Persisting the hash (and, for locally signed transactions, the raw transaction) before
+ * broadcasting lets an interrupted operation be resumed by looking up or re-sending the tx
+ * @param {Object} registry - CDP registry (mutated)
+ * @param {string} id - Operation ID
+ * @param {Object} tx - Transaction details
+ * @param {string} tx.txHash - Transaction hash
+ * @param {string} [tx.rawTx] - Signed raw transaction
+ * @returns {Object} Updated pending operation
+ * @throws {Error} If the operation was already submitted in a different transaction
+ */
+function applyMarkSubmitted(registry, id, { txHash, rawTx = null }) {
+    if (typeof txHash !== 'string' || txHash.length === 0) {
+        throw new Error('txHash is required');
+    }
+
+    const committedId = getCommittedOperationId(registry, txHash);
+    if (committedId) {
+        throw new Error(`Transaction ${txHash} already settled operation ${committedId}`);
+    }
+
+    const operation = getPendingOperation(registry, id);
+    if (operation.status === 'submitted') {
+        // Recording the same transaction again (a retried request) changes nothing
+        if (operation.txHash.toLowerCase() !== txHash.toLowerCase()) {
+            throw new Error(`Operation ${id} was already submitted in ${operation.txHash}`);
+        }
+        return { success: true, operation };
+    }
+    if (operation.status !== 'reserved') {
+        throw new Error(`Operation ${id} is ${operation.status}, not reserved`);
+    }
+
+    operation.status = 'submitted';
+    operation.txHash = txHash;
+    operation.rawTx = rawTx;
+    operation.updatedAt = new Date().toISOString();
+
+    return { success: true, operation };
+}
+
+/**
+ * Finalise a pending operation after its transaction succeeded
+ * @dev Tokenize moves the locked shares into `tokenized_custody`, the ETF shares immobilised at
+ * the depository that back the token supply (e.g. ES3 backing TES3). Redeem releases shares from custody and credits them
+ * back to the redeeming owner's traditional balance.
+ * Only submitted operations can be committed; callers check the recorded transaction onchain
+ * first (operationEvents.verifyOperationTransaction), since this function cannot.
+ * @param {Object} registry - CDP registry (mutated)
+ * @param {string} id - Operation ID
+ * @param {Object} [details] - Confirmation details
+ * @param {string} [details.txHash] - Hash of the confirmed transaction (must be the recorded one)
+ * @returns {Object} Finalised operation and the owner's new balance
+ * @throws {Error} If the operation has no submitted transaction, txHash is a different one, or
+ * the transaction has already been committed for another operation
+ */
+function applyCommit(registry, id, { txHash = null } = {}) {
+    const operation = getPendingOperation(registry, id);
+    if (operation.status !== 'submitted' || !operation.txHash) {
+        throw new Error(`Operation ${id} has no submitted transaction to commit`);
+    }
+    if (txHash && txHash.toLowerCase() !== operation.txHash.toLowerCase()) {
+        throw new Error(`Operation ${id} was submitted in ${operation.txHash}, not ${txHash}`);
+    }
+    const committedId = getCommittedOperationId(registry, operation.txHash);
+    if (committedId) {
+        throw new Error(`Transaction ${operation.txHash} already settled operation ${committedId}`);
+    }
+    const account = getAccount(registry, operation.ownerId);
+    const { symbol, quantity } = operation;
+    const previousBalance = account.etfs[symbol] || 0;
+
+    if (!registry.tokenized_custody) {
+        registry.tokenized_custody = {};
+    }
+    const custody = registry.tokenized_custody[symbol] || 0;
+
+    if (operation.type === 'tokenize') {
+        releaseLocked(account, symbol, quantity);
+        registry.tokenized_custody[symbol] = roundShares(custody + quantity);
+    } else {
+        // The burn has already happened onchain, so custody is released even if it would go
+        // negative; reconcile.js reports that as a break
+        registry.tokenized_custody[symbol] = roundShares(custody - quantity);
+        account.etfs[symbol] = roundShares(previousBalance + quantity);
+    }
+
+    if (!registry.committed_transactions) {
+        registry.committed_transactions = {};
+    }
+    registry.committed_transactions[operation.txHash.toLowerCase()] = id;
+    delete registry.pending_operations[id];
+
+    return {
+        success: true,
+        operation: { ...operation, status: 'committed' },
+        previousBalance,
+        newBalance: account.etfs[symbol]
+    };
+}
+
+/**
+ * Undo a pending operation whose transaction failed or was never sent
+ * @dev Tokenize returns the locked shares to the traditional balance; redeem has nothing to
+ * undo because shares are only credited on commit
+ * @param {Object} registry - CDP registry (mutated)
+ * @param {string} id - Operation ID
+ * @param {string} [reason] - Why the operation was rolled back
+ * @returns {Object} Rolled back operation and the owner's balance
+ */
+function applyRollback(registry, id, reason = null) {
+    const operation = getPendingOperation(registry, id);
+    const account = getAccount(registry, operation.ownerId);
+    const { symbol, quantity } = operation;
+
+    if (operation.type === 'tokenize') {
+        releaseLocked(account, symbol, quantity);
+        account.etfs[symbol] = roundShares((account.etfs[symbol] || 0) + quantity);
+    }
+
+    delete registry.pending_operations[id];
+
+    return {
+        success: true,
+        operation: { ...operation, status: 'rolled_back', reason },
+        newBalance: account.etfs[symbol] || 0
+    };
+}
+
+/**
+ * Look up a fiat deposit
+ * @param {Object} registry - CDP registry
+ * @param {string} id - Deposit ID
+ * @returns {Object} Deposit ledger entry
+ */
+function getFiatDeposit(registry, id) {
+    const deposit = registry.fiat_deposits?.[id];
+    if (!deposit) {
+        throw new Error(`Fiat deposit ${id} not found`);
+    }
+    return deposit;
+}
+
+/**
+ * Record SGD received by the stablecoin provider before the matching SGDC is minted (onramp)
+ * @dev The deposit joins the reserves as soon as it is recorded. It stays `received` until
+ * applyDepositMinted() links it to its SGDC.mint() transaction, so a mint that fails leaves a
+ * deposit that can still be minted against. Recording an ID that already exists returns the
+ * existing entry so retries are safe.
+ * @param {Object} registry - CDP registry (mutated)
+ * @param {Object} params - Deposit parameters
+ * @param {string} params.id - Caller-generated deposit ID
+ * @param {string|null} params.ownerId - Owner ID that paid in (e.g., "THOMAS"), or null for a
+ * wallet with no Depository account
+ * @param {number} params.amount - SGD received, minted 1:1 as SGDC
+ * @param {string} [params.address] - Wallet the SGDC is minted to (required without an owner ID)
+ * @returns {Object} Deposit ledger entry
+ */
+function applyFiatDeposit(registry, { id, ownerId = null, amount, address = null }) {
+    if (typeof id !== 'string' || id.length === 0) {
+        throw new Error('id is required');
+    }
+    if (typeof amount !== 'number' || !(amount > 0)) {
+        throw new Error('amount must be a positive number');
+    }
+    if (ownerId === null && !address) {
+        throw new Error('ownerId or address is required');
+    }
+    if (ownerId !== null && !registry.accounts?.[ownerId]) {
+        throw new Error(`Owner ${ownerId} not found in CDP registry`);
+    }
+
+    if (!registry.fiat_deposits) {
+        registry.fiat_deposits = {};
+    }
+
+    const existing = registry.fiat_deposits[id];
+    if (existing) {
+        if (existing.ownerId !== ownerId || existing.amount !== roundCash(amount)) {
+            throw new Error(`Fiat deposit ${id} already exists with different parameters`);
+        }
+        return { success: true, deposit: existing };
+    }
+
+    const deposit = {
+        id,
+        ownerId,
+        address,
+        amount: roundCash(amount),
+        currency: CASH_CURRENCY,
+        status: 'received',
+        mintTxHash: null,
+        blockNumber: null,
+        receivedAt: new Date().toISOString(),
+        mintedAt: null
+    };
+    registry.fiat_deposits[id] = deposit;
+
+    return { success: true, deposit };
+}
+
+/**
+ * Link a fiat deposit to the SGDC.mint() transaction that issued it
+ * @param {Object} registry - CDP registry (mutated)
+ * @param {string} id - Deposit ID
+ * @param {Object} mint - Mint details
+ * @param {string} mint.txHash - Hash of the SGDC.mint() transaction
+ * @param {number} [mint.blockNumber] - Block of the mint
+ * @returns {Object} Updated deposit ledger entry
+ */
+function applyDepositMinted(registry, id, { txHash, blockNumber = null }) {
+    if (typeof txHash !== 'string' || txHash.length === 0) {
+        throw new Error('txHash is required');
+    }
+
+    const deposit = getFiatDeposit(registry, id);
+    if (deposit.status === 'minted' && deposit.mintTxHash !== txHash) {
+        throw new Error(`Fiat deposit ${id} was already minted in ${deposit.mintTxHash}`);
+    }
+
+    deposit.status = 'minted';
+    deposit.mintTxHash = txHash;
+    deposit.blockNumber = blockNumber;
+    deposit.mintedAt = deposit.mintedAt || new Date().toISOString();
+
+    return { success: true, deposit };
+}
+
+/**
+ * Total the stablecoin provider's fiat ledger
+ * @dev Reserves are every SGD deposit received less every SGD paid out. The SGDC the ledger
+ * accounts for is the minted deposits less the payouts, which should equal SGDC.totalSupply().
+ * @param {Object} registry - CDP registry
+ * @returns {{reserves: number, received: number, minted: number, unminted: number, paidOut: number,
+ * ledgerSupply: number}} SGD amounts
+ */
+function summariseReserves(registry) {
+    const deposits = Object.values(registry.fiat_deposits || {});
+    const payouts = Object.values(registry.fiat_payouts || {});
+    const sum = (entries) => roundCash(entries.reduce((total, entry) => total + entry.amount, 0));
+
+    const received = sum(deposits);
+    const minted = sum(deposits.filter((deposit) => deposit.status === 'minted'));
+    const paidOut = sum(payouts);
+
+    return {
+        reserves: roundCash(received - paidOut),
+        received,
+        minted,
+        unminted: roundCash(received - minted),
+        paidOut,
+        ledgerSupply: roundCash(minted - paidOut)
+    };
+}
+
+/**
+ * Record the fiat payout for an SGDC redemption (offramp)
+ * @dev The holder burns SGDC onchain with SGDC.redeem(); the stablecoin provider then pays the
+ * same amount out in SGD and records it in `fiat_payouts`, keyed by the redemption transaction.
+ * Recording a transaction that is already in the ledger returns the existing entry so retries
+ * are safe.
+ * @param {Object} registry - CDP registry (mutated)
+ * @param {Object} params - Payout parameters
+ * @param {string} params.ownerId - Owner ID paid out (e.g., "THOMAS")
+ * @param {number} params.amount - SGDC redeemed, paid out 1:1 in SGD
+ * @param {string} params.txHash - Hash of the SGDC.redeem() transaction
+ * @param {string} [params.address] - Wallet the SGDC was burned from
+ * @param {number} [params.blockNumber] - Block of the redemption
+ * @returns {Object} Payout ledger entry
+ */
+function applyFiatPayout(registry, { ownerId, amount, txHash, address = null, blockNumber = null }) {
+    if (typeof txHash !== 'string' || txHash.length === 0) {
+        throw new Error('txHash is required');
+    }
+    if (typeof amount !== 'number' || !(amount > 0)) {
+        throw new Error('amount must be a positive number');
+    }
+    if (!registry.accounts?.[ownerId]) {
+        throw new Error(`Owner ${ownerId} not found in CDP registry`);
+    }
+
+    if (!registry.fiat_payouts) {
+        registry.fiat_payouts = {};
+    }
+
+    const existing = registry.fiat_payouts[txHash];
+    if (existing) {
+        if (existing.ownerId !== ownerId || existing.amount !== roundCash(amount)) {
+            throw new Error(`Payout for ${txHash} already recorded with different parameters`);
+        }
+        return { success: true, payout: existing };
+    }
+
+    const payout = {
+        txHash,
+        ownerId,
+        address,
+        blockNumber,
+        amount: roundCash(amount),
+        currency: CASH_CURRENCY,
+        status: 'paid',
+        paidAt: new Date().toISOString()
+    };
+    registry.fiat_payouts[txHash] = payout;
+
+    return { success: true, payout };
+}
+
+// Registry sections holding balances, compared by diffRegistry
+const BALANCE_SECTIONS = ['accounts', 'tokenized_custody'];
+
+/**
+ * Collect the numeric leaves of a registry section keyed by their dotted path
+ * @param {*} value - Section (or nested value) to walk
+ * @param {string} path - Path of value (e.g., "accounts.AP.etfs")
+ * @param {Object} balances - Accumulator of path → number
+ * @returns {Object} balances
+ */
+function collectBalances(value, path, balances = {}) {
+    if (typeof value === 'number') {
+        balances[path] = value;
+    } else if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            collectBalances(child, `${path}.${key}`, balances);
+        }
+    }
+    return balances;
+}
+
+/**
+ * List the balances that differ between two copies of the registry
+ * @dev Used by dry runs to show what an operation would change. Missing balances count as 0.
+ * @param {Object} before - Registry before the operation
+ * @param {Object} after - Registry after the operation
+ * @returns {Array<{path: string, before: number, after: number, change: number}>} Changed balances
+ */
+function diffRegistry(before, after) {
+    const beforeBalances = {};
+    const afterBalances = {};
+    for (const section of BALANCE_SECTIONS) {
+        collectBalances(before[section], section, beforeBalances);
+        collectBalances(after[section], section, afterBalances);
+    }
+
+    const paths = new Set([...Object.keys(beforeBalances), ...Object.keys(afterBalances)]);
+    const changes = [];
+    for (const path of paths) {
+        const from = beforeBalances[path] || 0;
+        const to = afterBalances[path] || 0;
+        if (from !== to) {
+            changes.push({ path, before: from, after: to, change: roundCash(to - from) });
+        }
+    }
+    return changes;
+}
+
+export {
+    OPERATION_TYPES,
+    CASH_CURRENCY,
+    getCreationTerms,
+    readRegistry,
+    writeRegistry,
+    updateRegistry,
+    getPendingOperation,
+    getCommittedOperationId,
+    applyCreateETF,
+    applyRedeemETF,
+    applyReserve,
+    applyMarkSubmitted,
+    applyCommit,
+    applyRollback,
+    applyFiatDeposit,
+    applyDepositMinted,
+    applyFiatPayout,
+    summariseReserves,
+    diffRegistry
+};
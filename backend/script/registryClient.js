@@ -0,0 +1,374 @@
+/**
+ * @file registryClient.js
+ * @notice Client used by the helper scripts to change the CDP registry
+ * @dev Sends every registry mutation to the registry service (registryServer.js) so the CLI,
+ * the React app and other team members share one depository state. When the service is not
+ * running the operation is applied to data/cdp-registry.json directly, which is the same file
+ * the service reads on every request.
+ */
+
+import { randomUUID } from 'crypto';
+import {
+    readRegistry,
+    updateRegistry,
+    applyCreateETF,
+    applyRedeemETF,
+    applyReserve,
+    applyMarkSubmitted,
+    applyCommit,
+    applyFiatDeposit,
+    applyDepositMinted,
+    applyFiatPayout,
+    summariseReserves,
+    diffRegistry
+} from './registry.js';
+import {
+    createOperationProvider,
+    commitVerifiedOperation,
+    rollbackVerifiedOperation
+} from './operationEvents.js';
+
+// Base URL of the registry service
+const REGISTRY_API_URL = process.env.REGISTRY_API_URL || 'http://localhost:4000/api';
+
+// Only warn once per process about falling back to the registry file
+let warnedUnavailable = false;
+
+/**
+ * Check whether a fetch failure means the service is not reachable at all
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} True when the request never reached the service
+ */
+function isServiceUnavailable(error) {
+    const code = error.cause?.code;
+    return code === 'ECONNREFUSED' || code === 'ENOTFOUND' || code === 'EHOSTUNREACH';
+}
+
+/**
+ * GET a resource from the registry service, falling back to the local file
+ * @param {string} endpoint - Endpoint path (e.g., "/cdp-registry")
+ * @param {Function} readLocally - Receives the registry and returns the resource when the service is down
+ * @returns {Promise<Object>} Resource
+ */
+async function getResource(endpoint, readLocally) {
+    let response;
+    try {
+        response = await fetch(`${REGISTRY_API_URL}${endpoint}`);
+    } catch (error) {
+        if (!isServiceUnavailable(error)) {
+            throw error;
+        }
+        return readLocally(readRegistry());
+    }
+
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || `Registry service returned ${response.status}`);
+    }
+    return result;
+}
+
+/**
+ * Fetch the full CDP registry
+ * @returns {Promise<Object>} Registry (accounts, owner IDs, ETF compositions, custody, pending operations)
+ */
+function fetchRegistry() {
+    return getResource('/cdp-registry', (registry) => registry);
+}
+
+/**
+ * Fetch a single account
+ * @param {string} ownerId - Owner ID (e.g., "AP")
+ * @returns {Promise<Object>} Account record with stocks and etfs balances
+ */
+function fetchAccount(ownerId) {
+    return getResource(`/accounts/${encodeURIComponent(ownerId)}`, (registry) => {
+        const account = registry.accounts[ownerId];
+        if (!account) {
+            throw new Error(`Owner ${ownerId} not found in CDP registry`);
+        }
+        return { ownerId, ...account };
+    });
+}
+
+/**
+ * Fetch the reserved tokenize/redeem operations that have not been settled yet
+ * @returns {Promise<Array<Object>>} Pending operations
+ */
+function fetchPendingOperations() {
+    return getResource('/pending-operations', (registry) =>
+        Object.values(registry.pending_operations || {})
+    );
+}
+
+/**
+ * Fetch the fiat deposits recorded for SGDC mints
+ * @returns {Promise<Array<Object>>} Onramp ledger entries
+ */
+function fetchFiatDeposits() {
+    return getResource('/fiat-deposits', (registry) =>
+        Object.values(registry.fiat_deposits || {})
+    );
+}
+
+/**
+ * Fetch the fiat reserves summary (deposits received less payouts)
+ * @returns {Promise<Object>} { reserves, received, minted, unminted, paidOut, ledgerSupply } in SGD
+ */
+function fetchReserves() {
+    return getResource('/reserves', (registry) => summariseReserves(registry));
+}
+
+/**
+ * Fetch the fiat payouts recorded for SGDC redemptions
+ * @returns {Promise<Array<Object>>} Offramp ledger entries
+ */
+function fetchFiatPayouts() {
+    return getResource('/fiat-payouts', (registry) =>
+        Object.values(registry.fiat_payouts || {})
+    );
+}
+
+/**
+ * Apply an operation to a copy of the registry without saving it (dry run)
+ * @dev Validation is the same as the real operation, so a dry run fails for the same reasons
+ * @param {Function} apply - Receives the registry copy and applies the operation
+ * @returns {Promise<Object>} { result, diff } where diff lists the balances that would change
+ */
+async function previewOperation(apply) {
+    const registry = await fetchRegistry();
+    const simulated = structuredClone(registry);
+    const result = apply(simulated);
+    return { result, diff: diffRegistry(registry, simulated) };
+}
+
+/**
+ * Print the balance changes a dry run would make
+ * @param {Array<Object>} diff - Changes returned by previewOperation
+ */
+function printRegistryDiff(diff) {
+    console.log('\nCDP registry changes (not written):');
+    if (diff.length === 0) {
+        console.log('  (none)');
+    }
+    for (const { path, before, after, change } of diff) {
+        console.log(`  ${path}: ${before} → ${after} (${change > 0 ? '+' : ''}${change})`);
+    }
+}
+
+/**
+ * POST a request to the registry service, falling back to running it locally
+ * @param {string} endpoint - Endpoint path (e.g., "/create-etf")
+ * @param {Object} body - Request body
+ * @param {Function} runLocally - Carries out the request on data/cdp-registry.json when the service is down
+ * @returns {Promise<Object>} Operation result
+ */
+async function sendOperation(endpoint, body, runLocally) {
+    let response;
+    try {
+        response = await fetch(`${REGISTRY_API_URL}${endpoint}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    } catch (error) {
+        if (!isServiceUnavailable(error)) {
+            throw error;
+        }
+        if (!warnedUnavailable) {
+            console.warn(`  ⚠ Registry service not reachable at ${REGISTRY_API_URL}, updating data/cdp-registry.json directly`);
+            warnedUnavailable = true;
+        }
+        return runLocally();
+    }
+
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || `Registry service returned ${response.status}`);
+    }
+    return result;
+}
+
+/**
+ * POST an operation to the registry service, falling back to the local file
+ * @param {string} endpoint - Endpoint path (e.g., "/create-etf")
+ * @param {Object} body - Request body
+ * @param {Function} applyLocally - Receives the registry and applies the operation when the service is down
+ * @returns {Promise<Object>} Operation result
+ */
+function postOperation(endpoint, body, applyLocally) {
+    return sendOperation(endpoint, body, () => updateRegistry(applyLocally));
+}
+
+/**
+ * Create ETF shares from underlying stocks
+ * @param {string} ownerId - Owner ID (e.g., "AP")
+ * @param {string} symbol - ETF symbol (e.g., "ES3")
+ * @param {number} quantity - Number of ETF shares to create
+ * @returns {Promise<Object>} New ETF balance and the stocks deducted
+ */
+function createETFInRegistry(ownerId, symbol, quantity) {
+    return postOperation('/create-etf', { ownerId, symbol, quantity }, (registry) =>
+        applyCreateETF(registry, ownerId, symbol, quantity)
+    );
+}
+
+/**
+ * Redeem ETF shares in kind back to the underlying stocks
+ * @param {string} ownerId - Owner ID (e.g., "AP")
+ * @param {string} symbol - ETF symbol (e.g., "ES3")
+ * @param {number} quantity - Number of ETF shares to redeem
+ * @returns {Promise<Object>} New ETF balance and the stocks credited
+ */
+function redeemETFInRegistry(ownerId, symbol, quantity) {
+    return postOperation('/redeem-etf', { ownerId, symbol, quantity }, (registry) =>
+        applyRedeemETF(registry, ownerId, symbol, quantity)
+    );
+}
+
+/**
+ * Preview an ETF creation without changing the registry
+ * @param {string} ownerId - Owner ID (e.g., "AP")
+ * @param {string} symbol - ETF symbol (e.g., "ES3")
+ * @param {number} quantity - Number of ETF shares to create
+ * @returns {Promise<Object>} { result, diff }
+ */
+function previewCreateETF(ownerId, symbol, quantity) {
+    return previewOperation((registry) => applyCreateETF(registry, ownerId, symbol, quantity));
+}
+
+/**
+ * Preview an in-kind ETF redemption without changing the registry
+ * @param {string} ownerId - Owner ID (e.g., "AP")
+ * @param {string} symbol - ETF symbol (e.g., "ES3")
+ * @param {number} quantity - Number of ETF shares to redeem
+ * @returns {Promise<Object>} { result, diff }
+ */
+function previewRedeemETF(ownerId, symbol, quantity) {
+    return previewOperation((registry) => applyRedeemETF(registry, ownerId, symbol, quantity));
+}
+
+/**
+ * Preview a tokenize or redeem as if its transaction succeeded (reserve then commit)
+ * @param {string} type - "tokenize" or "redeem"
+ * @param {Object} params - { ownerId, symbol, quantity }
+ * @returns {Promise<Object>} { result, diff } where result is the commit result
+ */
+function previewTwoPhase(type, { ownerId, symbol, quantity }) {
+    return previewOperation((registry) => {
+        const { operation } = applyReserve(registry, { id: 'dry-run', type, ownerId, symbol, quantity });
+        applyMarkSubmitted(registry, operation.id, { txHash: 'dry-run' });
+        return applyCommit(registry, operation.id);
+    });
+}
+
+/**
+ * Reserve registry balances for a tokenize or redeem (phase one)
+ * @param {string} type - "tokenize" or "redeem"
+ * @param {Object} params - { ownerId, symbol, quantity, fromBlock, id? }
+ * @returns {Promise<Object>} Reservation result including the pending operation
+ */
+function reserveOperation(type, { id = randomUUID(), ownerId, symbol, quantity, fromBlock = null }) {
+    const body = { id, ownerId, symbol, quantity, fromBlock };
+    return postOperation(`/${type}`, body, (registry) =>
+        applyReserve(registry, { ...body, type })
+    );
+}
+
+/**
+ * Record the transaction hash (and raw transaction) for a reserved operation
+ * @param {string} id - Operation ID
+ * @param {Object} tx - { txHash, rawTx? }
+ * @returns {Promise<Object>} Updated pending operation
+ */
+function markOperationSubmitted(id, tx) {
+    return postOperation(`/pending-operations/${encodeURIComponent(id)}/submitted`, tx, (registry) =>
+        applyMarkSubmitted(registry, id, tx)
+    );
+}
+
+/**
+ * Commit a pending operation after its transaction succeeded (phase two)
+ * @dev The operation must have been marked submitted, and its transaction must have emitted the
+ * matching dCDP event; the service checks this onchain, and so does the local-file fallback
+ * @param {string} id - Operation ID
+ * @param {Object} [details] - { txHash? }
+ * @returns {Promise<Object>} Finalised operation and new balance
+ */
+function commitOperation(id, details = {}) {
+    return sendOperation(`/pending-operations/${encodeURIComponent(id)}/commit`, details, () =>
+        commitVerifiedOperation(createOperationProvider(), id, details)
+    );
+}
+
+/**
+ * Roll back a pending operation whose transaction failed or was never sent
+ * @dev A submitted operation is only rolled back if its transaction reverted or the node does
+ * not know it; the service checks this onchain, and so does the local-file fallback
+ * @param {string} id - Operation ID
+ * @param {string} reason - Why the operation is rolled back
+ * @returns {Promise<Object>} Rolled back operation and balance
+ */
+function rollbackOperation(id, reason) {
+    return sendOperation(`/pending-operations/${encodeURIComponent(id)}/rollback`, { reason }, () =>
+        rollbackVerifiedOperation(createOperationProvider(), id, reason)
+    );
+}
+
+/**
+ * Record SGD received for an onramp, before the matching SGDC is minted
+ * @param {Object} params - { amount, ownerId?, address?, id? } (an owner ID, an address or both)
+ * @returns {Promise<Object>} Deposit ledger entry
+ */
+function recordFiatDeposit({ id = randomUUID(), ownerId = null, amount, address = null }) {
+    const body = { id, ownerId, amount, address };
+    return postOperation('/fiat-deposits', body, (registry) =>
+        applyFiatDeposit(registry, body)
+    );
+}
+
+/**
+ * Link a fiat deposit to the SGDC.mint() transaction that issued it
+ * @param {string} id - Deposit ID
+ * @param {Object} mint - { txHash, blockNumber? }
+ * @returns {Promise<Object>} Updated deposit ledger entry
+ */
+function markDepositMinted(id, mint) {
+    return postOperation(`/fiat-deposits/${encodeURIComponent(id)}/minted`, mint, (registry) =>
+        applyDepositMinted(registry, id, mint)
+    );
+}
+
+/**
+ * Record the SGD paid out for an SGDC redemption (offramp)
+ * @param {Object} payout - { ownerId, amount, txHash, address?, blockNumber? }
+ * @returns {Promise<Object>} Payout ledger entry
+ */
+function recordFiatPayout(payout) {
+    return postOperation('/fiat-payouts', payout, (registry) =>
+        applyFiatPayout(registry, payout)
+    );
+}
+
+export {
+    REGISTRY_API_URL,
+    fetchRegistry,
+    fetchAccount,
+    fetchPendingOperations,
+    fetchFiatDeposits,
+    fetchFiatPayouts,
+    fetchReserves,
+    createETFInRegistry,
+    redeemETFInRegistry,
+    previewCreateETF,
+    previewRedeemETF,
+    previewTwoPhase,
+    printRegistryDiff,
+    reserveOperation,
+    markOperationSubmitted,
+    commitOperation,
+    rollbackOperation,
+    recordFiatDeposit,
+    markDepositMinted,
+    recordFiatPayout
+};
@@ -0,0 +1,364 @@
+/**
+ * @file registryServer.js
+ * @notice Local HTTP service that owns the offchain CDP registry
+ * @dev Serves data/cdp-registry.json over REST so that the React app, the helper scripts and
+ * every team member on the network read and mutate one consistent depository state.
+ *
+ * Endpoints (all JSON):
+ *   GET  /api/health                 Liveness check
+ *   GET  /api/cdp-registry           Full registry (accounts, owner IDs, ETF compositions)
+ *   GET  /api/accounts               Owner IDs and account balances
+ *   GET  /api/accounts/:ownerId      A single account
+ *   POST /api/create-etf             { ownerId, symbol, quantity }
+ *   POST /api/redeem-etf             { ownerId, symbol, quantity }  In-kind redemption to stocks
+ *   POST /api/tokenize               { ownerId, symbol, quantity, id?, fromBlock? }  Reserve
+ *   POST /api/redeem                 { ownerId, symbol, quantity, id?, fromBlock? }  Reserve
+ *   GET  /api/pending-operations     Reserved tokenize/redeem operations not yet settled
+ *   POST /api/pending-operations/:id/submitted  { txHash, rawTx? }
+ *   POST /api/pending-operations/:id/commit     { txHash? }  Submitted operations only, once
+ *                                               the tx emitted the matching dCDP event
+ *   POST /api/pending-operations/:id/rollback   { reason? }  Submitted operations only once
+ *                                               their tx reverted or is unknown to the node
+ *   GET  /api/fiat-deposits          SGD received for SGDC mints (onramp ledger)
+ *   POST /api/fiat-deposits          { ownerId?, address?, amount, id? }  Record before minting
+ *   POST /api/fiat-deposits/:id/minted  { txHash, blockNumber? }
+ *   GET  /api/fiat-payouts           SGD paid out for SGDC redemptions (offramp ledger)
+ *   POST /api/fiat-payouts           { ownerId, amount, txHash, address?, blockNumber? }
+ *   GET  /api/reserves               Fiat reserves summary from the deposit and payout ledgers
+ *
+ * Tokenize and redeem are two-phase: reserve first, send the transaction, then commit or roll
+ * back based on the receipt (see pendingOperations.js).
+ */
+
+import http from 'http';
+import { randomUUID } from 'crypto';
+import {
+    readRegistry,
+    updateRegistry,
+    applyCreateETF,
+    applyRedeemETF,
+    applyReserve,
+    applyMarkSubmitted,
+    applyFiatDeposit,
+    applyDepositMinted,
+    applyFiatPayout,
+    summariseReserves
+} from './registry.js';
+import {
+    createOperationProvider,
+    commitVerifiedOperation,
+    rollbackVerifiedOperation
+} from './operationEvents.js';
+
+// Port the service listens on (the React app expects 4000 by default)
+const PORT = parseInt(process.env.REGISTRY_PORT || '4000', 10);
+
+// Interface the service binds to. The POST endpoints are not authenticated, so only this
+// machine can reach them unless REGISTRY_HOST opts in to sharing (e.g. 0.0.0.0 on a team network)
+const HOST = process.env.REGISTRY_HOST || '127.0.0.1';
+
+// Origin allowed to call the service from a browser (the React dev server by default)
+const CORS_ORIGIN = process.env.REGISTRY_CORS_ORIGIN || 'http://localhost:3000';
+
+/**
+ * Send a JSON response with CORS headers
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - JSON body
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': CORS_ORIGIN,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body (empty object when there is no body)
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', (chunk) => {
+            data += chunk;
+        });
+        req.on('end', () => {
+            if (!data) {
+                resolve({});
+                return;
+            }
+            try {
+                resolve(JSON.parse(data));
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Validate the { ownerId, symbol, quantity } body shared by all mutating endpoints
+ * @param {Object} body - Parsed request body
+ * @returns {Object} Normalised parameters
+ */
+function parseOperation(body) {
+    const { ownerId, symbol, quantity } = body;
+
+    if (typeof ownerId !== 'string' || ownerId.length === 0) {
+        throw new Error('ownerId is required');
+    }
+    if (typeof symbol !== 'string' || symbol.length === 0) {
+        throw new Error('symbol is required');
+    }
+
+    const parsedQuantity = Number(quantity);
+    if (!Number.isFinite(parsedQuantity) || parsedQuantity <= 0) {
+        throw new Error('quantity must be a positive number');
+    }
+
+    return { ownerId, symbol, quantity: parsedQuantity };
+}
+
+/**
+ * Validate the body of a fiat deposit record
+ * @param {Object} body - Parsed request body
+ * @returns {Object} Normalised deposit parameters (without the ID)
+ */
+function parseFiatDeposit(body) {
+    const { ownerId = null, amount, address = null } = body;
+
+    if (ownerId !== null && (typeof ownerId !== 'string' || ownerId.length === 0)) {
+        throw new Error('ownerId must be a non-empty string');
+    }
+
+    const parsedAmount = Number(amount);
+    if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+        throw new Error('amount must be a positive number');
+    }
+
+    return { ownerId, amount: parsedAmount, address };
+}
+
+/**
+ * Validate the body of a fiat payout record
+ * @param {Object} body - Parsed request body
+ * @returns {Object} Normalised payout parameters
+ */
+function parseFiatPayout(body) {
+    const { ownerId, amount, txHash, address = null, blockNumber = null } = body;
+
+    if (typeof ownerId !== 'string' || ownerId.length === 0) {
+        throw new Error('ownerId is required');
+    }
+    if (typeof txHash !== 'string' || txHash.length === 0) {
+        throw new Error('txHash is required');
+    }
+
+    const parsedAmount = Number(amount);
+    if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+        throw new Error('amount must be a positive number');
+    }
+
+    return {
+        ownerId,
+        amount: parsedAmount,
+        txHash,
+        address,
+        blockNumber: Number.isInteger(blockNumber) ? blockNumber : null
+    };
+}
+
+// Reservation endpoints mapped to the two-phase operation type they start
+const RESERVATIONS = {
+    '/api/tokenize': 'tokenize',
+    '/api/redeem': 'redeem'
+};
+
+// Chain used to verify commits and rollbacks
+const provider = createOperationProvider();
+
+// Endpoints that settle a pending operation; commit and rollback are checked onchain first
+const SETTLEMENTS = {
+    submitted: (id, body) => updateRegistry((registry) => applyMarkSubmitted(registry, id, body)),
+    commit: (id, body) => commitVerifiedOperation(provider, id, body),
+    rollback: (id, body) => rollbackVerifiedOperation(provider, id, body.reason)
+};
+
+/**
+ * Route a request to its handler
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'OPTIONS') {
+        sendJSON(res, 204, {});
+        return;
+    }
+
+    if (req.method === 'GET') {
+        if (pathname === '/api/health') {
+            sendJSON(res, 200, { status: 'ok' });
+            return;
+        }
+
+        if (pathname === '/api/cdp-registry') {
+            sendJSON(res, 200, readRegistry());
+            return;
+        }
+
+        if (pathname === '/api/accounts') {
+            const registry = readRegistry();
+            sendJSON(res, 200, { owner_ids: registry.owner_ids, accounts: registry.accounts });
+            return;
+        }
+
+        const accountMatch = pathname.match(/^\/api\/accounts\/([^/]+)$/);
+        if (accountMatch) {
+            const ownerId = decodeURIComponent(accountMatch[1]);
+            const account = readRegistry().accounts[ownerId];
+            if (!account) {
+                sendJSON(res, 404, { error: `Owner ${ownerId} not found in CDP registry` });
+                return;
+            }
+            sendJSON(res, 200, { ownerId, ...account });
+            return;
+        }
+
+        if (pathname === '/api/pending-operations') {
+            sendJSON(res, 200, Object.values(readRegistry().pending_operations || {}));
+            return;
+        }
+
+        if (pathname === '/api/fiat-deposits') {
+            sendJSON(res, 200, Object.values(readRegistry().fiat_deposits || {}));
+            return;
+        }
+
+        if (pathname === '/api/reserves') {
+            sendJSON(res, 200, summariseReserves(readRegistry()));
+            return;
+        }
+
+        if (pathname === '/api/fiat-payouts') {
+            sendJSON(res, 200, Object.values(readRegistry().fiat_payouts || {}));
+            return;
+        }
+    }
+
+    if (req.method === 'POST' && pathname === '/api/create-etf') {
+        const { ownerId, symbol, quantity } = parseOperation(await readBody(req));
+        const result = await updateRegistry((registry) =>
+            applyCreateETF(registry, ownerId, symbol, quantity)
+        );
+        console.log(`[registry] ${pathname} ${ownerId} ${quantity} ${symbol}`);
+        sendJSON(res, 200, result);
+        return;
+    }
+
+    if (req.method === 'POST' && pathname === '/api/redeem-etf') {
+        const { ownerId, symbol, quantity } = parseOperation(await readBody(req));
+        const result = await updateRegistry((registry) =>
+            applyRedeemETF(registry, ownerId, symbol, quantity)
+        );
+        console.log(`[registry] ${pathname} ${ownerId} ${quantity} ${symbol}`);
+        sendJSON(res, 200, result);
+        return;
+    }
+
+    if (req.method === 'POST' && RESERVATIONS[pathname]) {
+        const body = await readBody(req);
+        const { ownerId, symbol, quantity } = parseOperation(body);
+        const id = body.id || randomUUID();
+        const fromBlock = Number.isInteger(body.fromBlock) ? body.fromBlock : null;
+        const result = await updateRegistry((registry) =>
+            applyReserve(registry, { id, type: RESERVATIONS[pathname], ownerId, symbol, quantity, fromBlock })
+        );
+        console.log(`[registry] ${pathname} reserved ${id}: ${ownerId} ${quantity} ${symbol}`);
+        sendJSON(res, 200, result);
+        return;
+    }
+
+    if (req.method === 'POST' && pathname === '/api/fiat-deposits') {
+        const body = await readBody(req);
+        const deposit = { ...parseFiatDeposit(body), id: body.id || randomUUID() };
+        const result = await updateRegistry((registry) => applyFiatDeposit(registry, deposit));
+        console.log(`[registry] ${pathname} ${deposit.id}: ${deposit.ownerId} ${deposit.amount} SGD`);
+        sendJSON(res, 200, result);
+        return;
+    }
+
+    const depositMatch = pathname.match(/^\/api\/fiat-deposits\/([^/]+)\/minted$/);
+    if (req.method === 'POST' && depositMatch) {
+        const id = decodeURIComponent(depositMatch[1]);
+        const { txHash, blockNumber } = await readBody(req);
+        const result = await updateRegistry((registry) =>
+            applyDepositMinted(registry, id, { txHash, blockNumber: Number.isInteger(blockNumber) ? blockNumber : null })
+        );
+        console.log(`[registry] deposit ${id} minted in ${txHash}`);
+        sendJSON(res, 200, result);
+        return;
+    }
+
+    if (req.method === 'POST' && pathname === '/api/fiat-payouts') {
+        const payout = parseFiatPayout(await readBody(req));
+        const result = await updateRegistry((registry) => applyFiatPayout(registry, payout));
+        console.log(`[registry] ${pathname} ${payout.ownerId} ${payout.amount} SGD for ${payout.txHash}`);
+        sendJSON(res, 200, result);
+        return;
+    }
+
+    const settlementMatch = pathname.match(/^\/api\/pending-operations\/([^/]+)\/(submitted|commit|rollback)$/);
+    if (req.method === 'POST' && settlementMatch) {
+        const id = decodeURIComponent(settlementMatch[1]);
+        const action = settlementMatch[2];
+        // Only commit what the chain confirms (the recorded transaction emitted the operation's
+        // Tokenized/Redeemed event), and only roll back a transaction that cannot succeed
+        const result = await SETTLEMENTS[action](id, await readBody(req));
+        console.log(`[registry] ${action} ${id}`);
+        sendJSON(res, 200, result);
+        return;
+    }
+
+    sendJSON(res, 404, { error: `No route for ${req.method} ${pathname}` });
+}
+
+/**
+ * Start the registry service
+ * @param {number} port - Port to listen on
+ * @param {string} host - Interface to bind to
+ * @returns {http.Server} Running server
+ */
+function startRegistryServer(port = PORT, host = HOST) {
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch((error) => {
+            // Registry operations throw on validation failures, report them as bad requests
+            sendJSON(res, 400, { error: error.message });
+        });
+    });
+
+    server.listen(port, host, () => {
+        console.log(`CDP registry service listening on http://${host}:${port}/api (browser origin ${CORS_ORIGIN})`);
+
+        const pending = Object.keys(readRegistry().pending_operations || {}).length;
+        if (pending > 0) {
+            console.log(`${pending} pending tokenize/redeem operation(s) found. Resolve them with: npm run resume`);
+        }
+    });
+
+    return server;
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    startRegistryServer();
+}
+
+export { startRegistryServer };
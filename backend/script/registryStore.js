@@ -0,0 +1,277 @@
+/**
+ * @file registryStore.js
+ * @notice Crash-safe storage for data/cdp-registry.json
+ * @dev Every process that touches the registry (the registry service and the helper scripts)
+ * goes through this module so that concurrent writers cannot lose each other's updates and a
+ * crash mid-write can never leave a half-written file behind.
+ *
+ * - Advisory lock: a `cdp-registry.json.lock` file created with O_EXCL. Locks left behind by a
+ *   process that no longer exists (or that are older than LOCK_STALE_MS) are broken. Waiting for
+ *   the lock is asynchronous, so the registry service keeps serving while a script holds it.
+ * - Atomic writes: the registry is written to a temp file in the same directory, fsync'd and
+ *   renamed over the original, so readers see either the old or the new file.
+ * - Version counter: the registry carries a `version` that is bumped on every write. A write
+ *   based on an older version than the one on disk is rejected instead of overwriting it.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Path to CDP registry JSON file
+const CDP_REGISTRY_PATH = path.join(__dirname, '../data/cdp-registry.json');
+const LOCK_PATH = `${CDP_REGISTRY_PATH}.lock`;
+
+// How long to wait for the lock before giving up
+const LOCK_TIMEOUT_MS = parseInt(process.env.REGISTRY_LOCK_TIMEOUT_MS || '5000', 10);
+
+// Locks older than this are assumed to belong to a crashed process
+const LOCK_STALE_MS = 30000;
+
+// Delay between lock attempts
+const LOCK_RETRY_MS = 25;
+
+/**
+ * Error thrown when a write is based on an outdated copy of the registry
+ */
+class StaleRegistryError extends Error {
+    constructor(expectedVersion, currentVersion) {
+        super(
+            `CDP registry changed since it was read (read version ${expectedVersion}, ` +
+            `current version ${currentVersion}). Re-read the registry and retry.`
+        );
+        this.name = 'StaleRegistryError';
+        this.expectedVersion = expectedVersion;
+        this.currentVersion = currentVersion;
+    }
+}
+
+/**
+ * Check whether a process with the given PID is still running on this machine
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM means the process exists but belongs to another user
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Decide whether an existing lock file was left behind by a crashed process
+ * @param {string} [lockPath] - Lock file to check
+ * @returns {boolean} True if the lock can safely be broken
+ */
+function isLockStale(lockPath = LOCK_PATH) {
+    try {
+        const stats = fs.statSync(lockPath);
+        if (Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+            return true;
+        }
+        const owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+        return owner.hostname === os.hostname() && !isProcessAlive(owner.pid);
+    } catch (error) {
+        // Lock vanished or is being written right now - let the next attempt decide
+        return false;
+    }
+}
+
+/**
+ * Break a lock that looked stale
+ * @dev Two waiters can both see the same lock as stale. Renaming it to a name only this process
+ * uses means just one of them takes it away; the lock is then checked again, and put back if it
+ * turns out to be a live lock another waiter acquired after the first check.
+ */
+function breakStaleLock() {
+    const claimedPath = `${LOCK_PATH}.${process.pid}.${Date.now()}.stale`;
+    try {
+        fs.renameSync(LOCK_PATH, claimedPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return; // Another waiter broke or released it first
+        }
+        throw error;
+    }
+
+    if (!isLockStale(claimedPath)) {
+        try {
+            // Fails if a new lock was created meanwhile, which then stays in place
+            fs.linkSync(claimedPath, LOCK_PATH);
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+    }
+    fs.rmSync(claimedPath, { force: true });
+}
+
+/**
+ * Acquire the advisory registry lock
+ * @returns {Promise<number>} File descriptor of the lock file
+ */
+async function acquireLock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    while (true) {
+        try {
+            const fd = fs.openSync(LOCK_PATH, 'wx');
+            fs.writeSync(fd, JSON.stringify({
+                pid: process.pid,
+                hostname: os.hostname(),
+                acquiredAt: new Date().toISOString()
+            }));
+            return fd;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        if (isLockStale()) {
+            breakStaleLock();
+            continue;
+        }
+
+        if (Date.now() > deadline) {
+            throw new Error(
+                `Timed out waiting for CDP registry lock (${LOCK_PATH}). ` +
+                `If no other script is running, delete the lock file and retry.`
+            );
+        }
+        await sleep(LOCK_RETRY_MS);
+    }
+}
+
+/**
+ * Release the advisory registry lock
+ * @dev A process that held the lock for longer than LOCK_STALE_MS may have had it broken and
+ * re-acquired by another process, so the lock file is only removed if it is still the file
+ * this process created (same inode as the descriptor it holds)
+ * @param {number} fd - File descriptor returned by acquireLock
+ */
+function releaseLock(fd) {
+    try {
+        const held = fs.fstatSync(fd);
+        const current = fs.statSync(LOCK_PATH);
+        if (held.ino === current.ino && held.dev === current.dev) {
+            fs.rmSync(LOCK_PATH, { force: true });
+        } else {
+            console.warn(`CDP registry lock was broken while this process (${process.pid}) held it`);
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Run a function while holding the registry lock
+ * @dev fn runs synchronously, so the lock is held for as short a time as possible
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} Return value of fn
+ */
+async function withRegistryLock(fn) {
+    const fd = await acquireLock();
+    try {
+        return fn();
+    } finally {
+        releaseLock(fd);
+    }
+}
+
+/**
+ * Read the CDP registry from disk
+ * @returns {Object} Parsed registry (version defaults to 0 for files written before versioning)
+ */
+function readRegistry() {
+    const registry = JSON.parse(fs.readFileSync(CDP_REGISTRY_PATH, 'utf8'));
+    if (!Number.isInteger(registry.version)) {
+        registry.version = 0;
+    }
+    return registry;
+}
+
+/**
+ * Write the registry to a temp file and atomically rename it over the original
+ * @param {Object} registry - Registry to persist
+ */
+function writeFileAtomic(registry) {
+    const tempPath = `${CDP_REGISTRY_PATH}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, `${JSON.stringify(registry, null, 2)}\n`);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, CDP_REGISTRY_PATH);
+
+    // Persist the rename itself; not supported on every platform (e.g. Windows)
+    try {
+        const dirFd = fs.openSync(path.dirname(CDP_REGISTRY_PATH), 'r');
+        fs.fsyncSync(dirFd);
+        fs.closeSync(dirFd);
+    } catch (error) {
+        // Best effort
+    }
+}
+
+/**
+ * Persist a registry that was previously returned by readRegistry
+ * @dev For changes that cannot run under the lock, such as a commit that first checks the chain
+ * (operationEvents.commitVerifiedOperation). Rejects the write with StaleRegistryError if another
+ * writer saved a newer version since the registry was read.
+ * @param {Object} registry - Registry to persist (its version is bumped on success)
+ * @returns {Promise<void>}
+ */
+async function writeRegistry(registry) {
+    await withRegistryLock(() => {
+        const expectedVersion = Number.isInteger(registry.version) ? registry.version : 0;
+        const currentVersion = readRegistry().version;
+        if (currentVersion !== expectedVersion) {
+            throw new StaleRegistryError(expectedVersion, currentVersion);
+        }
+
+        writeFileAtomic({ ...registry, version: expectedVersion + 1 });
+        registry.version = expectedVersion + 1;
+    });
+}
+
+/**
+ * Read the registry, apply an operation and write the result back under the lock
+ * @dev The operation must not have side effects outside the registry object: it is only
+ * persisted if it returns without throwing
+ * @param {Function} operation - Receives the registry, mutates it and returns a result
+ * @returns {Promise<*>} Result returned by the operation
+ */
+function updateRegistry(operation) {
+    return withRegistryLock(() => {
+        const registry = readRegistry();
+        const result = operation(registry);
+        registry.version += 1;
+        writeFileAtomic(registry);
+        return result;
+    });
+}
+
+export {
+    CDP_REGISTRY_PATH,
+    StaleRegistryError,
+    readRegistry,
+    writeRegistry,
+    updateRegistry,
+    withRegistryLock
+};
@@ -0,0 +1,149 @@
+/**
+ * @file signer.js
+ * @notice Resolves the account that signs onchain transactions for the helper scripts
+ * @dev Keys are never passed on the command line, where they would end up in shell history.
+ * The first configured source wins:
+ *
+ *   1. Encrypted JSON keystore - path from the `keystore` option (tetf --keystore) or TETF_KEYSTORE.
+ *      The password comes from TETF_KEYSTORE_PASSWORD, or is prompted for on a terminal.
+ *   2. Environment key        - TETF_PRIVATE_KEY
+ *
+ * Create a keystore from an existing key with: TETF_PRIVATE_KEY=0x... node signer.js <file>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { ethers } from 'ethers';
+
+/**
+ * Read a password from the terminal without echoing it
+ * @param {string} prompt - Prompt text
+ * @returns {Promise<string>} Password
+ */
+function promptPassword(prompt) {
+    if (!process.stdin.isTTY) {
+        throw new Error('Keystore password required: set TETF_KEYSTORE_PASSWORD or run in a terminal');
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    // Print the prompt once, then swallow the echoed keystrokes
+    process.stderr.write(prompt);
+    rl._writeToOutput = () => {};
+
+    return new Promise((resolve) => {
+        rl.question('', (password) => {
+            rl.close();
+            process.stderr.write('\n');
+            resolve(password);
+        });
+    });
+}
+
+/**
+ * Get the keystore password from the environment or the terminal
+ * @param {string} prompt - Prompt text used when TETF_KEYSTORE_PASSWORD is not set
+ * @returns {Promise<string>} Password
+ */
+async function getKeystorePassword(prompt) {
+    if (process.env.TETF_KEYSTORE_PASSWORD !== undefined) {
+        return process.env.TETF_KEYSTORE_PASSWORD;
+    }
+    return promptPassword(prompt);
+}
+
+/**
+ * Load the signing wallet
+ * @param {ethers.Provider} provider - Provider the wallet is connected to
+ * @param {Object} [options]
+ * @param {string} [options.keystore] - Encrypted JSON keystore path (overrides TETF_KEYSTORE)
+ * @param {string} [options.privateKey] - Raw key (overrides TETF_PRIVATE_KEY)
+ * @param {string} [options.envPrefix] - Prefix of the environment variables named in errors
+ * (default "TETF"; scripts that sign as a second account pass their own, e.g. "TETF_MM")
+ * @returns {Promise<ethers.Wallet>} Wallet connected to provider
+ */
+async function loadSigner(provider, {
+    keystore = process.env.TETF_KEYSTORE,
+    privateKey = process.env.TETF_PRIVATE_KEY,
+    envPrefix = 'TETF'
+} = {}) {
+    if (keystore) {
+        const file = path.resolve(keystore);
+        let json;
+        try {
+            json = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new Error(`Keystore not found: ${file}`);
+        }
+
+        const password = await getKeystorePassword(`Password for ${path.basename(file)}: `);
+        try {
+            const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+            return wallet.connect(provider);
+        } catch (error) {
+            throw new Error(`Could not decrypt keystore ${file}: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    if (privateKey) {
+        try {
+            return new ethers.Wallet(privateKey, provider);
+        } catch (error) {
+            throw new Error(`${envPrefix}_PRIVATE_KEY is not a valid private key: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    throw new Error(
+        `No signer configured: set ${envPrefix}_KEYSTORE to an encrypted JSON keystore` +
+        `${envPrefix === 'TETF' ? ' (tetf: --keystore)' : ''}, or set ${envPrefix}_PRIVATE_KEY`
+    );
+}
+
+/**
+ * Encrypt the key in TETF_PRIVATE_KEY into a JSON keystore
+ * @param {string} outputPath - Where to write the keystore
+ * @returns {Promise<Object>} Keystore path and address
+ */
+async function createKeystore(outputPath) {
+    if (!process.env.TETF_PRIVATE_KEY) {
+        throw new Error('Set TETF_PRIVATE_KEY to the key to encrypt');
+    }
+    const file = path.resolve(outputPath);
+    if (fs.existsSync(file)) {
+        throw new Error(`${file} already exists`);
+    }
+
+    const wallet = new ethers.Wallet(process.env.TETF_PRIVATE_KEY);
+    const password = await getKeystorePassword('New keystore password: ');
+    if (!password) {
+        throw new Error('Keystore password cannot be empty');
+    }
+
+    fs.writeFileSync(file, await wallet.encrypt(password), { mode: 0o600 });
+    return { success: true, keystore: file, address: wallet.address };
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = process.argv.slice(2);
+
+    if (args.length !== 1) {
+        console.error('Usage: TETF_PRIVATE_KEY=0x... node signer.js <keystoreFile>');
+        console.error('Example: TETF_PRIVATE_KEY=0x... node signer.js ~/.tetf/admin.json');
+        console.error('\nThen use it with: TETF_KEYSTORE=~/.tetf/admin.json node tokenize.js AP ES3 50');
+        process.exit(1);
+    }
+
+    createKeystore(args[0])
+        .then(result => {
+            console.log('\n=== Success ===');
+            console.log(JSON.stringify(result, null, 2));
+        })
+        .catch(error => {
+            console.error('\n=== Error ===');
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+export { loadSigner, createKeystore };
@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+/**
+ * @file tetf.js
+ * @notice Single command line entrypoint for the tokenized ETF helper scripts
+ * @dev Wraps the standalone scripts as subcommands with named flags:
+ *
+ *   tetf create-etf    --owner AP --symbol ES3 --quantity 1000 [--dry-run]
+ *   tetf redeem-etf    --owner AP --symbol ES3 --quantity 1000 [--dry-run]
+ *   tetf tokenize      --owner AP --symbol ES3 --quantity 50 [--dry-run]
+ *   tetf redeem        --owner AP --symbol ES3 --quantity 50 [--dry-run]
+ *   tetf create-wallet --owner THOMAS --address 0x...
+ *   tetf mint-sgdc     --to THOMAS --amount 1000
+ *   tetf offramp-sgdc  --owner THOMAS --amount 1000
+ *   tetf balances      [--owner AP]
+ *   tetf reconcile     [--symbol ES3] [--from-block 0]
+ *   tetf proof-of-reserves [--from-block 0] [--out report.json]
+ *
+ * Every subcommand accepts --json: progress messages go to stderr and the result is written to
+ * stdout as JSON ({ "success": false, "error": "..." } on failure).
+ *
+ * Settings are taken from the first of: flag, environment variable, config file, default.
+ *
+ *   Flag             Environment         Config file key   Default
+ *   --rpc-url        RPC_URL             rpcUrl            http://localhost:8545
+ *   --registry-url   REGISTRY_API_URL    registryUrl       http://localhost:4000/api
+ *   --keystore       TETF_KEYSTORE       keystore          (none)
+ *
+ * The config file is tetf.config.json in the working directory, or the path given with
+ * --config or TETF_CONFIG. Commands that send transactions sign with the keystore, or with
+ * TETF_PRIVATE_KEY when no keystore is configured (see signer.js); keys are never accepted as
+ * flags or config values.
+ *
+ * Exit codes: 0 success, 1 command failed, 2 usage error, 3 reconciliation or proof of reserves
+ * found breaks.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+
+const EXIT_CODES = {
+    OK: 0,
+    FAILED: 1,
+    USAGE: 2,
+    BREAKS: 3
+};
+
+const DEFAULT_CONFIG_FILE = 'tetf.config.json';
+
+const DEFAULTS = {
+    rpcUrl: 'http://localhost:8545',
+    registryUrl: 'http://localhost:4000/api'
+};
+
+// Flags accepted by every subcommand
+const GLOBAL_OPTIONS = {
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    config: { type: 'string' },
+    'rpc-url': { type: 'string' },
+    'registry-url': { type: 'string' },
+    keystore: { type: 'string' }
+};
+
+const DRY_RUN_OPTION = { 'dry-run': { type: 'boolean', default: false } };
+
+/**
+ * Create an error that exits with the usage exit code
+ * @param {string} message - What was wrong with the command line
+ * @returns {Error} Error tagged with exitCode
+ */
+function usageError(message) {
+    return Object.assign(new Error(message), { exitCode: EXIT_CODES.USAGE });
+}
+
+/**
+ * Parse a positive quantity flag
+ * @param {string} name - Flag name, for the error message
+ * @param {string} value - Flag value
+ * @param {Object} [options]
+ * @param {boolean} [options.integer] - Require a whole number
+ * @returns {number} Parsed quantity
+ */
+function parseQuantity(name, value, { integer = false } = {}) {
+    const quantity = Number(value);
+    if (!Number.isFinite(quantity) || quantity <= 0 || (integer && !Number.isInteger(quantity))) {
+        throw usageError(`--${name} must be a positive ${integer ? 'integer' : 'number'}`);
+    }
+    return quantity;
+}
+
+/**
+ * Load the signing wallet from the configured keystore or TETF_PRIVATE_KEY
+ * @param {Object} settings - Resolved settings
+ * @returns {Promise<ethers.Wallet>} Wallet connected to the RPC provider
+ */
+async function loadWallet(settings) {
+    const [{ ethers }, { loadSigner }] = await Promise.all([import('ethers'), import('./signer.js')]);
+    return loadSigner(new ethers.JsonRpcProvider(settings.rpcUrl), { keystore: settings.keystore });
+}
+
+/**
+ * Print a command result the way the standalone scripts do
+ * @param {Object} result - Command result
+ */
+function printSuccess(result) {
+    console.log('\n=== Success ===');
+    console.log(JSON.stringify(result, null, 2));
+}
+
+// Subcommands. Modules are imported on demand so each picks up the resolved settings from the
+// environment when it loads.
+const COMMANDS = {
+    'create-etf': {
+        summary: 'Create ETF shares from constituent stocks and cash (Depository registry)',
+        usage: '--owner <id> --symbol <etf> --quantity <shares> [--dry-run]',
+        options: { owner: { type: 'string' }, symbol: { type: 'string' }, quantity: { type: 'string' }, ...DRY_RUN_OPTION },
+        required: ['owner', 'symbol', 'quantity'],
+        async run(values) {
+            const { createETF } = await import('./createETF.js');
+            const quantity = parseQuantity('quantity', values.quantity, { integer: true });
+            return createETF(values.owner, values.symbol, quantity, { dryRun: values['dry-run'] });
+        }
+    },
+    'redeem-etf': {
+        summary: 'Redeem ETF shares in kind back to constituent stocks (Depository registry)',
+        usage: '--owner <id> --symbol <etf> --quantity <shares> [--dry-run]',
+        options: { owner: { type: 'string' }, symbol: { type: 'string' }, quantity: { type: 'string' }, ...DRY_RUN_OPTION },
+        required: ['owner', 'symbol', 'quantity'],
+        async run(values) {
+            const { redeemETF } = await import('./redeemETF.js');
+            const quantity = parseQuantity('quantity', values.quantity, { integer: true });
+            return redeemETF(values.owner, values.symbol, quantity, { dryRun: values['dry-run'] });
+        }
+    },
+    tokenize: {
+        summary: 'Lock ETF shares in the registry and mint the tokenized ETF via dCDP',
+        usage: '--owner <id> --symbol <etf> --quantity <shares> [--dry-run]',
+        options: { owner: { type: 'string' }, symbol: { type: 'string' }, quantity: { type: 'string' }, ...DRY_RUN_OPTION },
+        required: ['owner', 'symbol', 'quantity'],
+        async run(values, settings) {
+            const { tokenize } = await import('./tokenize.js');
+            const quantity = parseQuantity('quantity', values.quantity);
+            return tokenize(values.owner, values.symbol, quantity, await loadWallet(settings), { dryRun: values['dry-run'] });
+        }
+    },
+    redeem: {
+        summary: 'Burn the tokenized ETF via dCDP and credit the ETF shares back in the registry',
+        usage: '--owner <id> --symbol <etf> --quantity <shares> [--dry-run]',
+        options: { owner: { type: 'string' }, symbol: { type: 'string' }, quantity: { type: 'string' }, ...DRY_RUN_OPTION },
+        required: ['owner', 'symbol', 'quantity'],
+        async run(values, settings) {
+            const { redeem } = await import('./redeem.js');
+            const quantity = parseQuantity('quantity', values.quantity);
+            return redeem(values.owner, values.symbol, quantity, await loadWallet(settings), { dryRun: values['dry-run'] });
+        }
+    },
+    'create-wallet': {
+        summary: 'Register a wallet address for an owner ID in dCDP',
+        usage: '--owner <id> --address <wallet>',
+        options: { owner: { type: 'string' }, address: { type: 'string' } },
+        required: ['owner', 'address'],
+        async run(values, settings) {
+            const { createWallet } = await import('./createWallet.js');
+            return createWallet(values.owner, values.address, await loadWallet(settings));
+        }
+    },
+    'mint-sgdc': {
+        summary: 'Mint SGDC to an owner ID or address (signed by the SGDC minter)',
+        usage: '--to <id|address> --amount <sgdc>',
+        options: { to: { type: 'string' }, amount: { type: 'string' } },
+        required: ['to', 'amount'],
+        async run(values, settings) {
+            const { mintSGDC } = await import('./mintSGDC.js');
+            const amount = parseQuantity('amount', values.amount);
+            return mintSGDC(values.to, amount, await loadWallet(settings));
+        }
+    },
+    'offramp-sgdc': {
+        summary: 'Redeem SGDC for SGD and record the fiat payout (signed by the owner\'s wallet)',
+        usage: '--owner <id> --amount <sgdc>',
+        options: { owner: { type: 'string' }, amount: { type: 'string' } },
+        required: ['owner', 'amount'],
+        async run(values, settings) {
+            const { offrampSGDC } = await import('./offrampSGDC.js');
+            const amount = parseQuantity('amount', values.amount);
+            return offrampSGDC(values.owner, amount, await loadWallet(settings));
+        }
+    },
+    balances: {
+        summary: 'Show Depository and onchain balances',
+        usage: '[--owner <id>]',
+        options: { owner: { type: 'string' } },
+        required: [],
+        async run(values) {
+            const { getBalances } = await import('./balances.js');
+            return getBalances({ ownerId: values.owner });
+        },
+        async print(balances) {
+            const { printBalances } = await import('./balances.js');
+            printBalances(balances);
+        }
+    },
+    reconcile: {
+        summary: 'Reconcile registry custody with the tokenized ETF supply',
+        usage: '[--symbol <etf>] [--from-block <n>]',
+        options: { symbol: { type: 'string', default: 'ES3' }, 'from-block': { type: 'string', default: '0' } },
+        required: [],
+        async run(values) {
+            const { reconcile } = await import('./reconcile.js');
+            const fromBlock = Number(values['from-block']);
+            if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+                throw usageError('--from-block must be a non-negative integer');
+            }
+            return reconcile({ symbol: values.symbol, fromBlock });
+        },
+        async print(report) {
+            const { printReport } = await import('./reconcile.js');
+            printReport(report);
+        },
+        exitCode: (report) => (report.ok ? EXIT_CODES.OK : EXIT_CODES.BREAKS)
+    },
+    'proof-of-reserves': {
+        summary: 'Check SGDC reserves against supply and publish a Merkle root of holder balances',
+        usage: '[--from-block <n>] [--out <file>]',
+        options: { 'from-block': { type: 'string', default: '0' }, out: { type: 'string' } },
+        required: [],
+        async run(values) {
+            const { proofOfReserves } = await import('./proofOfReserves.js');
+            const fromBlock = Number(values['from-block']);
+            if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+                throw usageError('--from-block must be a non-negative integer');
+            }
+            const report = await proofOfReserves({ fromBlock });
+            if (values.out) {
+                fs.writeFileSync(values.out, `${JSON.stringify(report, null, 2)}\n`);
+            }
+            return report;
+        },
+        async print(report) {
+            const { printReport } = await import('./proofOfReserves.js');
+            printReport(report);
+        },
+        exitCode: (report) => (report.ok ? EXIT_CODES.OK : EXIT_CODES.BREAKS)
+    }
+};
+
+/**
+ * Read the config file
+ * @param {string} [configPath] - Explicit path (--config or TETF_CONFIG); must exist if given
+ * @returns {Object} Config values ({} when the default file does not exist)
+ */
+function readConfig(configPath) {
+    const file = path.resolve(configPath || DEFAULT_CONFIG_FILE);
+    if (!fs.existsSync(file)) {
+        if (configPath) {
+            throw usageError(`Config file not found: ${file}`);
+        }
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw usageError(`Invalid config file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Resolve settings from flags, environment, config file and defaults
+ * @param {Object} values - Parsed flags
+ * @returns {{rpcUrl: string, registryUrl: string, keystore: (string|undefined)}} Settings
+ */
+function resolveSettings(values) {
+    const config = readConfig(values.config || process.env.TETF_CONFIG);
+    return {
+        rpcUrl: values['rpc-url'] || process.env.RPC_URL || config.rpcUrl || DEFAULTS.rpcUrl,
+        registryUrl: values['registry-url'] || process.env.REGISTRY_API_URL || config.registryUrl || DEFAULTS.registryUrl,
+        keystore: values.keystore || process.env.TETF_KEYSTORE || config.keystore
+    };
+}
+
+/**
+ * Build the help text
+ * @param {string} [name] - Subcommand to describe (default: all)
+ * @returns {string} Help text
+ */
+function helpText(name) {
+    if (name) {
+        const command = COMMANDS[name];
+        return [
+            `${command.summary}\n`,
+            `Usage: tetf ${name} ${command.usage} [--json]`,
+            '\nCommon flags: --json, --config <file>, --rpc-url <url>, --registry-url <url>, --keystore <file>'
+        ].join('\n');
+    }
+    const width = Math.max(...Object.keys(COMMANDS).map((commandName) => commandName.length));
+    return [
+        'Usage: tetf <command> [flags]\n',
+        'Commands:',
+        ...Object.entries(COMMANDS).map(([commandName, command]) =>
+            `  ${commandName.padEnd(width)}  ${command.summary}`
+        ),
+        '\nCommon flags: --json, --config <file>, --rpc-url <url>, --registry-url <url>, --keystore <file>',
+        'Run "tetf <command> --help" for the flags of a command.',
+        '\nExit codes: 0 success, 1 command failed, 2 usage error, 3 reconciliation found breaks'
+    ].join('\n');
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    const [name, ...rest] = argv;
+
+    if (!name || name === '--help' || name === '-h' || name === 'help') {
+        console.log(helpText());
+        return name ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    const command = COMMANDS[name];
+    if (!command) {
+        console.error(`Unknown command: ${name}\n`);
+        console.error(helpText());
+        return EXIT_CODES.USAGE;
+    }
+
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args: rest,
+            options: { ...GLOBAL_OPTIONS, ...command.options },
+            strict: true,
+            allowPositionals: false
+        }));
+    } catch (error) {
+        console.error(`${error.message}\n`);
+        console.error(helpText(name));
+        return EXIT_CODES.USAGE;
+    }
+
+    if (values.help) {
+        console.log(helpText(name));
+        return EXIT_CODES.OK;
+    }
+
+    // Keep stdout for the JSON result; the scripts' progress output goes to stderr
+    const json = values.json;
+    if (json) {
+        console.log = console.error;
+    }
+
+    try {
+        const missing = command.required.filter((flag) => values[flag] === undefined);
+        if (missing.length > 0) {
+            throw usageError(`Missing ${missing.map((flag) => `--${flag}`).join(', ')}`);
+        }
+
+        // The scripts read their endpoints from the environment when they are imported
+        const settings = resolveSettings(values);
+        process.env.RPC_URL = settings.rpcUrl;
+        process.env.REGISTRY_API_URL = settings.registryUrl;
+
+        const result = await command.run(values, settings);
+
+        if (json) {
+            process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+        } else if (command.print) {
+            await command.print(result);
+        } else {
+            printSuccess(result);
+        }
+        return command.exitCode ? command.exitCode(result) : EXIT_CODES.OK;
+    } catch (error) {
+        const exitCode = error.exitCode || EXIT_CODES.FAILED;
+        if (json) {
+            process.stdout.write(`${JSON.stringify({ success: false, error: error.message }, null, 2)}\n`);
+        } else {
+            console.error('\n=== Error ===');
+            console.error(error.message);
+            if (exitCode === EXIT_CODES.USAGE) {
+                console.error(`\n${helpText(name)}`);
+            }
+        }
+        return exitCode;
+    }
+}
+
+// Command line interface (argv[1] is a symlink when run as the installed `tetf` bin)
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+    main(process.argv.slice(2)).then((exitCode) => {
+        process.exit(exitCode);
+    });
+}
+
+export { main, EXIT_CODES };
@@ -1,24 +1,21 @@
 /**
  * @file tokenize.js
  * @notice Offchain script to tokenize traditional securities via dCDP
- * @dev Validates CDP balance, calls dCDP.tokenize(), updates CDP registry
+ * @dev Validates CDP balance, reserves it in the CDP registry, calls dCDP.tokenize(), then
+ * commits or rolls back the reservation based on the receipt
  * 
  * This script bridges the offchain CDP registry with the onchain dCDP contract.
- * It ensures CDP balance is sufficient, calls the smart contract, then updates
- * the CDP registry to reflect the tokenization.
+ * The ETF shares are locked before the mint is sent, so an interrupted run never leaves
+ * tokens minted without the matching registry debit (see pendingOperations.js).
+ * Any ETF with a tokenized contract in deployment-info.json (e.g. ES3 → TES3, G3B → TG3B)
+ * can be tokenized.
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { ethers } from 'ethers';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Paths
-const CDP_REGISTRY_PATH = path.join(__dirname, '../data/cdp-registry.json');
-const DEPLOYMENT_INFO_PATH = path.join(__dirname, '../deployment-info.json');
+import { fetchAccount, printRegistryDiff } from './registryClient.js';
+import { executeTwoPhase, simulateTwoPhase } from './pendingOperations.js';
+import { loadDeploymentInfo, getTokenInfo } from './deployment.js';
+import { loadSigner } from './signer.js';
 
 // RPC URL for Anvil (default local network)
 const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
@@ -26,49 +23,32 @@ const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
 /**
  * Tokenize traditional securities into tokenized tokens
  * @param {string} ownerId - Owner ID (e.g., "AP")
- * @param {string} symbol - Security symbol (e.g., "ES3")
+ * @param {string} symbol - Security symbol (e.g., "ES3", "G3B")
  * @param {number} quantity - Quantity to tokenize
- * @param {string} privateKey - Private key of admin account (for signing transactions)
+ * @param {ethers.Wallet} wallet - Admin wallet connected to the RPC provider (see signer.js)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Simulate the call and preview the registry changes without
+ * writing the registry or broadcasting
  */
-async function tokenize(ownerId, symbol, quantity, privateKey) {
-    console.log(`\n=== Tokenizing ${quantity} ${symbol} for ${ownerId} ===\n`);
+async function tokenize(ownerId, symbol, quantity, wallet, { dryRun = false } = {}) {
+    console.log(`\n=== ${dryRun ? 'Dry run: ' : ''}Tokenizing ${quantity} ${symbol} for ${ownerId} ===\n`);
 
-    // Read CDP registry
-    const registry = JSON.parse(fs.readFileSync(CDP_REGISTRY_PATH, 'utf8'));
-
-    // Validate owner exists
-    if (!registry.accounts[ownerId]) {
-        throw new Error(`Owner ${ownerId} not found in CDP registry`);
-    }
+    // Read deployment info and resolve the token minted for this ETF
+    const deploymentInfo = loadDeploymentInfo();
+    const token = getTokenInfo(deploymentInfo, symbol);
 
-    const account = registry.accounts[ownerId];
+    // Read owner account from the registry service (throws if the owner does not exist)
+    const account = await fetchAccount(ownerId);
 
     // Validate sufficient balance
-    if (symbol === 'ES3') {
-        const currentBalance = account.etfs[symbol] || 0;
-        if (currentBalance < quantity) {
-            throw new Error(
-                `Insufficient ${symbol}: have ${currentBalance}, need ${quantity}`
-            );
-        }
-        console.log(`✓ Verified balance: ${currentBalance} ${symbol}`);
-    } else {
-        throw new Error(`Tokenization of ${symbol} not supported (only ES3 supported)`);
-    }
-
-    // Read deployment info to get contract addresses
-    let deploymentInfo;
-    try {
-        deploymentInfo = JSON.parse(fs.readFileSync(DEPLOYMENT_INFO_PATH, 'utf8'));
-    } catch (error) {
+    const currentBalance = account.etfs?.[symbol] || 0;
+    if (currentBalance < quantity) {
         throw new Error(
-            'Deployment info not found. Please deploy contracts first using: forge script script/Deploy.s.sol --broadcast'
+            `Insufficient ${symbol}: have ${currentBalance}, need ${quantity}`
         );
     }
-
-    // Connect to blockchain
-    const provider = new ethers.JsonRpcProvider(RPC_URL);
-    const wallet = new ethers.Wallet(privateKey, provider);
+    console.log(`✓ Verified balance: ${currentBalance} ${symbol}`);
+    console.log(`✓ Minting ${token.symbol} at ${token.address}`);
 
     console.log(`✓ Connected to ${RPC_URL}`);
     console.log(`✓ Using admin account: ${wallet.address}`);
@@ -97,32 +77,53 @@ async function tokenize(ownerId, symbol, quantity, privateKey) {
     const quantityWei = ethers.parseUnits(quantity.toString(), 18);
     console.log(`✓ Quantity in wei: ${quantityWei.toString()}`);
 
-    // Call tokenize function
-    console.log('\nCalling dCDP.tokenize()...');
-    const tx = await dCDP.tokenize(ownerId, quantityWei, symbol);
-    console.log(`  Transaction hash: ${tx.hash}`);
-    console.log(`  Waiting for confirmation...`);
-
-    const receipt = await tx.wait();
-    console.log(`  ✓ Transaction confirmed in block ${receipt.blockNumber}`);
-
-    // Update CDP registry (decrease traditional balance)
-    console.log('\nUpdating CDP registry...');
-    if (symbol === 'ES3') {
-        account.etfs[symbol] -= quantity;
-        console.log(`  ✓ Decreased ${symbol} balance: ${account.etfs[symbol] + quantity} → ${account.etfs[symbol]}`);
+    if (dryRun) {
+        const { transaction, registryDiff } = await simulateTwoPhase({
+            type: 'tokenize',
+            ownerId,
+            symbol,
+            quantity,
+            wallet,
+            contract: dCDP,
+            args: [ownerId, quantityWei, symbol]
+        });
+        printRegistryDiff(registryDiff);
+
+        return {
+            success: true,
+            dryRun: true,
+            ownerId,
+            symbol,
+            tokenSymbol: token.symbol,
+            tokenAddress: token.address,
+            quantity,
+            ownerAddress,
+            transaction,
+            registryDiff
+        };
     }
 
-    // Write updated registry back to file
-    fs.writeFileSync(CDP_REGISTRY_PATH, JSON.stringify(registry, null, 2));
+    // Reserve the ETF shares in the registry, mint the token, then commit (or roll back on failure)
+    const { operation, receipt } = await executeTwoPhase({
+        type: 'tokenize',
+        ownerId,
+        symbol,
+        quantity,
+        wallet,
+        contract: dCDP,
+        args: [ownerId, quantityWei, symbol]
+    });
     console.log('  ✓ CDP registry updated');
 
     return {
         success: true,
-        transactionHash: tx.hash,
+        operationId: operation.id,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         ownerId,
         symbol,
+        tokenSymbol: token.symbol,
+        tokenAddress: token.address,
         quantity,
         ownerAddress
     };
@@ -130,16 +131,18 @@ async function tokenize(ownerId, symbol, quantity, privateKey) {
 
 // Command line interface
 if (import.meta.url === `file://${process.argv[1]}`) {
-    const args = process.argv.slice(2);
+    // --dry-run may appear anywhere; the remaining arguments are positional
+    const dryRun = process.argv.includes('--dry-run');
+    const args = process.argv.slice(2).filter((arg) => arg !== '--dry-run');
     
-    if (args.length !== 4) {
-        console.error('Usage: node tokenize.js <ownerId> <symbol> <quantity> <privateKey>');
-        console.error('Example: node tokenize.js AP ES3 50 0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
-        console.error('\nNote: Use admin account private key');
+    if (args.length !== 3) {
+        console.error('Usage: node tokenize.js <ownerId> <symbol> <quantity> [--dry-run]');
+        console.error('Example: TETF_KEYSTORE=~/.tetf/admin.json node tokenize.js AP ES3 50');
+        console.error('\nNote: Signs with the admin account from TETF_KEYSTORE or TETF_PRIVATE_KEY (see signer.js)');
         process.exit(1);
     }
 
-    const [ownerId, symbol, quantityStr, privateKey] = args;
+    const [ownerId, symbol, quantityStr] = args;
     const quantity = parseFloat(quantityStr);
 
     if (isNaN(quantity) || quantity <= 0) {
@@ -147,7 +150,8 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         process.exit(1);
     }
 
-    tokenize(ownerId, symbol, quantity, privateKey)
+    loadSigner(new ethers.JsonRpcProvider(RPC_URL))
+        .then(wallet => tokenize(ownerId, symbol, quantity, wallet, { dryRun }))
         .then(result => {
             console.log('\n=== Success ===');
             console.log(JSON.stringify(result, null, 2));
@@ -0,0 +1,182 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.13;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./PriceOracle.sol";
+
+/**
+ * @title DvPSettlement - Delivery-versus-payment settlement
+ * @notice Settles a trade of tokenized ETF shares against SGDC in a single transaction
+ * @dev Both legs move in settleTrade(): the asset from seller to buyer and SGDC from buyer
+ * to seller. If either transfer fails the whole transaction reverts, so neither side can end
+ * up paid but undelivered.
+ *
+ * Flow:
+ * 1. Seller approves this contract for the asset, buyer approves it for the SGDC amount
+ * 2. One party proposes the trade with proposeTrade(), fixing both legs
+ * 3. The counterparty accepts the terms with settleTrade(), which settles both legs
+ *
+ * Either party can cancel a proposed trade before it settles.
+ *
+ * When deployed with a PriceOracle, settleTrade() also records the oracle's price of the asset
+ * at settlement (oraclePrices, TradePriceRecorded), so every trade can be audited against the
+ * reference price it was agreed at. The oracle is not enforced: trades settle at the agreed
+ * cash amount even if the asset has no oracle price.
+ */
+contract DvPSettlement {
+    using SafeERC20 for IERC20;
+
+    enum TradeStatus {
+        None,
+        Proposed,
+        Settled,
+        Cancelled
+    }
+
+    struct Trade {
+        address seller;
+        address buyer;
+        address asset;
+        uint256 assetAmount;
+        uint256 cashAmount;
+        address proposer;
+        TradeStatus status;
+    }
+
+    // SGDC, the cash leg of every trade
+    IERC20 public immutable cashToken;
+
+    // Oracle read at settlement for the trade's reference price; zero address when there is none
+    PriceOracle public immutable priceOracle;
+
+    // Trades by ID; IDs start at 1
+    mapping(uint256 => Trade) public trades;
+
+    // Number of trades proposed so far (also the latest trade ID)
+    uint256 public tradeCount;
+
+    // Oracle price of each settled trade's asset at settlement (zero if it had no price)
+    mapping(uint256 => PriceOracle.PriceData) public oraclePrices;
+
+    // Event emitted when a trade is proposed
+    event TradeProposed(
+        uint256 indexed tradeId,
+        address indexed seller,
+        address indexed buyer,
+        address asset,
+        uint256 assetAmount,
+        uint256 cashAmount
+    );
+
+    // Event emitted when both legs of a trade have settled
+    event TradeSettled(
+        uint256 indexed tradeId,
+        address indexed seller,
+        address indexed buyer,
+        address asset,
+        uint256 assetAmount,
+        uint256 cashAmount
+    );
+
+    // Event emitted at settlement with the oracle price of the asset, for auditing the trade
+    event TradePriceRecorded(uint256 indexed tradeId, address indexed asset, uint256 oraclePrice, uint256 oracleUpdatedAt);
+
+    // Event emitted when a proposed trade is cancelled
+    event TradeCancelled(uint256 indexed tradeId, address indexed cancelledBy);
+
+    /**
+     * @notice Constructor sets the cash token and the price oracle
+     * @param cashTokenAddress Address of the SGDC contract
+     * @param priceOracleAddress Address of the PriceOracle contract, or zero to settle without recording prices
+     */
+    constructor(address cashTokenAddress, address priceOracleAddress) {
+        require(cashTokenAddress != address(0), "DvPSettlement: cash token cannot be zero address");
+        cashToken = IERC20(cashTokenAddress);
+        priceOracle = PriceOracle(priceOracleAddress);
+    }
+
+    /**
+     * @notice Propose a trade to the counterparty
+     * @dev Caller must be the seller or the buyer; the other party settles it
+     * @param seller Address delivering the asset and receiving SGDC
+     * @param buyer Address paying SGDC and receiving the asset
+     * @param asset Address of the tokenized ETF contract (e.g., TES3)
+     * @param assetAmount Amount of the asset delivered (in wei, 18 decimals)
+     * @param cashAmount Amount of SGDC paid (in wei, 18 decimals)
+     * @return tradeId ID of the new trade
+     */
+    function proposeTrade(
+        address seller,
+        address buyer,
+        address asset,
+        uint256 assetAmount,
+        uint256 cashAmount
+    ) external returns (uint256 tradeId) {
+        require(msg.sender == seller || msg.sender == buyer, "DvPSettlement: caller is not a party to the trade");
+        require(seller != address(0) && buyer != address(0), "DvPSettlement: party cannot be zero address");
+        require(seller != buyer, "DvPSettlement: seller and buyer must differ");
+        require(asset != address(0), "DvPSettlement: asset cannot be zero address");
+        require(asset != address(cashToken), "DvPSettlement: asset cannot be the cash token");
+        require(assetAmount > 0, "DvPSettlement: asset amount must be greater than zero");
+        require(cashAmount > 0, "DvPSettlement: cash amount must be greater than zero");
+
+        tradeId = ++tradeCount;
+        trades[tradeId] = Trade({
+            seller: seller,
+            buyer: buyer,
+            asset: asset,
+            assetAmount: assetAmount,
+            cashAmount: cashAmount,
+            proposer: msg.sender,
+            status: TradeStatus.Proposed
+        });
+
+        emit TradeProposed(tradeId, seller, buyer, asset, assetAmount, cashAmount);
+    }
+
+    /**
+     * @notice Accept a proposed trade and settle both legs atomically
+     * @dev Caller must be the counterparty of the proposer. Requires the seller's asset
+     * allowance and the buyer's SGDC allowance to this contract. Records the oracle price of
+     * the asset when an oracle is set.
+     * @param tradeId ID of the trade to settle
+     */
+    function settleTrade(uint256 tradeId) external {
+        Trade storage trade = trades[tradeId];
+        require(trade.status == TradeStatus.Proposed, "DvPSettlement: trade is not open");
+        require(
+            (msg.sender == trade.seller || msg.sender == trade.buyer) && msg.sender != trade.proposer,
+            "DvPSettlement: caller is not the counterparty"
+        );
+
+        trade.status = TradeStatus.Settled;
+
+        // Delivery and payment; a failure in either leg reverts both
+        IERC20(trade.asset).safeTransferFrom(trade.seller, trade.buyer, trade.assetAmount);
+        cashToken.safeTransferFrom(trade.buyer, trade.seller, trade.cashAmount);
+
+        emit TradeSettled(tradeId, trade.seller, trade.buyer, trade.asset, trade.assetAmount, trade.cashAmount);
+
+        if (address(priceOracle) != address(0)) {
+            (uint256 oraclePrice, uint256 oracleUpdatedAt) = priceOracle.prices(trade.asset);
+            oraclePrices[tradeId] = PriceOracle.PriceData({price: oraclePrice, updatedAt: oracleUpdatedAt});
+            emit TradePriceRecorded(tradeId, trade.asset, oraclePrice, oracleUpdatedAt);
+        }
+    }
+
+    /**
+     * @notice Cancel a proposed trade
+     * @dev Callable by either party while the trade is open
+     * @param tradeId ID of the trade to cancel
+     */
+    function cancelTrade(uint256 tradeId) external {
+        Trade storage trade = trades[tradeId];
+        require(trade.status == TradeStatus.Proposed, "DvPSettlement: trade is not open");
+        require(msg.sender == trade.seller || msg.sender == trade.buyer, "DvPSettlement: caller is not a party to the trade");
+
+        trade.status = TradeStatus.Cancelled;
+
+        emit TradeCancelled(tradeId, msg.sender);
+    }
+}
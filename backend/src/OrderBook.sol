@@ -0,0 +1,216 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.13;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title OrderBook - Digital Exchange limit order book
+ * @notice Limit orders for tokenized ETF shares (e.g., TES3) priced in SGDC
+ * @dev Orders are fully escrowed when placed, so any match can always settle:
+ * - Buy orders escrow SGDC for quantity * price
+ * - Sell orders escrow the tokenized ETF shares
+ *
+ * Matching is permissionless: anyone (normally the matching service, script/orderBook.js)
+ * can call matchOrders() for a buy and a sell order whose prices cross. The trade executes
+ * at the price of the order that was placed first (the resting order), and any SGDC a buyer
+ * escrowed above that price is refunded when the buy order completes or is cancelled.
+ *
+ * Prices are SGDC per whole share, 18 decimals. Quantities are in wei (18 decimals).
+ */
+contract OrderBook {
+    using SafeERC20 for IERC20;
+
+    enum Side {
+        Buy,
+        Sell
+    }
+
+    enum OrderStatus {
+        None,
+        Open,
+        Filled,
+        Cancelled
+    }
+
+    struct Order {
+        address trader;
+        address asset;
+        Side side;
+        uint256 price;
+        uint256 quantity;
+        uint256 remaining;
+        uint256 cashEscrow;
+        OrderStatus status;
+    }
+
+    // SGDC, the currency every order is priced in
+    IERC20 public immutable cashToken;
+
+    // Orders by ID; IDs start at 1
+    mapping(uint256 => Order) public orders;
+
+    // Number of orders placed so far (also the latest order ID)
+    uint256 public orderCount;
+
+    // Event emitted when an order is placed and its funds escrowed
+    event OrderPlaced(
+        uint256 indexed orderId,
+        address indexed trader,
+        address indexed asset,
+        Side side,
+        uint256 price,
+        uint256 quantity
+    );
+
+    // Event emitted for every match between a buy and a sell order
+    event OrderMatched(
+        uint256 indexed buyOrderId,
+        uint256 indexed sellOrderId,
+        address indexed asset,
+        uint256 price,
+        uint256 quantity,
+        uint256 cashAmount
+    );
+
+    // Event emitted when an order is cancelled and its remaining escrow refunded
+    event OrderCancelled(uint256 indexed orderId, address indexed trader);
+
+    /**
+     * @notice Constructor sets the cash token
+     * @param cashTokenAddress Address of the SGDC contract
+     */
+    constructor(address cashTokenAddress) {
+        require(cashTokenAddress != address(0), "OrderBook: cash token cannot be zero address");
+        cashToken = IERC20(cashTokenAddress);
+    }
+
+    /**
+     * @notice Place a limit order and escrow its funds
+     * @dev Requires an allowance to this contract: SGDC for buys, the asset for sells
+     * @param asset Address of the tokenized ETF contract (e.g., TES3)
+     * @param side Buy or Sell
+     * @param price Limit price in SGDC per share (18 decimals)
+     * @param quantity Number of shares (in wei, 18 decimals)
+     * @return orderId ID of the new order
+     */
+    function placeOrder(address asset, Side side, uint256 price, uint256 quantity) external returns (uint256 orderId) {
+        require(asset != address(0), "OrderBook: asset cannot be zero address");
+        require(asset != address(cashToken), "OrderBook: asset cannot be the cash token");
+        require(price > 0, "OrderBook: price must be greater than zero");
+        require(quantity > 0, "OrderBook: quantity must be greater than zero");
+
+        uint256 cashEscrow = 0;
+        if (side == Side.Buy) {
+            cashEscrow = cashFor(quantity, price);
+            require(cashEscrow > 0, "OrderBook: order value rounds to zero");
+        }
+
+        orderId = ++orderCount;
+        orders[orderId] = Order({
+            trader: msg.sender,
+            asset: asset,
+            side: side,
+            price: price,
+            quantity: quantity,
+            remaining: quantity,
+            cashEscrow: cashEscrow,
+            status: OrderStatus.Open
+        });
+
+        if (side == Side.Buy) {
+            cashToken.safeTransferFrom(msg.sender, address(this), cashEscrow);
+        } else {
+            IERC20(asset).safeTransferFrom(msg.sender, address(this), quantity);
+        }
+
+        emit OrderPlaced(orderId, msg.sender, asset, side, price, quantity);
+    }
+
+    /**
+     * @notice Match a buy order against a sell order
+     * @dev Callable by anyone. Executes at the price of the earlier order; the buyer's
+     * limit must be at or above the seller's.
+     * @param buyOrderId ID of an open buy order
+     * @param sellOrderId ID of an open sell order for the same asset
+     * @param quantity Shares to trade (at most the remaining quantity of both orders)
+     */
+    function matchOrders(uint256 buyOrderId, uint256 sellOrderId, uint256 quantity) external {
+        Order storage buyOrder = orders[buyOrderId];
+        Order storage sellOrder = orders[sellOrderId];
+        require(buyOrder.status == OrderStatus.Open && buyOrder.side == Side.Buy, "OrderBook: buy order is not open");
+        require(sellOrder.status == OrderStatus.Open && sellOrder.side == Side.Sell, "OrderBook: sell order is not open");
+        require(buyOrder.asset == sellOrder.asset, "OrderBook: orders are for different assets");
+        require(buyOrder.trader != sellOrder.trader, "OrderBook: cannot match orders from the same trader");
+        require(buyOrder.price >= sellOrder.price, "OrderBook: prices do not cross");
+        require(quantity > 0, "OrderBook: quantity must be greater than zero");
+        require(
+            quantity <= buyOrder.remaining && quantity <= sellOrder.remaining,
+            "OrderBook: quantity exceeds remaining order size"
+        );
+
+        // The resting order (placed first) sets the price
+        uint256 price = buyOrderId < sellOrderId ? buyOrder.price : sellOrder.price;
+        uint256 cashAmount = cashFor(quantity, price);
+        require(cashAmount > 0, "OrderBook: trade value rounds to zero");
+
+        buyOrder.remaining -= quantity;
+        buyOrder.cashEscrow -= cashAmount;
+        sellOrder.remaining -= quantity;
+
+        // Unused buyer escrow (bought below the limit) is refunded once the buy order completes
+        uint256 buyerRefund = 0;
+        if (buyOrder.remaining == 0) {
+            buyOrder.status = OrderStatus.Filled;
+            buyerRefund = buyOrder.cashEscrow;
+            buyOrder.cashEscrow = 0;
+        }
+        if (sellOrder.remaining == 0) {
+            sellOrder.status = OrderStatus.Filled;
+        }
+
+        IERC20(buyOrder.asset).safeTransfer(buyOrder.trader, quantity);
+        cashToken.safeTransfer(sellOrder.trader, cashAmount);
+        if (buyerRefund > 0) {
+            cashToken.safeTransfer(buyOrder.trader, buyerRefund);
+        }
+
+        emit OrderMatched(buyOrderId, sellOrderId, buyOrder.asset, price, quantity, cashAmount);
+    }
+
+    /**
+     * @notice Cancel an open order and refund its remaining escrow
+     * @dev Only callable by the trader who placed the order
+     * @param orderId ID of the order to cancel
+     */
+    function cancelOrder(uint256 orderId) external {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Open, "OrderBook: order is not open");
+        require(msg.sender == order.trader, "OrderBook: caller is not the trader");
+
+        order.status = OrderStatus.Cancelled;
+        uint256 remaining = order.remaining;
+        uint256 cashEscrow = order.cashEscrow;
+        order.remaining = 0;
+        order.cashEscrow = 0;
+
+        if (order.side == Side.Buy) {
+            cashToken.safeTransfer(order.trader, cashEscrow);
+        } else {
+            IERC20(order.asset).safeTransfer(order.trader, remaining);
+        }
+
+        emit OrderCancelled(orderId, msg.sender);
+    }
+
+    /**
+     * @notice SGDC value of a quantity of shares at a price
+     * @dev Rounds down
+     * @param quantity Number of shares (18 decimals)
+     * @param price SGDC per share (18 decimals)
+     * @return SGDC amount (18 decimals)
+     */
+    function cashFor(uint256 quantity, uint256 price) public pure returns (uint256) {
+        return (quantity * price) / 1e18;
+    }
+}
@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.13;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title PriceOracle - Onchain reference prices for tokenized ETFs
+ * @notice Records the latest price of each tokenized ETF (e.g., TES3) in SGDC per share
+ * @dev Prices are pushed by a single updater (the price publisher, script/publishPrices.js),
+ * which the owner can replace. Each price is stored with the block timestamp of its update,
+ * so consumers can tell how fresh it is.
+ *
+ * Prices are SGDC per whole share, 18 decimals.
+ */
+contract PriceOracle is Ownable {
+    struct PriceData {
+        uint256 price;
+        uint256 updatedAt;
+    }
+
+    // Address that has permission to publish prices
+    address public updater;
+
+    // Latest price by tokenized ETF address; updatedAt is 0 for assets never priced
+    mapping(address => PriceData) public prices;
+
+    // Event emitted when an asset's price is published
+    event PriceUpdated(address indexed asset, uint256 price, uint256 updatedAt);
+
+    // Event emitted when updater role is transferred
+    event UpdaterUpdated(address indexed oldUpdater, address indexed newUpdater);
+
+    /**
+     * @notice Constructor sets initial owner and updater
+     * @param initialOwner Address that will own the contract and can update the updater
+     * @param initialUpdater Address that can publish prices
+     */
+    constructor(address initialOwner, address initialUpdater) Ownable(initialOwner) {
+        require(initialUpdater != address(0), "PriceOracle: updater cannot be zero address");
+        updater = initialUpdater;
+        emit UpdaterUpdated(address(0), initialUpdater);
+    }
+
+    /**
+     * @notice Modifier to restrict functions to updater only
+     */
+    modifier onlyUpdater() {
+        require(msg.sender == updater, "PriceOracle: caller is not the updater");
+        _;
+    }
+
+    /**
+     * @notice Publish the price of an asset
+     * @dev Only callable by the updater address
+     * @param asset Address of the tokenized ETF contract (e.g., TES3)
+     * @param price Price in SGDC per share (18 decimals)
+     */
+    function setPrice(address asset, uint256 price) external onlyUpdater {
+        _setPrice(asset, price);
+    }
+
+    /**
+     * @notice Publish the prices of several assets in one transaction
+     * @dev Only callable by the updater address
+     * @param assets Addresses of the tokenized ETF contracts
+     * @param newPrices Price of each asset in SGDC per share (18 decimals)
+     */
+    function setPrices(address[] calldata assets, uint256[] calldata newPrices) external onlyUpdater {
+        require(assets.length == newPrices.length, "PriceOracle: assets and prices length mismatch");
+        for (uint256 i = 0; i < assets.length; i++) {
+            _setPrice(assets[i], newPrices[i]);
+        }
+    }
+
+    /**
+     * @notice Get the latest price of an asset
+     * @dev Reverts for assets that have never been priced; read `prices` directly to get zeros instead
+     * @param asset Address of the tokenized ETF contract
+     * @return price Price in SGDC per share (18 decimals)
+     * @return updatedAt Block timestamp of the update
+     */
+    function getPrice(address asset) external view returns (uint256 price, uint256 updatedAt) {
+        PriceData memory data = prices[asset];
+        require(data.updatedAt != 0, "PriceOracle: no price for asset");
+        return (data.price, data.updatedAt);
+    }
+
+    /**
+     * @notice Update the updater address
+     * @dev Only callable by the contract owner
+     * @param newUpdater Address of the new updater
+     */
+    function setUpdater(address newUpdater) external onlyOwner {
+        require(newUpdater != address(0), "PriceOracle: updater cannot be zero address");
+        address oldUpdater = updater;
+        updater = newUpdater;
+        emit UpdaterUpdated(oldUpdater, newUpdater);
+    }
+
+    /**
+     * @notice Store the latest price of an asset and emit PriceUpdated
+     * @dev Shared by setPrice and setPrices; callers enforce onlyUpdater
+     * @param asset Address of the tokenized ETF contract
+     * @param price Price in SGDC per share (18 decimals)
+     */
+    function _setPrice(address asset, uint256 price) internal {
+        require(asset != address(0), "PriceOracle: asset cannot be zero address");
+        require(price > 0, "PriceOracle: price must be greater than zero");
+        prices[asset] = PriceData({price: price, updatedAt: block.timestamp});
+        emit PriceUpdated(asset, price, block.timestamp);
+    }
+}
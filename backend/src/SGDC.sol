@@ -12,6 +12,7 @@ import "@openzeppelin/contracts/access/Ownable.sol";
  * Key Features:
  * - Standard ERC-20 functionality (transfer, approve, transferFrom, balanceOf)
  * - Minting restricted to authorized minter (stablecoin service provider)
+ * - Any holder can redeem (burn) SGDC for an offchain fiat payout from the stablecoin provider
  * - 18 decimals for precision
  * - Name: "Singapore Dollar Coin"
  * - Symbol: "SGDC"
@@ -23,6 +24,9 @@ contract SGDC is ERC20, Ownable {
     // Event emitted when minter role is transferred
     event MinterUpdated(address indexed oldMinter, address indexed newMinter);
 
+    // Event emitted when a holder redeems SGDC for fiat
+    event Redeemed(address indexed account, uint256 amount);
+
     /**
      * @notice Constructor sets initial owner and minter
      * @param initialOwner Address that will own the contract and can update minter
@@ -53,6 +57,18 @@ contract SGDC is ERC20, Ownable {
         _mint(to, amount);
     }
 
+    /**
+     * @notice Redeem SGDC for Singapore dollars (offramp)
+     * @dev Burns the caller's tokens, reducing total supply. The stablecoin provider watches for
+     * Redeemed and pays out the same amount in SGD offchain.
+     * @param amount Amount of tokens to redeem (in wei, 18 decimals)
+     */
+    function redeem(uint256 amount) external {
+        require(amount > 0, "SGDC: amount must be greater than zero");
+        _burn(msg.sender, amount);
+        emit Redeemed(msg.sender, amount);
+    }
+
     /**
      * @notice Update the minter address
      * @dev Only callable by the contract owner
@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.13;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title TokenizedETF - Tokenized SGX-listed ETF
+ * @notice ERC-20 token representing tokenized shares of a single ETF
+ * @dev Generic lock-and-mint token; one instance is deployed per ETF symbol
+ * and registered with dCDP (e.g. TES3 for ES3, TG3B for G3B)
+ *
+ * Key Features:
+ * - Standard ERC-20 functionality (transfer, approve, transferFrom, balanceOf)
+ * - Mint/burn functions restricted to dCDP contract only
+ * - 18 decimals allows fractional ownership (e.g., 5.5 tokens)
+ * - Revert messages are prefixed with the token symbol (e.g., "TG3B: ...")
+ *
+ * The dCDP contract can mint tokens when traditional ETF shares are tokenized
+ * and burn tokens when tokens are redeemed back to traditional shares.
+ */
+contract TokenizedETF is ERC20, Ownable {
+    // Address of the dCDP contract that can mint/burn tokens
+    address public dCDP;
+
+    // Event emitted when dCDP address is updated
+    event DCDPUpdated(address indexed oldDCDP, address indexed newDCDP);
+
+    /**
+     * @notice Constructor sets token metadata, initial owner and dCDP address
+     * @param name_ Token name (e.g., "Tokenized Nikko AM STI ETF")
+     * @param symbol_ Token symbol (e.g., "TG3B")
+     * @param initialOwner Address that will own the contract and can update dCDP
+     * @param initialDCDP Address of the dCDP contract that can mint/burn
+     * @dev Allows zero address for initialDCDP to enable deployment before dCDP is deployed
+     *      Must call setDCDP() after dCDP deployment
+     */
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        address initialOwner,
+        address initialDCDP
+    ) ERC20(name_, symbol_) Ownable(initialOwner) {
+        dCDP = initialDCDP;
+        if (initialDCDP != address(0)) {
+            emit DCDPUpdated(address(0), initialDCDP);
+        }
+    }
+
+    /**
+     * @notice Modifier to restrict functions to dCDP contract only
+     */
+    modifier onlyDCDP() {
+        if (msg.sender != dCDP) revert(_message(": caller is not the dCDP contract"));
+        _;
+    }
+
+    /**
+     * @notice Mint new tokens to a specified address
+     * @dev Only callable by the dCDP contract
+     * Used when traditional ETF shares are tokenized (lock-and-mint mechanism)
+     * @param to Address to receive the minted tokens
+     * @param amount Amount of tokens to mint (in wei, 18 decimals)
+     */
+    function mint(address to, uint256 amount) external onlyDCDP {
+        if (to == address(0)) revert(_message(": cannot mint to zero address"));
+        _mint(to, amount);
+    }
+
+    /**
+     * @notice Burn tokens from a specified address
+     * @dev Only callable by the dCDP contract
+     * Used when tokenized shares are redeemed back to traditional shares
+     * @param from Address to burn tokens from
+     * @param amount Amount of tokens to burn (in wei, 18 decimals)
+     */
+    function burn(address from, uint256 amount) external onlyDCDP {
+        if (from == address(0)) revert(_message(": cannot burn from zero address"));
+        _burn(from, amount);
+    }
+
+    /**
+     * @notice Update the dCDP contract address
+     * @dev Only callable by the contract owner
+     * @param newDCDP Address of the new dCDP contract
+     */
+    function setDCDP(address newDCDP) external onlyOwner {
+        if (newDCDP == address(0)) revert(_message(": dCDP cannot be zero address"));
+        address oldDCDP = dCDP;
+        dCDP = newDCDP;
+        emit DCDPUpdated(oldDCDP, newDCDP);
+    }
+
+    /**
+     * @notice Prefix a revert reason with the token symbol
+     * @dev Builds the string, so only call it on the failure path (`if (!cond) revert(_message(...))`)
+     * @param reason Reason starting with ": "
+     * @return Revert message (e.g., "TES3: cannot mint to zero address")
+     */
+    function _message(string memory reason) internal view returns (string memory) {
+        return string.concat(symbol(), reason);
+    }
+}
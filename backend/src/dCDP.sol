@@ -3,6 +3,7 @@ pragma solidity ^0.8.13;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "./TES3.sol";
+import "./TokenizedETF.sol";
 
 /**
  * @title dCDP - Decentralized Central Depository Protocol
@@ -11,7 +12,8 @@ import "./TES3.sol";
  * 
  * Key Features:
  * - Maps owner_id (string) to Ethereum wallet addresses
- * - Tokenizes traditional securities (ES3) into tokenized tokens (TES3)
+ * - Maps ETF symbols (e.g., "ES3", "G3B") to their tokenized ETF contracts (TES3, TG3B)
+ * - Tokenizes traditional securities into the token registered for their symbol
  * - Creates wallets for new users
  * - Emits events for tracking tokenization and wallet creation
  * 
@@ -22,6 +24,10 @@ contract dCDP is Ownable {
     // Reference to the TES3 token contract
     TES3 public tes3Token;
 
+    // Mapping from ETF symbol (e.g., "ES3") to its tokenized ETF contract
+    // tokenize() and redeem() route to the token registered for the symbol
+    mapping(string => TokenizedETF) public symbolToToken;
+
     // Mapping from owner_id (string) to Ethereum address
     // Used to track which wallet belongs to which user
     mapping(string => address) public ownerToAddress;
@@ -33,6 +39,9 @@ contract dCDP is Ownable {
     // Event emitted when a new wallet is created
     event WalletCreated(string indexed owner_id, address indexed walletAddress);
 
+    // Event emitted when a tokenized ETF contract is registered for a symbol
+    event TokenRegistered(string symbol, address indexed tokenAddress);
+
     // Event emitted when securities are tokenized
     event Tokenized(
         string indexed owner_id,
@@ -57,6 +66,7 @@ contract dCDP is Ownable {
     constructor(address initialOwner, address tes3TokenAddress) Ownable(initialOwner) {
         require(tes3TokenAddress != address(0), "dCDP: TES3 token address cannot be zero");
         tes3Token = TES3(tes3TokenAddress);
+        _registerToken("ES3", tes3TokenAddress);
     }
 
     /**
@@ -94,11 +104,11 @@ contract dCDP is Ownable {
      * - CDP registry has been checked for sufficient balance
      * - CDP registry has been updated to decrease traditional balance
      * 
-     * This function only mints the corresponding TES3 tokens onchain
+     * This function only mints the corresponding tokens onchain
      * 
      * @param owner_id String identifier for the owner (e.g., "AP")
      * @param quantity Amount of tokens to mint (in wei, 18 decimals)
-     * @param symbol Symbol of the security being tokenized (only "ES3" supported in this demo)
+     * @param symbol Symbol of the security being tokenized (must have a registered token, e.g. "ES3")
      */
     function tokenize(
         string memory owner_id,
@@ -113,18 +123,15 @@ contract dCDP is Ownable {
         address ownerAddress = ownerToAddress[owner_id];
         require(ownerAddress != address(0), "dCDP: owner_id does not have a registered wallet");
 
-        // Currently only ES3 is supported in this demo
-        // In production, this would check symbol and route to appropriate token contract
-        require(
-            keccak256(bytes(symbol)) == keccak256(bytes("ES3")),
-            "dCDP: only ES3 tokenization is supported"
-        );
+        // Route to the token contract registered for this symbol
+        TokenizedETF token = symbolToToken[symbol];
+        require(address(token) != address(0), "dCDP: symbol is not supported");
 
-        // Mint TES3 tokens to the owner's address
-        tes3Token.mint(ownerAddress, quantity);
+        // Mint tokens to the owner's address
+        token.mint(ownerAddress, quantity);
 
         // Emit event for tracking
-        emit Tokenized(owner_id, symbol, quantity, address(tes3Token));
+        emit Tokenized(owner_id, symbol, quantity, address(token));
     }
 
     /**
@@ -134,11 +141,11 @@ contract dCDP is Ownable {
      * IMPORTANT: This function assumes offchain validation will occur:
      * - CDP registry will be updated to increase traditional balance
      * 
-     * This function only burns the corresponding TES3 tokens onchain
+     * This function only burns the corresponding tokens onchain
      * 
      * @param owner_id String identifier for the owner (e.g., "AP")
      * @param quantity Amount of tokens to burn (in wei, 18 decimals)
-     * @param symbol Symbol of the security being redeemed (only "ES3" supported in this demo)
+     * @param symbol Symbol of the security being redeemed (must have a registered token, e.g. "ES3")
      */
     function redeem(
         string memory owner_id,
@@ -153,21 +160,19 @@ contract dCDP is Ownable {
         address ownerAddress = ownerToAddress[owner_id];
         require(ownerAddress != address(0), "dCDP: owner_id does not have a registered wallet");
 
-        // Currently only ES3 is supported in this demo
-        require(
-            keccak256(bytes(symbol)) == keccak256(bytes("ES3")),
-            "dCDP: only ES3 redemption is supported"
-        );
+        // Route to the token contract registered for this symbol
+        TokenizedETF token = symbolToToken[symbol];
+        require(address(token) != address(0), "dCDP: symbol is not supported");
 
-        // Check if owner has sufficient TES3 tokens
-        uint256 balance = tes3Token.balanceOf(ownerAddress);
-        require(balance >= quantity, "dCDP: insufficient TES3 balance");
+        // Check if owner has sufficient tokens (e.g., "dCDP: insufficient TES3 balance")
+        uint256 balance = token.balanceOf(ownerAddress);
+        if (balance < quantity) revert(string.concat("dCDP: insufficient ", token.symbol(), " balance"));
 
-        // Burn TES3 tokens from the owner's address
-        tes3Token.burn(ownerAddress, quantity);
+        // Burn tokens from the owner's address
+        token.burn(ownerAddress, quantity);
 
         // Emit event for tracking
-        emit Redeemed(owner_id, symbol, quantity, address(tes3Token));
+        emit Redeemed(owner_id, symbol, quantity, address(token));
     }
 
     /**
@@ -190,12 +195,45 @@ contract dCDP is Ownable {
 
     /**
      * @notice Update the TES3 token contract address
-     * @dev Only callable by admin
+     * @dev Only callable by admin. Also re-routes ES3 to the new token
      * @param newTES3TokenAddress Address of the new TES3 token contract
      */
     function setTES3Token(address newTES3TokenAddress) external onlyAdmin {
         require(newTES3TokenAddress != address(0), "dCDP: TES3 token address cannot be zero");
         tes3Token = TES3(newTES3TokenAddress);
+        _registerToken("ES3", newTES3TokenAddress);
+    }
+
+    /**
+     * @notice Register (or replace) the tokenized ETF contract for a symbol
+     * @dev Only callable by admin
+     * The token must grant this contract mint/burn rights via setDCDP()
+     * @param symbol ETF symbol (e.g., "G3B")
+     * @param tokenAddress Address of the TokenizedETF contract (e.g., TG3B)
+     */
+    function registerToken(string memory symbol, address tokenAddress) external onlyAdmin {
+        require(bytes(symbol).length > 0, "dCDP: symbol cannot be empty");
+        require(tokenAddress != address(0), "dCDP: token address cannot be zero");
+        _registerToken(symbol, tokenAddress);
+    }
+
+    /**
+     * @notice Get the tokenized ETF contract for a symbol
+     * @param symbol ETF symbol
+     * @return The token address registered for this symbol, or zero address if not supported
+     */
+    function getToken(string memory symbol) external view returns (address) {
+        return address(symbolToToken[symbol]);
+    }
+
+    /**
+     * @notice Store the symbol to token mapping and emit TokenRegistered
+     * @param symbol ETF symbol
+     * @param tokenAddress Address of the tokenized ETF contract
+     */
+    function _registerToken(string memory symbol, address tokenAddress) internal {
+        symbolToToken[symbol] = TokenizedETF(tokenAddress);
+        emit TokenRegistered(symbol, tokenAddress);
     }
 }
 
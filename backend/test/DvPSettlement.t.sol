@@ -0,0 +1,312 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.13;
+
+import {Test, console} from "forge-std/Test.sol";
+import {SGDC} from "../src/SGDC.sol";
+import {TokenizedETF} from "../src/TokenizedETF.sol";
+import {DvPSettlement} from "../src/DvPSettlement.sol";
+import {PriceOracle} from "../src/PriceOracle.sol";
+
+/**
+ * @title DvPSettlement Test Suite
+ * @notice Tests for atomic delivery-versus-payment settlement of tokenized ETF shares against SGDC
+ */
+contract DvPSettlementTest is Test {
+    SGDC public sgdc;
+    TokenizedETF public tes3;
+    PriceOracle public oracle;
+    DvPSettlement public dvp;
+
+    // Test accounts
+    address public admin;
+    address public seller;
+    address public buyer;
+    address public outsider;
+
+    // Test constants
+    uint256 public constant ASSET_AMOUNT = 10 ether;
+    uint256 public constant CASH_AMOUNT = 1000 ether;
+    uint256 public constant ORACLE_PRICE = 99.5 ether;
+
+    // Events to test
+    event TradeSettled(
+        uint256 indexed tradeId,
+        address indexed seller,
+        address indexed buyer,
+        address asset,
+        uint256 assetAmount,
+        uint256 cashAmount
+    );
+    event TradePriceRecorded(uint256 indexed tradeId, address indexed asset, uint256 oraclePrice, uint256 oracleUpdatedAt);
+
+    function setUp() public {
+        // Create test accounts
+        admin = address(this); // Test contract is admin, minter and stands in for dCDP
+        seller = address(0x1);
+        buyer = address(0x2);
+        outsider = address(0x3);
+
+        sgdc = new SGDC(admin, admin);
+        tes3 = new TokenizedETF("Tokenized SPDR STI ETF", "TES3", admin, admin);
+        oracle = new PriceOracle(admin, admin);
+        dvp = new DvPSettlement(address(sgdc), address(oracle));
+
+        // Seller holds the asset, buyer holds the cash
+        tes3.mint(seller, ASSET_AMOUNT);
+        sgdc.mint(buyer, CASH_AMOUNT);
+    }
+
+    /**
+     * @notice Approve both legs and propose a trade from the seller
+     * @return tradeId ID of the proposed trade
+     */
+    function _proposeApprovedTrade() internal returns (uint256 tradeId) {
+        vm.prank(seller);
+        tes3.approve(address(dvp), ASSET_AMOUNT);
+        vm.prank(buyer);
+        sgdc.approve(address(dvp), CASH_AMOUNT);
+
+        vm.prank(seller);
+        tradeId = dvp.proposeTrade(seller, buyer, address(tes3), ASSET_AMOUNT, CASH_AMOUNT);
+    }
+
+    /**
+     * @notice Test that contract initializes correctly
+     */
+    function test_Initialization() public {
+        assertEq(address(dvp.cashToken()), address(sgdc));
+        assertEq(address(dvp.priceOracle()), address(oracle));
+        assertEq(dvp.tradeCount(), 0);
+    }
+
+    /**
+     * @notice Test that cash token cannot be zero address
+     */
+    function test_ConstructorRejectsZeroCashToken() public {
+        vm.expectRevert("DvPSettlement: cash token cannot be zero address");
+        new DvPSettlement(address(0), address(oracle));
+    }
+
+    /**
+     * @notice Test that a proposed trade records both legs
+     */
+    function test_ProposeTrade() public {
+        uint256 tradeId = _proposeApprovedTrade();
+
+        assertEq(tradeId, 1);
+        assertEq(dvp.tradeCount(), 1);
+        (
+            address tradeSeller,
+            address tradeBuyer,
+            address asset,
+            uint256 assetAmount,
+            uint256 cashAmount,
+            address proposer,
+            DvPSettlement.TradeStatus status
+        ) = dvp.trades(tradeId);
+        assertEq(tradeSeller, seller);
+        assertEq(tradeBuyer, buyer);
+        assertEq(asset, address(tes3));
+        assertEq(assetAmount, ASSET_AMOUNT);
+        assertEq(cashAmount, CASH_AMOUNT);
+        assertEq(proposer, seller);
+        assertEq(uint256(status), uint256(DvPSettlement.TradeStatus.Proposed));
+    }
+
+    /**
+     * @notice Test that only a party to the trade can propose it
+     */
+    function test_OutsiderCannotPropose() public {
+        vm.prank(outsider);
+        vm.expectRevert("DvPSettlement: caller is not a party to the trade");
+        dvp.proposeTrade(seller, buyer, address(tes3), ASSET_AMOUNT, CASH_AMOUNT);
+    }
+
+    /**
+     * @notice Test that zero amounts are rejected
+     */
+    function test_ProposeRejectsZeroAmounts() public {
+        vm.startPrank(seller);
+        vm.expectRevert("DvPSettlement: asset amount must be greater than zero");
+        dvp.proposeTrade(seller, buyer, address(tes3), 0, CASH_AMOUNT);
+        vm.expectRevert("DvPSettlement: cash amount must be greater than zero");
+        dvp.proposeTrade(seller, buyer, address(tes3), ASSET_AMOUNT, 0);
+        vm.stopPrank();
+    }
+
+    /**
+     * @notice Test that the cash token cannot be traded as the asset
+     */
+    function test_ProposeRejectsCashTokenAsAsset() public {
+        vm.prank(seller);
+        vm.expectRevert("DvPSettlement: asset cannot be the cash token");
+        dvp.proposeTrade(seller, buyer, address(sgdc), ASSET_AMOUNT, CASH_AMOUNT);
+    }
+
+    /**
+     * @notice Test that settling moves both legs in one transaction
+     */
+    function test_SettleTrade() public {
+        uint256 tradeId = _proposeApprovedTrade();
+
+        vm.expectEmit(true, true, true, true);
+        emit TradeSettled(tradeId, seller, buyer, address(tes3), ASSET_AMOUNT, CASH_AMOUNT);
+
+        vm.prank(buyer);
+        dvp.settleTrade(tradeId);
+
+        assertEq(tes3.balanceOf(seller), 0);
+        assertEq(tes3.balanceOf(buyer), ASSET_AMOUNT);
+        assertEq(sgdc.balanceOf(buyer), 0);
+        assertEq(sgdc.balanceOf(seller), CASH_AMOUNT);
+
+        (, , , , , , DvPSettlement.TradeStatus status) = dvp.trades(tradeId);
+        assertEq(uint256(status), uint256(DvPSettlement.TradeStatus.Settled));
+    }
+
+    /**
+     * @notice Test that the proposer cannot settle their own proposal
+     */
+    function test_ProposerCannotSettle() public {
+        uint256 tradeId = _proposeApprovedTrade();
+
+        vm.prank(seller);
+        vm.expectRevert("DvPSettlement: caller is not the counterparty");
+        dvp.settleTrade(tradeId);
+    }
+
+    /**
+     * @notice Test that an outsider cannot settle a trade
+     */
+    function test_OutsiderCannotSettle() public {
+        uint256 tradeId = _proposeApprovedTrade();
+
+        vm.prank(outsider);
+        vm.expectRevert("DvPSettlement: caller is not the counterparty");
+        dvp.settleTrade(tradeId);
+    }
+
+    /**
+     * @notice Test that a failed payment leg reverts the delivery leg too
+     */
+    function test_SettleRevertsBothLegsWhenPaymentFails() public {
+        vm.prank(seller);
+        tes3.approve(address(dvp), ASSET_AMOUNT);
+        // Buyer approves less SGDC than the trade needs
+        vm.prank(buyer);
+        sgdc.approve(address(dvp), CASH_AMOUNT - 1);
+
+        vm.prank(seller);
+        uint256 tradeId = dvp.proposeTrade(seller, buyer, address(tes3), ASSET_AMOUNT, CASH_AMOUNT);
+
+        vm.prank(buyer);
+        vm.expectRevert();
+        dvp.settleTrade(tradeId);
+
+        // Nothing moved and the trade is still open
+        assertEq(tes3.balanceOf(seller), ASSET_AMOUNT);
+        assertEq(tes3.balanceOf(buyer), 0);
+        assertEq(sgdc.balanceOf(buyer), CASH_AMOUNT);
+        assertEq(sgdc.balanceOf(seller), 0);
+        (, , , , , , DvPSettlement.TradeStatus status) = dvp.trades(tradeId);
+        assertEq(uint256(status), uint256(DvPSettlement.TradeStatus.Proposed));
+    }
+
+    /**
+     * @notice Test that a trade cannot be settled twice
+     */
+    function test_CannotSettleTwice() public {
+        uint256 tradeId = _proposeApprovedTrade();
+
+        vm.prank(buyer);
+        dvp.settleTrade(tradeId);
+
+        vm.prank(buyer);
+        vm.expectRevert("DvPSettlement: trade is not open");
+        dvp.settleTrade(tradeId);
+    }
+
+    /**
+     * @notice Test that a cancelled trade cannot be settled
+     */
+    function test_CancelTrade() public {
+        uint256 tradeId = _proposeApprovedTrade();
+
+        vm.prank(buyer);
+        dvp.cancelTrade(tradeId);
+
+        vm.prank(buyer);
+        vm.expectRevert("DvPSettlement: trade is not open");
+        dvp.settleTrade(tradeId);
+
+        assertEq(tes3.balanceOf(seller), ASSET_AMOUNT);
+        assertEq(sgdc.balanceOf(buyer), CASH_AMOUNT);
+    }
+
+    /**
+     * @notice Test that an outsider cannot cancel a trade
+     */
+    function test_OutsiderCannotCancel() public {
+        uint256 tradeId = _proposeApprovedTrade();
+
+        vm.prank(outsider);
+        vm.expectRevert("DvPSettlement: caller is not a party to the trade");
+        dvp.cancelTrade(tradeId);
+    }
+
+    /**
+     * @notice Test that settlement records the oracle price of the asset
+     */
+    function test_SettleRecordsOraclePrice() public {
+        vm.warp(1_762_128_000);
+        oracle.setPrice(address(tes3), ORACLE_PRICE);
+        uint256 tradeId = _proposeApprovedTrade();
+
+        vm.expectEmit(true, true, false, true);
+        emit TradePriceRecorded(tradeId, address(tes3), ORACLE_PRICE, 1_762_128_000);
+
+        vm.prank(buyer);
+        dvp.settleTrade(tradeId);
+
+        (uint256 price, uint256 updatedAt) = dvp.oraclePrices(tradeId);
+        assertEq(price, ORACLE_PRICE);
+        assertEq(updatedAt, 1_762_128_000);
+    }
+
+    /**
+     * @notice Test that an asset without an oracle price still settles, recording zero
+     */
+    function test_SettleWithoutOraclePrice() public {
+        uint256 tradeId = _proposeApprovedTrade();
+
+        vm.prank(buyer);
+        dvp.settleTrade(tradeId);
+
+        assertEq(tes3.balanceOf(buyer), ASSET_AMOUNT);
+        (uint256 price, uint256 updatedAt) = dvp.oraclePrices(tradeId);
+        assertEq(price, 0);
+        assertEq(updatedAt, 0);
+    }
+
+    /**
+     * @notice Test that settlement works without an oracle
+     */
+    function test_SettleWithoutOracle() public {
+        DvPSettlement dvpWithoutOracle = new DvPSettlement(address(sgdc), address(0));
+
+        vm.prank(seller);
+        tes3.approve(address(dvpWithoutOracle), ASSET_AMOUNT);
+        vm.prank(buyer);
+        sgdc.approve(address(dvpWithoutOracle), CASH_AMOUNT);
+        vm.prank(seller);
+        uint256 tradeId = dvpWithoutOracle.proposeTrade(seller, buyer, address(tes3), ASSET_AMOUNT, CASH_AMOUNT);
+
+        vm.prank(buyer);
+        dvpWithoutOracle.settleTrade(tradeId);
+
+        assertEq(tes3.balanceOf(buyer), ASSET_AMOUNT);
+        assertEq(sgdc.balanceOf(seller), CASH_AMOUNT);
+        (uint256 price, ) = dvpWithoutOracle.oraclePrices(tradeId);
+        assertEq(price, 0);
+    }
+}
@@ -0,0 +1,220 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.13;
+
+import {Test, console} from "forge-std/Test.sol";
+import {SGDC} from "../src/SGDC.sol";
+import {TokenizedETF} from "../src/TokenizedETF.sol";
+import {OrderBook} from "../src/OrderBook.sol";
+
+/**
+ * @title OrderBook Test Suite
+ * @notice Tests for escrowed limit orders of tokenized ETF shares priced in SGDC
+ */
+contract OrderBookTest is Test {
+    SGDC public sgdc;
+    TokenizedETF public tes3;
+    OrderBook public book;
+
+    // Test accounts
+    address public admin;
+    address public buyer;
+    address public seller;
+    address public matcher;
+
+    // Test constants
+    uint256 public constant INITIAL_CASH = 10000 ether;
+    uint256 public constant INITIAL_SHARES = 1000 ether;
+    uint256 public constant PRICE = 4.5 ether;
+    uint256 public constant QUANTITY = 100 ether;
+
+    // Events to test
+    event OrderMatched(
+        uint256 indexed buyOrderId,
+        uint256 indexed sellOrderId,
+        address indexed asset,
+        uint256 price,
+        uint256 quantity,
+        uint256 cashAmount
+    );
+
+    function setUp() public {
+        // Create test accounts
+        admin = address(this); // Test contract is admin, minter and stands in for dCDP
+        buyer = address(0x1);
+        seller = address(0x2);
+        matcher = address(0x3);
+
+        sgdc = new SGDC(admin, admin);
+        tes3 = new TokenizedETF("Tokenized SPDR STI ETF", "TES3", admin, admin);
+        book = new OrderBook(address(sgdc));
+
+        sgdc.mint(buyer, INITIAL_CASH);
+        tes3.mint(seller, INITIAL_SHARES);
+
+        vm.prank(buyer);
+        sgdc.approve(address(book), type(uint256).max);
+        vm.prank(seller);
+        tes3.approve(address(book), type(uint256).max);
+    }
+
+    function _buy(uint256 price, uint256 quantity) internal returns (uint256) {
+        vm.prank(buyer);
+        return book.placeOrder(address(tes3), OrderBook.Side.Buy, price, quantity);
+    }
+
+    function _sell(uint256 price, uint256 quantity) internal returns (uint256) {
+        vm.prank(seller);
+        return book.placeOrder(address(tes3), OrderBook.Side.Sell, price, quantity);
+    }
+
+    /**
+     * @notice Test that contract initializes correctly
+     */
+    function test_Initialization() public {
+        assertEq(address(book.cashToken()), address(sgdc));
+        assertEq(book.orderCount(), 0);
+    }
+
+    /**
+     * @notice Test that a buy order escrows SGDC for its full value
+     */
+    function test_PlaceBuyOrderEscrowsCash() public {
+        uint256 orderId = _buy(PRICE, QUANTITY);
+
+        assertEq(orderId, 1);
+        assertEq(sgdc.balanceOf(address(book)), 450 ether);
+        assertEq(sgdc.balanceOf(buyer), INITIAL_CASH - 450 ether);
+    }
+
+    /**
+     * @notice Test that a sell order escrows the shares
+     */
+    function test_PlaceSellOrderEscrowsShares() public {
+        _sell(PRICE, QUANTITY);
+
+        assertEq(tes3.balanceOf(address(book)), QUANTITY);
+        assertEq(tes3.balanceOf(seller), INITIAL_SHARES - QUANTITY);
+    }
+
+    /**
+     * @notice Test that invalid orders are rejected
+     */
+    function test_PlaceOrderValidation() public {
+        vm.startPrank(buyer);
+        vm.expectRevert("OrderBook: price must be greater than zero");
+        book.placeOrder(address(tes3), OrderBook.Side.Buy, 0, QUANTITY);
+        vm.expectRevert("OrderBook: quantity must be greater than zero");
+        book.placeOrder(address(tes3), OrderBook.Side.Buy, PRICE, 0);
+        vm.expectRevert("OrderBook: asset cannot be the cash token");
+        book.placeOrder(address(sgdc), OrderBook.Side.Buy, PRICE, QUANTITY);
+        vm.expectRevert("OrderBook: order value rounds to zero");
+        book.placeOrder(address(tes3), OrderBook.Side.Buy, 1, 1);
+        vm.stopPrank();
+    }
+
+    /**
+     * @notice Test that a full match settles at the resting order's price
+     */
+    function test_MatchAtRestingPrice() public {
+        uint256 sellId = _sell(PRICE, QUANTITY);
+        uint256 buyId = _buy(5 ether, QUANTITY);
+
+        vm.expectEmit(true, true, true, true);
+        emit OrderMatched(buyId, sellId, address(tes3), PRICE, QUANTITY, 450 ether);
+
+        vm.prank(matcher);
+        book.matchOrders(buyId, sellId, QUANTITY);
+
+        assertEq(tes3.balanceOf(buyer), QUANTITY);
+        assertEq(sgdc.balanceOf(seller), 450 ether);
+        // Buyer escrowed 500 SGDC at a 5.00 limit and gets the 50 SGDC difference back
+        assertEq(sgdc.balanceOf(buyer), INITIAL_CASH - 450 ether);
+        assertEq(sgdc.balanceOf(address(book)), 0);
+        assertEq(tes3.balanceOf(address(book)), 0);
+    }
+
+    /**
+     * @notice Test partial fills leave the remainder open
+     */
+    function test_PartialFill() public {
+        uint256 sellId = _sell(PRICE, QUANTITY);
+        uint256 buyId = _buy(PRICE, 40 ether);
+
+        book.matchOrders(buyId, sellId, 40 ether);
+
+        (, , , , , uint256 sellRemaining, , OrderBook.OrderStatus sellStatus) = book.orders(sellId);
+        (, , , , , uint256 buyRemaining, , OrderBook.OrderStatus buyStatus) = book.orders(buyId);
+        assertEq(sellRemaining, 60 ether);
+        assertEq(uint256(sellStatus), uint256(OrderBook.OrderStatus.Open));
+        assertEq(buyRemaining, 0);
+        assertEq(uint256(buyStatus), uint256(OrderBook.OrderStatus.Filled));
+        assertEq(tes3.balanceOf(address(book)), 60 ether);
+    }
+
+    /**
+     * @notice Test that orders whose prices do not cross cannot match
+     */
+    function test_CannotMatchWhenPricesDoNotCross() public {
+        uint256 sellId = _sell(5 ether, QUANTITY);
+        uint256 buyId = _buy(PRICE, QUANTITY);
+
+        vm.expectRevert("OrderBook: prices do not cross");
+        book.matchOrders(buyId, sellId, QUANTITY);
+    }
+
+    /**
+     * @notice Test that a match cannot exceed either order's remaining size
+     */
+    function test_CannotOverfill() public {
+        uint256 sellId = _sell(PRICE, QUANTITY);
+        uint256 buyId = _buy(PRICE, 40 ether);
+
+        vm.expectRevert("OrderBook: quantity exceeds remaining order size");
+        book.matchOrders(buyId, sellId, 50 ether);
+    }
+
+    /**
+     * @notice Test that a trader's own orders cannot be matched together
+     */
+    function test_CannotSelfMatch() public {
+        tes3.mint(buyer, QUANTITY);
+        vm.startPrank(buyer);
+        tes3.approve(address(book), QUANTITY);
+        uint256 sellId = book.placeOrder(address(tes3), OrderBook.Side.Sell, PRICE, QUANTITY);
+        uint256 buyId = book.placeOrder(address(tes3), OrderBook.Side.Buy, PRICE, QUANTITY);
+        vm.stopPrank();
+
+        vm.expectRevert("OrderBook: cannot match orders from the same trader");
+        book.matchOrders(buyId, sellId, QUANTITY);
+    }
+
+    /**
+     * @notice Test that cancelling refunds the remaining escrow
+     */
+    function test_CancelRefundsEscrow() public {
+        uint256 buyId = _buy(PRICE, QUANTITY);
+        uint256 sellId = _sell(PRICE, QUANTITY);
+
+        vm.prank(buyer);
+        book.cancelOrder(buyId);
+        vm.prank(seller);
+        book.cancelOrder(sellId);
+
+        assertEq(sgdc.balanceOf(buyer), INITIAL_CASH);
+        assertEq(tes3.balanceOf(seller), INITIAL_SHARES);
+
+        vm.expectRevert("OrderBook: buy order is not open");
+        book.matchOrders(buyId, sellId, QUANTITY);
+    }
+
+    /**
+     * @notice Test that only the trader can cancel an order
+     */
+    function test_OnlyTraderCanCancel() public {
+        uint256 buyId = _buy(PRICE, QUANTITY);
+
+        vm.prank(matcher);
+        vm.expectRevert("OrderBook: caller is not the trader");
+        book.cancelOrder(buyId);
+    }
+}
@@ -0,0 +1,189 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.13;
+
+import {Test, console} from "forge-std/Test.sol";
+import {PriceOracle} from "../src/PriceOracle.sol";
+
+/**
+ * @title PriceOracle Test Suite
+ * @notice Tests for the onchain reference prices of tokenized ETFs
+ */
+contract PriceOracleTest is Test {
+    PriceOracle public oracle;
+
+    // Test accounts
+    address public admin;
+    address public updater;
+    address public outsider;
+
+    // Stand-ins for tokenized ETF contracts
+    address public constant TES3 = address(0x100);
+    address public constant TG3B = address(0x200);
+
+    // Test constants
+    uint256 public constant ES3_PRICE = 4.5 ether;
+    uint256 public constant G3B_PRICE = 4.2297 ether;
+
+    // Events to test
+    event PriceUpdated(address indexed asset, uint256 price, uint256 updatedAt);
+
+    function setUp() public {
+        // Create test accounts
+        admin = address(this); // Test contract is admin
+        updater = address(0x1);
+        outsider = address(0x2);
+
+        oracle = new PriceOracle(admin, updater);
+    }
+
+    /**
+     * @notice Test that contract initializes correctly
+     */
+    function test_Initialization() public {
+        assertEq(oracle.owner(), admin);
+        assertEq(oracle.updater(), updater);
+    }
+
+    /**
+     * @notice Test that updater cannot be zero address
+     */
+    function test_ConstructorRejectsZeroUpdater() public {
+        vm.expectRevert("PriceOracle: updater cannot be zero address");
+        new PriceOracle(admin, address(0));
+    }
+
+    /**
+     * @notice Test that the updater can publish a price, stamped with the block time
+     */
+    function test_UpdaterCanSetPrice() public {
+        vm.warp(1_762_128_000);
+
+        vm.expectEmit(true, false, false, true);
+        emit PriceUpdated(TES3, ES3_PRICE, 1_762_128_000);
+
+        vm.prank(updater);
+        oracle.setPrice(TES3, ES3_PRICE);
+
+        (uint256 price, uint256 updatedAt) = oracle.getPrice(TES3);
+        assertEq(price, ES3_PRICE);
+        assertEq(updatedAt, 1_762_128_000);
+    }
+
+    /**
+     * @notice Test that a later price replaces the earlier one
+     */
+    function test_PriceUpdatesOverwrite() public {
+        vm.prank(updater);
+        oracle.setPrice(TES3, ES3_PRICE);
+
+        vm.warp(block.timestamp + 1 days);
+        vm.prank(updater);
+        oracle.setPrice(TES3, 5.3 ether);
+
+        (uint256 price, uint256 updatedAt) = oracle.getPrice(TES3);
+        assertEq(price, 5.3 ether);
+        assertEq(updatedAt, block.timestamp);
+    }
+
+    /**
+     * @notice Test that only the updater can publish prices
+     */
+    function test_NonUpdaterCannotSetPrice() public {
+        vm.prank(outsider);
+        vm.expectRevert("PriceOracle: caller is not the updater");
+        oracle.setPrice(TES3, ES3_PRICE);
+
+        // The owner is not the updater either
+        vm.expectRevert("PriceOracle: caller is not the updater");
+        oracle.setPrice(TES3, ES3_PRICE);
+    }
+
+    /**
+     * @notice Test that zero prices and the zero address are rejected
+     */
+    function test_SetPriceRejectsInvalidInput() public {
+        vm.startPrank(updater);
+        vm.expectRevert("PriceOracle: price must be greater than zero");
+        oracle.setPrice(TES3, 0);
+        vm.expectRevert("PriceOracle: asset cannot be zero address");
+        oracle.setPrice(address(0), ES3_PRICE);
+        vm.stopPrank();
+    }
+
+    /**
+     * @notice Test that several prices can be published in one transaction
+     */
+    function test_SetPrices() public {
+        address[] memory assets = new address[](2);
+        assets[0] = TES3;
+        assets[1] = TG3B;
+        uint256[] memory newPrices = new uint256[](2);
+        newPrices[0] = ES3_PRICE;
+        newPrices[1] = G3B_PRICE;
+
+        vm.prank(updater);
+        oracle.setPrices(assets, newPrices);
+
+        (uint256 es3Price, ) = oracle.getPrice(TES3);
+        (uint256 g3bPrice, ) = oracle.getPrice(TG3B);
+        assertEq(es3Price, ES3_PRICE);
+        assertEq(g3bPrice, G3B_PRICE);
+    }
+
+    /**
+     * @notice Test that setPrices rejects mismatched arrays
+     */
+    function test_SetPricesRejectsLengthMismatch() public {
+        address[] memory assets = new address[](2);
+        uint256[] memory newPrices = new uint256[](1);
+
+        vm.prank(updater);
+        vm.expectRevert("PriceOracle: assets and prices length mismatch");
+        oracle.setPrices(assets, newPrices);
+    }
+
+    /**
+     * @notice Test that getPrice reverts for an asset that was never priced
+     */
+    function test_GetPriceRevertsWithoutPrice() public {
+        vm.expectRevert("PriceOracle: no price for asset");
+        oracle.getPrice(TES3);
+
+        // The public mapping returns zeros instead
+        (uint256 price, uint256 updatedAt) = oracle.prices(TES3);
+        assertEq(price, 0);
+        assertEq(updatedAt, 0);
+    }
+
+    /**
+     * @notice Test that owner can update the updater
+     */
+    function test_OwnerCanUpdateUpdater() public {
+        address newUpdater = address(0x3);
+
+        oracle.setUpdater(newUpdater);
+        assertEq(oracle.updater(), newUpdater);
+
+        // The previous updater loses the role
+        vm.prank(updater);
+        vm.expectRevert("PriceOracle: caller is not the updater");
+        oracle.setPrice(TES3, ES3_PRICE);
+    }
+
+    /**
+     * @notice Test that non-owner cannot update the updater
+     */
+    function test_NonOwnerCannotUpdateUpdater() public {
+        vm.prank(updater);
+        vm.expectRevert();
+        oracle.setUpdater(outsider);
+    }
+
+    /**
+     * @notice Test that updater cannot be set to zero address
+     */
+    function test_CannotSetUpdaterToZero() public {
+        vm.expectRevert("PriceOracle: updater cannot be zero address");
+        oracle.setUpdater(address(0));
+    }
+}
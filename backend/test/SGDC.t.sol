@@ -21,6 +21,8 @@ contract SGDCTest is Test {
     uint256 public constant INITIAL_MINT_AMOUNT = 1000 ether;
     uint256 public constant TRANSFER_AMOUNT = 100 ether;
 
+    event Redeemed(address indexed account, uint256 amount);
+
     function setUp() public {
         // Create test accounts
         admin = address(this); // Test contract is admin
@@ -159,5 +161,42 @@ contract SGDCTest is Test {
         assertEq(sgdc.balanceOf(user2), TRANSFER_AMOUNT);
         assertEq(sgdc.allowance(user1, user2), 0);
     }
-}
 
+    /**
+     * @notice Test that a holder can redeem SGDC and the supply is burned
+     */
+    function test_HolderCanRedeem() public {
+        vm.prank(minter);
+        sgdc.mint(user1, INITIAL_MINT_AMOUNT);
+
+        vm.expectEmit(true, false, false, true);
+        emit Redeemed(user1, TRANSFER_AMOUNT);
+
+        vm.prank(user1);
+        sgdc.redeem(TRANSFER_AMOUNT);
+
+        assertEq(sgdc.balanceOf(user1), INITIAL_MINT_AMOUNT - TRANSFER_AMOUNT);
+        assertEq(sgdc.totalSupply(), INITIAL_MINT_AMOUNT - TRANSFER_AMOUNT);
+    }
+
+    /**
+     * @notice Test that redeeming more than the balance fails
+     */
+    function test_CannotRedeemMoreThanBalance() public {
+        vm.prank(minter);
+        sgdc.mint(user1, TRANSFER_AMOUNT);
+
+        vm.prank(user1);
+        vm.expectRevert();
+        sgdc.redeem(TRANSFER_AMOUNT + 1);
+    }
+
+    /**
+     * @notice Test that redeeming zero fails
+     */
+    function test_CannotRedeemZero() public {
+        vm.prank(user1);
+        vm.expectRevert("SGDC: amount must be greater than zero");
+        sgdc.redeem(0);
+    }
+}
@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.13;
+
+import {Test, console} from "forge-std/Test.sol";
+import {TES3} from "../src/TES3.sol";
+import {TokenizedETF} from "../src/TokenizedETF.sol";
+import {dCDP} from "../src/dCDP.sol";
+
+/**
+ * @title TokenizedETF Test Suite
+ * @notice Tests for the generic tokenized ETF contract (e.g., TG3B)
+ */
+contract TokenizedETFTest is Test {
+    TES3 public tes3;
+    TokenizedETF public tg3b;
+    dCDP public dcdp;
+
+    // Test accounts
+    address public admin;
+    address public user1;
+    address public unauthorizedContract;
+
+    // Test constants
+    uint256 public constant MINT_AMOUNT = 100 ether;
+    uint256 public constant BURN_AMOUNT = 50 ether;
+
+    function setUp() public {
+        // Create test accounts
+        admin = address(this); // Test contract is admin
+        user1 = address(0x1);
+        unauthorizedContract = address(0x3);
+
+        // Deploy TES3 and dCDP, then a second tokenized ETF registered for G3B
+        tes3 = new TES3(admin, address(0));
+        dcdp = new dCDP(admin, address(tes3));
+        tes3.setDCDP(address(dcdp));
+
+        tg3b = new TokenizedETF("Tokenized Nikko AM STI ETF", "TG3B", admin, address(0));
+        tg3b.setDCDP(address(dcdp));
+        dcdp.registerToken("G3B", address(tg3b));
+    }
+
+    /**
+     * @notice Test that contract initializes with the given metadata
+     */
+    function test_Initialization() public {
+        assertEq(tg3b.name(), "Tokenized Nikko AM STI ETF");
+        assertEq(tg3b.symbol(), "TG3B");
+        assertEq(tg3b.decimals(), 18);
+        assertEq(tg3b.dCDP(), address(dcdp));
+        assertEq(tg3b.owner(), admin);
+        assertEq(dcdp.getToken("G3B"), address(tg3b));
+    }
+
+    /**
+     * @notice Test that dCDP can mint and burn tokens
+     */
+    function test_DCDPCanMintAndBurn() public {
+        vm.prank(address(dcdp));
+        tg3b.mint(user1, MINT_AMOUNT);
+
+        vm.prank(address(dcdp));
+        tg3b.burn(user1, BURN_AMOUNT);
+
+        assertEq(tg3b.balanceOf(user1), MINT_AMOUNT - BURN_AMOUNT);
+        assertEq(tg3b.totalSupply(), MINT_AMOUNT - BURN_AMOUNT);
+    }
+
+    /**
+     * @notice Test that revert messages are prefixed with the token symbol
+     */
+    function test_NonDCDPCannotMint() public {
+        vm.prank(unauthorizedContract);
+        vm.expectRevert("TG3B: caller is not the dCDP contract");
+        tg3b.mint(user1, MINT_AMOUNT);
+    }
+
+    /**
+     * @notice Test that minting to zero address fails
+     */
+    function test_MintToZeroAddressFails() public {
+        vm.prank(address(dcdp));
+        vm.expectRevert("TG3B: cannot mint to zero address");
+        tg3b.mint(address(0), MINT_AMOUNT);
+    }
+
+    /**
+     * @notice Test that dCDP cannot be set to zero address
+     */
+    function test_CannotSetDCDPToZero() public {
+        vm.expectRevert("TG3B: dCDP cannot be zero address");
+        tg3b.setDCDP(address(0));
+    }
+}
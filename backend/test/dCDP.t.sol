@@ -3,6 +3,7 @@ pragma solidity ^0.8.13;
 
 import {Test, console} from "forge-std/Test.sol";
 import {TES3} from "../src/TES3.sol";
+import {TokenizedETF} from "../src/TokenizedETF.sol";
 import {dCDP} from "../src/dCDP.sol";
 
 /**
@@ -197,17 +198,71 @@ contract dCDPTest is Test {
     }
 
     /**
-     * @notice Test that only ES3 tokenization is supported
+     * @notice Test that only symbols with a registered token can be tokenized
      */
-    function test_OnlyES3TokenizationSupported() public {
+    function test_UnregisteredSymbolNotSupported() public {
         vm.prank(admin);
         dcdp.createWallet(AP_ID, apWallet);
 
         vm.prank(admin);
-        vm.expectRevert("dCDP: only ES3 tokenization is supported");
+        vm.expectRevert("dCDP: symbol is not supported");
         dcdp.tokenize(AP_ID, TOKENIZE_AMOUNT, "OTHER");
     }
 
+    /**
+     * @notice Test that ES3 is registered to TES3 on deployment
+     */
+    function test_ES3RegisteredOnDeployment() public {
+        assertEq(dcdp.getToken("ES3"), address(tes3));
+        assertEq(address(dcdp.symbolToToken("ES3")), address(tes3));
+    }
+
+    /**
+     * @notice Test that tokenize and redeem route to the token registered for the symbol
+     */
+    function test_TokenizeAndRedeemRouteBySymbol() public {
+        TokenizedETF tg3b = new TokenizedETF("Tokenized Nikko AM STI ETF", "TG3B", admin, address(dcdp));
+        dcdp.registerToken("G3B", address(tg3b));
+        dcdp.createWallet(AP_ID, apWallet);
+
+        dcdp.tokenize(AP_ID, TOKENIZE_AMOUNT, "G3B");
+        assertEq(tg3b.balanceOf(apWallet), TOKENIZE_AMOUNT);
+        assertEq(tes3.balanceOf(apWallet), 0);
+
+        dcdp.redeem(AP_ID, TOKENIZE_AMOUNT, "G3B");
+        assertEq(tg3b.balanceOf(apWallet), 0);
+    }
+
+    /**
+     * @notice Test that redeem reports the balance of the routed token
+     */
+    function test_RedeemFailsWithInsufficientTokenBalance() public {
+        TokenizedETF tg3b = new TokenizedETF("Tokenized Nikko AM STI ETF", "TG3B", admin, address(dcdp));
+        dcdp.registerToken("G3B", address(tg3b));
+        dcdp.createWallet(AP_ID, apWallet);
+        dcdp.tokenize(AP_ID, TOKENIZE_AMOUNT, "ES3");
+
+        vm.expectRevert("dCDP: insufficient TG3B balance");
+        dcdp.redeem(AP_ID, TOKENIZE_AMOUNT, "G3B");
+    }
+
+    /**
+     * @notice Test that non-admin cannot register a token
+     */
+    function test_NonAdminCannotRegisterToken() public {
+        vm.prank(unauthorizedUser);
+        vm.expectRevert("dCDP: caller is not the admin");
+        dcdp.registerToken("G3B", address(0x5));
+    }
+
+    /**
+     * @notice Test that a token cannot be registered with zero address
+     */
+    function test_CannotRegisterTokenWithZeroAddress() public {
+        vm.expectRevert("dCDP: token address cannot be zero");
+        dcdp.registerToken("G3B", address(0));
+    }
+
     /**
      * @notice Test Tokenized event emission
      * Note: We verify state changes instead of event emission for simplicity
@@ -306,6 +361,7 @@ contract dCDPTest is Test {
         dcdp.setTES3Token(address(newTES3));
 
         assertEq(address(dcdp.tes3Token()), address(newTES3));
+        assertEq(dcdp.getToken("ES3"), address(newTES3));
     }
 
     /**
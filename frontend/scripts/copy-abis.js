@@ -0,0 +1,65 @@
+/**
+ * Copy contract ABIs from the Foundry build into the frontend
+ * Reads backend/out/<Contract>.sol/<Contract>.json (written by `forge build`) and writes the ABI
+ * to src/contracts/<Contract>.json, which the Block Explorer decodes transactions with.
+ *
+ * Runs before `npm start` and `npm run build`. When the contracts have not been built, the
+ * copies already in src/contracts are kept, so the app still builds without Foundry. The copies
+ * are committed for that reason; `npm run check-abis` (--check) writes nothing and fails if any
+ * of them differs from the Foundry build, or if there is no build to compare against.
+ *
+ * Usage: node scripts/copy-abis.js [--check] [foundryOutDir]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Contracts the frontend decodes (TES3 extends TokenizedETF; TG3B is a plain TokenizedETF)
+const CONTRACTS = ['SGDC', 'TES3', 'TokenizedETF', 'dCDP', 'DvPSettlement', 'OrderBook', 'PriceOracle'];
+
+const args = process.argv.slice(2);
+const check = args.includes('--check');
+const outDir = path.resolve(args.find((arg) => arg !== '--check') || path.join(__dirname, '../../backend/out'));
+const targetDir = path.join(__dirname, '../src/contracts');
+
+const missing = CONTRACTS.filter(
+  (name) => !fs.existsSync(path.join(outDir, `${name}.sol`, `${name}.json`))
+);
+
+if (missing.length > 0) {
+  if (check) {
+    console.error(`Missing ABIs for ${missing.join(', ')} in ${outDir}. Build the contracts first: cd backend && forge build`);
+    process.exit(1);
+  }
+  const kept = CONTRACTS.filter((name) => fs.existsSync(path.join(targetDir, `${name}.json`)));
+  if (kept.length < CONTRACTS.length) {
+    console.error(`Missing ABIs for ${missing.join(', ')} in ${outDir}. Build the contracts first: cd backend && forge build`);
+    process.exit(1);
+  }
+  console.warn(`Contract artifacts not found in ${outDir}, keeping the ABIs in src/contracts`);
+  process.exit(0);
+}
+
+const stale = [];
+fs.mkdirSync(targetDir, { recursive: true });
+for (const name of CONTRACTS) {
+  const artifact = JSON.parse(fs.readFileSync(path.join(outDir, `${name}.sol`, `${name}.json`), 'utf8'));
+  const target = path.join(targetDir, `${name}.json`);
+  const contents = `${JSON.stringify({ contractName: name, abi: artifact.abi }, null, 2)}\n`;
+  if (check) {
+    if (!fs.existsSync(target) || fs.readFileSync(target, 'utf8') !== contents) {
+      stale.push(name);
+    }
+  } else {
+    fs.writeFileSync(target, contents);
+  }
+}
+
+if (!check) {
+  console.log(`Copied ${CONTRACTS.length} contract ABIs to src/contracts`);
+} else if (stale.length > 0) {
+  console.error(`ABIs in src/contracts differ from ${outDir}: ${stale.join(', ')}. Update them with: npm run copy-abis`);
+  process.exit(1);
+} else {
+  console.log(`The ${CONTRACTS.length} contract ABIs in src/contracts match ${outDir}`);
+}
@@ -4,36 +4,35 @@
  * Integrates all components: Network Visualizer, Block Explorer, Registries, Action Panels
  */
 
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback } from 'react';
 import NetworkVisualizer from './components/NetworkVisualizer';
 import BlockExplorer from './components/BlockExplorer';
 import CDPRegistry from './components/CDPRegistry';
 import DCDPRegistry from './components/dCDPRegistry';
+import ReconciliationPanel from './components/ReconciliationPanel';
+import PortfolioPanel from './components/PortfolioPanel';
+import WalletConnect from './components/WalletConnect';
 import { CombinedActions } from './components/ActionPanel';
 import { ToastContainer } from './components/Toast';
 import { ToastProvider, useToastContext } from './contexts/ToastContext';
 import { DatePriceProvider, useDatePrice } from './contexts/DatePriceContext';
+import { formatPriceDate } from './utils/priceHistory';
+import { WalletProvider } from './contexts/WalletContext';
 import { useBlockchain } from './hooks/useBlockchain';
 import './App.css';
 
 function AppContent() {
-  // Clear localStorage on app start to ensure fresh data from API
-  // This wipes ES3 and other CDP registry data so demo starts from initial state
-  useEffect(() => {
-    localStorage.removeItem('cdp-registry');
-    console.log('[App] Cleared CDP registry from localStorage - starting fresh');
-  }, []);
   const { error: blockchainError } = useBlockchain();
   const { toasts, removeToast } = useToastContext();
-  const { 
-    isFuture, 
-    toggleDatePrice, 
-    getCurrentDate, 
-    getFormattedPrice,
+  const {
+    dates,
+    dateIndex,
+    setDateIndex,
     currentDate,
-    futureDate,
     currentPrice,
-    futurePrice
+    startPrice,
+    currentINAV,
+    priceSource
   } = useDatePrice();
   
   // State to trigger animations in NetworkVisualizer
@@ -46,12 +45,29 @@ function AppContent() {
     setAnimationTrigger({ type: 'onramp', timestamp: Date.now() });
   }, []);
 
+  // Callback to trigger offramp animation (reverse of onramp)
+  const triggerOfframpAnimation = useCallback(() => {
+    setAnimationTrigger({ type: 'offramp', timestamp: Date.now() });
+  }, []);
+
   // Format price for display
   const formatPriceDisplay = (price) => {
     const priceNum = parseFloat(price) / 1e18;
     return `$${priceNum.toFixed(2)}`;
   };
 
+  // Tooltip showing how the iNAV was derived
+  const describeINAV = (inav) => (
+    inav
+      ? `iNAV: basket ${inav.basketValue.toFixed(4)} + cash ${(inav.cashComponent / inav.creationUnitSize).toFixed(4)} per share`
+      : priceSource === 'close'
+        ? 'ES3 close: ETF composition unavailable'
+        : 'Fallback price: price history unavailable'
+  );
+
+  // Change in the ES3 price since the first date of the price history
+  const priceChange = (parseFloat(currentPrice) / parseFloat(startPrice) - 1) * 100;
+
   return (
     <div className="app">
       {/* Toast notifications container */}
@@ -70,35 +86,44 @@ function AppContent() {
           <div className="date-price-display">
             <div className="date-price-current">
               <span className="date-label">Date:</span>
-              <span className={`date-value ${isFuture ? 'date-value-old' : ''}`}>
-                {currentDate}
-              </span>
-              {isFuture && (
-                <span className="date-value"> → {futureDate}</span>
-              )}
+              <span className="date-value">{currentDate}</span>
             </div>
             <div className="date-price-current">
-              <span className="price-label">ES3:</span>
-              <span className={`price-value ${isFuture ? 'price-value-old' : ''}`}>
+              <span className="price-label">{priceSource === 'inav' ? 'ES3 iNAV:' : 'ES3:'}</span>
+              <span className="price-value" title={describeINAV(currentINAV)}>
                 {formatPriceDisplay(currentPrice)}
               </span>
-              {isFuture && (
-                <span className="price-value"> → {formatPriceDisplay(futurePrice)}</span>
-              )}
+              <span
+                className={`price-change ${priceChange >= 0 ? 'price-change-up' : 'price-change-down'}`}
+                title={dates.length > 0 ? `Since ${formatPriceDate(dates[0])}` : undefined}
+              >
+                {priceChange >= 0 ? '+' : ''}{priceChange.toFixed(2)}%
+              </span>
             </div>
           </div>
-          <button 
-            className="date-price-toggle"
-            onClick={toggleDatePrice}
-            title={isFuture ? 'Return to current date' : 'Jump to future date'}
-          >
-            {isFuture ? '← Return to Nov 2025' : 'Jump to Oct 2026 →'}
-          </button>
+          <div className="date-slider">
+            <input
+              type="range"
+              min="0"
+              max={Math.max(dates.length - 1, 0)}
+              value={dateIndex}
+              onChange={(e) => setDateIndex(Number(e.target.value))}
+              disabled={dates.length < 2}
+              title="Move through the price history"
+            />
+            {dates.length > 0 && (
+              <div className="date-slider-labels">
+                <span>{formatPriceDate(dates[0])}</span>
+                <span>{formatPriceDate(dates[dates.length - 1])}</span>
+              </div>
+            )}
+          </div>
+          <WalletConnect />
         </div>
       </header>
 
       <main className="app-main">
-        {/* Left Column: Depository Registry (top) and Tokenized Depository Registry (bottom) */}
+        {/* Left Column: Depository Registry (top), Tokenized Depository Registry and Reconciliation (bottom) */}
         <section className="app-section app-section-left-registries">
           <div className="registry-item">
             <CDPRegistry />
@@ -106,6 +131,9 @@ function AppContent() {
           <div className="registry-item">
             <DCDPRegistry />
           </div>
+          <div className="registry-item">
+            <ReconciliationPanel />
+          </div>
         </section>
 
         {/* Center Column: Network Visualizer (top) and Block Explorer (bottom, expanded) */}
@@ -120,9 +148,14 @@ function AppContent() {
 
         {/* Right Column: Action Panels (spans full height) */}
         <section className="app-section app-section-actions">
-          <CombinedActions onOnrampSuccess={triggerOnrampAnimation} />
+          <CombinedActions onOnrampSuccess={triggerOnrampAnimation} onOfframpSuccess={triggerOfframpAnimation} />
         </section>
       </main>
+
+      {/* Below the fold: Thomas's position and P&L at the active price */}
+      <section className="app-portfolio">
+        <PortfolioPanel />
+      </section>
     </div>
   );
 }
@@ -131,7 +164,9 @@ function App() {
   return (
     <ToastProvider>
       <DatePriceProvider>
-        <AppContent />
+        <WalletProvider>
+          <AppContent />
+        </WalletProvider>
       </DatePriceProvider>
     </ToastProvider>
   );
@@ -9,13 +9,131 @@ import React, { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
 import { useContracts } from '../hooks/useContracts';
 import { useBlockchain } from '../hooks/useBlockchain';
+import { useETFSymbols } from '../hooks/useETFSymbols';
+import { useDeploymentInfo } from '../hooks/useDeploymentInfo';
+import { useTxDecoder } from '../hooks/useTxDecoder';
 import { useToastContext } from '../contexts/ToastContext';
 import { useDatePrice } from '../contexts/DatePriceContext';
-import { parseTokenAmount, formatTokenAmount, waitForTransaction } from '../utils/contractHelpers';
+import { useWalletContext } from '../contexts/WalletContext';
+import { parseTokenAmount, formatTokenAmount, waitForTransaction, getRevertReason } from '../utils/contractHelpers';
+import { settleDvPTrade, proposeDvPTrade, acceptDvPTrade, findOpenDvPTrade, checkDvPTradeTerms } from '../utils/settlement';
+import { resolveTradePrice, publishOraclePrices } from '../utils/priceOracle';
+import OrderBookPanel from './OrderBookPanel';
 import { ACCOUNTS, UNIQUE_ID_TO_OWNER_ID } from '../utils/constants';
-import { createETF, tokenizeSecurity, redeemSecurity } from '../utils/api';
+import {
+  createETF,
+  redeemETF,
+  reserveRegistryOperation,
+  markRegistryOperationSubmitted,
+  commitRegistryOperation,
+  rollbackRegistryOperation,
+  recordFiatPayout,
+  recordFiatDeposit,
+  markFiatDepositMinted,
+} from '../utils/api';
 import './ActionPanel.css';
 
+/**
+ * Send the transaction for a reserved Depository registry operation and settle the reservation
+ * Commits once the transaction is confirmed and rolls back if it is rejected before sending or
+ * its receipt shows a revert. Any other failure once the transaction is sent (timeout, RPC error)
+ * leaves the operation pending, since it may already be mined; `npm run resume` settles it.
+ * @param {string} operationId - Pending operation ID returned by reserveRegistryOperation
+ * @param {Function} sendTransaction - Sends the transaction and returns the ethers response
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function settleRegistryOperation(operationId, sendTransaction) {
+  const rollback = (err) => rollbackRegistryOperation(operationId, getRevertReason(err)).catch((rollbackErr) => {
+    console.error(`[Registry] Failed to roll back ${operationId}:`, rollbackErr);
+  });
+
+  let tx;
+  try {
+    tx = await sendTransaction();
+  } catch (err) {
+    await rollback(err);
+    throw err;
+  }
+
+  // Record the hash so the operation can be resumed if the page closes before it settles
+  const submitted = await markRegistryOperationSubmitted(operationId, tx.hash).then(() => true, (err) => {
+    console.warn(`[Registry] Failed to record ${tx.hash} for ${operationId}:`, err);
+    return false;
+  });
+
+  let receipt;
+  try {
+    receipt = await waitForTransaction(tx, 60000); // 60 second timeout
+  } catch (err) {
+    // ethers rejects a reverted transaction with its receipt
+    if (err.receipt?.status === 0) {
+      await rollback(err);
+      throw err;
+    }
+    throw new Error(`Transaction ${tx.hash} is not confirmed yet (${getRevertReason(err)}). The Depository registry will settle it after confirmation (npm run resume).`);
+  }
+
+  // The registry only commits submitted operations whose transaction emitted the matching event
+  if (!submitted) {
+    await markRegistryOperationSubmitted(operationId, receipt.hash);
+  }
+  await commitRegistryOperation(operationId, receipt.hash);
+  return receipt;
+}
+
+/**
+ * ETF symbol dropdown driven by the Depository registry's etf_compositions
+ * @param {string} value - Selected ETF symbol
+ * @param {Function} onChange - Called with the newly selected symbol
+ * @param {boolean} requireToken - Only offer ETFs with a deployed tokenized ETF contract
+ * @param {boolean} disabled - Disable the dropdown
+ */
+function ETFSymbolSelect({ value, onChange, requireToken = false, disabled = false }) {
+  const { etfs } = useETFSymbols();
+  const options = etfs.filter((etf) => !requireToken || etf.tokenSymbol);
+
+  return (
+    <select
+      className="action-select"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled || options.length === 0}
+    >
+      {options.length === 0 && <option value={value}>{value}</option>}
+      {options.map((etf) => (
+        <option key={etf.symbol} value={etf.symbol}>
+          {etf.symbol}{etf.tokenSymbol ? ` → ${etf.tokenSymbol}` : ''}{etf.name ? ` (${etf.name})` : ''}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+/**
+ * Mint SGDC to Thomas against a fiat deposit
+ * The deposit is recorded in the stablecoin provider's reserve ledger before minting, so every
+ * SGDC issued is backed by a ledger entry, then linked to the mint transaction. The SGDC is
+ * already minted if linking fails, so that only logs a warning (the proof-of-reserves report
+ * lists the deposit as unminted until it is linked).
+ * @param {ethers.Contract} sgdc - SGDC contract connected to the stablecoin provider's signer
+ * @param {string} amount - Amount in SGD as entered
+ * @returns {Promise<Object>} Mint transaction receipt
+ */
+async function mintAgainstFiatDeposit(sgdc, amount) {
+  const { deposit } = await recordFiatDeposit('THOMAS', parseFloat(amount), ACCOUNTS.THOMAS);
+
+  const tx = await sgdc.mint(ACCOUNTS.THOMAS, parseTokenAmount(amount));
+  // Wait for transaction with timeout to prevent indefinite hanging
+  const receipt = await waitForTransaction(tx, 60000); // 60 second timeout
+
+  try {
+    await markFiatDepositMinted(deposit.id, receipt.hash, receipt.blockNumber);
+  } catch (err) {
+    console.warn(`[Onramp] SGDC minted in ${receipt.hash} but deposit ${deposit.id} was not linked:`, err.message);
+  }
+  return receipt;
+}
+
 /**
  * Thomas Actions Panel
  * Actions: Onramp, Buy Asset, Sell Asset
@@ -46,16 +164,12 @@ export function ThomasActions() {
         throw new Error('Provider not connected');
       }
 
-      const amount = parseTokenAmount(onrampAmount);
-      
       // Get stablecoin provider signer (Account #0 / Admin)
       const stablecoinSigner = getSigner(ACCOUNTS.STABLECOIN_PROVIDER);
       const sgdc = getContractWithSigner('sgdc', stablecoinSigner);
       
-      // Mint SGDC to Thomas
-      const tx = await sgdc.mint(ACCOUNTS.THOMAS, amount);
-      // Wait for transaction with timeout to prevent indefinite hanging
-      await waitForTransaction(tx, 60000); // 60 second timeout
+      // Record the fiat deposit and mint SGDC to Thomas against it
+      await mintAgainstFiatDeposit(sgdc, onrampAmount);
       
       setSuccess(`✓ Onramp Complete`);
     } catch (err) {
@@ -77,8 +191,13 @@ export function ThomasActions() {
       }
 
       const quantity = parseTokenAmount(buyQuantity);
-      const tes3Price = getCurrentPrice();
-      const cost = (BigInt(quantity) * BigInt(tes3Price)) / BigInt(10 ** 18);
+      // Priced from the onchain oracle (client price if it has none), which settlement records
+      const { price: tes3Price } = await resolveTradePrice({
+        oracle: contracts.priceOracle,
+        asset: await contracts.tes3.getAddress(),
+        fallbackPrice: getCurrentPrice(),
+      });
+      const cost = (BigInt(quantity) * tes3Price) / BigInt(10 ** 18);
 
       // Check if Thomas has sufficient SGDC balance
       const thomasBalance = await getBalance('sgdc', ACCOUNTS.THOMAS);
@@ -92,29 +211,20 @@ export function ThomasActions() {
         throw new Error(`AP has insufficient TES3. Need ${formatTokenAmount(quantity)}, AP has ${formatTokenAmount(apTes3Balance)}`);
       }
 
-      // Get signers
-      const thomasSigner = getSigner(ACCOUNTS.THOMAS);
-      const apSigner = getSigner(ACCOUNTS.AP);
-      
-      const sgdc = getContractWithSigner('sgdc', thomasSigner);
-      const tes3 = getContractWithSigner('tes3', apSigner);
-      
-      // Step 1: Thomas approves AP to spend SGDC
-      const approveTx = await sgdc.approve(ACCOUNTS.AP, cost);
-      await waitForTransaction(approveTx, 60000);
-      
-      // Step 2: AP approves Thomas to spend TES3
-      const approveTes3Tx = await tes3.approve(ACCOUNTS.THOMAS, quantity);
-      await waitForTransaction(approveTes3Tx, 60000);
-      
-      // Step 3: Execute atomic swap
-      // AP transfers TES3 to Thomas
-      const tes3TransferTx = await tes3.transferFrom(ACCOUNTS.AP, ACCOUNTS.THOMAS, quantity);
-      await waitForTransaction(tes3TransferTx, 60000);
-      
-      // Thomas transfers SGDC to AP
-      const sgdcTransferTx = await sgdc.transferFrom(ACCOUNTS.THOMAS, ACCOUNTS.AP, cost);
-      await waitForTransaction(sgdcTransferTx, 60000);
+      // Settle atomically: TES3 from AP to Thomas and SGDC from Thomas to AP in one settleTrade
+      await settleDvPTrade({
+        dvp: contracts.dvp,
+        trade: {
+          seller: ACCOUNTS.AP,
+          buyer: ACCOUNTS.THOMAS,
+          asset: await contracts.tes3.getAddress(),
+          assetAmount: BigInt(quantity),
+          cashAmount: cost,
+        },
+        sellerSigner: getSigner(ACCOUNTS.AP),
+        buyerSigner: getSigner(ACCOUNTS.THOMAS),
+        proposer: 'buyer',
+      });
       
       setSuccess(`✓ Purchase Complete`);
     } catch (err) {
@@ -136,8 +246,13 @@ export function ThomasActions() {
       }
 
       const quantity = parseTokenAmount(sellQuantity);
-      const tes3Price = getCurrentPrice();
-      const proceeds = (BigInt(quantity) * BigInt(tes3Price)) / BigInt(10 ** 18);
+      // Priced from the onchain oracle (client price if it has none), which settlement records
+      const { price: tes3Price } = await resolveTradePrice({
+        oracle: contracts.priceOracle,
+        asset: await contracts.tes3.getAddress(),
+        fallbackPrice: getCurrentPrice(),
+      });
+      const proceeds = (BigInt(quantity) * tes3Price) / BigInt(10 ** 18);
 
       // Check if Thomas has sufficient TES3 balance
       const thomasBalance = await getBalance('tes3', ACCOUNTS.THOMAS);
@@ -151,29 +266,20 @@ export function ThomasActions() {
         throw new Error(`AP has insufficient SGDC. Need ${formatTokenAmount(proceeds)}, AP has ${formatTokenAmount(apSgdcBalance)}`);
       }
 
-      // Get signers
-      const thomasSigner = getSigner(ACCOUNTS.THOMAS);
-      const apSigner = getSigner(ACCOUNTS.AP);
-      
-      const tes3 = getContractWithSigner('tes3', thomasSigner);
-      const sgdc = getContractWithSigner('sgdc', apSigner);
-      
-      // Step 1: Thomas approves AP to spend TES3
-      const approveTes3Tx = await tes3.approve(ACCOUNTS.AP, quantity);
-      await waitForTransaction(approveTes3Tx, 60000);
-      
-      // Step 2: AP approves Thomas to spend SGDC
-      const approveSgdcTx = await sgdc.approve(ACCOUNTS.THOMAS, proceeds);
-      await waitForTransaction(approveSgdcTx, 60000);
-      
-      // Step 3: Execute reverse swap
-      // Thomas transfers TES3 to AP
-      const tes3TransferTx = await tes3.transferFrom(ACCOUNTS.THOMAS, ACCOUNTS.AP, quantity);
-      await waitForTransaction(tes3TransferTx, 60000);
-      
-      // AP transfers SGDC to Thomas
-      const sgdcTransferTx = await sgdc.transferFrom(ACCOUNTS.AP, ACCOUNTS.THOMAS, proceeds);
-      await waitForTransaction(sgdcTransferTx, 60000);
+      // Settle atomically: TES3 from Thomas to AP and SGDC from AP to Thomas in one settleTrade
+      await settleDvPTrade({
+        dvp: contracts.dvp,
+        trade: {
+          seller: ACCOUNTS.THOMAS,
+          buyer: ACCOUNTS.AP,
+          asset: await contracts.tes3.getAddress(),
+          assetAmount: BigInt(quantity),
+          cashAmount: proceeds,
+        },
+        sellerSigner: getSigner(ACCOUNTS.THOMAS),
+        buyerSigner: getSigner(ACCOUNTS.AP),
+        proposer: 'seller',
+      });
       
       setSuccess(`✓ Sale Complete`);
     } catch (err) {
@@ -236,154 +342,30 @@ export function ThomasActions() {
 }
 
 /**
- * Tokenized Depository Actions Panel
- * Actions: Tokenize, Create Wallet
+ * Role Gate
+ * In wallet mode a role's actions are only usable while the browser wallet is connected as that role;
+ * a disabled fieldset disables every control inside the section at once. Gate each action by the
+ * account that signs it, which is not always the section's role (the stablecoin provider signs
+ * Thomas's onramp)
+ * @param {string} address - Address that signs the gated actions
+ * @param {string} roleName - Role shown in the locked note
+ * @param {string} [action] - What the note says is locked
  */
-export function DCDPActions() {
-  const { contracts, getContractWithSigner } = useContracts();
-  const { provider, getSigner } = useBlockchain();
-  const [tokenizeOwnerId, setTokenizeOwnerId] = useState('SN91X81J21');
-  const [tokenizeQuantity, setTokenizeQuantity] = useState('4000');
-  const [tokenizeSymbol, setTokenizeSymbol] = useState('ES3');
-  const [walletOwnerId, setWalletOwnerId] = useState('SN72K45M83');
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [success, setSuccess] = useState(null);
-
-  const clearMessages = () => {
-    setError(null);
-    setSuccess(null);
-  };
-
-  // Tokenize securities
-  const handleTokenize = async () => {
-    clearMessages();
-    setLoading(true);
-
-    try {
-      if (!provider) {
-        throw new Error('Provider not connected');
-      }
-
-      const quantity = parseTokenAmount(tokenizeQuantity);
-      
-      // Map unique identifier (SN code) to owner ID
-      // User inputs unique identifier, but contract needs owner ID
-      const ownerId = UNIQUE_ID_TO_OWNER_ID[tokenizeOwnerId.toUpperCase()] || tokenizeOwnerId;
-      
-      // Get admin signer (Account #0)
-      const adminSigner = getSigner(ACCOUNTS.ADMIN);
-      const dcdp = getContractWithSigner('dcdp', adminSigner);
-      
-      // Call Tokenized Depository.tokenize() function with owner ID (not unique identifier)
-      // Note: This assumes offchain Depository registry validation has occurred
-      const tx = await dcdp.tokenize(ownerId, quantity, tokenizeSymbol);
-      // Wait for transaction with timeout to prevent indefinite hanging
-      await waitForTransaction(tx, 60000); // 60 second timeout
-      
-      setSuccess(`✓ Tokenization Complete`);
-    } catch (err) {
-      console.error('Tokenize error:', err);
-      setError('Tokenization Failed');
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  // Create wallet
-  const handleCreateWallet = async () => {
-    clearMessages();
-    setLoading(true);
-
-    try {
-      if (!provider) {
-        throw new Error('Provider not connected');
-      }
-
-      // Map unique identifier (SN code) to owner ID
-      // User inputs unique identifier, but contract needs owner ID
-      const ownerId = UNIQUE_ID_TO_OWNER_ID[walletOwnerId.toUpperCase()] || walletOwnerId;
-      
-      // Get the wallet address for the owner_id
-      // For THOMAS, use ACCOUNTS.THOMAS
-      // For AP, use ACCOUNTS.AP
-      // In a real scenario, this would be generated by the wallet provider
-      let newAddress;
-      if (ownerId.toUpperCase() === 'THOMAS') {
-        newAddress = ACCOUNTS.THOMAS;
-      } else if (ownerId.toUpperCase() === 'AP') {
-        newAddress = ACCOUNTS.AP;
-      } else {
-        // Generate a random address for other owner IDs
-        const randomWallet = ethers.Wallet.createRandom();
-        newAddress = randomWallet.address;
-      }
-      
-      // Get admin signer
-      const adminSigner = await provider.getSigner(ACCOUNTS.ADMIN);
-      const dcdp = getContractWithSigner('dcdp', adminSigner);
-      
-      // Call Tokenized Depository.createWallet() function with owner ID (not unique identifier)
-      const tx = await dcdp.createWallet(ownerId, newAddress);
-      // Wait for transaction with timeout to prevent indefinite hanging
-      await waitForTransaction(tx, 60000); // 60 second timeout
-      
-      setSuccess(`✓ Wallet Created`);
-    } catch (err) {
-      console.error('Create wallet error:', err);
-      setError('Wallet Creation Failed');
-    } finally {
-      setLoading(false);
-    }
-  };
+function RoleGate({ address, roleName, action = 'these actions', children }) {
+  const { isWalletMode, isWrongNetwork, canActAs } = useWalletContext();
+  const unlocked = canActAs(address);
 
   return (
-    <div className="action-panel">
-          <h4>Tokenized Depository Actions</h4>
-      
-      <div className="action-group">
-        <label>Owner ID</label>
-        <input
-          type="text"
-          value={tokenizeOwnerId}
-          onChange={(e) => setTokenizeOwnerId(e.target.value)}
-          placeholder="insert unique ID (e.g., SN91X81J21)"
-        />
-        <label>Quantity</label>
-        <input
-          type="number"
-          value={tokenizeQuantity}
-          onChange={(e) => setTokenizeQuantity(e.target.value)}
-          placeholder="4000"
-        />
-        <label>Symbol</label>
-        <input
-          type="text"
-          value={tokenizeSymbol}
-          onChange={(e) => setTokenizeSymbol(e.target.value)}
-          placeholder="ES3"
-        />
-        <button onClick={handleTokenize} disabled={loading}>
-          Tokenize
-        </button>
-      </div>
-
-      <div className="action-group">
-        <label>Owner ID</label>
-        <input
-          type="text"
-          value={walletOwnerId}
-          onChange={(e) => setWalletOwnerId(e.target.value)}
-          placeholder="THOMAS"
-        />
-        <button onClick={handleCreateWallet} disabled={loading}>
-          Create Wallet
-        </button>
-      </div>
-
-      {error && <div className="action-error">{error}</div>}
-      {success && <div className="action-success">{success}</div>}
-    </div>
+    <fieldset className="action-section-gate" disabled={!unlocked}>
+      {!unlocked && isWalletMode && (
+        <div className="action-section-locked-note">
+          {isWrongNetwork
+            ? 'Switch your wallet to the demo network to use these actions'
+            : `Connect your wallet as ${roleName} to use ${action}`}
+        </div>
+      )}
+      {children}
+    </fieldset>
   );
 }
 
@@ -392,8 +374,11 @@ export function DCDPActions() {
  * Combines all three stakeholder action sections into a single panel
  * Sections: Thomas, Tokenized Depository, AP
  */
-export function CombinedActions({ onOnrampSuccess }) {
+export function CombinedActions({ onOnrampSuccess, onOfframpSuccess }) {
   const LOGO_BASE_PATH = '/assets/logos/';
+  const { canActAs } = useWalletContext();
+  // A section is locked when none of the accounts that sign its actions is connected
+  const lockedClass = (...addresses) => (addresses.some(canActAs) ? '' : ' action-section-locked');
 
   return (
     <div className="action-panel combined-actions">
@@ -403,7 +388,7 @@ export function CombinedActions({ onOnrampSuccess }) {
       </div>
 
       {/* Thomas Section */}
-      <div className="action-section action-section-thomas">
+      <div className={`action-section action-section-thomas${lockedClass(ACCOUNTS.THOMAS, ACCOUNTS.STABLECOIN_PROVIDER)}`}>
         <div className="action-section-header">
           <div className="action-section-logo-container">
             <img 
@@ -415,7 +400,8 @@ export function CombinedActions({ onOnrampSuccess }) {
           </div>
           <h4>Thomas</h4>
         </div>
-        <ThomasActionsContent onOnrampSuccess={onOnrampSuccess} />
+        {/* Gated per action inside: the onramp is signed by the stablecoin provider, not Thomas */}
+        <ThomasActionsContent onOnrampSuccess={onOnrampSuccess} onOfframpSuccess={onOfframpSuccess} />
       </div>
 
       {/* Digital Exchange Section */}
@@ -435,7 +421,7 @@ export function CombinedActions({ onOnrampSuccess }) {
       </div>
 
       {/* Tokenized Depository Section */}
-      <div className="action-section action-section-dcdp">
+      <div className={`action-section action-section-dcdp${lockedClass(ACCOUNTS.ADMIN)}`}>
         <div className="action-section-header">
           <div className="action-section-logo-container">
             <img 
@@ -447,11 +433,13 @@ export function CombinedActions({ onOnrampSuccess }) {
           </div>
           <h4>Tokenized Depository</h4>
         </div>
-        <DCDPActionsContent />
+        <RoleGate address={ACCOUNTS.ADMIN} roleName="Admin">
+          <DCDPActionsContent />
+        </RoleGate>
       </div>
 
       {/* AP Section */}
-      <div className="action-section action-section-ap">
+      <div className={`action-section action-section-ap${lockedClass(ACCOUNTS.AP)}`}>
         <div className="action-section-header">
           <div className="action-section-logo-container">
             <img 
@@ -463,7 +451,9 @@ export function CombinedActions({ onOnrampSuccess }) {
           </div>
           <h4>AP</h4>
         </div>
-        <APActionsContent />
+        <RoleGate address={ACCOUNTS.AP} roleName="AP">
+          <APActionsContent />
+        </RoleGate>
       </div>
     </div>
   );
@@ -471,14 +461,16 @@ export function CombinedActions({ onOnrampSuccess }) {
 
 /**
  * Thomas Actions Content (extracted for reuse)
- * Accepts onOnrampSuccess callback to trigger network visualizer animation
+ * Accepts onOnrampSuccess and onOfframpSuccess callbacks to trigger network visualizer animations
  */
-function ThomasActionsContent({ onOnrampSuccess }) {
+function ThomasActionsContent({ onOnrampSuccess, onOfframpSuccess }) {
   const { contracts, getContractWithSigner, getBalance } = useContracts();
   const { provider, getSigner } = useBlockchain();
+  const { isWalletMode } = useWalletContext();
   const { showSuccess, showError } = useToastContext();
   const { getCurrentPrice } = useDatePrice();
   const [onrampAmount, setOnrampAmount] = useState('10000');
+  const [offrampAmount] = useState('5000');
   const [buyQuantity, setBuyQuantity] = useState('1111.111111'); // Default: 5000 / 4.50 = 1111.111111...
   // Hardcoded TES3 contract address - always use this address for buy/sell operations
   const buyContractAddress = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
@@ -498,18 +490,13 @@ function ThomasActionsContent({ onOnrampSuccess }) {
 
       // Check if Thomas's wallet exists in dCDP contract before proceeding
       // Wallet must be created via Create Wallet button first
-      const adminSigner = getSigner(ACCOUNTS.ADMIN);
-      const dcdp = getContractWithSigner('dcdp', adminSigner);
-      
       // Check if wallet exists - ownerToAddress returns zero address if not found
-      const thomasAddress = await dcdp.ownerToAddress('THOMAS');
+      const thomasAddress = await contracts.dcdp.ownerToAddress('THOMAS');
       if (!thomasAddress || thomasAddress === '0x0000000000000000000000000000000000000000') {
         showError('Error, wallet not found!');
         return; // Finally block will handle setLoading(false)
       }
 
-      const amount = parseTokenAmount(onrampAmount);
-      
       // Dispatch onramp-started event immediately to prevent components from refreshing
       // This flag prevents immediate refresh when transaction completes, Transfer events fire, or blocks are mined
       // Must be dispatched before transaction to catch all refresh triggers
@@ -519,10 +506,8 @@ function ThomasActionsContent({ onOnrampSuccess }) {
       const stablecoinSigner = getSigner(ACCOUNTS.STABLECOIN_PROVIDER);
       const sgdc = getContractWithSigner('sgdc', stablecoinSigner);
       
-      // Mint SGDC to Thomas
-      const tx = await sgdc.mint(ACCOUNTS.THOMAS, amount);
-      // Wait for transaction with timeout to prevent indefinite hanging
-      await waitForTransaction(tx, 60000); // 60 second timeout
+      // Record the fiat deposit and mint SGDC to Thomas against it
+      await mintAgainstFiatDeposit(sgdc, onrampAmount);
       
       showSuccess('Onramp successful!');
       
@@ -552,6 +537,7 @@ function ThomasActionsContent({ onOnrampSuccess }) {
       }, 5500); // 3500ms (animation) + 2000ms (delay) = 5500ms
     } catch (err) {
       console.error('Onramp error:', err);
+      window.dispatchEvent(new CustomEvent('onramp-completed'));
       // Only show error if it hasn't been shown already (wallet check)
       if (err.message !== 'Error, wallet not found!') {
         showError(err.message || 'Failed to onramp stablecoin');
@@ -561,6 +547,88 @@ function ThomasActionsContent({ onOnrampSuccess }) {
     }
   };
 
+  // Offramp stablecoin
+  // Thomas redeems SGDC (burning it) and the stablecoin provider pays out SGD offchain
+  const handleOfframp = async () => {
+    setLoading(true);
+
+    try {
+      if (!provider) {
+        throw new Error('Provider not connected');
+      }
+
+      const amount = parseTokenAmount(offrampAmount);
+
+      // Check if Thomas has enough SGDC to redeem
+      const thomasBalance = await getBalance('sgdc', ACCOUNTS.THOMAS);
+      if (BigInt(thomasBalance) < BigInt(amount)) {
+        throw new Error(`Insufficient SGDC balance. Need ${formatTokenAmount(amount)}, have ${formatTokenAmount(thomasBalance)}`);
+      }
+
+      // Hold registry refreshes until the animation has played (see handleOnramp)
+      window.dispatchEvent(new CustomEvent('offramp-started'));
+
+      // Burn Thomas's SGDC, signed by Thomas
+      const sgdc = getContractWithSigner('sgdc', getSigner(ACCOUNTS.THOMAS));
+      const tx = await sgdc.redeem(amount);
+      const receipt = await waitForTransaction(tx, 60000); // 60 second timeout
+
+      // Record the SGD payout in the stablecoin provider's fiat ledger
+      try {
+        await recordFiatPayout('THOMAS', parseFloat(offrampAmount), receipt.hash, ACCOUNTS.THOMAS, receipt.blockNumber);
+      } catch (err) {
+        throw new Error(`SGDC burned in ${receipt.hash} but the fiat payout was not recorded: ${err.message}`);
+      }
+
+      showSuccess('Offramp successful!');
+
+      // Reverse of the onramp animation: stablecoin to the provider, cash back to Thomas
+      if (onOfframpSuccess) {
+        onOfframpSuccess();
+      }
+
+      setTimeout(() => {
+        window.dispatchEvent(new CustomEvent('offramp-completed'));
+        window.dispatchEvent(new CustomEvent('depository-registry-updated'));
+        window.dispatchEvent(new CustomEvent('tokenized-depository-registry-updated'));
+        window.dispatchEvent(new CustomEvent('block-explorer-refresh'));
+      }, 5500); // 3500ms (animation) + 2000ms (delay) = 5500ms
+    } catch (err) {
+      console.error('Offramp error:', err);
+      window.dispatchEvent(new CustomEvent('offramp-completed'));
+      showError(err.message || 'Failed to offramp stablecoin');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Wallet mode: the wallet holds only Thomas's key, so the AP proposes the trade from its own
+  // wallet (AP section) and Thomas settles it here, each signing their own leg
+  // The proposal must be for the quantity Thomas entered, at the oracle price (or the price for
+  // the selected date) within DVP_PRICE_TOLERANCE_BPS
+  // Returns the accepted trade's terms and the settlement
+  const acceptAPProposal = async ({ seller, buyer, asset, quantity, missing }) => {
+    const quantityNumber = parseFloat(quantity);
+    if (isNaN(quantityNumber) || quantityNumber <= 0) {
+      throw new Error('Quantity must be a positive number');
+    }
+    const { price } = await resolveTradePrice({
+      oracle: contracts.priceOracle,
+      asset,
+      fallbackPrice: getCurrentPrice(),
+    });
+
+    const proposal = await findOpenDvPTrade(contracts.dvp, { seller, buyer, asset, proposer: ACCOUNTS.AP });
+    if (!proposal) {
+      throw new Error(missing);
+    }
+    checkDvPTradeTerms(proposal, { assetAmount: parseTokenAmount(quantity), price });
+    console.log(`[DvP] Accepting trade #${proposal.tradeId}: ${formatTokenAmount(proposal.assetAmount)} TES3 for ${formatTokenAmount(proposal.cashAmount)} SGDC`);
+
+    const settlement = await acceptDvPTrade({ dvp: contracts.dvp, tradeId: proposal.tradeId, signer: getSigner(ACCOUNTS.THOMAS) });
+    return { trade: proposal, settlement };
+  };
+
   // Buy tokenized asset
   // Uses current dynamic TES3 price from context
   // Transfers: TES3 from AP to Thomas, SGDC from Thomas to AP
@@ -576,153 +644,87 @@ function ThomasActionsContent({ onOnrampSuccess }) {
       // This flag prevents immediate refresh when transaction completes, Transfer events fire, or blocks are mined
       // Must be dispatched before transaction to catch all refresh triggers
       window.dispatchEvent(new CustomEvent('buy-started'));
-      
-      // Parse quantity (e.g., 2.5 TES3)
-      // Contract address is hardcoded to TES3 contract: 0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512
-      const quantity = parseTokenAmount(buyQuantity);
-      const quantityNumber = parseFloat(buyQuantity);
-      
-      if (isNaN(quantityNumber) || quantityNumber <= 0) {
-        throw new Error('Quantity must be a positive number');
-      }
 
-      // Calculate SGDC cost using current dynamic price
-      // Get current price in wei (18 decimals)
-      const tes3Price = getCurrentPrice();
-      // Calculate: (quantity * price) / 10^18
-      const sgdcCost = (BigInt(quantity) * BigInt(tes3Price)) / BigInt(10 ** 18);
+      let trade;
+      let settlement;
+      if (isWalletMode) {
+        ({ trade, settlement } = await acceptAPProposal({
+          seller: ACCOUNTS.AP,
+          buyer: ACCOUNTS.THOMAS,
+          asset: buyContractAddress,
+          quantity: buyQuantity,
+          missing: 'No open TES3 offer from the AP. Connect your wallet as AP and use Offer TES3 to Thomas first',
+        }));
+      } else {
+        // Parse quantity (e.g., 2.5 TES3)
+        // Contract address is hardcoded to TES3 contract: 0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512
+        const quantity = parseTokenAmount(buyQuantity);
+        const quantityNumber = parseFloat(buyQuantity);
 
-      // Check if Thomas has sufficient SGDC balance
-      const thomasBalance = await getBalance('sgdc', ACCOUNTS.THOMAS);
-      if (BigInt(thomasBalance) < sgdcCost) {
-        throw new Error(`Insufficient SGDC balance. Need ${formatTokenAmount(sgdcCost)}, have ${formatTokenAmount(thomasBalance)}`);
-      }
+        if (isNaN(quantityNumber) || quantityNumber <= 0) {
+          throw new Error('Quantity must be a positive number');
+        }
 
-      // Get the token contract using the provided contract address
-      // We'll use ethers to get the contract instance
-      const tokenContract = new ethers.Contract(
-        buyContractAddress,
-        [
-          'function balanceOf(address) view returns (uint256)',
-          'function transfer(address,uint256) returns (bool)',
-          'function approve(address,uint256) returns (bool)',
-          'function transferFrom(address,address,uint256) returns (bool)'
-        ],
-        provider
-      );
+        // Calculate SGDC cost at the oracle price
+        // The oracle price (in wei, 18 decimals) is recorded onchain when the trade settles
+        // If the oracle has no price yet, the price for the selected date is used
+        const { price: tes3Price, source: priceSource } = await resolveTradePrice({
+          oracle: contracts.priceOracle,
+          asset: buyContractAddress,
+          fallbackPrice: getCurrentPrice(),
+        });
+        // Calculate: (quantity * price) / 10^18
+        const sgdcCost = (BigInt(quantity) * tes3Price) / BigInt(10 ** 18);
 
-      // Check if AP has sufficient token balance
-      const apTokenBalance = await tokenContract.balanceOf(ACCOUNTS.AP);
-      if (BigInt(apTokenBalance) < quantity) {
-        throw new Error(`AP has insufficient tokens. Need ${formatTokenAmount(quantity)}, AP has ${formatTokenAmount(apTokenBalance)}`);
-      }
+        // Check if Thomas has sufficient SGDC balance
+        const thomasBalance = await getBalance('sgdc', ACCOUNTS.THOMAS);
+        if (BigInt(thomasBalance) < sgdcCost) {
+          throw new Error(`Insufficient SGDC balance. Need ${formatTokenAmount(sgdcCost)}, have ${formatTokenAmount(thomasBalance)}`);
+        }
 
-      // Get signers
-      const thomasSigner = getSigner(ACCOUNTS.THOMAS);
-      const apSigner = getSigner(ACCOUNTS.AP);
-      
-      const sgdc = getContractWithSigner('sgdc', thomasSigner);
-      const tokenWithSigner = tokenContract.connect(apSigner);
-      
-      // Step 1: Thomas approves AP to spend SGDC
-      // This allows AP to call transferFrom to take SGDC from Thomas
-      console.log(`[Buy Asset] Step 1: Thomas approving AP to spend ${formatTokenAmount(sgdcCost)} SGDC...`);
-      const approveTx = await sgdc.approve(ACCOUNTS.AP, sgdcCost);
-      await waitForTransaction(approveTx, 60000);
-      console.log(`[Buy Asset] SGDC approval confirmed`);
-      
-      // Step 2: Execute atomic swap
-      // AP transfers their own tokens to Thomas using transfer() (not transferFrom)
-      // Since AP owns the tokens, they can use transfer() directly without approval
-      console.log(`[Buy Asset] Step 2: AP transferring ${buyQuantity} tokens to Thomas...`);
-      
-      // Double-check AP's token balance right before transfer
-      const apTokenBalanceBeforeTransfer = await tokenContract.balanceOf(ACCOUNTS.AP);
-      console.log(`[Buy Asset] AP token balance before transfer: ${formatTokenAmount(apTokenBalanceBeforeTransfer)}`);
-      console.log(`[Buy Asset] Required quantity: ${formatTokenAmount(quantity)}`);
-      
-      if (BigInt(apTokenBalanceBeforeTransfer) < quantity) {
-        throw new Error(`AP has insufficient tokens. Need ${formatTokenAmount(quantity)}, AP has ${formatTokenAmount(apTokenBalanceBeforeTransfer)}`);
-      }
-      
-      let tokenTransferTx;
-      try {
-        // Use transfer() instead of transferFrom() since AP is sending their own tokens
-        tokenTransferTx = await tokenWithSigner.transfer(ACCOUNTS.THOMAS, quantity);
-        console.log(`[Buy Asset] Token transfer transaction submitted: ${tokenTransferTx.hash}`);
-        const tokenReceipt = await waitForTransaction(tokenTransferTx, 60000);
-        console.log(`[Buy Asset] Token transfer confirmed in block ${tokenReceipt.blockNumber}`);
-        
-        // Check if transaction actually succeeded
-        if (tokenReceipt.status === 0) {
-          throw new Error('Token transfer transaction failed. AP may not have sufficient gas (ETH) or token balance.');
+        // Get the token contract using the provided contract address
+        // We'll use ethers to get the contract instance
+        const tokenContract = new ethers.Contract(
+          buyContractAddress,
+          ['function balanceOf(address) view returns (uint256)'],
+          provider
+        );
+
+        // Check if AP has sufficient token balance
+        const apTokenBalance = await tokenContract.balanceOf(ACCOUNTS.AP);
+        if (BigInt(apTokenBalance) < quantity) {
+          throw new Error(`AP has insufficient tokens. Need ${formatTokenAmount(quantity)}, AP has ${formatTokenAmount(apTokenBalance)}`);
         }
-      } catch (err) {
-        console.error('[Buy Asset] Token transfer failed:', err);
-        console.error('[Buy Asset] Error details:', {
-          message: err.message,
-          code: err.code,
-          reason: err.reason,
-          data: err.data,
-          transaction: err.transaction
+
+        // Settle atomically through DvPSettlement: the token leg (AP → Thomas) and the SGDC leg
+        // (Thomas → AP) move in one settleTrade transaction, so Thomas is never paid-but-undelivered
+        console.log(`[Buy Asset] Settling ${buyQuantity} tokens for ${formatTokenAmount(sgdcCost)} SGDC (${priceSource} price ${formatTokenAmount(tes3Price)})...`);
+        trade = {
+          seller: ACCOUNTS.AP,
+          buyer: ACCOUNTS.THOMAS,
+          asset: buyContractAddress,
+          assetAmount: BigInt(quantity),
+          cashAmount: sgdcCost,
+        };
+        settlement = await settleDvPTrade({
+          dvp: contracts.dvp,
+          trade,
+          sellerSigner: getSigner(ACCOUNTS.AP),
+          buyerSigner: getSigner(ACCOUNTS.THOMAS),
+          proposer: 'buyer',
         });
-        
-        // Extract the actual revert reason if available
-        let errorMessage = err.message || 'Unknown error';
-        if (err.reason) {
-          errorMessage = err.reason;
-        } else if (err.data && err.data.message) {
-          errorMessage = err.data.message;
-        }
-        
-        if (errorMessage.includes('insufficient funds') || errorMessage.includes('insufficient balance')) {
-          throw new Error('AP account has insufficient ETH for gas. Please fund the AP account.');
-        } else if (errorMessage.includes('execution reverted') || errorMessage.includes('ERC20')) {
-          // Check if it's a balance issue
-          if (errorMessage.includes('balance') || errorMessage.includes('insufficient')) {
-            throw new Error(`Token transfer failed: AP has insufficient token balance. ${errorMessage}`);
-          }
-          throw new Error(`Token transfer failed: ${errorMessage}. Check that AP has sufficient token balance.`);
-        }
-        throw new Error(`Token transfer failed: ${errorMessage}`);
-      }
-      
-      // Step 3: Thomas transfers SGDC to AP using transferFrom
-      // This requires the approval from Step 1
-      console.log(`[Buy Asset] Step 3: Thomas transferring ${formatTokenAmount(sgdcCost)} SGDC to AP...`);
-      let sgdcTransferTx;
-      try {
-        // Thomas already approved AP in Step 1, so AP can now call transferFrom
-        // Get SGDC contract with AP signer since AP is the one calling transferFrom
-        const sgdcWithAPSigner = getContractWithSigner('sgdc', apSigner);
-        sgdcTransferTx = await sgdcWithAPSigner.transferFrom(ACCOUNTS.THOMAS, ACCOUNTS.AP, sgdcCost);
-        console.log(`[Buy Asset] SGDC transfer transaction submitted: ${sgdcTransferTx.hash}`);
-        const sgdcReceipt = await waitForTransaction(sgdcTransferTx, 60000);
-        console.log(`[Buy Asset] SGDC transfer confirmed in block ${sgdcReceipt.blockNumber}`);
-        
-        // Check if transaction actually succeeded
-        if (sgdcReceipt.status === 0) {
-          throw new Error('SGDC transfer transaction failed. Check that Thomas has sufficient SGDC balance and AP has been approved.');
-        }
-      } catch (err) {
-        console.error('[Buy Asset] SGDC transfer failed:', err);
-        if (err.message && err.message.includes('insufficient funds')) {
-          throw new Error('AP account has insufficient ETH for gas. Please fund the AP account.');
-        } else if (err.message && err.message.includes('execution reverted')) {
-          throw new Error(`SGDC transfer failed: ${err.message}. Check that Thomas has sufficient SGDC balance and allowance.`);
-        }
-        throw new Error(`SGDC transfer failed: ${err.message || 'Unknown error. AP may not have sufficient gas (ETH).'}`);
       }
+      console.log(`[Buy Asset] Trade #${settlement.tradeId} settled in block ${settlement.blockNumber}${settlement.oraclePrice !== null ? `, oracle price ${formatTokenAmount(settlement.oraclePrice)} recorded` : ''}`);
       
-      showSuccess('Buy successful!');
+      showSuccess(`Buy successful: ${formatTokenAmount(trade.assetAmount)} TES3 for ${formatTokenAmount(trade.cashAmount)} SGDC`);
       
       // Trigger network visualizer animation: Thomas → Digital Exchange → Tokenized Depository, then reverse
       // Animation duration is 3.5 seconds (3500ms)
       window.dispatchEvent(new CustomEvent('buy-asset-executed', {
         detail: {
-          quantity: buyQuantity,
+          quantity: formatTokenAmount(trade.assetAmount),
           contractAddress: buyContractAddress,
-          sgdcCost: formatTokenAmount(sgdcCost)
+          sgdcCost: formatTokenAmount(trade.cashAmount)
         }
       }));
       
@@ -766,171 +768,86 @@ function ThomasActionsContent({ onOnrampSuccess }) {
       // This flag prevents immediate refresh when transaction completes, Transfer events fire, or blocks are mined
       // Must be dispatched before transaction to catch all refresh triggers
       window.dispatchEvent(new CustomEvent('sell-started'));
-      
-      // Parse quantity (e.g., 1.3 TES3)
-      // Contract address is hardcoded to TES3 contract: 0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512
-      const quantity = parseTokenAmount(sellQuantity);
-      const quantityNumber = parseFloat(sellQuantity);
-      
-      if (isNaN(quantityNumber) || quantityNumber <= 0) {
-        throw new Error('Quantity must be a positive number');
-      }
 
-      // Calculate SGDC proceeds using current dynamic price
-      // Get current price in wei (18 decimals)
-      const tes3Price = getCurrentPrice();
-      // Calculate: (quantity * price) / 10^18
-      const sgdcProceeds = (BigInt(quantity) * BigInt(tes3Price)) / BigInt(10 ** 18);
-
-      // Get the token contract using the provided contract address
-      const tokenContract = new ethers.Contract(
-        sellContractAddress,
-        [
-          'function balanceOf(address) view returns (uint256)',
-          'function transfer(address,uint256) returns (bool)',
-          'function approve(address,uint256) returns (bool)',
-          'function transferFrom(address,address,uint256) returns (bool)'
-        ],
-        provider
-      );
-
-      // Check if Thomas has sufficient token balance
-      const thomasTokenBalance = await tokenContract.balanceOf(ACCOUNTS.THOMAS);
-      if (BigInt(thomasTokenBalance) < quantity) {
-        throw new Error(`Thomas has insufficient tokens. Need ${formatTokenAmount(quantity)}, Thomas has ${formatTokenAmount(thomasTokenBalance)}`);
-      }
-
-      // Check if AP has sufficient SGDC balance
-      const apSgdcBalance = await getBalance('sgdc', ACCOUNTS.AP);
-      if (BigInt(apSgdcBalance) < sgdcProceeds) {
-        throw new Error(`AP has insufficient SGDC. Need ${formatTokenAmount(sgdcProceeds)}, AP has ${formatTokenAmount(apSgdcBalance)}`);
-      }
+      let trade;
+      let settlement;
+      if (isWalletMode) {
+        ({ trade, settlement } = await acceptAPProposal({
+          seller: ACCOUNTS.THOMAS,
+          buyer: ACCOUNTS.AP,
+          asset: sellContractAddress,
+          quantity: sellQuantity,
+          missing: 'No open TES3 bid from the AP. Connect your wallet as AP and use Bid for Thomas\'s TES3 first',
+        }));
+      } else {
+        // Parse quantity (e.g., 1.3 TES3)
+        // Contract address is hardcoded to TES3 contract: 0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512
+        const quantity = parseTokenAmount(sellQuantity);
+        const quantityNumber = parseFloat(sellQuantity);
 
-      // Get signers
-      const thomasSigner = getSigner(ACCOUNTS.THOMAS);
-      const apSigner = getSigner(ACCOUNTS.AP);
-      
-      const sgdc = getContractWithSigner('sgdc', apSigner);
-      const tokenWithSigner = tokenContract.connect(thomasSigner);
-      
-      // Step 1: Execute atomic swap
-      // Thomas transfers their own tokens to AP using transfer() (not transferFrom)
-      // Since Thomas owns the tokens, they can use transfer() directly without approval
-      console.log(`[Sell Asset] Step 1: Thomas transferring ${sellQuantity} tokens to AP...`);
-      
-      // Double-check Thomas's token balance right before transfer
-      const thomasTokenBalanceBeforeTransfer = await tokenContract.balanceOf(ACCOUNTS.THOMAS);
-      console.log(`[Sell Asset] Thomas token balance before transfer: ${formatTokenAmount(thomasTokenBalanceBeforeTransfer)}`);
-      console.log(`[Sell Asset] Required quantity: ${formatTokenAmount(quantity)}`);
-      
-      if (BigInt(thomasTokenBalanceBeforeTransfer) < quantity) {
-        throw new Error(`Thomas has insufficient tokens. Need ${formatTokenAmount(quantity)}, Thomas has ${formatTokenAmount(thomasTokenBalanceBeforeTransfer)}`);
-      }
-      
-      let tokenTransferTx;
-      try {
-        // Use transfer() instead of transferFrom() since Thomas is sending their own tokens
-        tokenTransferTx = await tokenWithSigner.transfer(ACCOUNTS.AP, quantity);
-        console.log(`[Sell Asset] Token transfer transaction submitted: ${tokenTransferTx.hash}`);
-        const tokenReceipt = await waitForTransaction(tokenTransferTx, 60000);
-        console.log(`[Sell Asset] Token transfer confirmed in block ${tokenReceipt.blockNumber}`);
-        
-        // Check if transaction actually succeeded
-        if (tokenReceipt.status === 0) {
-          throw new Error('Token transfer transaction failed. Thomas may not have sufficient gas (ETH) or token balance.');
+        if (isNaN(quantityNumber) || quantityNumber <= 0) {
+          throw new Error('Quantity must be a positive number');
         }
-      } catch (err) {
-        console.error('[Sell Asset] Token transfer failed:', err);
-        console.error('[Sell Asset] Error details:', {
-          message: err.message,
-          code: err.code,
-          reason: err.reason,
-          data: err.data,
-          transaction: err.transaction
+
+        // Calculate SGDC proceeds at the oracle price
+        // The oracle price (in wei, 18 decimals) is recorded onchain when the trade settles
+        // If the oracle has no price yet, the price for the selected date is used
+        const { price: tes3Price, source: priceSource } = await resolveTradePrice({
+          oracle: contracts.priceOracle,
+          asset: sellContractAddress,
+          fallbackPrice: getCurrentPrice(),
         });
-        
-        // Extract the actual revert reason if available
-        let errorMessage = err.message || 'Unknown error';
-        if (err.reason) {
-          errorMessage = err.reason;
-        } else if (err.data && err.data.message) {
-          errorMessage = err.data.message;
-        }
-        
-        if (errorMessage.includes('insufficient funds') || errorMessage.includes('insufficient balance')) {
-          throw new Error('Thomas account has insufficient ETH for gas. Please fund the Thomas account.');
-        } else if (errorMessage.includes('execution reverted') || errorMessage.includes('ERC20')) {
-          if (errorMessage.includes('balance') || errorMessage.includes('insufficient')) {
-            throw new Error(`Token transfer failed: Thomas has insufficient token balance. ${errorMessage}`);
-          }
-          throw new Error(`Token transfer failed: ${errorMessage}. Check that Thomas has sufficient token balance.`);
+        // Calculate: (quantity * price) / 10^18
+        const sgdcProceeds = (BigInt(quantity) * tes3Price) / BigInt(10 ** 18);
+
+        // Get the token contract using the provided contract address
+        const tokenContract = new ethers.Contract(
+          sellContractAddress,
+          ['function balanceOf(address) view returns (uint256)'],
+          provider
+        );
+
+        // Check if Thomas has sufficient token balance
+        const thomasTokenBalance = await tokenContract.balanceOf(ACCOUNTS.THOMAS);
+        if (BigInt(thomasTokenBalance) < quantity) {
+          throw new Error(`Thomas has insufficient tokens. Need ${formatTokenAmount(quantity)}, Thomas has ${formatTokenAmount(thomasTokenBalance)}`);
         }
-        throw new Error(`Token transfer failed: ${errorMessage}`);
-      }
-      
-      // Step 2: AP transfers their own SGDC to Thomas using transfer() (not transferFrom)
-      // Since AP owns the SGDC, they can use transfer() directly without approval
-      console.log(`[Sell Asset] Step 2: AP transferring ${formatTokenAmount(sgdcProceeds)} SGDC to Thomas...`);
-      
-      // Double-check AP's SGDC balance right before transfer
-      const apSgdcBalanceBeforeTransfer = await getBalance('sgdc', ACCOUNTS.AP);
-      console.log(`[Sell Asset] AP SGDC balance before transfer: ${formatTokenAmount(apSgdcBalanceBeforeTransfer)}`);
-      console.log(`[Sell Asset] Required proceeds: ${formatTokenAmount(sgdcProceeds)}`);
-      
-      if (BigInt(apSgdcBalanceBeforeTransfer) < BigInt(sgdcProceeds)) {
-        throw new Error(`AP has insufficient SGDC. Need ${formatTokenAmount(sgdcProceeds)}, AP has ${formatTokenAmount(apSgdcBalanceBeforeTransfer)}`);
-      }
-      
-      let sgdcTransferTx;
-      try {
-        // Use transfer() instead of transferFrom() since AP is sending their own SGDC
-        sgdcTransferTx = await sgdc.transfer(ACCOUNTS.THOMAS, sgdcProceeds);
-        console.log(`[Sell Asset] SGDC transfer transaction submitted: ${sgdcTransferTx.hash}`);
-        const sgdcReceipt = await waitForTransaction(sgdcTransferTx, 60000);
-        console.log(`[Sell Asset] SGDC transfer confirmed in block ${sgdcReceipt.blockNumber}`);
-        
-        // Check if transaction actually succeeded
-        if (sgdcReceipt.status === 0) {
-          throw new Error('SGDC transfer transaction failed. AP may not have sufficient gas (ETH) or SGDC balance.');
+
+        // Check if AP has sufficient SGDC balance
+        const apSgdcBalance = await getBalance('sgdc', ACCOUNTS.AP);
+        if (BigInt(apSgdcBalance) < sgdcProceeds) {
+          throw new Error(`AP has insufficient SGDC. Need ${formatTokenAmount(sgdcProceeds)}, AP has ${formatTokenAmount(apSgdcBalance)}`);
         }
-      } catch (err) {
-        console.error('[Sell Asset] SGDC transfer failed:', err);
-        console.error('[Sell Asset] Error details:', {
-          message: err.message,
-          code: err.code,
-          reason: err.reason,
-          data: err.data,
-          transaction: err.transaction
+
+        // Settle atomically through DvPSettlement: the token leg (Thomas → AP) and the SGDC leg
+        // (AP → Thomas) move in one settleTrade transaction
+        console.log(`[Sell Asset] Settling ${sellQuantity} tokens for ${formatTokenAmount(sgdcProceeds)} SGDC (${priceSource} price ${formatTokenAmount(tes3Price)})...`);
+        trade = {
+          seller: ACCOUNTS.THOMAS,
+          buyer: ACCOUNTS.AP,
+          asset: sellContractAddress,
+          assetAmount: BigInt(quantity),
+          cashAmount: sgdcProceeds,
+        };
+        settlement = await settleDvPTrade({
+          dvp: contracts.dvp,
+          trade,
+          sellerSigner: getSigner(ACCOUNTS.THOMAS),
+          buyerSigner: getSigner(ACCOUNTS.AP),
+          proposer: 'seller',
         });
-        
-        // Extract the actual revert reason if available
-        let errorMessage = err.message || 'Unknown error';
-        if (err.reason) {
-          errorMessage = err.reason;
-        } else if (err.data && err.data.message) {
-          errorMessage = err.data.message;
-        }
-        
-        if (errorMessage.includes('insufficient funds') || errorMessage.includes('insufficient balance')) {
-          throw new Error('AP account has insufficient ETH for gas. Please fund the AP account.');
-        } else if (errorMessage.includes('execution reverted') || errorMessage.includes('ERC20')) {
-          if (errorMessage.includes('balance') || errorMessage.includes('insufficient')) {
-            throw new Error(`SGDC transfer failed: AP has insufficient SGDC balance. ${errorMessage}`);
-          }
-          throw new Error(`SGDC transfer failed: ${errorMessage}. Check that AP has sufficient SGDC balance.`);
-        }
-        throw new Error(`SGDC transfer failed: ${errorMessage}`);
       }
+      console.log(`[Sell Asset] Trade #${settlement.tradeId} settled in block ${settlement.blockNumber}${settlement.oraclePrice !== null ? `, oracle price ${formatTokenAmount(settlement.oraclePrice)} recorded` : ''}`);
       
-      showSuccess('Sell successful!');
+      showSuccess(`Sell successful: ${formatTokenAmount(trade.assetAmount)} TES3 for ${formatTokenAmount(trade.cashAmount)} SGDC`);
       
       // Trigger network visualizer animation: Thomas → Digital Exchange → Tokenized Depository, then reverse (same as buy)
       // Animation duration is 3.5 seconds (3500ms)
       window.dispatchEvent(new CustomEvent('buy-asset-executed', {
         detail: {
-          quantity: sellQuantity,
+          quantity: formatTokenAmount(trade.assetAmount),
           contractAddress: sellContractAddress,
-          sgdcCost: formatTokenAmount(sgdcProceeds)
+          sgdcCost: formatTokenAmount(trade.cashAmount)
         }
       }));
       
@@ -961,23 +878,33 @@ function ThomasActionsContent({ onOnrampSuccess }) {
 
   return (
     <>
-      <div className="action-group">
-        <button onClick={handleOnramp} disabled={loading} className="action-button">
-          Onramp Cash
-        </button>
-      </div>
+      <RoleGate address={ACCOUNTS.STABLECOIN_PROVIDER} roleName="Admin" action="Onramp (the stablecoin provider mints the SGDC)">
+        <div className="action-group">
+          <button onClick={handleOnramp} disabled={loading} className="action-button">
+            Onramp Cash
+          </button>
+        </div>
+      </RoleGate>
 
-      <div className="action-group">
-        <button onClick={handleBuy} disabled={loading} className="action-button">
-          Buy TES3
-        </button>
-      </div>
+      <RoleGate address={ACCOUNTS.THOMAS} roleName="Thomas">
+        <div className="action-group">
+          <button onClick={handleOfframp} disabled={loading} className="action-button">
+            Offramp Cash
+          </button>
+        </div>
 
-      <div className="action-group">
-        <button onClick={handleSell} disabled={loading} className="action-button">
-          Sell TES3
-        </button>
-      </div>
+        <div className="action-group">
+          <button onClick={handleBuy} disabled={loading} className="action-button">
+            Buy TES3
+          </button>
+        </div>
+
+        <div className="action-group">
+          <button onClick={handleSell} disabled={loading} className="action-button">
+            Sell TES3
+          </button>
+        </div>
+      </RoleGate>
     </>
   );
 }
@@ -1026,6 +953,7 @@ function DigitalExchangeActionsContent() {
           Validate KYC/AML
         </button>
       </div>
+      <OrderBookPanel />
     </>
   );
 }
@@ -1034,15 +962,18 @@ function DigitalExchangeActionsContent() {
  * Tokenized Depository Actions Content (extracted for reuse)
  */
 function DCDPActionsContent() {
-  const { contracts, getContractWithSigner, getBalance } = useContracts();
+  const { contracts, getContractWithSigner, getTokenContract } = useContracts();
   const { provider, getSigner } = useBlockchain();
   const { showSuccess, showError } = useToastContext();
+  const { tokens } = useDeploymentInfo();
+  const decoder = useTxDecoder();
+  const { getCurrentPrice, currentDate } = useDatePrice();
   // Hardcoded owner ID - always use SN91X81J21 for tokenization and redemption
   const tokenizeOwnerId = 'SN91X81J21';
   const [tokenizeQuantity, setTokenizeQuantity] = useState('4000');
   const [redeemQuantity, setRedeemQuantity] = useState('3000');
-  // Hardcoded symbol - always use ES3 for tokenization and redemption
-  const tokenizeSymbol = 'ES3';
+  // ETF to tokenize/redeem - routed by dCDP to its tokenized ETF contract (e.g. ES3 → TES3)
+  const [tokenizeSymbol, setTokenizeSymbol] = useState('ES3');
   const [walletOwnerId, setWalletOwnerId] = useState('SN72K45M83');
   const [loading, setLoading] = useState(false);
   // Check if KYC has been validated - check localStorage on mount and listen for changes
@@ -1068,13 +999,13 @@ function DCDPActionsContent() {
   }, []);
 
   // Tokenize securities
-  // This converts traditional securities (ES3 ETF) into tokenized tokens (TES3)
+  // This converts traditional securities (e.g. ES3 ETF) into tokenized tokens (e.g. TES3)
   // Steps:
-  // 1. Check CDP registry for sufficient balance
-  // 2. Decrease CDP registry balance (offchain)
-  // 3. Mint TES3 tokens onchain via dCDP contract
+  // 1. Reserve the ETF balance in the CDP registry (offchain)
+  // 2. Mint the ETF's tokens onchain via dCDP contract
+  // 3. Commit the reservation on success, roll it back on failure
   // 4. Transaction appears in Block Explorer automatically
-  // 5. TES3 tokens appear in dCDP Registry automatically
+  // 5. Tokens appear in dCDP Registry automatically
   const handleTokenize = async () => {
     setLoading(true);
 
@@ -1096,31 +1027,32 @@ function DCDPActionsContent() {
         throw new Error('Quantity must be a positive number');
       }
 
-      // Step 1: Check Depository registry and decrease balance (offchain)
-      // This validates that AP has sufficient ES3 shares and decreases the balance
-      console.log(`[Tokenize] Checking Depository registry for ${quantityNumber} ${tokenizeSymbol} for ${ownerId}...`);
-      await tokenizeSecurity(ownerId, quantityNumber, tokenizeSymbol);
-      console.log(`[Tokenize] Depository registry updated: ${quantityNumber} ${tokenizeSymbol} deducted`);
-      
-      // Step 2: Mint TES3 tokens onchain via Tokenized Depository contract
       // Get admin signer (Account #0) - admin has permission to call tokenize
+      // Resolved before reserving: a missing or wrong-account wallet must fail before any shares are locked
       const adminSigner = getSigner(ACCOUNTS.ADMIN);
       const dcdp = getContractWithSigner('dcdp', adminSigner);
+
+      // Step 1: Reserve the ETF shares in the Depository registry (offchain)
+      // This validates that AP has sufficient shares and locks them until the mint settles
+      console.log(`[Tokenize] Reserving ${quantityNumber} ${tokenizeSymbol} for ${ownerId} in Depository registry...`);
+      const fromBlock = await provider.getBlockNumber();
+      const { operation } = await reserveRegistryOperation('tokenize', ownerId, quantityNumber, tokenizeSymbol, fromBlock);
+      console.log(`[Tokenize] Depository registry reserved: ${quantityNumber} ${tokenizeSymbol} locked (${operation.id})`);
       
+      // Step 2: Mint tokens onchain via Tokenized Depository contract
       // Dispatch tokenize-started event immediately to prevent components from refreshing
       // This flag prevents immediate refresh when transaction completes, Transfer events fire, or blocks are mined
       // Must be dispatched before transaction to catch all refresh triggers
       window.dispatchEvent(new CustomEvent('tokenize-started'));
       
       // Call Tokenized Depository.tokenize() function with owner ID (not unique identifier)
-      // This mints TES3 tokens to the owner's registered wallet address
+      // dCDP mints the token registered for the symbol to the owner's registered wallet address
+      // Step 3: Commit the reservation once confirmed, or roll it back if the mint fails
       console.log(`[Tokenize] Calling Tokenized Depository.tokenize(${ownerId}, ${quantity.toString()}, ${tokenizeSymbol})...`);
-      const tx = await dcdp.tokenize(ownerId, quantity, tokenizeSymbol);
-      console.log(`[Tokenize] Transaction submitted: ${tx.hash}`);
-      
-      // Wait for transaction with timeout to prevent indefinite hanging
-      await waitForTransaction(tx, 60000); // 60 second timeout
-      console.log(`[Tokenize] Transaction confirmed!`);
+      const receipt = await settleRegistryOperation(operation.id, () =>
+        dcdp.tokenize(ownerId, quantity, tokenizeSymbol)
+      );
+      console.log(`[Tokenize] Transaction confirmed: ${receipt.hash}`);
       
       // Show success message
       showSuccess('Tokenization successful!');
@@ -1156,21 +1088,24 @@ function DCDPActionsContent() {
       
     } catch (err) {
       console.error('Tokenize error:', err);
-      showError(err.message || 'Failed to tokenize');
+      // Let the other components resume refreshing (no animation runs after a failure)
+      window.dispatchEvent(new CustomEvent('tokenize-completed'));
+      // Show the contract's revert reason (e.g. "dCDP: owner_id does not have a registered wallet")
+      showError(`Tokenization failed: ${getRevertReason(err, decoder)}`);
     } finally {
       setLoading(false);
     }
   };
 
   // Redeem tokenized securities
-  // This converts tokenized tokens (TES3) back to traditional securities (ES3)
+  // This converts tokenized tokens (e.g. TES3) back to traditional securities (e.g. ES3)
   // Steps:
-  // 1. Check if AP has sufficient TES3 tokens
-  // 2. Burn TES3 tokens onchain via dCDP contract
-  // 3. Increase CDP registry balance (offchain)
+  // 1. Check if AP has sufficient tokens
+  // 2. Reserve the pending ETF credit in the CDP registry (offchain)
+  // 3. Burn tokens onchain via dCDP contract, then commit (increase CDP balance) or roll back
   // 4. Transaction appears in Block Explorer automatically
-  // 5. TES3 tokens decrease in dCDP Registry automatically
-  // 6. ES3 balance increases in CDP Registry automatically
+  // 5. Tokens decrease in dCDP Registry automatically
+  // 6. ETF balance increases in CDP Registry automatically
   const handleRedeem = async () => {
     setLoading(true);
 
@@ -1197,7 +1132,7 @@ function DCDPActionsContent() {
         throw new Error('Quantity must be a positive number');
       }
 
-      // Step 1: Check if AP has sufficient TES3 tokens
+      // Step 1: Check if AP has sufficient tokens
       // Get admin signer (Account #0) - admin has permission to call redeem
       const adminSigner = getSigner(ACCOUNTS.ADMIN);
       const dcdp = getContractWithSigner('dcdp', adminSigner);
@@ -1208,28 +1143,30 @@ function DCDPActionsContent() {
         throw new Error(`${ownerId} does not have a registered wallet`);
       }
 
-      // Check TES3 balance
-      const tes3Balance = await getBalance('tes3', apAddress);
-      if (BigInt(tes3Balance) < quantity) {
-        throw new Error(`Insufficient TES3 balance. Need ${formatTokenAmount(quantity)}, have ${formatTokenAmount(tes3Balance)}`);
+      // Check balance of the token registered for this ETF
+      const token = getTokenContract(tokenizeSymbol);
+      const [tokenSymbol, tokenBalance] = await Promise.all([
+        token.symbol(),
+        token.balanceOf(apAddress),
+      ]);
+      if (tokenBalance < quantity) {
+        throw new Error(`Insufficient ${tokenSymbol} balance. Need ${formatTokenAmount(quantity)}, have ${formatTokenAmount(tokenBalance)}`);
       }
 
-      // Step 2: Burn TES3 tokens onchain via Tokenized Depository contract
+      // Step 2: Record the pending ETF credit in the Depository registry (offchain)
+      const fromBlock = await provider.getBlockNumber();
+      const { operation } = await reserveRegistryOperation('redeem', ownerId, quantityNumber, tokenizeSymbol, fromBlock);
+      console.log(`[Redeem] Depository registry reserved pending credit ${operation.id}`);
+      
+      // Step 3: Burn tokens onchain via Tokenized Depository contract
       // Call Tokenized Depository.redeem() function with owner ID (not unique identifier)
-      // This burns TES3 tokens from the owner's registered wallet address
+      // This burns tokens from the owner's registered wallet address
+      // The ETF credit is committed once confirmed, or rolled back if the burn fails
       console.log(`[Redeem] Calling Tokenized Depository.redeem(${ownerId}, ${quantity.toString()}, ${tokenizeSymbol})...`);
-      const tx = await dcdp.redeem(ownerId, quantity, tokenizeSymbol);
-      console.log(`[Redeem] Transaction submitted: ${tx.hash}`);
-      
-      // Wait for transaction with timeout to prevent indefinite hanging
-      await waitForTransaction(tx, 60000); // 60 second timeout
-      console.log(`[Redeem] Transaction confirmed!`);
-      
-      // Step 3: Update Depository registry and increase balance (offchain)
-      // This increases AP's ES3 shares in the registry
-      console.log(`[Redeem] Updating Depository registry for ${quantityNumber} ${tokenizeSymbol} for ${ownerId}...`);
-      await redeemSecurity(ownerId, quantityNumber, tokenizeSymbol);
-      console.log(`[Redeem] Depository registry updated: ${quantityNumber} ${tokenizeSymbol} added`);
+      const receipt = await settleRegistryOperation(operation.id, () =>
+        dcdp.redeem(ownerId, quantity, tokenizeSymbol)
+      );
+      console.log(`[Redeem] Transaction confirmed and Depository registry updated: ${receipt.hash}`);
       
       // Show success message
       showSuccess('Redemption successful!');
@@ -1265,7 +1202,10 @@ function DCDPActionsContent() {
       
     } catch (err) {
       console.error('Redeem error:', err);
-      showError(err.message || 'Failed to redeem');
+      // Let the other components resume refreshing (no animation runs after a failure)
+      window.dispatchEvent(new CustomEvent('redeem-completed'));
+      // Show the contract's revert reason (e.g. "dCDP: insufficient TES3 balance")
+      showError(`Redemption failed: ${getRevertReason(err, decoder)}`);
     } finally {
       setLoading(false);
     }
@@ -1315,7 +1255,7 @@ function DCDPActionsContent() {
       window.dispatchEvent(new CustomEvent('wallet-creation-started'));
       
       // Get admin signer
-      const adminSigner = await provider.getSigner(ACCOUNTS.ADMIN);
+      const adminSigner = getSigner(ACCOUNTS.ADMIN);
       const dcdp = getContractWithSigner('dcdp', adminSigner);
       
       // Call Tokenized Depository.createWallet() function with owner ID (not unique identifier)
@@ -1350,6 +1290,38 @@ function DCDPActionsContent() {
     }
   };
 
+  // Publish the prices for the selected date to the PriceOracle
+  // Buy/Sell trades are priced from the oracle and settlement records its price, so this moves
+  // the traded price along the date slider (backend/script/publishPrices.js does the same from
+  // a price file). Admin is the oracle's updater in the demo deployment.
+  const handlePublishPrices = async () => {
+    setLoading(true);
+
+    try {
+      if (!contracts.priceOracle) {
+        throw new Error('PriceOracle contract not found in deployment info. Redeploy the contracts to enable it.');
+      }
+
+      const prices = Object.entries(tokens).map(([etfSymbol, token]) => ({
+        asset: token.address,
+        price: getCurrentPrice(etfSymbol),
+      }));
+      await publishOraclePrices({
+        oracle: contracts.priceOracle,
+        signer: getSigner(ACCOUNTS.ADMIN),
+        prices,
+      });
+
+      showSuccess(`Published ${prices.length} price${prices.length === 1 ? '' : 's'} for ${currentDate}`);
+      window.dispatchEvent(new CustomEvent('block-explorer-refresh'));
+    } catch (err) {
+      console.error('Publish prices error:', err);
+      showError(err.message || 'Failed to publish prices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <>
       <div className="action-group">
@@ -1358,15 +1330,25 @@ function DCDPActionsContent() {
         </button>
       </div>
 
+      <div className="action-group">
+        <ETFSymbolSelect value={tokenizeSymbol} onChange={setTokenizeSymbol} requireToken disabled={loading} />
+      </div>
+
       <div className="action-group">
         <button onClick={handleTokenize} disabled={loading} className="action-button">
-          Tokenize ES3
+          Tokenize {tokenizeSymbol}
         </button>
       </div>
 
       <div className="action-group">
         <button onClick={handleRedeem} disabled={loading} className="action-button">
-          Redeem ES3
+          Redeem {tokenizeSymbol}
+        </button>
+      </div>
+
+      <div className="action-group">
+        <button onClick={handlePublishPrices} disabled={loading} className="action-button">
+          Publish Prices ({currentDate})
         </button>
       </div>
     </>
@@ -1377,15 +1359,22 @@ function DCDPActionsContent() {
  * AP Actions Content (extracted for reuse)
  */
 function APActionsContent() {
+  const { contracts, getBalance } = useContracts();
+  const { provider, getSigner } = useBlockchain();
+  const { isWalletMode } = useWalletContext();
+  const { getCurrentPrice } = useDatePrice();
   const { showSuccess, showError } = useToastContext();
   const [etfQuantity, setEtfQuantity] = useState('5000');
-  // Hardcoded symbol - always use ES3 for ETF creation
-  const etfSymbol = 'ES3';
+  // ETF to create - any ETF defined in the Depository registry's etf_compositions
+  const [etfSymbol, setEtfSymbol] = useState('ES3');
+  const [tradeQuantity] = useState('1111.111111'); // Same default as Thomas's Buy/Sell
+  // Hardcoded TES3 contract address - the same one Thomas's Buy/Sell settle
+  const tradeContractAddress = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
   const [loading, setLoading] = useState(false);
 
   // Create ETF (offchain operation)
   // This creates ETF shares by deducting underlying stocks according to ETF composition
-  // Updates Depository registry stored in localStorage and triggers refresh event
+  // Updates Depository registry through the registry service and triggers refresh event
   const handleCreateETF = async () => {
     setLoading(true);
 
@@ -1426,6 +1415,97 @@ function APActionsContent() {
     }
   };
 
+  // Redeem ETF in kind (offchain operation)
+  // Reverse of ETF creation: removes ETF shares and credits the constituent stocks
+  // according to the same ETF composition
+  const handleRedeemETF = async () => {
+    setLoading(true);
+
+    try {
+      const quantity = parseInt(etfQuantity);
+
+      // Validate quantity
+      if (isNaN(quantity) || quantity <= 0) {
+        throw new Error('Quantity must be a positive number');
+      }
+
+      await redeemETF('AP', quantity, etfSymbol);
+
+      showSuccess('Redemption successful!');
+
+      // Same Depository and AP glow as ETF creation
+      window.dispatchEvent(new CustomEvent('etf-redeemed', {
+        detail: {
+          quantity,
+          symbol: etfSymbol
+        }
+      }));
+
+      window.dispatchEvent(new CustomEvent('depository-registry-updated'));
+
+    } catch (err) {
+      console.error('Redeem ETF error:', err);
+      showError(err.message || 'Failed to redeem ETF');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Propose a TES3 trade with Thomas (wallet mode)
+  // A browser wallet signs for one account only, so the AP proposes the trade and approves its
+  // own leg here, and Thomas settles it from his wallet with Buy TES3 (offer) or Sell TES3 (bid)
+  const handleProposeTrade = async (side) => {
+    setLoading(true);
+
+    try {
+      const quantity = parseTokenAmount(tradeQuantity);
+      const { price } = await resolveTradePrice({
+        oracle: contracts.priceOracle,
+        asset: tradeContractAddress,
+        fallbackPrice: getCurrentPrice(),
+      });
+      const cashAmount = (quantity * price) / BigInt(10 ** 18);
+
+      const isOffer = side === 'offer';
+      if (isOffer) {
+        const tokenContract = new ethers.Contract(
+          tradeContractAddress,
+          ['function balanceOf(address) view returns (uint256)'],
+          provider
+        );
+        const apTokenBalance = await tokenContract.balanceOf(ACCOUNTS.AP);
+        if (apTokenBalance < quantity) {
+          throw new Error(`AP has insufficient tokens. Need ${formatTokenAmount(quantity)}, AP has ${formatTokenAmount(apTokenBalance)}`);
+        }
+      } else {
+        const apSgdcBalance = BigInt(await getBalance('sgdc', ACCOUNTS.AP));
+        if (apSgdcBalance < cashAmount) {
+          throw new Error(`AP has insufficient SGDC. Need ${formatTokenAmount(cashAmount)}, AP has ${formatTokenAmount(apSgdcBalance)}`);
+        }
+      }
+
+      const tradeId = await proposeDvPTrade({
+        dvp: contracts.dvp,
+        trade: {
+          seller: isOffer ? ACCOUNTS.AP : ACCOUNTS.THOMAS,
+          buyer: isOffer ? ACCOUNTS.THOMAS : ACCOUNTS.AP,
+          asset: tradeContractAddress,
+          assetAmount: quantity,
+          cashAmount,
+        },
+        signer: getSigner(ACCOUNTS.AP),
+      });
+
+      showSuccess(`Trade #${tradeId} proposed. Connect your wallet as Thomas and use ${isOffer ? 'Buy' : 'Sell'} TES3 to settle it`);
+      window.dispatchEvent(new CustomEvent('block-explorer-refresh'));
+    } catch (err) {
+      console.error('Propose trade error:', err);
+      showError(getRevertReason(err) || 'Failed to propose trade');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // List TES3 action
   // This lists TES3 tokens on the Digital Exchange
   // Moves listing functionality from Digital Exchange to AP section
@@ -1456,9 +1536,19 @@ function APActionsContent() {
 
   return (
     <>
+      <div className="action-group">
+        <ETFSymbolSelect value={etfSymbol} onChange={setEtfSymbol} disabled={loading} />
+      </div>
+
       <div className="action-group">
         <button onClick={handleCreateETF} disabled={loading} className="action-button">
-          Create ES3
+          Create {etfSymbol}
+        </button>
+      </div>
+
+      <div className="action-group">
+        <button onClick={handleRedeemETF} disabled={loading} className="action-button">
+          Redeem {etfSymbol} In-Kind
         </button>
       </div>
 
@@ -1467,6 +1557,23 @@ function APActionsContent() {
           List TES3
         </button>
       </div>
+
+      {/* Outside wallet mode Thomas's Buy/Sell sign both legs themselves */}
+      {isWalletMode && (
+        <>
+          <div className="action-group">
+            <button onClick={() => handleProposeTrade('offer')} disabled={loading} className="action-button">
+              Offer TES3 to Thomas
+            </button>
+          </div>
+
+          <div className="action-group">
+            <button onClick={() => handleProposeTrade('bid')} disabled={loading} className="action-button">
+              Bid for Thomas's TES3
+            </button>
+          </div>
+        </>
+      )}
     </>
   );
 }
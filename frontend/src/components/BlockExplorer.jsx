@@ -4,117 +4,146 @@
  * Shows transaction hash, function name, block number, from/to addresses
  * 
  * Enhanced Features:
- * - Detects contract deployments and identifies which contract was deployed (SGDC, TES3, dCDP)
- * - Shows descriptive function names instead of "unknown"
+ * - Detects contract deployments and identifies which contract was deployed (SGDC, TES3, dCDP, TG3B, ...)
+ * - Decodes calls with the contract ABIs (src/contracts) to name the function called
  * - Identifies contract-specific function calls (setDCDP, createWallet, etc.)
- * - Matches transactions to known contract addresses for better context
+ * - Click a row to expand its receipt (status, gas, revert reason), decoded call arguments,
+ *   SGDC/tokenized ETF balance changes and decoded events
+ * - Search by address or owner_id and filter by function type, contract and block/time range;
+ *   the filters are kept in the page URL (e.g. ?address=THOMAS&function=trade)
+ * - Pages through the full history from the chain indexer (backend/script/indexerServer.js) when
+ *   it is running, falling back to scanning the last 50 blocks over RPC
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { ethers } from 'ethers';
 import { useBlockchain } from '../hooks/useBlockchain';
-import { useDeploymentInfo } from '../hooks/useDeploymentInfo';
+import { useTxDecoder } from '../hooks/useTxDecoder';
+import { useContracts } from '../hooks/useContracts';
 import { shortenAddress } from '../utils/contractHelpers';
-import { ADDRESS_SHORT_LENGTH } from '../utils/constants';
+import {
+  decodeCall,
+  decodeLogs,
+  labelTransaction,
+  getBalanceChanges,
+  getTouchedAccounts,
+  fetchRevertReason,
+} from '../utils/txDecoder';
+import {
+  FUNCTION_FILTERS,
+  EMPTY_FILTERS,
+  readExplorerFilters,
+  writeExplorerFilters,
+  hasExplorerFilters,
+  resolveExplorerAddress,
+  toIndexerParams,
+  matchesExplorerFilters,
+} from '../utils/explorerFilters';
+import { fetchIndexedTransactions } from '../utils/api';
+import { ACCOUNTS, ADDRESS_SHORT_LENGTH } from '../utils/constants';
 import './BlockExplorer.css';
 
+// Transactions per page read from the chain indexer
+const PAGE_SIZE = 50;
+
+// Largest page the chain indexer serves (indexerStore MAX_PAGE_SIZE)
+const MAX_INDEXER_PAGE_SIZE = 500;
+
+/**
+ * Re-read the newest indexed transactions, following the cursors once the indexer's page cap is reached
+ * @param {Object} params - Indexer filters (toIndexerParams)
+ * @param {number} count - Number of transactions to read
+ * @returns {Promise<Object>} { transactions, nextCursor } - nextCursor continues after the last one read
+ */
+async function fetchIndexedHistory(params, count) {
+  let transactions = [];
+  let cursor;
+  do {
+    const page = await fetchIndexedTransactions({
+      ...params,
+      cursor,
+      limit: Math.min(count - transactions.length, MAX_INDEXER_PAGE_SIZE),
+    });
+    transactions = transactions.concat(page.transactions);
+    cursor = page.nextCursor;
+  } while (cursor && transactions.length < count);
+  return { transactions, nextCursor: cursor };
+}
+
+// Block Explorer row for an indexed transaction (deployments show the created contract)
+const toExplorerRow = (tx) => ({
+  hash: tx.hash,
+  blockNumber: tx.blockNumber,
+  from: tx.from,
+  to: tx.to || tx.contractAddress,
+  isDeployment: !tx.to,
+  function: tx.function,
+  input: tx.input,
+});
+
+// Name, type and value of each decoded argument (arrays are listed comma-separated)
+const renderArgs = (args) => (
+  <dl className="block-explorer-args">
+    {args.map((arg) => (
+      <React.Fragment key={arg.name}>
+        <dt>{arg.name} <span className="block-explorer-arg-type">{arg.type}</span></dt>
+        <dd>{Array.isArray(arg.value) ? arg.value.join(', ') : arg.value}</dd>
+      </React.Fragment>
+    ))}
+  </dl>
+);
+
 function BlockExplorer() {
   const { provider, isConnected, blockNumber } = useBlockchain();
-  const { contractAddresses } = useDeploymentInfo();
+  const decoder = useTxDecoder(); // Contract ABIs by deployed address, for labelling and decoding transactions
+  const { contracts } = useContracts();
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [isIndexed, setIsIndexed] = useState(false); // Transactions come from the chain indexer
+  const [nextCursor, setNextCursor] = useState(null); // Indexer cursor of the next older page
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [filters, setFilters] = useState(() => readExplorerFilters(window.location.search)); // Applied filters
+  const [filterForm, setFilterForm] = useState(filters); // Filters as typed, applied on submit
+  // Address filter resolved to a wallet address (owner_ids are looked up on dCDP)
+  const [search, setSearch] = useState({ query: '', address: null, error: null });
+  const [expandedHash, setExpandedHash] = useState(null); // Row whose details are shown
+  const [receipts, setReceipts] = useState({}); // { receipt, revertReason } of expanded rows by hash ({ error } if unavailable)
   const prevTransactionsRef = useRef([]);
-
-  // Calculate function selector for setDCDP(address)
-  // Using ethers.id() to get the function selector (first 4 bytes of keccak256 hash)
-  const SETDCDP_SELECTOR = ethers.id('setDCDP(address)').slice(0, 10).toLowerCase();
-
-  // Parse transaction to extract function name with enhanced detection
-  // Now handles contract deployments and matches to known contract addresses
-  const getFunctionName = useCallback((tx, contractAddressesMap = null) => {
-    // Get input data from transaction (can be data or input field)
-    const inputData = tx.input || tx.data || '';
-    const toAddress = tx.to;
-    
-    // Detect contract deployments (when 'to' is null/undefined)
-    // Contract deployments create new contracts, so they don't have a 'to' address
-    if (!toAddress && inputData && inputData !== '0x' && inputData.length > 10) {
-      // This is a contract deployment transaction
-      // We'll identify which contract was deployed by checking the deployed address
-      // The deployed address is in the transaction receipt, so we'll handle this in loadTransactions
-      return 'deployContract'; // Placeholder, will be updated with specific contract name
-    }
-    
-    // Handle transactions with no input data or empty input
-    // This could be a simple ETH transfer or contract creation with minimal data
-    if (!inputData || inputData === '0x' || inputData.length < 10) {
-      // Check if it's a contract deployment (no 'to' address)
-      if (!toAddress) {
-        return 'deployContract'; // Will be updated with specific contract name
-      }
-      // Otherwise, it's likely a simple ETH transfer
-      return 'ethTransfer';
-    }
-
-    // Function signatures (first 4 bytes / 10 hex chars including 0x)
-    // These are the actual function selectors from the contracts
-    const functionSignatures = {
-      // ERC-20 standard functions
-      '0xa9059cbb': 'transfer',
-      '0x23b872dd': 'transferFrom',
-      '0x095ea7b3': 'approve',
-      '0x40c10f19': 'mint', // SGDC.mint
-      '0x9dc29fac': 'burn', // TES3.burn
-      // dCDP functions
-      '0x3f53de20': 'tokenize', // dCDP.tokenize
-      '0xba087652': 'redeem', // dCDP.redeem(string,uint256,string)
-      '0xa54c222f': 'createWallet', // dCDP.createWallet
-      '0xbf40fac1': 'getAddress', // dCDP.getAddress (view - should not appear in transactions)
-      '0xef4a7203': 'getOwnerId', // dCDP.getOwnerId (view - should not appear in transactions)
-      // TES3 functions
-      [SETDCDP_SELECTOR]: 'setDCDP', // TES3.setDCDP(address)
-    };
-
-    const sig = inputData.slice(0, 10).toLowerCase();
-    const functionName = functionSignatures[sig] || 'unknown';
-    
-    // If we have contract addresses, try to identify which contract this transaction is calling
-    if (contractAddressesMap && toAddress) {
-      const toLower = toAddress.toLowerCase();
-      // Add context to function name based on which contract is being called
-      if (toLower === contractAddressesMap.SGDC?.toLowerCase()) {
-        if (functionName === 'unknown') {
-          return 'sgdcCall';
-        }
-        return functionName === 'mint' ? 'mintSGDC' : functionName;
-      } else if (toLower === contractAddressesMap.TES3?.toLowerCase()) {
-        if (functionName === 'setDCDP') {
-          return 'linkTES3';
-        }
-        if (functionName === 'unknown') {
-          return 'tes3Call';
-        }
-        return functionName;
-      } else if (toLower === contractAddressesMap.dCDP?.toLowerCase()) {
-        if (functionName === 'unknown') {
-          return 'dcdpCall';
-        }
-        return functionName === 'createWallet' ? 'createWallet' : functionName;
-      }
-    }
-    
-    return functionName;
-  }, [SETDCDP_SELECTOR]);
+  const loadedCountRef = useRef(0);
 
   // Load all transactions from recent blocks
   // Loads up to 50 blocks to capture all past transactions (reduced from 100 for better performance)
   // Removed transaction limit - shows all transactions with scrollbar
   const loadTransactions = useCallback(async () => {
     if (!isConnected || !provider || !blockNumber) return;
+    // Wait until the address filter is resolved; list nothing if it cannot be
+    if (filters.address.trim() !== search.query) return;
+    if (search.error) {
+      setTransactions([]);
+      setNextCursor(null);
+      return;
+    }
 
     try {
       setLoading(true);
+      const filterParams = toIndexerParams(filters, search.address);
+
+      // Full history from the chain indexer when it is running. Re-read every page loaded so far
+      // so transactions dropped by a reorg or an Anvil restart disappear from the list
+      const indexed = await fetchIndexedHistory(filterParams, Math.max(PAGE_SIZE, loadedCountRef.current))
+        .catch(() => null);
+      if (indexed) {
+        setIsIndexed(true);
+        setNextCursor(indexed.nextCursor);
+        setTransactions((prevTx) => {
+          prevTransactionsRef.current = prevTx;
+          return indexed.transactions.map(toExplorerRow);
+        });
+        return;
+      }
+      setIsIndexed(false);
+      setNextCursor(null);
 
       // Get recent blocks (up to 100 blocks to capture all past transactions)
       // This ensures we show all transactions, not just the most recent ones
@@ -156,9 +185,9 @@ function BlockExplorer() {
           }
 
           // Fetch transaction receipt to get deployed contract address (for contract deployments)
+          // and, when searching by address, the addresses in its events
           let deployedContractAddress = null;
-          if (!fullTx.to) {
-            // This is a contract deployment - fetch receipt to get deployed contract address
+          if (!fullTx.to || filterParams.address) {
             try {
               txReceipt = await provider.getTransactionReceipt(txHash);
               if (txReceipt && txReceipt.contractAddress) {
@@ -172,40 +201,26 @@ function BlockExplorer() {
 
           // Determine function name with enhanced detection
           // Using camelCase for function names: deploySGDC, deployTES3, deployTDepository, linkTES3, createWallet
-          let functionName;
-          if (!fullTx.to && deployedContractAddress) {
-            // Contract deployment - identify which contract was deployed
-            const deployedLower = deployedContractAddress.toLowerCase();
-            const addresses = contractAddresses || {};
-            
-            if (addresses.SGDC && deployedLower === addresses.SGDC.toLowerCase()) {
-              functionName = 'deploySGDC';
-            } else if (addresses.TES3 && deployedLower === addresses.TES3.toLowerCase()) {
-              functionName = 'deployTES3';
-            } else if (addresses.dCDP && deployedLower === addresses.dCDP.toLowerCase()) {
-              functionName = 'deployTDepository';
-            } else {
-              functionName = 'deployContract';
-            }
-          } else {
-            // Regular transaction - use getFunctionName with contract addresses
-            functionName = getFunctionName(
-              { 
-                input: fullTx.data || fullTx.input, 
-                data: fullTx.data || fullTx.input,
-                to: fullTx.to 
-              },
-              contractAddresses
-            );
-          }
+          const functionName = labelTransaction(
+            decoder,
+            { to: fullTx.to, input: fullTx.data || fullTx.input },
+            deployedContractAddress
+          );
 
           txList.push({
             hash: txHash,
             blockNumber: block.number,
             from: fullTx.from,
             to: fullTx.to || deployedContractAddress, // Show deployed contract address if available
+            isDeployment: !fullTx.to,
             function: functionName,
             input: fullTx.data || fullTx.input,
+            // For the filters, as the chain indexer records them
+            timestamp: block.timestamp,
+            contract: decoder.get((fullTx.to || deployedContractAddress || '').toLowerCase())?.name || null,
+            accounts: txReceipt
+              ? getTouchedAccounts(decoder, { from: fullTx.from, to: fullTx.to, input: fullTx.data || fullTx.input }, txReceipt)
+              : [],
           });
         }
       }
@@ -222,7 +237,8 @@ function BlockExplorer() {
         'createWallet': 1,
       };
       
-      txList.sort((a, b) => {
+      const matching = txList.filter((tx) => matchesExplorerFilters(tx, filters, search.address));
+      matching.sort((a, b) => {
         // First sort by block number (newest first)
         if (b.blockNumber !== a.blockNumber) {
           return b.blockNumber - a.blockNumber;
@@ -244,14 +260,204 @@ function BlockExplorer() {
       // Use functional update to avoid dependency on transactions state
       setTransactions((prevTx) => {
         prevTransactionsRef.current = prevTx;
-        return txList; // Return all transactions, not limited
+        return matching; // Return all matching transactions, not limited
       });
     } catch (err) {
       console.error('Error loading transactions:', err);
     } finally {
       setLoading(false);
     }
-  }, [isConnected, provider, blockNumber, contractAddresses, getFunctionName]);
+  }, [isConnected, provider, blockNumber, decoder, filters, search]);
+
+  // Append the next older page from the chain indexer
+  const loadOlderTransactions = async () => {
+    if (!nextCursor) return;
+
+    try {
+      setLoadingOlder(true);
+      const page = await fetchIndexedTransactions({
+        ...toIndexerParams(filters, search.address),
+        cursor: nextCursor,
+        limit: PAGE_SIZE,
+      });
+      setTransactions((prevTx) => {
+        const known = new Set(prevTx.map((tx) => tx.hash));
+        const merged = [...prevTx, ...page.transactions.filter((tx) => !known.has(tx.hash)).map(toExplorerRow)];
+        // Older transactions are not new, so they should not play the new-row animation
+        prevTransactionsRef.current = merged;
+        return merged;
+      });
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      console.error('Error loading older transactions:', err);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  // Expand or collapse a row's details, fetching its receipt the first time
+  // Failed transactions are replayed to recover the revert reason, which receipts do not carry
+  const toggleDetails = async (tx) => {
+    if (expandedHash === tx.hash) {
+      setExpandedHash(null);
+      return;
+    }
+    setExpandedHash(tx.hash);
+    if (receipts[tx.hash] || !provider) return;
+
+    try {
+      const receipt = await provider.getTransactionReceipt(tx.hash);
+      if (!receipt) return;
+      const revertReason = receipt.status === 0
+        ? await fetchRevertReason(provider, decoder, { ...tx, to: tx.isDeployment ? null : tx.to })
+        : null;
+      setReceipts((prev) => ({ ...prev, [tx.hash]: { receipt, revertReason } }));
+    } catch (err) {
+      console.error(`Error loading receipt for ${tx.hash}:`, err);
+      setReceipts((prev) => ({ ...prev, [tx.hash]: { error: err.message } }));
+    }
+  };
+
+  // Known accounts and contracts by lowercase address, to name them in balance changes
+  const accountName = (address) => {
+    const lower = address.toLowerCase();
+    const account = Object.keys(ACCOUNTS).find((name) => ACCOUNTS[name].toLowerCase() === lower);
+    return account || decoder.get(lower)?.name || shortenAddress(address, ADDRESS_SHORT_LENGTH);
+  };
+
+  // Receipt, decoded call arguments, balance changes and events of an expanded row
+  const renderDetails = (tx) => {
+    const call = tx.isDeployment ? null : decodeCall(decoder, tx);
+    const { receipt, revertReason, error } = receipts[tx.hash] || {};
+    const balanceChanges = receipt ? getBalanceChanges(decoder, receipt.logs) : [];
+
+    return (
+      <div className="block-explorer-details">
+        <div className="block-explorer-details-hash">{tx.hash}</div>
+        <div className="block-explorer-details-section">
+          <div className="block-explorer-details-title">Receipt</div>
+          {error ? (
+            <div className="block-explorer-details-empty">Receipt unavailable: {error}</div>
+          ) : !receipt ? (
+            <div className="block-explorer-details-empty">Loading receipt...</div>
+          ) : (
+            <dl className="block-explorer-args">
+              <dt>status</dt>
+              <dd className={receipt.status === 1 ? 'block-explorer-status-success' : 'block-explorer-status-failed'}>
+                {receipt.status === 1 ? 'Success' : 'Failed'}
+              </dd>
+              {receipt.status === 0 && (
+                <>
+                  <dt>revert reason</dt>
+                  <dd className="block-explorer-status-failed">{revertReason || 'None (replay did not revert)'}</dd>
+                </>
+              )}
+              <dt>gas used</dt>
+              <dd>{receipt.gasUsed.toString()}</dd>
+              <dt>effective gas price</dt>
+              <dd>{ethers.formatUnits(receipt.gasPrice, 'gwei')} gwei</dd>
+              <dt>fee</dt>
+              <dd>{ethers.formatEther(receipt.fee)} ETH</dd>
+            </dl>
+          )}
+        </div>
+        <div className="block-explorer-details-section">
+          <div className="block-explorer-details-title">
+            {tx.isDeployment
+              ? `Contract creation: ${tx.to || 'unknown address'}`
+              : call
+                ? `${call.contract}.${call.signature}`
+                : 'Call data not decoded (no ABI for this contract or function)'}
+          </div>
+          {call && renderArgs(call.args)}
+        </div>
+        {balanceChanges.length > 0 && (
+          <div className="block-explorer-details-section">
+            <div className="block-explorer-details-title">Balance changes</div>
+            <dl className="block-explorer-args">
+              {balanceChanges.map((entry) => (
+                <React.Fragment key={`${entry.token}-${entry.account}`}>
+                  <dt>{accountName(entry.account)}</dt>
+                  <dd className={entry.change.startsWith('-') ? 'block-explorer-change-out' : 'block-explorer-change-in'}>
+                    {entry.change.startsWith('-') ? entry.change : `+${entry.change}`} {entry.token}
+                  </dd>
+                </React.Fragment>
+              ))}
+            </dl>
+          </div>
+        )}
+        {receipt && (
+          <div className="block-explorer-details-section">
+            <div className="block-explorer-details-title">Events</div>
+            {receipt.logs.length === 0 ? (
+              <div className="block-explorer-details-empty">No events emitted</div>
+            ) : (
+              decodeLogs(decoder, receipt.logs, call).map((event) => (
+                <div key={event.logIndex} className="block-explorer-event">
+                  <div className="block-explorer-event-name">
+                    {event.name ? `${event.contract}.${event.name}` : `Unknown event from ${event.address}`}
+                  </div>
+                  {renderArgs(event.args)}
+                </div>
+              ))
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Apply the filters as typed (the list reloads for the new filters)
+  const applyFilters = (event) => {
+    event.preventDefault();
+    loadedCountRef.current = 0;
+    setExpandedHash(null);
+    setFilters({ ...filterForm, address: filterForm.address.trim() });
+  };
+
+  const clearFilters = () => {
+    loadedCountRef.current = 0;
+    setExpandedHash(null);
+    setFilterForm(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const updateFilterForm = (name) => (event) => {
+    const { value } = event.target;
+    setFilterForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Keep the applied filters in the page URL so the view can be shared
+  useEffect(() => {
+    writeExplorerFilters(filters);
+  }, [filters]);
+
+  // Resolve the address filter (an address, owner_id or unique identifier) to a wallet address
+  useEffect(() => {
+    const query = filters.address.trim();
+    if (!query) {
+      setSearch({ query, address: null, error: null });
+      return undefined;
+    }
+    if (!ethers.isAddress(query) && !contracts.dcdp) return undefined; // Wait for the dCDP contract
+
+    let cancelled = false;
+    resolveExplorerAddress(contracts.dcdp, query)
+      .then((address) => {
+        if (!cancelled) setSearch({ query, address, error: null });
+      })
+      .catch((err) => {
+        if (!cancelled) setSearch({ query, address: null, error: err.reason || err.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [filters.address, contracts.dcdp]);
+
+  // Keep the number of loaded transactions for refreshes from the indexer
+  useEffect(() => {
+    loadedCountRef.current = transactions.length;
+  }, [transactions]);
 
   // Use ref to store latest loadTransactions function to prevent re-renders
   const loadTransactionsRef = useRef(loadTransactions);
@@ -501,12 +707,66 @@ function BlockExplorer() {
   return (
     <div className="block-explorer">
       <h3>Block Explorer</h3>
+      <form className="block-explorer-filters" onSubmit={applyFilters}>
+        <input
+          type="text"
+          className="block-explorer-search"
+          value={filterForm.address}
+          onChange={updateFilterForm('address')}
+          placeholder="Address or owner_id (e.g. THOMAS)"
+        />
+        <select value={filterForm.function} onChange={updateFilterForm('function')}>
+          <option value="">All functions</option>
+          {Object.keys(FUNCTION_FILTERS).map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <select value={filterForm.contract} onChange={updateFilterForm('contract')}>
+          <option value="">All contracts</option>
+          {[...decoder.values()].map(({ name }) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          value={filterForm.fromBlock}
+          onChange={updateFilterForm('fromBlock')}
+          placeholder="From block"
+        />
+        <input
+          type="number"
+          min="0"
+          value={filterForm.toBlock}
+          onChange={updateFilterForm('toBlock')}
+          placeholder="To block"
+        />
+        <input
+          type="datetime-local"
+          value={filterForm.from}
+          onChange={updateFilterForm('from')}
+          title="From time"
+        />
+        <input
+          type="datetime-local"
+          value={filterForm.to}
+          onChange={updateFilterForm('to')}
+          title="To time"
+        />
+        <button type="submit">Search</button>
+        {hasExplorerFilters(filters) && (
+          <button type="button" className="block-explorer-clear" onClick={clearFilters}>Clear</button>
+        )}
+      </form>
+      {search.error && <div className="block-explorer-filter-error">{search.error}</div>}
       <div className="block-explorer-content">
         {loading && transactions.length === 0 ? (
           <div className="block-explorer-loading">Loading transactions...</div>
         ) : transactions.length === 0 ? (
           <div className="block-explorer-empty">
-            No transactions found. Transactions will appear here as they occur.
+            {hasExplorerFilters(filters)
+              ? 'No transactions match the filters.'
+              : 'No transactions found. Transactions will appear here as they occur.'}
           </div>
         ) : (
           <table className="block-explorer-table">
@@ -527,10 +787,13 @@ function BlockExplorer() {
                     prevTx => prevTx.hash === tx.hash
                   );
                   
-                  return (
+                  const isExpanded = expandedHash === tx.hash;
+
+                  return [
                     <motion.tr
                       key={`${tx.hash}-${index}`}
-                      className="block-explorer-row"
+                      className={`block-explorer-row${isExpanded ? ' block-explorer-row-expanded' : ''}`}
+                      onClick={() => toggleDetails(tx)}
                       initial={isNew ? { opacity: 0, x: -20, backgroundColor: '#e8f5e9' } : false}
                       animate={{ opacity: 1, x: 0, backgroundColor: 'transparent' }}
                       transition={{ duration: 0.5, ease: "easeOut" }}
@@ -551,14 +814,41 @@ function BlockExplorer() {
                       <td className="block-explorer-address">
                         {tx.to ? shortenAddress(tx.to, ADDRESS_SHORT_LENGTH) : 'N/A'}
                       </td>
-                    </motion.tr>
-                  );
+                    </motion.tr>,
+                    isExpanded && (
+                      <motion.tr
+                        key={`${tx.hash}-${index}-details`}
+                        className="block-explorer-details-row"
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                      >
+                        <td colSpan={5}>{renderDetails(tx)}</td>
+                      </motion.tr>
+                    ),
+                  ];
                 })}
               </AnimatePresence>
             </tbody>
           </table>
         )}
       </div>
+      <div className="block-explorer-footer">
+        <span className="block-explorer-source">
+          {isIndexed
+            ? `Full history: ${transactions.length}${hasExplorerFilters(filters) ? ' matching' : ''} transaction${transactions.length === 1 ? '' : 's'} loaded`
+            : `Last 50 blocks${hasExplorerFilters(filters) ? `: ${transactions.length} matching` : ''} (start the indexer for full history)`}
+        </span>
+        {nextCursor && (
+          <button
+            className="block-explorer-older"
+            onClick={loadOlderTransactions}
+            disabled={loadingOlder}
+          >
+            {loadingOlder ? 'Loading...' : 'Load older'}
+          </button>
+        )}
+      </div>
     </div>
   );
 }
@@ -1,12 +1,12 @@
 /**
  * Depository Registry Component
  * Displays offchain traditional securities balances from Depository registry
- * Reads from JSON file or API endpoint
+ * Reads from the registry service (backend/script/registryServer.js)
  */
 
 import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { CDP_REGISTRY_API } from '../utils/constants';
+import { fetchCDPRegistry } from '../utils/api';
 import './CDPRegistry.css';
 
 // Logo path for Depository Registry
@@ -46,7 +46,10 @@ const STOCK_NAMES = {
   'AWX': 'AWX Holdings Ltd',
   'D01': 'D01 Holdings Ltd',
   'S59': 'S59 Holdings Ltd',
-  'ES3': 'SPDR Straits Times Index ETF'
+  'ES3': 'SPDR Straits Times Index ETF',
+  'G3B': 'Nikko AM Singapore STI ETF',
+  // Cash balance used for ETF creation cash components and fees
+  'SGD': 'Cash'
 };
 
 // Function to get stock name from symbol, returns symbol if not found
@@ -79,60 +82,11 @@ function CDPRegistry() {
   const isRedeemInProgressRef = useRef(false); // Track if redeem is in progress to prevent immediate refresh
 
   // Load Depository registry data
-  // Reads from localStorage first (if ETF creation has occurred), then falls back to API
+  // Reads from the registry service so every user sees the same depository state
   useEffect(() => {
     async function loadRegistry() {
       try {
-        let data;
-        
-        // Check localStorage first - this contains the most up-to-date data after ETF creation
-        // If ETF shares were created, the updated registry is stored in localStorage
-        const storedRegistry = localStorage.getItem('cdp-registry');
-        
-        if (storedRegistry) {
-          try {
-            data = JSON.parse(storedRegistry);
-          } catch (e) {
-            console.warn('[DepositoryRegistry] Failed to parse stored registry, fetching from API');
-            // If localStorage data is corrupted, fetch from API
-            const response = await fetch(CDP_REGISTRY_API);
-            
-            if (!response.ok) {
-              throw new Error(`Failed to load Depository registry: ${response.status} ${response.statusText}`);
-            }
-            
-            const contentType = response.headers.get('content-type');
-            if (!contentType || !contentType.includes('application/json')) {
-              throw new Error('Response is not JSON - received HTML error page instead');
-            }
-            
-            data = await response.json();
-          }
-        } else {
-          // No localStorage data, fetch from public API endpoint
-          // Note: In browser, we can only access files in the public directory
-          const response = await fetch(CDP_REGISTRY_API);
-          
-          if (!response.ok) {
-            throw new Error(`Failed to load Depository registry: ${response.status} ${response.statusText}`);
-          }
-          
-          // Check if response is actually JSON before parsing
-          const contentType = response.headers.get('content-type');
-          if (!contentType || !contentType.includes('application/json')) {
-            throw new Error('Response is not JSON - received HTML error page instead');
-          }
-          
-          data = await response.json();
-          
-          // Sync localStorage with API data so future reads can use localStorage
-          // This ensures consistency across page refreshes
-          try {
-            localStorage.setItem('cdp-registry', JSON.stringify(data));
-          } catch (e) {
-            console.warn('[DepositoryRegistry] Failed to store registry in localStorage:', e);
-          }
-        }
+        const data = await fetchCDPRegistry();
         
         // Track previous data to detect changes
         const prevData = prevRegistryDataRef.current;
@@ -250,6 +204,9 @@ function CDPRegistry() {
     window.addEventListener('tokenize-completed', handleTokenizeCompleted);
     window.addEventListener('onramp-started', handleOnrampStarted);
     window.addEventListener('onramp-completed', handleOnrampCompleted);
+    // Offramp holds refreshes with the same flag as onramp
+    window.addEventListener('offramp-started', handleOnrampStarted);
+    window.addEventListener('offramp-completed', handleOnrampCompleted);
     window.addEventListener('buy-started', handleBuyStarted);
     window.addEventListener('buy-completed', handleBuyCompleted);
     window.addEventListener('sell-started', handleSellStarted);
@@ -273,6 +230,8 @@ function CDPRegistry() {
       window.removeEventListener('tokenize-completed', handleTokenizeCompleted);
       window.removeEventListener('onramp-started', handleOnrampStarted);
       window.removeEventListener('onramp-completed', handleOnrampCompleted);
+      window.removeEventListener('offramp-started', handleOnrampStarted);
+      window.removeEventListener('offramp-completed', handleOnrampCompleted);
       window.removeEventListener('buy-started', handleBuyStarted);
       window.removeEventListener('buy-completed', handleBuyCompleted);
       window.removeEventListener('sell-started', handleSellStarted);
@@ -284,15 +243,16 @@ function CDPRegistry() {
 
   // Render account balances
   const renderAccount = (accountId, accountData, uniqueId) => {
-    const { stocks = {}, etfs = {} } = accountData || {};
+    const { stocks = {}, etfs = {}, cash = {} } = accountData || {};
     
-    // Separate ETFs and stocks, then combine with ETFs first
-    // This ensures ES3 ETF appears at the top without scrolling
+    // Separate ETFs, cash and stocks, then combine with ETFs first
+    // This ensures ETFs (ES3, G3B) appear at the top without scrolling
     const etfEntries = Object.entries(etfs).filter(([_, value]) => value > 0);
+    const cashEntries = Object.entries(cash).filter(([_, value]) => value > 0);
     const stockEntries = Object.entries(stocks).filter(([_, value]) => value > 0);
     
-    // Sort ETFs and stocks separately, then combine with ETFs first
-    const holdingsEntries = [...etfEntries, ...stockEntries];
+    // Sort ETFs, cash and stocks separately, then combine with ETFs first
+    const holdingsEntries = [...etfEntries, ...cashEntries, ...stockEntries];
 
     if (holdingsEntries.length === 0) {
       return (
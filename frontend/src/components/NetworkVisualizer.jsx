@@ -7,6 +7,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useBlockchain } from '../hooks/useBlockchain';
+import { useReserves } from '../hooks/useReserves';
 import './NetworkVisualizer.css';
 
 // Logo paths - place your logo images in frontend/src/assets/logos/
@@ -96,6 +97,7 @@ const NODE_CONFIG = {
 
 function NetworkVisualizer({ animationTrigger }) {
   const { blockNumber, isConnected } = useBlockchain();
+  const { reserves, supply, coverage } = useReserves();
   const [activeNodes, setActiveNodes] = useState(new Set());
   const [particles, setParticles] = useState([]);
   const [showSingPassLogo, setShowSingPassLogo] = useState(false); // Control SingPass logo visibility
@@ -427,6 +429,57 @@ function NetworkVisualizer({ animationTrigger }) {
     }, 4750); // 3250ms (original) + 1500ms (pause extension) = 4750ms
   };
 
+  // Animation sequence for offramp, the reverse of onramp
+  // Shows stablecoin flow: Thomas → Digital Exchange → Stablecoin Provider (SGDC redeemed and burned)
+  // Then cash flow: Stablecoin Provider → Digital Exchange → Thomas (SGD paid out)
+  const playOfframpAnimation = () => {
+    setActiveNodes((prev) => new Set(prev).add('thomas'));
+
+    // Stablecoin from Thomas to the Stablecoin Provider - bright blue to bright purple
+    setTimeout(() => {
+      createParticle('thomas', 'digitalExchange', '#00aaff', '#aa55ff', 'stablecoin');
+      setTimeout(() => createParticle('thomas', 'digitalExchange', '#00aaff', '#aa55ff', 'stablecoin'), 25);
+      setTimeout(() => createParticle('thomas', 'digitalExchange', '#00aaff', '#aa55ff', 'stablecoin'), 50);
+    }, 150);
+
+    setTimeout(() => {
+      createParticle('digitalExchange', 'stablecoinProvider', '#aa55ff', '#aa55ff', 'stablecoin');
+      setTimeout(() => createParticle('digitalExchange', 'stablecoinProvider', '#aa55ff', '#aa55ff', 'stablecoin'), 25);
+      setTimeout(() => createParticle('digitalExchange', 'stablecoinProvider', '#aa55ff', '#aa55ff', 'stablecoin'), 50);
+    }, 500);
+
+    setTimeout(() => {
+      setActiveNodes((prev) => new Set(prev).add('digitalExchange'));
+    }, 750);
+
+    setTimeout(() => {
+      setActiveNodes((prev) => new Set(prev).add('stablecoinProvider'));
+    }, 1000);
+
+    // Cash payout back to Thomas after the same 1.5 second pause as onramp - bright purple to bright blue
+    setTimeout(() => {
+      createParticle('stablecoinProvider', 'digitalExchange', '#aa55ff', '#00aaff', 'cash');
+      setTimeout(() => createParticle('stablecoinProvider', 'digitalExchange', '#aa55ff', '#00aaff', 'cash'), 25);
+      setTimeout(() => createParticle('stablecoinProvider', 'digitalExchange', '#aa55ff', '#00aaff', 'cash'), 50);
+    }, 3000);
+
+    setTimeout(() => {
+      createParticle('digitalExchange', 'thomas', '#00aaff', '#00aaff', 'cash');
+      setTimeout(() => createParticle('digitalExchange', 'thomas', '#00aaff', '#00aaff', 'cash'), 25);
+      setTimeout(() => createParticle('digitalExchange', 'thomas', '#00aaff', '#00aaff', 'cash'), 50);
+    }, 3350);
+
+    setTimeout(() => {
+      setActiveNodes((prev) => {
+        const next = new Set(prev);
+        next.delete('thomas');
+        next.delete('digitalExchange');
+        next.delete('stablecoinProvider');
+        return next;
+      });
+    }, 4750);
+  };
+
   // Animation sequence for ETF creation - shows flow: AP → Fund Manager → Depository
   // Uses horizontal/vertical path matching the exact connection lines
   // Similar to onramp animation: particles STOP at Fund Manager, then START from Fund Manager
@@ -720,11 +773,15 @@ function NetworkVisualizer({ animationTrigger }) {
 
   // Watch for animation trigger changes
   useEffect(() => {
-    if (animationTrigger && animationTrigger.type === 'onramp') {
+    if (animationTrigger && (animationTrigger.type === 'onramp' || animationTrigger.type === 'offramp')) {
       // Check if this is a new trigger (avoid duplicate animations)
       if (lastTriggerRef.current !== animationTrigger.timestamp) {
         lastTriggerRef.current = animationTrigger.timestamp;
-        playOnrampAnimation();
+        if (animationTrigger.type === 'onramp') {
+          playOnrampAnimation();
+        } else {
+          playOfframpAnimation();
+        }
       }
     }
   }, [animationTrigger]);
@@ -736,19 +793,21 @@ function NetworkVisualizer({ animationTrigger }) {
     playETFAnimationRef.current = playETFAnimation;
   }, [playETFAnimation]);
 
-  // Listen for ETF creation events to trigger CDP and AP glow animation
+  // Listen for ETF creation and in-kind redemption events to trigger CDP and AP glow animation
   useEffect(() => {
     const handleETFCreated = () => {
-      console.log('[NetworkVisualizer] ETF created event received, playing animation...');
+      console.log('[NetworkVisualizer] ETF created/redeemed event received, playing animation...');
       if (playETFAnimationRef.current) {
         playETFAnimationRef.current();
       }
     };
 
     window.addEventListener('etf-created', handleETFCreated);
+    window.addEventListener('etf-redeemed', handleETFCreated);
 
     return () => {
       window.removeEventListener('etf-created', handleETFCreated);
+      window.removeEventListener('etf-redeemed', handleETFCreated);
     };
   }, []); // Empty dependencies - event listener setup only once
 
@@ -1265,6 +1324,49 @@ function NetworkVisualizer({ animationTrigger }) {
     );
   };
 
+  // Render the reserve-vs-supply gauge under the Stablecoin Provider node
+  // Fills with fiat reserves as a share of SGDC supply: green when fully backed, red otherwise
+  const renderReserveGauge = () => {
+    if (reserves === null || supply === null) return null;
+
+    const config = NODE_CONFIG.stablecoinProvider;
+    const pos = toPixels(NODE_POSITIONS.stablecoinProvider.x, NODE_POSITIONS.stablecoinProvider.y);
+    const width = config.width;
+    const x = pos.x - width / 2;
+    const y = pos.y + config.height / 2 + 10;
+    const isBacked = coverage === null || coverage >= 1;
+    const color = isBacked ? '#00cc66' : '#ff4d4d';
+    const formatAmount = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+    return (
+      <g className="reserve-gauge">
+        <title>
+          Reserves {formatAmount(reserves)} SGD / Supply {formatAmount(supply)} SGDC
+        </title>
+        <rect x={x} y={y} width={width} height={8} rx={4} ry={4} fill="#0f2859" stroke="#1e3a8a" />
+        <rect
+          x={x}
+          y={y}
+          width={width * Math.min(coverage ?? 1, 1)}
+          height={8}
+          rx={4}
+          ry={4}
+          fill={color}
+        />
+        <text
+          x={pos.x}
+          y={y + 24}
+          textAnchor="middle"
+          fontSize="12"
+          fill={color}
+          className="network-label"
+        >
+          {coverage === null ? 'No SGDC issued' : `Reserves ${(coverage * 100).toFixed(1)}% of supply`}
+        </text>
+      </g>
+    );
+  };
+
   // Render particles with neon glow effects and color interpolation
   // Animation durations reduced to 1 second (from 2) for 2x speed
   // Particle sizes reduced - main particle is 1, trails are smaller
@@ -1659,6 +1761,7 @@ function NetworkVisualizer({ animationTrigger }) {
           {renderNode('dcdp', NODE_POSITIONS.dcdp)}
           {renderNode('digitalExchange', NODE_POSITIONS.digitalExchange)}
           {renderNode('stablecoinProvider', NODE_POSITIONS.stablecoinProvider)}
+          {renderReserveGauge()}
           {renderNode('thomas', NODE_POSITIONS.thomas)}
           {renderNode('ap', NODE_POSITIONS.ap)}
           
@@ -0,0 +1,292 @@
+/**
+ * Order Book Panel Component
+ * Digital Exchange order entry and order book for tokenized ETFs priced in SGDC
+ * Investors and the AP post limit orders; crossing orders are matched onchain at the resting order's price
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { useBlockchain } from '../hooks/useBlockchain';
+import { useContracts } from '../hooks/useContracts';
+import { useDeploymentInfo } from '../hooks/useDeploymentInfo';
+import { useToastContext } from '../contexts/ToastContext';
+import { useDatePrice } from '../contexts/DatePriceContext';
+import { useWalletContext } from '../contexts/WalletContext';
+import { getRoleName } from '../hooks/useWallet';
+import { parseTokenAmount, formatTokenAmount, shortenAddress, getRevertReason, waitForTransaction } from '../utils/contractHelpers';
+import { loadOrderBook, placeLimitOrder, matchCrossingOrders, cashFor } from '../utils/orderBook';
+import { ACCOUNTS } from '../utils/constants';
+import './OrderBookPanel.css';
+
+// Accounts that can trade from the panel
+const TRADERS = [
+  { name: 'Thomas', address: ACCOUNTS.THOMAS },
+  { name: 'AP', address: ACCOUNTS.AP },
+];
+
+// Price levels shown on each side of the book
+const MAX_LEVELS = 5;
+
+const formatPrice = (price) => Number(formatTokenAmount(price)).toFixed(3);
+const formatQuantity = (quantity) => Number(formatTokenAmount(quantity)).toLocaleString();
+
+export default function OrderBookPanel() {
+  const { blockNumber, getSigner } = useBlockchain();
+  const { contracts, getContractWithSigner } = useContracts();
+  const { tokens } = useDeploymentInfo();
+  const { showSuccess, showError } = useToastContext();
+  const { getCurrentPrice } = useDatePrice();
+  const { canActAs } = useWalletContext();
+  const [symbol, setSymbol] = useState('ES3');
+  const [trader, setTrader] = useState(ACCOUNTS.THOMAS);
+  const [side, setSide] = useState('buy');
+  const [price, setPrice] = useState('');
+  const [quantity, setQuantity] = useState('100');
+  const [book, setBook] = useState({ bids: [], asks: [] });
+  const [loading, setLoading] = useState(false);
+
+  const orderBook = contracts.orderBook;
+  const asset = tokens[symbol]?.address;
+  const marketPrice = getCurrentPrice(symbol);
+
+  // Default the limit price to the ETF's iNAV, again whenever it changes (date slider, ETF switch)
+  useEffect(() => {
+    setPrice(ethers.formatUnits(marketPrice, 18));
+  }, [marketPrice]);
+
+  const refreshBook = useCallback(async () => {
+    if (!orderBook || !asset) return;
+    try {
+      setBook(await loadOrderBook(orderBook, asset));
+    } catch (err) {
+      console.error('Error loading order book:', err);
+    }
+  }, [orderBook, asset]);
+
+  // Reload on every new block so fills from other traders and the matching service show up
+  useEffect(() => {
+    refreshBook();
+  }, [refreshBook, blockNumber]);
+
+  if (!orderBook) {
+    return (
+      <div className="order-book-note">
+        OrderBook contract not found in deployment info. Redeploy the contracts to enable limit orders.
+      </div>
+    );
+  }
+
+  const notifyBalancesChanged = () => {
+    window.dispatchEvent(new CustomEvent('tokenized-depository-registry-updated'));
+    window.dispatchEvent(new CustomEvent('block-explorer-refresh'));
+  };
+
+  // Place a limit order, then match anything it crosses
+  // Steps:
+  // 1. Approve the escrow (SGDC for buys, shares for sells) if needed
+  // 2. Place the order onchain; the OrderBook holds the escrow until fill or cancel
+  // 3. Match every crossing bid and ask at the resting order's price
+  const handlePlaceOrder = async () => {
+    setLoading(true);
+
+    try {
+      if (!asset) {
+        throw new Error(`No tokenized ETF deployed for ${symbol}`);
+      }
+      const priceWei = parseTokenAmount(price);
+      const quantityWei = parseTokenAmount(quantity);
+      if (priceWei <= 0n || quantityWei <= 0n) {
+        throw new Error('Price and quantity must be positive numbers');
+      }
+
+      const signer = await getSigner(trader);
+      const { orderId } = await placeLimitOrder({
+        orderBook,
+        signer,
+        asset,
+        side,
+        price: priceWei,
+        quantity: quantityWei,
+      });
+      const matches = await matchCrossingOrders({ orderBook, signer, asset });
+
+      showSuccess(
+        matches.length > 0
+          ? `Order #${orderId} placed, ${matches.length} match${matches.length === 1 ? '' : 'es'} executed`
+          : `Order #${orderId} placed on the book`
+      );
+      notifyBalancesChanged();
+      await refreshBook();
+    } catch (err) {
+      console.error('Place order error:', err);
+      showError(getRevertReason(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Cancel an open order; the OrderBook refunds the unfilled escrow
+  const handleCancel = async (order) => {
+    setLoading(true);
+
+    try {
+      const signer = await getSigner(order.trader);
+      const orderBookWithSigner = getContractWithSigner('orderBook', signer);
+      const receipt = await waitForTransaction(await orderBookWithSigner.cancelOrder(order.id), 60000);
+      if (receipt.status === 0) {
+        throw new Error('Cancel transaction failed');
+      }
+
+      showSuccess(`Order #${order.id} cancelled`);
+      notifyBalancesChanged();
+      await refreshBook();
+    } catch (err) {
+      console.error('Cancel order error:', err);
+      showError(getRevertReason(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const traderLabel = (address) => getRoleName(address) || shortenAddress(address, 4);
+  const canCancel = (order) =>
+    TRADERS.some(({ address }) => address.toLowerCase() === order.trader.toLowerCase()) && canActAs(order.trader);
+
+  const renderRow = (order) => (
+    <tr key={order.id} className={`order-book-row order-book-row-${order.side}`}>
+      <td className="order-book-price">{formatPrice(order.price)}</td>
+      <td>{formatQuantity(order.remaining)}</td>
+      <td>{traderLabel(order.trader)}</td>
+      <td>
+        {canCancel(order) && (
+          <button
+            className="order-book-cancel"
+            onClick={() => handleCancel(order)}
+            disabled={loading}
+            title={`Cancel order #${order.id}`}
+          >
+            ✕
+          </button>
+        )}
+      </td>
+    </tr>
+  );
+
+  const bestBid = book.bids[0];
+  const bestAsk = book.asks[0];
+  const spread = bestBid && bestAsk ? formatPrice(bestAsk.price - bestBid.price) : '-';
+  // Asks are listed best-last so the best bid and best ask meet at the spread row
+  const asks = book.asks.slice(0, MAX_LEVELS).reverse();
+  const bids = book.bids.slice(0, MAX_LEVELS);
+
+  let orderValue = null;
+  try {
+    orderValue = formatPrice(cashFor(parseTokenAmount(quantity), parseTokenAmount(price)));
+  } catch {
+    // Incomplete input while typing
+  }
+
+  return (
+    <div className="order-book">
+      <div className="action-group">
+        <div className="action-name">Limit Order</div>
+        <div className="action-input-stack">
+          <div className="order-book-selects">
+            <select
+              value={symbol}
+              onChange={(e) => setSymbol(e.target.value)}
+              className="action-select"
+              disabled={loading}
+            >
+              {Object.keys(tokens).map((etfSymbol) => (
+                <option key={etfSymbol} value={etfSymbol}>
+                  {tokens[etfSymbol].symbol}
+                </option>
+              ))}
+            </select>
+            <select
+              value={trader}
+              onChange={(e) => setTrader(e.target.value)}
+              className="action-select"
+              disabled={loading}
+            >
+              {TRADERS.map(({ name, address }) => (
+                <option key={address} value={address} disabled={!canActAs(address)}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={side}
+              onChange={(e) => setSide(e.target.value)}
+              className="action-select"
+              disabled={loading}
+            >
+              <option value="buy">Buy</option>
+              <option value="sell">Sell</option>
+            </select>
+          </div>
+          <input
+            type="number"
+            value={price}
+            onChange={(e) => setPrice(e.target.value)}
+            placeholder="Limit price (SGDC)"
+            min="0"
+            step="0.01"
+            disabled={loading}
+          />
+          <input
+            type="number"
+            value={quantity}
+            onChange={(e) => setQuantity(e.target.value)}
+            placeholder="Quantity"
+            min="0"
+            disabled={loading}
+          />
+          {orderValue !== null && (
+            <div className="order-book-value">Order value: {orderValue} SGDC</div>
+          )}
+        </div>
+        <button
+          onClick={handlePlaceOrder}
+          disabled={loading || !canActAs(trader)}
+          className="action-button"
+        >
+          Place {side === 'buy' ? 'Buy' : 'Sell'} Order
+        </button>
+      </div>
+
+      <div className="action-group">
+        <div className="action-name">Order Book</div>
+        <table className="order-book-table">
+          <thead>
+            <tr>
+              <th>Price</th>
+              <th>Size</th>
+              <th>Trader</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {asks.length === 0 && (
+              <tr className="order-book-empty">
+                <td colSpan="4">No asks</td>
+              </tr>
+            )}
+            {asks.map(renderRow)}
+            <tr className="order-book-spread">
+              <td colSpan="4">
+                Bid {bestBid ? formatPrice(bestBid.price) : '-'} · Ask {bestAsk ? formatPrice(bestAsk.price) : '-'} · Spread {spread}
+              </td>
+            </tr>
+            {bids.map(renderRow)}
+            {bids.length === 0 && (
+              <tr className="order-book-empty">
+                <td colSpan="4">No bids</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
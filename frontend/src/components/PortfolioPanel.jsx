@@ -0,0 +1,266 @@
+/**
+ * Portfolio Panel Component
+ * Thomas's TES3 position: trade history reconstructed from SGDC/TES3 Transfer events (plus order
+ * book fills), average cost, realised and unrealised P&L at the active price, and a chart of the
+ * holdings value over the trade history, valued at the price history on each trade's block date
+ * Re-reads on every new block; the active price and the chart follow the header date slider
+ */
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useBlockchain } from '../hooks/useBlockchain';
+import { useContracts } from '../hooks/useContracts';
+import { useDatePrice } from '../contexts/DatePriceContext';
+import { formatTokenAmount } from '../utils/contractHelpers';
+import { buildTrades, computePortfolio } from '../utils/portfolio';
+import { formatPriceDate } from '../utils/priceHistory';
+import { ACCOUNTS } from '../utils/constants';
+import './PortfolioPanel.css';
+
+// Trades listed under the chart, newest first
+const MAX_TRADES = 6;
+
+// Chart drawing area (SVG units)
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = 8;
+
+const TRADE_LABELS = {
+  buy: 'Buy',
+  sell: 'Sell',
+  'transfer-in': 'Transfer in',
+  'transfer-out': 'Transfer out',
+};
+
+const formatSGDC = (value) =>
+  value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatQuantity = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 6 });
+const formatPnL = (value) => `${value >= 0 ? '+' : '-'}${formatSGDC(Math.abs(value))}`;
+const pnlClass = (value) => (value >= 0 ? 'portfolio-pnl-up' : 'portfolio-pnl-down');
+
+// Plain transfer records for buildTrades()
+const toTransfer = (event) => ({
+  from: event.args.from,
+  to: event.args.to,
+  value: event.args.value,
+  transactionHash: event.transactionHash,
+  blockNumber: event.blockNumber,
+  logIndex: event.index,
+});
+
+// Calendar date (YYYY-MM-DD, UTC) of a block timestamp
+const blockDate = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+/**
+ * Fills of an account's orders from the OrderBook's OrderMatched events
+ * @param {ethers.Contract} orderBook - OrderBook contract
+ * @param {string} asset - Tokenized ETF address
+ * @param {string} account - Trader address
+ * @returns {Promise<Array<Object>>} Order fills for buildTrades()
+ */
+async function loadOrderFills(orderBook, asset, account) {
+  const matches = await orderBook.queryFilter(orderBook.filters.OrderMatched(null, null, asset), 0);
+  const traders = {};
+  const traderOf = async (orderId) => {
+    const key = orderId.toString();
+    if (!traders[key]) {
+      traders[key] = (await orderBook.orders(orderId)).trader.toLowerCase();
+    }
+    return traders[key];
+  };
+
+  const fills = [];
+  for (const match of matches) {
+    const { buyOrderId, sellOrderId, quantity, cashAmount } = match.args;
+    const position = { quantity, cashAmount, transactionHash: match.transactionHash, blockNumber: match.blockNumber, logIndex: match.index };
+    if ((await traderOf(buyOrderId)) === account.toLowerCase()) {
+      fills.push({ ...position, side: 'buy' });
+    }
+    if ((await traderOf(sellOrderId)) === account.toLowerCase()) {
+      fills.push({ ...position, side: 'sell' });
+    }
+  }
+  return fills;
+}
+
+/**
+ * Holdings value and cost basis over the trade history
+ */
+function HoldingsChart({ history }) {
+  if (history.length < 2) {
+    return <div className="portfolio-chart-empty">No trades yet</div>;
+  }
+
+  const maxValue = Math.max(...history.map((point) => Math.max(point.value, point.costBasis)), 1);
+  const x = (index) => CHART_PADDING + (index / (history.length - 1)) * (CHART_WIDTH - 2 * CHART_PADDING);
+  const y = (value) => CHART_HEIGHT - CHART_PADDING - (value / maxValue) * (CHART_HEIGHT - 2 * CHART_PADDING);
+  const line = (key) => history.map((point, index) => `${x(index)},${y(point[key])}`).join(' ');
+
+  return (
+    <div className="portfolio-chart">
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+        <polyline className="portfolio-chart-cost" points={line('costBasis')} />
+        <polyline className="portfolio-chart-value" points={line('value')} />
+        {history.map((point, index) => (
+          <circle key={index} className="portfolio-chart-point" cx={x(index)} cy={y(point.value)} r="3">
+            <title>
+              {point.blockNumber !== null ? `Block #${point.blockNumber}` : 'Now'}
+              {point.date ? ` (${formatPriceDate(point.date)})` : ''}: {formatSGDC(point.value)} SGDC
+              ({formatQuantity(point.quantity)} TES3, cost {formatSGDC(point.costBasis)})
+            </title>
+          </circle>
+        ))}
+      </svg>
+      <div className="portfolio-chart-axis">
+        <span>Block #{history[0].blockNumber}</span>
+        <span className="portfolio-chart-legend">
+          <span className="portfolio-legend-value">Value</span>
+          <span className="portfolio-legend-cost">Cost basis</span>
+          <span>max {formatSGDC(maxValue)}</span>
+        </span>
+        <span>Now</span>
+      </div>
+    </div>
+  );
+}
+
+function PortfolioPanel() {
+  const { provider, blockNumber } = useBlockchain();
+  const { contracts, isReady } = useContracts();
+  const { getCurrentPrice, getPriceAsOf, currentDate } = useDatePrice();
+  const [trades, setTrades] = useState(null);
+  const [error, setError] = useState(null);
+  const isLoadingRef = useRef(false);
+  // Block number → date, so each reload only fetches the blocks of new trades
+  const blockDatesRef = useRef(new Map());
+
+  const price = getCurrentPrice();
+
+  // Rebuild Thomas's trade history from the Transfer event ledgers
+  const loadTrades = useCallback(async () => {
+    const { sgdc, tes3, orderBook } = contracts;
+    if (!isReady || !sgdc || !tes3 || isLoadingRef.current) return;
+    isLoadingRef.current = true;
+
+    try {
+      const [tokenIn, tokenOut, cashIn, cashOut] = await Promise.all([
+        tes3.queryFilter(tes3.filters.Transfer(null, ACCOUNTS.THOMAS), 0),
+        tes3.queryFilter(tes3.filters.Transfer(ACCOUNTS.THOMAS), 0),
+        sgdc.queryFilter(sgdc.filters.Transfer(null, ACCOUNTS.THOMAS), 0),
+        sgdc.queryFilter(sgdc.filters.Transfer(ACCOUNTS.THOMAS), 0),
+      ]);
+      const orderFills = orderBook
+        ? await loadOrderFills(orderBook, await tes3.getAddress(), ACCOUNTS.THOMAS)
+        : [];
+
+      const history = buildTrades({
+        account: ACCOUNTS.THOMAS,
+        tokenTransfers: [...tokenIn, ...tokenOut].map(toTransfer),
+        cashTransfers: [...cashIn, ...cashOut].map(toTransfer),
+        orderFills,
+        exchange: orderBook ? await orderBook.getAddress() : undefined,
+      });
+
+      // Date each trade by its block, to value it on the price history
+      const blockDates = blockDatesRef.current;
+      const missing = [...new Set(history.map((trade) => trade.blockNumber))].filter((n) => !blockDates.has(n));
+      if (provider) {
+        const blocks = await Promise.all(missing.map((n) => provider.getBlock(n)));
+        blocks.forEach((block) => block && blockDates.set(block.number, blockDate(block.timestamp)));
+      }
+      setTrades(history.map((trade) => ({ ...trade, date: blockDates.get(trade.blockNumber) || null })));
+      setError(null);
+    } catch (err) {
+      console.error('[Portfolio] Failed to load trades:', err);
+      setError(err.message);
+    } finally {
+      isLoadingRef.current = false;
+    }
+  }, [isReady, contracts, provider]);
+
+  useEffect(() => {
+    loadTrades();
+  }, [loadTrades, blockNumber]);
+
+  const portfolio = useMemo(
+    () => (trades ? computePortfolio(trades, price, getPriceAsOf) : null),
+    [trades, price, getPriceAsOf]
+  );
+
+  return (
+    <div className="portfolio-panel">
+      <div className="portfolio-header">
+        <h3>Thomas Portfolio</h3>
+        <span className="portfolio-price">
+          TES3 at {formatSGDC(Number(price) / 1e18)} SGDC ({currentDate})
+        </span>
+      </div>
+
+      {!portfolio && !error && <div className="portfolio-loading">Loading...</div>}
+
+      {portfolio && (
+        <div className="portfolio-content">
+          <div className="portfolio-summary">
+            <div className="portfolio-stat">
+              <span className="portfolio-stat-label">Position</span>
+              <span className="portfolio-stat-value">{formatQuantity(portfolio.quantity)} TES3</span>
+            </div>
+            <div className="portfolio-stat">
+              <span className="portfolio-stat-label">Average cost</span>
+              <span className="portfolio-stat-value">{formatSGDC(portfolio.averageCost)}</span>
+            </div>
+            <div className="portfolio-stat">
+              <span className="portfolio-stat-label">Market value</span>
+              <span className="portfolio-stat-value">{formatSGDC(portfolio.marketValue)}</span>
+            </div>
+            <div className="portfolio-stat">
+              <span className="portfolio-stat-label">Unrealised P&amp;L</span>
+              <span className={`portfolio-stat-value ${pnlClass(portfolio.unrealisedPnL)}`}>
+                {formatPnL(portfolio.unrealisedPnL)}
+              </span>
+            </div>
+            <div className="portfolio-stat">
+              <span className="portfolio-stat-label">Realised P&amp;L</span>
+              <span className={`portfolio-stat-value ${pnlClass(portfolio.realisedPnL)}`}>
+                {formatPnL(portfolio.realisedPnL)}
+              </span>
+            </div>
+            <div className="portfolio-stat">
+              <span className="portfolio-stat-label">Total P&amp;L</span>
+              <span className={`portfolio-stat-value ${pnlClass(portfolio.totalPnL)}`}>
+                {formatPnL(portfolio.totalPnL)}
+              </span>
+            </div>
+          </div>
+
+          <HoldingsChart history={portfolio.history} />
+
+          {portfolio.trades.length > 0 && (
+            <table className="portfolio-trades">
+              <thead>
+                <tr>
+                  <th>Block</th>
+                  <th>Trade</th>
+                  <th>Quantity</th>
+                  <th>Price</th>
+                </tr>
+              </thead>
+              <tbody>
+                {portfolio.trades.slice(-MAX_TRADES).reverse().map((trade) => (
+                  <tr key={`${trade.transactionHash}-${trade.logIndex}-${trade.type}`}>
+                    <td>#{trade.blockNumber}</td>
+                    <td className={`portfolio-trade-${trade.type}`}>{TRADE_LABELS[trade.type]}</td>
+                    <td>{formatQuantity(Number(formatTokenAmount(trade.quantity)))}</td>
+                    <td>{trade.price !== null ? formatSGDC(trade.price) : '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {error && <div className="portfolio-error">Error: {error}</div>}
+    </div>
+  );
+}
+
+export default PortfolioPanel;
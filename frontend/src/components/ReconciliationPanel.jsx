@@ -0,0 +1,233 @@
+/**
+ * Reconciliation Panel Component
+ * Puts offchain ETF shares held in custody for tokenization next to each tokenized ETF's supply
+ * (ES3 vs TES3, G3B vs TG3B, ...)
+ * Re-checks on every new block and flags any ledger break
+ */
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { ethers } from 'ethers';
+import { useBlockchain } from '../hooks/useBlockchain';
+import { useContracts } from '../hooks/useContracts';
+import { fetchCDPRegistry } from '../utils/api';
+import { formatTokenAmount } from '../utils/contractHelpers';
+import './ReconciliationPanel.css';
+
+// Convert a Depository registry quantity (plain number) to 18-decimal token units
+// Rounds to 9 decimals so floating point noise in the registry is not flagged as a break
+function toUnits(quantity) {
+  return ethers.parseUnits(Number(quantity || 0).toFixed(9), 18);
+}
+
+// Format an 18-decimal amount for display
+function formatUnits(amount) {
+  return parseFloat(formatTokenAmount(amount)).toLocaleString(undefined, { maximumFractionDigits: 6 });
+}
+
+// Function to format account name for display (capitalize first letter, rest lowercase)
+// Keep "AP" as uppercase, convert others like "THOMAS" to "Thomas"
+function formatAccountName(accountId) {
+  if (!accountId) return accountId;
+  if (accountId.toUpperCase() === 'AP') {
+    return 'AP';
+  }
+  return accountId.charAt(0).toUpperCase() + accountId.slice(1).toLowerCase();
+}
+
+// Build a check comparing a reconciled amount against the token's total supply
+function buildCheck(label, supply, actual) {
+  return { label, actual, difference: actual - supply, ok: actual === supply };
+}
+
+// Reconcile one ETF against its tokenized ETF contract
+async function reconcileSymbol(symbol, token, registry, events, ownerIdsByHash, ownerAddresses) {
+  // Offchain: shares in custody backing the token, plus shares locked by tokenizations in flight
+  const custody = toUnits(registry.tokenized_custody?.[symbol]);
+  const pendingOperations = Object.values(registry.pending_operations || {})
+    .filter((operation) => operation.symbol === symbol);
+
+  // Onchain: total supply and the Tokenized/Redeemed event ledger
+  const [tokenSymbol, supply] = await Promise.all([token.symbol(), token.totalSupply()]);
+
+  // Indexed owner IDs are only available as their hash
+  const netByOwner = {};
+  let eventNet = 0n;
+  const applyEvents = (eventList, sign) => {
+    for (const event of eventList) {
+      if (event.args.symbol !== symbol) continue;
+      const ownerId = ownerIdsByHash[event.topics[1]] || event.topics[1];
+      netByOwner[ownerId] = (netByOwner[ownerId] || 0n) + sign * event.args.quantity;
+      eventNet += sign * event.args.quantity;
+    }
+  };
+  applyEvents(events.tokenized, 1n);
+  applyEvents(events.redeemed, -1n);
+
+  // Per-owner balances for every owner with a registered wallet
+  const owners = [];
+  for (const [ownerId, address] of Object.entries(ownerAddresses)) {
+    const balance = await token.balanceOf(address);
+    owners.push({
+      ownerId,
+      balance,
+      netTokenized: netByOwner[ownerId] || 0n,
+      locked: toUnits(registry.accounts[ownerId].locked?.[symbol]),
+    });
+  }
+  const registeredBalances = owners.reduce((sum, owner) => sum + owner.balance, 0n);
+
+  return {
+    symbol,
+    tokenSymbol,
+    supply,
+    custody,
+    pendingOperations,
+    owners,
+    checks: [
+      buildCheck(`${symbol} custody`, supply, custody),
+      buildCheck('Event ledger', supply, eventNet),
+      buildCheck('Registered holders', supply, registeredBalances),
+    ],
+  };
+}
+
+function ReconciliationPanel() {
+  const { blockNumber } = useBlockchain();
+  const { contracts, isReady } = useContracts();
+  const [reports, setReports] = useState(null);
+  const [error, setError] = useState(null);
+  const isLoadingRef = useRef(false);
+
+  // Gather both ledgers and compare them
+  const reconcile = useCallback(async () => {
+    if (!isReady || !contracts.tes3 || !contracts.dcdp || isLoadingRef.current) return;
+    isLoadingRef.current = true;
+
+    try {
+      const registry = await fetchCDPRegistry();
+
+      const [tokenized, redeemed] = await Promise.all([
+        contracts.dcdp.queryFilter(contracts.dcdp.filters.Tokenized(), 0),
+        contracts.dcdp.queryFilter(contracts.dcdp.filters.Redeemed(), 0),
+      ]);
+
+      const ownerIds = Object.keys(registry.accounts || {});
+      const ownerIdsByHash = Object.fromEntries(ownerIds.map((ownerId) => [ethers.id(ownerId), ownerId]));
+      const ownerAddresses = {};
+      for (const ownerId of ownerIds) {
+        const address = await contracts.dcdp.ownerToAddress(ownerId);
+        if (address && address !== ethers.ZeroAddress) {
+          ownerAddresses[ownerId] = address;
+        }
+      }
+
+      // One report per tokenized ETF listed in deployment info
+      const tokens = Object.keys(contracts.tokens || {}).length > 0 ? contracts.tokens : { ES3: contracts.tes3 };
+      const newReports = [];
+      for (const [symbol, token] of Object.entries(tokens)) {
+        newReports.push(await reconcileSymbol(
+          symbol, token, registry, { tokenized, redeemed }, ownerIdsByHash, ownerAddresses
+        ));
+      }
+
+      setReports(newReports);
+      setError(null);
+    } catch (err) {
+      console.error('[Reconciliation] Failed to reconcile:', err);
+      setError(err.message);
+    } finally {
+      isLoadingRef.current = false;
+    }
+  }, [isReady, contracts]);
+
+  // Re-run on every new block so breaks are flagged as soon as they happen
+  useEffect(() => {
+    reconcile();
+  }, [reconcile, blockNumber]);
+
+  // Offchain-only changes (registry commits/rollbacks) do not produce a block
+  useEffect(() => {
+    window.addEventListener('depository-registry-updated', reconcile);
+    const interval = setInterval(reconcile, 5000);
+    return () => {
+      window.removeEventListener('depository-registry-updated', reconcile);
+      clearInterval(interval);
+    };
+  }, [reconcile]);
+
+  const hasBreak = reports?.some((report) => report.checks.some((check) => !check.ok));
+
+  return (
+    <div className="recon-panel">
+      <div className="recon-header">
+        <h3>Reconciliation</h3>
+        {reports && (
+          <span className={`recon-status ${hasBreak ? 'recon-status-break' : 'recon-status-ok'}`}>
+            {hasBreak ? 'BREAK' : 'IN SYNC'}
+          </span>
+        )}
+        {blockNumber !== null && <span className="recon-block">Block #{blockNumber}</span>}
+      </div>
+
+      {!reports && !error && <div className="recon-loading">Loading...</div>}
+
+      {reports && (
+        <div className="recon-content">
+          {reports.map((report) => (
+            <div key={report.symbol} className="recon-symbol">
+              <div className="recon-row recon-row-heading">
+                <span>{report.tokenSymbol} supply</span>
+                <span className="recon-quantity">{formatUnits(report.supply)}</span>
+              </div>
+
+              {report.checks.map((check) => (
+                <div key={check.label} className={`recon-row ${check.ok ? '' : 'recon-row-break'}`}>
+                  <span>{check.label}</span>
+                  <span className="recon-quantity">
+                    {formatUnits(check.actual)}
+                    {!check.ok && (
+                      <span className="recon-difference">
+                        ({check.difference > 0n ? '+' : '-'}{formatUnits(check.difference < 0n ? -check.difference : check.difference)})
+                      </span>
+                    )}
+                    <span className="recon-check">{check.ok ? '✓' : '✗'}</span>
+                  </span>
+            </div>
+          ))}
+
+          {report.owners.length > 0 && (
+            <div className="recon-owners">
+              <div className="recon-owner recon-owner-heading">
+                <span>Owner</span>
+                <span>Net tokenized</span>
+                <span>{report.tokenSymbol} held</span>
+                <span>Locked</span>
+              </div>
+              {report.owners.map((owner) => (
+                <div key={owner.ownerId} className="recon-owner">
+                  <span>{formatAccountName(owner.ownerId)}</span>
+                  <span>{formatUnits(owner.netTokenized)}</span>
+                  <span>{formatUnits(owner.balance)}</span>
+                  <span>{formatUnits(owner.locked)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {report.pendingOperations.length > 0 && (
+            <div className="recon-pending">
+              {report.pendingOperations.length} {report.pendingOperations.length === 1 ? 'operation' : 'operations'} in flight
+              ({report.pendingOperations.map((operation) => `${operation.type} ${operation.quantity}`).join(', ')})
+              — a custody break may clear once settled
+            </div>
+          )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {error && <div className="recon-error">Error: {error}</div>}
+    </div>
+  );
+}
+
+export default ReconciliationPanel;
@@ -0,0 +1,85 @@
+/**
+ * Wallet Connect Component
+ * Header control for signing with a browser wallet (MetaMask or any EIP-1193 provider)
+ * Shows the connected account and its demo role, and offers a switch when the wallet is on another network
+ */
+import React from 'react';
+import { useWalletContext } from '../contexts/WalletContext';
+import { useToastContext } from '../contexts/ToastContext';
+import { shortenAddress } from '../utils/contractHelpers';
+import { CHAIN_ID, SIGNER_SOURCE } from '../utils/constants';
+import { SIGNER_SOURCES } from '../utils/signers';
+import './WalletConnect.css';
+
+export default function WalletConnect() {
+  const {
+    hasInjectedWallet,
+    account,
+    role,
+    connecting,
+    isWrongNetwork,
+    connect,
+    disconnect,
+    switchNetwork,
+  } = useWalletContext();
+  const { showError } = useToastContext();
+
+  // Nothing to connect to unless a wallet is installed or the app is configured to require one
+  if (!hasInjectedWallet && SIGNER_SOURCE !== SIGNER_SOURCES.INJECTED) {
+    return null;
+  }
+
+  const handleConnect = async () => {
+    try {
+      await connect();
+    } catch (err) {
+      showError(`Wallet connection failed: ${err.message}`);
+    }
+  };
+
+  const handleSwitchNetwork = async () => {
+    try {
+      await switchNetwork();
+    } catch (err) {
+      showError(`Network switch failed: ${err.message}`);
+    }
+  };
+
+  if (!account) {
+    return (
+      <button
+        className="wallet-connect-button"
+        onClick={handleConnect}
+        disabled={connecting || !hasInjectedWallet}
+        title={hasInjectedWallet ? 'Sign transactions with your browser wallet' : 'No browser wallet found'}
+      >
+        {connecting ? 'Connecting...' : 'Connect Wallet'}
+      </button>
+    );
+  }
+
+  return (
+    <div className="wallet-connect">
+      <div className="wallet-connect-account" title={account}>
+        <span className="wallet-connect-role">{role || 'Unknown role'}</span>
+        <span className="wallet-connect-address">{shortenAddress(account, 4)}</span>
+      </div>
+      {isWrongNetwork && (
+        <button
+          className="wallet-connect-button wallet-connect-button-warning"
+          onClick={handleSwitchNetwork}
+          title={`The demo runs on chain ${CHAIN_ID}`}
+        >
+          Wrong network - Switch
+        </button>
+      )}
+      <button
+        className="wallet-connect-button"
+        onClick={disconnect}
+        title="Stop signing with the browser wallet"
+      >
+        Disconnect
+      </button>
+    </div>
+  );
+}
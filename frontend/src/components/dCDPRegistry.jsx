@@ -65,7 +65,7 @@ function isContractAddress(address, contracts, contractAddresses) {
 
 function DCDPRegistry() {
   const { contracts, isReady, getBalance } = useContracts();
-  const { contractAddresses } = useDeploymentInfo();
+  const { contractAddresses, tokens } = useDeploymentInfo();
   const [balances, setBalances] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -316,11 +316,20 @@ function DCDPRegistry() {
             getBalance('tes3', address),
           ]);
 
+          // Balances of the other tokenized ETFs (e.g. TG3B), keyed by token symbol
+          const otherTokens = {};
+          for (const [etfSymbol, token] of Object.entries(tokens || {})) {
+            if (etfSymbol === 'ES3' || !contracts.tokens?.[etfSymbol]) continue;
+            const tokenBalance = await contracts.tokens[etfSymbol].balanceOf(address).catch(() => 0n);
+            otherTokens[token.symbol] = { address: token.address, balance: formatTokenAmount(tokenBalance) };
+          }
+
           // Always include accounts with valid addresses, even if balances are zero
           newBalances[accountName] = {
             address,
             sgdc: formatTokenAmount(sgdcBalance),
             tes3: formatTokenAmount(tes3Balance),
+            tokens: otherTokens,
           };
         } catch (err) {
           console.error(`[DCDPRegistry] Failed to load balances for ${accountName} at ${address}:`, err);
@@ -348,7 +357,7 @@ function DCDPRegistry() {
     } finally {
       setLoading(false);
     }
-  }, [isReady, contracts, getBalance, contractAddresses, accountAddresses]);
+  }, [isReady, contracts, getBalance, contractAddresses, tokens, accountAddresses]);
 
   // Use refs to store the latest callback functions without causing re-renders
   // This prevents the event listener useEffect from re-running when callbacks change
@@ -650,7 +659,7 @@ function DCDPRegistry() {
     };
   }, []);
 
-  // Listen for onramp-started and onramp-completed events
+  // Listen for onramp and offramp started/completed events (offramp shares the onramp flag)
   useEffect(() => {
     const handleOnrampStarted = () => {
       isOnrampInProgressRef.current = true;
@@ -662,10 +671,14 @@ function DCDPRegistry() {
     
     window.addEventListener('onramp-started', handleOnrampStarted);
     window.addEventListener('onramp-completed', handleOnrampCompleted);
+    window.addEventListener('offramp-started', handleOnrampStarted);
+    window.addEventListener('offramp-completed', handleOnrampCompleted);
     
     return () => {
       window.removeEventListener('onramp-started', handleOnrampStarted);
       window.removeEventListener('onramp-completed', handleOnrampCompleted);
+      window.removeEventListener('offramp-started', handleOnrampStarted);
+      window.removeEventListener('offramp-completed', handleOnrampCompleted);
     };
   }, []);
 
@@ -782,7 +795,7 @@ function DCDPRegistry() {
 
   // Render account balances with animation
   const renderAccount = (accountName, accountData) => {
-    const { address, sgdc, tes3 } = accountData || {};
+    const { address, sgdc, tes3, tokens: otherTokens = {} } = accountData || {};
     
     // Safety check: THOMAS should only appear if wallet was created in contract
     // Double-check by querying contract if this is THOMAS
@@ -807,7 +820,8 @@ function DCDPRegistry() {
       return null;
     }
     
-    const hasHoldings = parseFloat(sgdc) > 0 || parseFloat(tes3) > 0;
+    const heldTokens = Object.entries(otherTokens).filter(([, token]) => parseFloat(token.balance) > 0);
+    const hasHoldings = parseFloat(sgdc) > 0 || parseFloat(tes3) > 0 || heldTokens.length > 0;
 
     // Check if this is a newly added account
     // This detects when THOMAS first appears after wallet creation
@@ -856,6 +870,14 @@ function DCDPRegistry() {
               <span className="dcdp-quantity">{parseFloat(tes3).toLocaleString()}</span>
             </div>
           )}
+          {heldTokens.map(([tokenSymbol, token]) => (
+            <div key={tokenSymbol} className="dcdp-holding">
+              <span className="dcdp-symbol">
+                {tokenSymbol} <span className="dcdp-address-description">({token.address.substring(0, 8)})</span>:
+              </span>
+              <span className="dcdp-quantity">{parseFloat(token.balance).toLocaleString()}</span>
+            </div>
+          ))}
           {parseFloat(sgdc) > 0 && (
             <div className="dcdp-holding">
               <span className="dcdp-symbol">
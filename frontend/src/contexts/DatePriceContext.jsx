@@ -1,19 +1,25 @@
 /**
  * Date and Price Context
- * Manages the current/future date and TES3 price for time simulation
+ * Manages the selected date on the price timeline and the TES3 price at that date
+ * The timeline is the daily closes in public/price-history.csv. Prices are the ETF's iNAV at the
+ * selected date, derived from its constituent basket (Depository registry etf_compositions) and
+ * the constituent closes; the ETF's own close is used when the basket cannot be valued
  */
 
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { fetchCDPRegistry, fetchPriceHistory } from '../utils/api';
+import { calculateINAV, navToWei } from '../utils/inav';
+import { formatPriceDate } from '../utils/priceHistory';
 
-// Price constants (in SGDC, 18 decimals)
-// Current price: $4.50 per TES3
-const CURRENT_PRICE = '4500000000000000000'; // 4.50 * 10^18
-// Future price: $5.30 per TES3  
-const FUTURE_PRICE = '5300000000000000000'; // 5.30 * 10^18
+// Fallback price (in SGDC, 18 decimals), used until the price history loads or if it cannot be loaded
+// $4.50 per TES3
+const FALLBACK_PRICE = '4500000000000000000'; // 4.50 * 10^18
 
-// Date constants
-const CURRENT_DATE = 'Nov 2025';
-const FUTURE_DATE = 'Oct 2026';
+// Fallback date label
+const FALLBACK_DATE = 'Nov 2025';
+
+// ETF priced in the header and traded by the Buy/Sell flows
+const DEFAULT_SYMBOL = 'ES3';
 
 const DatePriceContext = createContext(null);
 
@@ -21,43 +27,139 @@ const DatePriceContext = createContext(null);
  * DatePriceProvider - Provides date and price state management
  */
 export function DatePriceProvider({ children }) {
-  // State: false = current date/price, true = future date/price
-  const [isFuture, setIsFuture] = useState(false);
+  // Daily rows { date, prices }, oldest first
+  const [history, setHistory] = useState([]);
+  // Index into history of the selected date (starts at the first day)
+  const [dateIndex, setDateIndex] = useState(0);
+  const [compositions, setCompositions] = useState({});
+
+  useEffect(() => {
+    fetchPriceHistory()
+      .then(setHistory)
+      .catch((err) => console.warn('[DatePrice] Failed to load price history, using fallback price:', err.message));
+  }, []);
+
+  const loadCompositions = useCallback(async () => {
+    try {
+      const registry = await fetchCDPRegistry();
+      setCompositions(registry.etf_compositions || {});
+    } catch (err) {
+      console.warn('[DatePrice] Failed to load ETF compositions, using ETF closes:', err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCompositions();
+
+    // Compositions can change through the registry service
+    window.addEventListener('depository-registry-updated', loadCompositions);
+    return () => {
+      window.removeEventListener('depository-registry-updated', loadCompositions);
+    };
+  }, [loadCompositions]);
+
+  /**
+   * Price of an ETF on a day of the timeline
+   * @param {number} index - Index into the price history
+   * @param {string} symbol - ETF symbol
+   * @returns {Object|null} { date, nav, price (wei string), source: 'inav' | 'close', and the
+   * iNAV breakdown when source is 'inav' }, or null if the ETF has no price that day
+   */
+  const priceAt = useCallback((index, symbol = DEFAULT_SYMBOL) => {
+    const row = history[index];
+    if (!row) return null;
+
+    const composition = compositions[symbol];
+    if (composition) {
+      try {
+        const inav = calculateINAV(composition, row.prices);
+        return { ...inav, date: row.date, price: navToWei(inav.nav), source: 'inav' };
+      } catch (err) {
+        // Missing constituent closes: fall back to the ETF's own close
+      }
+    }
+    const close = row.prices[symbol];
+    return close !== undefined
+      ? { date: row.date, nav: close, price: navToWei(close), source: 'close' }
+      : null;
+  }, [history, compositions]);
+
+  const selected = priceAt(dateIndex);
+  const startPrice = priceAt(0)?.price || FALLBACK_PRICE;
+  const currentPrice = selected?.price || FALLBACK_PRICE;
+  const currentDate = history[dateIndex] ? formatPriceDate(history[dateIndex].date) : FALLBACK_DATE;
 
-  // Toggle between current and future
-  const toggleDatePrice = () => {
-    setIsFuture(prev => !prev);
+  // Move the timeline to a date (ISO string); picks the last trading day on or before it
+  const setSelectedDate = (date) => {
+    let index = 0;
+    history.forEach((row, i) => {
+      if (row.date <= date) index = i;
+    });
+    setDateIndex(index);
   };
 
-  // Get current active price
-  const getCurrentPrice = () => {
-    return isFuture ? FUTURE_PRICE : CURRENT_PRICE;
+  // Get current active price (wei string) for an ETF's token
+  // ETFs without a price fall back to the ES3 price, as before prices were derived
+  const getCurrentPrice = (symbol = DEFAULT_SYMBOL) => {
+    return priceAt(dateIndex, symbol)?.price || currentPrice;
   };
 
+  // Get the price (wei string) of an ETF's token at a date on the timeline, or null if unknown
+  const getPriceAt = (date, symbol = DEFAULT_SYMBOL) => {
+    const index = history.findIndex((row) => row.date === date);
+    return index === -1 ? null : priceAt(index, symbol)?.price || null;
+  };
+
+  // Get the price (wei string) of an ETF's token as of a calendar date: the last trading day on or
+  // before it, but no later than the selected date. Null if the date is before the timeline
+  const getPriceAsOf = useCallback((date, symbol = DEFAULT_SYMBOL) => {
+    let index = -1;
+    history.forEach((row, i) => {
+      if (row.date <= date && i <= dateIndex) index = i;
+    });
+    return index === -1 ? null : priceAt(index, symbol)?.price || null;
+  }, [history, dateIndex, priceAt]);
+
+  // Daily prices of an ETF for charts: [{ date, price (number) }]
+  const getPriceHistory = useCallback((symbol = DEFAULT_SYMBOL) => {
+    return history
+      .map((row, index) => ({ date: row.date, price: priceAt(index, symbol)?.nav }))
+      .filter((point) => point.price !== undefined);
+  }, [history, priceAt]);
+
   // Get current active date
   const getCurrentDate = () => {
-    return isFuture ? FUTURE_DATE : CURRENT_DATE;
+    return currentDate;
   };
 
   // Get formatted price for display (without decimals)
   const getFormattedPrice = () => {
-    const price = isFuture ? FUTURE_PRICE : CURRENT_PRICE;
     // Convert from wei (18 decimals) to readable format
-    const priceNum = parseFloat(price) / 1e18;
+    const priceNum = parseFloat(currentPrice) / 1e18;
     return priceNum.toFixed(2);
   };
 
   const value = {
-    isFuture,
-    toggleDatePrice,
-    getCurrentPrice,
+    // Timeline
+    dates: history.map((row) => row.date),
+    dateIndex,
+    setDateIndex,
+    setSelectedDate,
+    selectedDate: history[dateIndex]?.date || null,
     getCurrentDate,
+    // Prices
+    getCurrentPrice,
+    getPriceAt,
+    getPriceAsOf,
+    getPriceHistory,
     getFormattedPrice,
     // Also expose raw values for display
-    currentPrice: CURRENT_PRICE,
-    futurePrice: FUTURE_PRICE,
-    currentDate: CURRENT_DATE,
-    futureDate: FUTURE_DATE,
+    currentPrice,
+    startPrice,
+    currentDate,
+    // How the ES3 price was derived at the selected date (null while using the fallback price)
+    currentINAV: selected?.source === 'inav' ? selected : null,
+    priceSource: selected?.source || 'fallback',
   };
 
   return (
@@ -77,4 +179,3 @@ export function useDatePrice() {
   }
   return context;
 }
-
@@ -0,0 +1,35 @@
+/**
+ * Wallet Context
+ * Shares the browser wallet connection with every component
+ */
+
+import React, { createContext, useContext } from 'react';
+import { useWallet } from '../hooks/useWallet';
+
+const WalletContext = createContext(null);
+
+/**
+ * Wallet Provider Component
+ * Wraps the app and provides the wallet connection
+ */
+export function WalletProvider({ children }) {
+  const wallet = useWallet();
+
+  return (
+    <WalletContext.Provider value={wallet}>
+      {children}
+    </WalletContext.Provider>
+  );
+}
+
+/**
+ * Hook to use wallet context
+ * @returns {object} { account, role, isWalletMode, isWrongNetwork, connect, disconnect, switchNetwork, getWalletSigner, canActAs, ... }
+ */
+export function useWalletContext() {
+  const context = useContext(WalletContext);
+  if (!context) {
+    throw new Error('useWalletContext must be used within WalletProvider');
+  }
+  return context;
+}
@@ -4,8 +4,10 @@
  */
 
 import { useState, useEffect, useCallback } from 'react';
-import { ethers } from 'ethers';
 import { createProvider } from '../utils/contractHelpers';
+import { createSigner } from '../utils/signers';
+import { SIGNER_SOURCE } from '../utils/constants';
+import { useWalletContext } from '../contexts/WalletContext';
 
 /**
  * Custom hook for blockchain connection management
@@ -16,6 +18,7 @@ export function useBlockchain() {
   const [isConnected, setIsConnected] = useState(false);
   const [blockNumber, setBlockNumber] = useState(null);
   const [error, setError] = useState(null);
+  const { isWalletMode, getWalletSigner } = useWalletContext();
 
   // Initialize provider connection
   useEffect(() => {
@@ -59,39 +62,23 @@ export function useBlockchain() {
   }, [provider]);
 
   /**
-   * Get a signer for a specific address (for Anvil local development)
-   * Uses Anvil default private keys
+   * Get a signer for a specific address
+   * Signs through SIGNER_SOURCE: the local node's unlocked accounts or an injected
+   * browser wallet (see utils/signers.js). No private keys are held by the app.
+   * In wallet mode the connected wallet must be the address (see useWallet.getWalletSigner).
    * @param {string} address - Ethereum address
-   * @returns {ethers.Wallet} Wallet signer instance
+   * @returns {ethers.JsonRpcSigner} Signer for the address
    */
   const getSigner = useCallback((address) => {
+    if (isWalletMode) {
+      return getWalletSigner(address);
+    }
     if (!provider) {
       throw new Error('Provider not connected');
     }
     
-    // Anvil default private keys (from Anvil startup output)
-    // Account #0: 0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80
-    // Account #1: 0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d
-    // Account #2: 0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a
-    
-    const privateKeys = {
-      '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266': '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80', // Account #0
-      '0x70997970C51812dc3A010C7d01b50e0d17dc79C8': '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d', // Account #1
-      '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC': '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a', // Account #2
-    };
-    
-    const privateKey = privateKeys[address];
-    if (!privateKey) {
-      throw new Error(`No private key found for address ${address}`);
-    }
-    
-    try {
-      return new ethers.Wallet(privateKey, provider);
-    } catch (err) {
-      console.error('Error creating wallet:', err);
-      throw new Error(`Failed to create signer for ${address}`);
-    }
-  }, [provider]);
+    return createSigner(SIGNER_SOURCE, address, provider);
+  }, [provider, isWalletMode, getWalletSigner]);
 
   /**
    * Listen to contract events
@@ -7,6 +7,9 @@
 import { useState, useEffect, useCallback } from 'react';
 import { createContract, createContractWithSigner } from '../utils/contractHelpers';
 import { CONTRACT_ADDRESSES_FALLBACK } from '../utils/constants';
+import { DVP_SETTLEMENT_ABI } from '../utils/settlement';
+import { ORDER_BOOK_ABI } from '../utils/orderBook';
+import { PRICE_ORACLE_ABI } from '../utils/priceOracle';
 import { useBlockchain } from './useBlockchain';
 import { useDeploymentInfo } from './useDeploymentInfo';
 
@@ -30,6 +33,7 @@ const ERC20_ABI_MINIMAL = [
   'function approve(address spender, uint256 amount) returns (bool)',
   'function allowance(address owner, address spender) view returns (uint256)',
   'function mint(address to, uint256 amount)',
+  'function redeem(uint256 amount)',
   'event Transfer(address indexed from, address indexed to, uint256 value)',
 ];
 
@@ -58,11 +62,17 @@ const dCDP_ABI = dCDP_ABI_FULL || dCDP_ABI_MINIMAL;
  */
 export function useContracts() {
   const { provider, isConnected } = useBlockchain();
-  const { contractAddresses, loading: deploymentLoading, usingFallback } = useDeploymentInfo();
+  const { contractAddresses, tokens: tokenAddresses, loading: deploymentLoading, usingFallback } = useDeploymentInfo();
   const [contracts, setContracts] = useState({
     sgdc: null,
     tes3: null,
     dcdp: null,
+    // DvPSettlement, OrderBook and PriceOracle, or null when the deployment predates them
+    dvp: null,
+    orderBook: null,
+    priceOracle: null,
+    // Tokenized ETF contracts keyed by ETF symbol (e.g. tokens.ES3 is TES3, tokens.G3B is TG3B)
+    tokens: {},
   });
   const [error, setError] = useState(null);
 
@@ -83,22 +93,42 @@ export function useContracts() {
       const sgdc = createContract(addresses.SGDC, ERC20_ABI, provider);
       const tes3 = createContract(addresses.TES3, TES3_ABI_ACTUAL, provider);
       const dcdp = createContract(addresses.dCDP, dCDP_ABI, provider);
+      const dvp = addresses.DvPSettlement
+        ? createContract(addresses.DvPSettlement, DVP_SETTLEMENT_ABI, provider)
+        : null;
+      const orderBook = addresses.OrderBook
+        ? createContract(addresses.OrderBook, ORDER_BOOK_ABI, provider)
+        : null;
+      const priceOracle = addresses.PriceOracle
+        ? createContract(addresses.PriceOracle, PRICE_ORACLE_ABI, provider)
+        : null;
+
+      const tokens = {};
+      for (const [etfSymbol, token] of Object.entries(tokenAddresses || {})) {
+        tokens[etfSymbol] = token.address.toLowerCase() === addresses.TES3.toLowerCase()
+          ? tes3
+          : createContract(token.address, TES3_ABI_ACTUAL, provider);
+      }
 
       setContracts({
         sgdc,
         tes3,
         dcdp,
+        dvp,
+        orderBook,
+        priceOracle,
+        tokens,
       });
       setError(null);
     } catch (err) {
       console.error('Failed to initialize contracts:', err);
       setError(err.message);
     }
-  }, [isConnected, provider, contractAddresses, deploymentLoading, usingFallback]);
+  }, [isConnected, provider, contractAddresses, tokenAddresses, deploymentLoading, usingFallback]);
 
   /**
    * Get contract with signer for write operations
-   * @param {string} contractName - 'sgdc', 'tes3', or 'dcdp'
+   * @param {string} contractName - 'sgdc', 'tes3', 'dcdp', 'dvp' or 'orderBook'
    * @param {ethers.Signer} signer - Signer instance
    * @returns {ethers.Contract} Contract with signer
    */
@@ -115,6 +145,10 @@ export function useContracts() {
     let addressKey;
     if (contractName.toLowerCase() === 'dcdp') {
       addressKey = 'dCDP'; // Special case: dCDP has mixed case
+    } else if (contractName.toLowerCase() === 'dvp') {
+      addressKey = 'DvPSettlement';
+    } else if (contractName.toLowerCase() === 'orderbook') {
+      addressKey = 'OrderBook';
     } else {
       addressKey = contractName.toUpperCase();
     }
@@ -127,6 +161,10 @@ export function useContracts() {
     let abi;
     if (contractName === 'dcdp') {
       abi = dCDP_ABI;
+    } else if (contractName === 'dvp') {
+      abi = DVP_SETTLEMENT_ABI;
+    } else if (contractName === 'orderBook') {
+      abi = ORDER_BOOK_ABI;
     } else if (contractName === 'tes3') {
       abi = TES3_ABI_ACTUAL;
     } else {
@@ -136,6 +174,22 @@ export function useContracts() {
     return createContractWithSigner(address, abi, signer);
   }, [contracts, contractAddresses]);
 
+  /**
+   * Get the tokenized ETF contract for an ETF symbol
+   * @param {string} etfSymbol - ETF symbol (e.g., 'ES3', 'G3B')
+   * @param {ethers.Signer} [signer] - Signer instance for write operations
+   * @returns {ethers.Contract} Token contract (e.g. TG3B for G3B)
+   */
+  const getTokenContract = useCallback((etfSymbol, signer) => {
+    const token = tokenAddresses?.[etfSymbol];
+    if (!token || !contracts.tokens[etfSymbol]) {
+      throw new Error(`No tokenized ETF deployed for ${etfSymbol}`);
+    }
+    return signer
+      ? createContractWithSigner(token.address, TES3_ABI_ACTUAL, signer)
+      : contracts.tokens[etfSymbol];
+  }, [contracts, tokenAddresses]);
+
   /**
    * Get token balance for an address
    * @param {string} contractName - 'sgdc' or 'tes3'
@@ -164,6 +218,7 @@ export function useContracts() {
       addresses.dCDP?.toLowerCase(),
       addresses.SGDC?.toLowerCase(),
       addresses.TES3?.toLowerCase(),
+      ...Object.values(tokenAddresses || {}).map((token) => token.address?.toLowerCase()),
     ].filter(Boolean); // Remove any undefined values
     
     if (contractAddressesLower.includes(addressLower)) {
@@ -185,13 +240,14 @@ export function useContracts() {
       // Return zero instead of throwing for better UX
       return '0';
     }
-  }, [contracts, contractAddresses]);
+  }, [contracts, contractAddresses, tokenAddresses]);
 
   return {
     contracts,
     isReady: contracts.sgdc && contracts.tes3 && contracts.dcdp,
     error,
     getContractWithSigner,
+    getTokenContract,
     getBalance,
   };
 }
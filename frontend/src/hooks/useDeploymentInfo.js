@@ -1,12 +1,13 @@
 /**
  * useDeploymentInfo Hook
  * Loads contract addresses from deployment-info.json (golden source of truth)
+ * including the tokenized ETF contract for each ETF symbol
  * Falls back to hardcoded addresses if fetch fails
  */
 
 import { useState, useEffect } from 'react';
 import { fetchDeploymentInfo } from '../utils/api';
-import { CONTRACT_ADDRESSES_FALLBACK } from '../utils/constants';
+import { CONTRACT_ADDRESSES_FALLBACK, TOKENS_FALLBACK } from '../utils/constants';
 
 /**
  * Custom hook for loading deployment info
@@ -15,6 +16,7 @@ import { CONTRACT_ADDRESSES_FALLBACK } from '../utils/constants';
 export function useDeploymentInfo() {
   const [deploymentInfo, setDeploymentInfo] = useState(null);
   const [contractAddresses, setContractAddresses] = useState(CONTRACT_ADDRESSES_FALLBACK);
+  const [tokens, setTokens] = useState(TOKENS_FALLBACK);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [usingFallback, setUsingFallback] = useState(false);
@@ -34,6 +36,10 @@ export function useDeploymentInfo() {
           SGDC: info.contracts?.SGDC?.address || info.contracts?.SGDC,
           TES3: info.contracts?.TES3?.address || info.contracts?.TES3,
           dCDP: info.contracts?.dCDP?.address || info.contracts?.dCDP,
+          // Optional: older deployments have no DvPSettlement, OrderBook or PriceOracle contract
+          DvPSettlement: info.contracts?.DvPSettlement?.address || info.contracts?.DvPSettlement,
+          OrderBook: info.contracts?.OrderBook?.address || info.contracts?.OrderBook,
+          PriceOracle: info.contracts?.PriceOracle?.address || info.contracts?.PriceOracle,
         };
 
         // Validate all addresses are present
@@ -48,9 +54,24 @@ export function useDeploymentInfo() {
             !addressRegex.test(addresses.dCDP)) {
           throw new Error('Invalid contract address format in deployment info');
         }
+        for (const name of ['DvPSettlement', 'OrderBook', 'PriceOracle']) {
+          if (addresses[name] && !addressRegex.test(addresses[name])) {
+            throw new Error(`Invalid ${name} address format in deployment info`);
+          }
+        }
+
+        // Tokenized ETF contracts by ETF symbol
+        // Deployments made before multi-ETF support only list TES3 (for ES3)
+        const deployedTokens = info.tokens || { ES3: { symbol: 'TES3', address: addresses.TES3 } };
+        for (const [etfSymbol, token] of Object.entries(deployedTokens)) {
+          if (!token?.symbol || !addressRegex.test(token.address || '')) {
+            throw new Error(`Invalid token entry for ${etfSymbol} in deployment info`);
+          }
+        }
 
         setDeploymentInfo(info);
         setContractAddresses(addresses);
+        setTokens(deployedTokens);
         setUsingFallback(false);
         console.log('[useDeploymentInfo] Loaded contract addresses from deployment-info.json:', addresses);
       } catch (err) {
@@ -59,6 +80,7 @@ export function useDeploymentInfo() {
         setUsingFallback(true);
         // Use fallback addresses on error
         setContractAddresses(CONTRACT_ADDRESSES_FALLBACK);
+        setTokens(TOKENS_FALLBACK);
       } finally {
         setLoading(false);
       }
@@ -70,6 +92,7 @@ export function useDeploymentInfo() {
   return {
     deploymentInfo,
     contractAddresses,
+    tokens,
     loading,
     error,
     usingFallback,
@@ -0,0 +1,52 @@
+/**
+ * useETFSymbols Hook
+ * Lists the ETFs defined in the Depository registry's etf_compositions
+ * together with the tokenized ETF contract deployed for each (if any)
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { fetchCDPRegistry } from '../utils/api';
+import { useDeploymentInfo } from './useDeploymentInfo';
+
+/**
+ * Custom hook for the ETF symbols available to create, tokenize and redeem
+ * @returns {Object} ETFs ({ symbol, name, tokenSymbol }) and loading state
+ * tokenSymbol is null when no tokenized ETF is deployed for the symbol
+ */
+export function useETFSymbols() {
+  const { tokens } = useDeploymentInfo();
+  const [compositions, setCompositions] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  const loadCompositions = useCallback(async () => {
+    try {
+      const registry = await fetchCDPRegistry();
+      setCompositions(registry.etf_compositions || {});
+    } catch (err) {
+      console.warn('[useETFSymbols] Failed to load ETF compositions:', err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCompositions();
+
+    // New compositions only appear through the registry service
+    window.addEventListener('depository-registry-updated', loadCompositions);
+    return () => {
+      window.removeEventListener('depository-registry-updated', loadCompositions);
+    };
+  }, [loadCompositions]);
+
+  const etfs = Object.entries(compositions).map(([symbol, composition]) => ({
+    symbol,
+    name: composition.name,
+    tokenSymbol: tokens?.[symbol]?.symbol || null,
+  }));
+
+  return {
+    etfs,
+    loading,
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * useReserves Hook
+ * Compares the stablecoin provider's fiat reserves (registry reserve ledger) with the SGDC
+ * total supply, as the proof-of-reserves report does (backend/script/proofOfReserves.js)
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { fetchReserves } from '../utils/api';
+import { useBlockchain } from './useBlockchain';
+import { useContracts } from './useContracts';
+
+/**
+ * Custom hook for SGDC reserve coverage
+ * Re-reads on every new block and whenever the registry is updated
+ * @returns {Object} { reserves (SGD), supply (SGDC), coverage (reserves / supply, null while
+ * nothing is minted), error } - amounts are numbers, null until loaded
+ */
+export function useReserves() {
+  const { blockNumber } = useBlockchain();
+  const { contracts, isReady } = useContracts();
+  const [reserves, setReserves] = useState(null);
+  const [supply, setSupply] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadReserves = useCallback(async () => {
+    if (!isReady || !contracts.sgdc) return;
+
+    try {
+      const [summary, totalSupply] = await Promise.all([
+        fetchReserves(),
+        contracts.sgdc.totalSupply(),
+      ]);
+      setReserves(summary.reserves);
+      setSupply(Number(ethers.formatUnits(totalSupply, 18)));
+      setError(null);
+    } catch (err) {
+      console.warn('[useReserves] Failed to load reserves:', err.message);
+      setError(err.message);
+    }
+  }, [isReady, contracts]);
+
+  useEffect(() => {
+    loadReserves();
+  }, [loadReserves, blockNumber]);
+
+  useEffect(() => {
+    // Deposits and payouts are recorded after their transaction is mined
+    window.addEventListener('depository-registry-updated', loadReserves);
+    return () => {
+      window.removeEventListener('depository-registry-updated', loadReserves);
+    };
+  }, [loadReserves]);
+
+  const coverage = reserves !== null && supply ? reserves / supply : null;
+
+  return {
+    reserves,
+    supply,
+    coverage,
+    error,
+  };
+}
@@ -0,0 +1,19 @@
+/**
+ * useTxDecoder Hook
+ * Contract ABIs by deployed address (src/utils/txDecoder.js), for labelling and decoding
+ * transactions, events and revert reasons
+ */
+
+import { useMemo } from 'react';
+import { useDeploymentInfo } from './useDeploymentInfo';
+import { buildDecoder } from '../utils/txDecoder';
+
+/**
+ * Custom hook for the transaction decoder of the current deployment
+ * Rebuilt when deployment-info.json has loaded
+ * @returns {Map<string, Object>} Decoder for decodeCall(), decodeLogs(), decodeRevertData(), ...
+ */
+export function useTxDecoder() {
+  const { contractAddresses, tokens } = useDeploymentInfo();
+  return useMemo(() => buildDecoder(contractAddresses || {}, tokens || {}), [contractAddresses, tokens]);
+}
@@ -0,0 +1,177 @@
+/**
+ * useWallet Hook
+ * Manages the connection to an injected EIP-1193 browser wallet (e.g. MetaMask)
+ * Used through WalletContext so every panel sees the same connected account
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { getInjectedProvider, SIGNER_SOURCES } from '../utils/signers';
+import { ACCOUNTS, CHAIN_ID, RPC_URL, SIGNER_SOURCE } from '../utils/constants';
+
+// Demo roles by address; the admin is also the stablecoin provider
+const ROLE_NAMES = {
+  [ACCOUNTS.ADMIN.toLowerCase()]: 'Admin',
+  [ACCOUNTS.AP.toLowerCase()]: 'AP',
+  [ACCOUNTS.THOMAS.toLowerCase()]: 'Thomas',
+};
+
+// EIP-1193 / MetaMask error code for a chain the wallet does not know yet
+const UNRECOGNIZED_CHAIN_ERROR = 4902;
+
+const CHAIN_ID_HEX = ethers.toQuantity(CHAIN_ID);
+
+/**
+ * Get the demo role for an address
+ * @param {string} address - Wallet address
+ * @returns {string|null} "Admin", "AP", "Thomas" or null
+ */
+export function getRoleName(address) {
+  return address ? ROLE_NAMES[address.toLowerCase()] || null : null;
+}
+
+/**
+ * Custom hook for the injected wallet connection
+ * @returns {Object} Connection state and actions
+ */
+export function useWallet() {
+  const hasInjectedWallet = typeof window !== 'undefined' && Boolean(window.ethereum);
+  const [account, setAccount] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  const [connecting, setConnecting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Wallet mode: transactions are signed by the connected wallet instead of the local node
+  // REACT_APP_SIGNER=injected makes it the only mode; otherwise it starts when the user connects
+  const isWalletMode = SIGNER_SOURCE === SIGNER_SOURCES.INJECTED || Boolean(account);
+  const isWrongNetwork = Boolean(account) && chainId !== null && chainId !== CHAIN_ID;
+
+  /**
+   * Ask the wallet to switch to the demo chain, adding it first if the wallet does not know it
+   */
+  const switchNetwork = useCallback(async () => {
+    try {
+      await window.ethereum.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: CHAIN_ID_HEX }],
+      });
+    } catch (err) {
+      if (err.code !== UNRECOGNIZED_CHAIN_ERROR) {
+        throw err;
+      }
+      await window.ethereum.request({
+        method: 'wallet_addEthereumChain',
+        params: [{
+          chainId: CHAIN_ID_HEX,
+          chainName: 'Anvil (Tokenized ETF demo)',
+          rpcUrls: [RPC_URL],
+          nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        }],
+      });
+    }
+  }, []);
+
+  /**
+   * Request accounts from the wallet and make sure it is on the demo chain
+   */
+  const connect = useCallback(async () => {
+    setConnecting(true);
+    setError(null);
+
+    try {
+      const provider = getInjectedProvider();
+      const accounts = await provider.send('eth_requestAccounts', []);
+      const network = await provider.send('eth_chainId', []);
+
+      setAccount(accounts[0] ? ethers.getAddress(accounts[0]) : null);
+      setChainId(Number(network));
+
+      if (Number(network) !== CHAIN_ID) {
+        await switchNetwork();
+      }
+    } catch (err) {
+      console.error('Failed to connect wallet:', err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setConnecting(false);
+    }
+  }, [switchNetwork]);
+
+  /**
+   * Stop using the wallet; signing falls back to the configured signer source
+   * EIP-1193 has no disconnect call, so the wallet keeps its permission until the user revokes it
+   */
+  const disconnect = useCallback(() => {
+    setAccount(null);
+    setChainId(null);
+    setError(null);
+  }, []);
+
+  // Follow account and network changes made in the wallet
+  useEffect(() => {
+    if (!hasInjectedWallet) return;
+
+    const handleAccountsChanged = (accounts) => {
+      setAccount(accounts[0] ? ethers.getAddress(accounts[0]) : null);
+    };
+    const handleChainChanged = (newChainId) => {
+      setChainId(Number(newChainId));
+    };
+
+    window.ethereum.on('accountsChanged', handleAccountsChanged);
+    window.ethereum.on('chainChanged', handleChainChanged);
+
+    return () => {
+      window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
+      window.ethereum.removeListener('chainChanged', handleChainChanged);
+    };
+  }, [hasInjectedWallet]);
+
+  /**
+   * Get the wallet signer for an address
+   * Throws when the wallet is not connected as that address or is on another network
+   * @param {string} address - Address that must sign
+   * @returns {ethers.JsonRpcSigner} Signer backed by the browser wallet
+   */
+  const getWalletSigner = useCallback((address) => {
+    const role = getRoleName(address) || address;
+    if (!account) {
+      throw new Error(`Connect your wallet as ${role} to sign this transaction`);
+    }
+    if (isWrongNetwork) {
+      throw new Error(`Switch your wallet to chain ${CHAIN_ID} to sign transactions`);
+    }
+    if (address.toLowerCase() !== account.toLowerCase()) {
+      throw new Error(`This step must be signed by ${role}; switch accounts in your wallet (connected: ${getRoleName(account) || account})`);
+    }
+    return new ethers.JsonRpcSigner(getInjectedProvider(), account);
+  }, [account, isWrongNetwork]);
+
+  /**
+   * Check whether a role's actions are available
+   * Outside wallet mode every role is available; in wallet mode only the connected one
+   * @param {string} address - Role address (from ACCOUNTS)
+   * @returns {boolean} True if the role can act
+   */
+  const canActAs = useCallback((address) => {
+    if (!isWalletMode) return true;
+    return Boolean(account) && !isWrongNetwork && address.toLowerCase() === account.toLowerCase();
+  }, [isWalletMode, account, isWrongNetwork]);
+
+  return {
+    hasInjectedWallet,
+    account,
+    role: getRoleName(account),
+    chainId,
+    connecting,
+    error,
+    isWalletMode,
+    isWrongNetwork,
+    connect,
+    disconnect,
+    switchNetwork,
+    getWalletSigner,
+    canActAs,
+  };
+}
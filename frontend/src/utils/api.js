@@ -4,7 +4,8 @@
  * For CDP registry and other offchain operations
  */
 
-import { CDP_REGISTRY_API } from './constants';
+import { CDP_REGISTRY_API, REGISTRY_API_URL, INDEXER_API_URL } from './constants';
+import { parsePriceHistory } from './priceHistory';
 
 /**
  * Fetch deployment info from public/deployment-info.json
@@ -33,7 +34,27 @@ export async function fetchDeploymentInfo() {
 }
 
 /**
- * Fetch CDP registry data
+ * Fetch the daily price history from public/price-history.csv
+ * Closes of each ETF and its constituents, used to calculate iNAV at any date (see utils/inav.js)
+ * @returns {Promise<Array<Object>>} Rows sorted by date: { date, prices }
+ */
+export async function fetchPriceHistory() {
+  const response = await fetch('/price-history.csv');
+  if (!response.ok) {
+    throw new Error(`Failed to fetch price history: ${response.status} ${response.statusText}`);
+  }
+
+  // The dev server answers unknown paths with index.html
+  const contentType = response.headers.get('content-type');
+  if (contentType && contentType.includes('text/html')) {
+    throw new Error('Response is not CSV - received HTML error page instead');
+  }
+
+  return parsePriceHistory(await response.text());
+}
+
+/**
+ * Fetch CDP registry data from the registry service
  * @returns {Promise<Object>} CDP registry data
  */
 export async function fetchCDPRegistry() {
@@ -57,102 +78,64 @@ export async function fetchCDPRegistry() {
   }
 }
 
+/**
+ * POST an operation to the registry service
+ * The service validates the request, applies it to the shared CDP registry and returns the result
+ * @param {string} endpoint - Endpoint path (e.g., "/create-etf")
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Operation result from the registry service
+ */
+async function postRegistryOperation(endpoint, body) {
+  let response;
+  try {
+    response = await fetch(`${REGISTRY_API_URL}${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  } catch (error) {
+    throw new Error(`Registry service not reachable at ${REGISTRY_API_URL}. Start it with: cd backend/script && npm run registry`);
+  }
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `Registry service returned ${response.status}`);
+  }
+  return result;
+}
+
 /**
  * Create ETF shares (offchain operation)
- * This function performs the ETF creation logic client-side:
- * - Reads current CDP registry (from localStorage or API)
- * - Validates sufficient holdings for each constituent stock
- * - Deducts constituent stocks according to ETF composition
- * - Adds ETF shares to the account
- * - Stores updated registry in localStorage
+ * ETFs are created in whole creation units. The registry service validates holdings
+ * and SGD cash against the ETF composition, deducts the constituent stocks, the cash
+ * component and the creation fee, and adds ETF shares to the account
  * 
  * @param {string} ownerId - Owner ID (e.g., "AP")
- * @param {number} quantity - Number of ETF shares to create
+ * @param {number} quantity - Number of ETF shares to create (a multiple of the creation unit size)
  * @param {string} symbol - ETF symbol (e.g., "ES3")
- * @returns {Promise<Object>} Result of ETF creation
+ * @returns {Promise<Object>} Result of ETF creation, including the stock and cash breakdown
  */
 export async function createETF(ownerId, quantity, symbol = 'ES3') {
   try {
-    // Get current registry - check localStorage first, then fetch from API
-    let registry;
-    const storedRegistry = localStorage.getItem('cdp-registry');
-    
-    if (storedRegistry) {
-      try {
-        registry = JSON.parse(storedRegistry);
-      } catch (e) {
-        console.warn('Failed to parse stored registry, fetching fresh copy');
-        registry = await fetchCDPRegistry();
-      }
-    } else {
-      registry = await fetchCDPRegistry();
-    }
-
-    // Validate owner exists
-    if (!registry.accounts || !registry.accounts[ownerId]) {
-      throw new Error(`Owner ${ownerId} not found in CDP registry`);
-    }
-
-    // Validate ETF composition exists
-    if (!registry.etf_compositions || !registry.etf_compositions[symbol]) {
-      throw new Error(`ETF ${symbol} composition not found`);
-    }
-
-    const account = registry.accounts[ownerId];
-    const composition = registry.etf_compositions[symbol];
-
-    // Initialize ETF balance if it doesn't exist
-    if (!account.etfs) {
-      account.etfs = {};
-    }
-    if (!account.etfs[symbol]) {
-      account.etfs[symbol] = 0;
-    }
-
-    // Initialize stocks object if it doesn't exist
-    if (!account.stocks) {
-      account.stocks = {};
-    }
-
-    // Validate sufficient holdings for each constituent stock
-    const constituents = composition.constituents;
-    const validationErrors = [];
-    
-    for (const [stockSymbol, requiredPerETF] of Object.entries(constituents)) {
-      const currentBalance = account.stocks[stockSymbol] || 0;
-      const required = requiredPerETF * quantity;
-
-      if (currentBalance < required) {
-        validationErrors.push(
-          `Insufficient ${stockSymbol}: have ${currentBalance}, need ${required} ` +
-          `(${requiredPerETF} per ETF × ${quantity} ETFs)`
-        );
-      }
-    }
-
-    // If validation fails, throw error with all issues
-    if (validationErrors.length > 0) {
-      throw new Error(validationErrors.join('; '));
-    }
-
-    // Deduct constituent stocks and add ETF shares
-    const deductedStocks = {};
-    for (const [stockSymbol, requiredPerETF] of Object.entries(constituents)) {
-      const required = requiredPerETF * quantity;
-      account.stocks[stockSymbol] = (account.stocks[stockSymbol] || 0) - required;
-      deductedStocks[stockSymbol] = required;
+    // Reject partial creation units before sending the order
+    const registry = await fetchCDPRegistry();
+    const creationUnitSize = registry.etf_compositions?.[symbol]?.creation_unit_size ?? 1;
+    if (quantity % creationUnitSize !== 0) {
+      throw new Error(
+        `${symbol} is created in units of ${creationUnitSize} shares; ` +
+        `${quantity} is not a whole number of creation units`
+      );
     }
 
-    // Increase ETF balance
-    account.etfs[symbol] = (account.etfs[symbol] || 0) + quantity;
-
-    // Store updated registry in localStorage
-    localStorage.setItem('cdp-registry', JSON.stringify(registry));
+    const result = await postRegistryOperation('/create-etf', { ownerId, symbol, quantity });
 
     return {
       success: true,
-      newETFBalance: account.etfs[symbol],
-      deductedStocks,
+      creationUnitSize: result.creationUnitSize,
+      creationUnits: result.creationUnits,
+      newETFBalance: result.newETFBalance,
+      deductedStocks: result.deductedStocks,
+      cash: result.cash,
       message: `Successfully created ${quantity} ${symbol} shares for ${ownerId}`,
     };
   } catch (error) {
@@ -162,131 +145,153 @@ export async function createETF(ownerId, quantity, symbol = 'ES3') {
 }
 
 /**
- * Tokenize securities (decrease CDP registry balance)
- * This function updates the CDP registry when tokenization occurs:
- * - Decreases the ETF balance in CDP registry
- * - Stores updated registry in localStorage
+ * Redeem ETF shares in kind (offchain operation)
+ * Reverse of createETF: the registry service validates the ETF balance,
+ * removes the ETF shares and credits the constituent stocks pro rata
  * 
  * @param {string} ownerId - Owner ID (e.g., "AP")
- * @param {number} quantity - Number of securities to tokenize
- * @param {string} symbol - Security symbol (e.g., "ES3")
- * @returns {Promise<Object>} Result of tokenization
+ * @param {number} quantity - Number of ETF shares to redeem
+ * @param {string} symbol - ETF symbol (e.g., "ES3")
+ * @returns {Promise<Object>} Result of ETF redemption, including the credited stocks
  */
-export async function tokenizeSecurity(ownerId, quantity, symbol = 'ES3') {
+export async function redeemETF(ownerId, quantity, symbol = 'ES3') {
   try {
-    // Get current registry - check localStorage first, then fetch from API
-    let registry;
-    const storedRegistry = localStorage.getItem('cdp-registry');
-    
-    if (storedRegistry) {
-      try {
-        registry = JSON.parse(storedRegistry);
-      } catch (e) {
-        console.warn('Failed to parse stored registry, fetching fresh copy');
-        registry = await fetchCDPRegistry();
-      }
-    } else {
-      registry = await fetchCDPRegistry();
-    }
-
-    // Validate owner exists
-    if (!registry.accounts || !registry.accounts[ownerId]) {
-      throw new Error(`Owner ${ownerId} not found in CDP registry`);
-    }
-
-    const account = registry.accounts[ownerId];
-
-    // Initialize ETF balance if it doesn't exist
-    if (!account.etfs) {
-      account.etfs = {};
-    }
-    if (!account.etfs[symbol]) {
-      account.etfs[symbol] = 0;
-    }
-
-    // Validate sufficient holdings
-    const currentBalance = account.etfs[symbol] || 0;
-    if (currentBalance < quantity) {
-      throw new Error(
-        `Insufficient ${symbol}: have ${currentBalance}, need ${quantity}`
-      );
-    }
-
-    // Decrease ETF balance
-    account.etfs[symbol] = currentBalance - quantity;
-
-    // Store updated registry in localStorage
-    localStorage.setItem('cdp-registry', JSON.stringify(registry));
+    const result = await postRegistryOperation('/redeem-etf', { ownerId, symbol, quantity });
 
     return {
       success: true,
-      newBalance: account.etfs[symbol],
-      message: `Successfully tokenized ${quantity} ${symbol} for ${ownerId}`,
+      newETFBalance: result.newETFBalance,
+      creditedStocks: result.creditedStocks,
+      message: `Successfully redeemed ${quantity} ${symbol} shares for ${ownerId}`,
     };
   } catch (error) {
-    console.error('Error tokenizing security:', error);
+    console.error('Error redeeming ETF:', error);
     throw error;
   }
 }
 
 /**
- * Redeem tokenized securities (increase CDP registry balance)
- * This function updates the CDP registry when redemption occurs:
- * - Increases the ETF balance in CDP registry
- * - Stores updated registry in localStorage
+ * Reserve a tokenize or redeem in the CDP registry (phase one of two)
+ * Tokenize locks the ETF shares so they cannot be spent while the mint is in flight;
+ * redeem records the pending credit that is applied once the burn is confirmed
  * 
+ * @param {string} type - "tokenize" or "redeem"
  * @param {string} ownerId - Owner ID (e.g., "AP")
- * @param {number} quantity - Number of securities to redeem
+ * @param {number} quantity - Number of securities
  * @param {string} symbol - Security symbol (e.g., "ES3")
- * @returns {Promise<Object>} Result of redemption
+ * @param {number} fromBlock - Current block number, used to recover the operation if interrupted
+ * @returns {Promise<Object>} Reservation result including the pending operation
  */
-export async function redeemSecurity(ownerId, quantity, symbol = 'ES3') {
+export async function reserveRegistryOperation(type, ownerId, quantity, symbol = 'ES3', fromBlock = null) {
   try {
-    // Get current registry - check localStorage first, then fetch from API
-    let registry;
-    const storedRegistry = localStorage.getItem('cdp-registry');
-    
-    if (storedRegistry) {
-      try {
-        registry = JSON.parse(storedRegistry);
-      } catch (e) {
-        console.warn('Failed to parse stored registry, fetching fresh copy');
-        registry = await fetchCDPRegistry();
-      }
-    } else {
-      registry = await fetchCDPRegistry();
-    }
+    return await postRegistryOperation(`/${type}`, { ownerId, symbol, quantity, fromBlock });
+  } catch (error) {
+    console.error(`Error reserving ${type}:`, error);
+    throw error;
+  }
+}
 
-    // Validate owner exists
-    if (!registry.accounts || !registry.accounts[ownerId]) {
-      throw new Error(`Owner ${ownerId} not found in CDP registry`);
-    }
+/**
+ * Record the transaction hash of a reserved operation
+ * Lets the registry resume the operation if the page is closed before it settles
+ * @param {string} operationId - Pending operation ID
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<Object>} Updated pending operation
+ */
+export async function markRegistryOperationSubmitted(operationId, txHash) {
+  return postRegistryOperation(`/pending-operations/${encodeURIComponent(operationId)}/submitted`, { txHash });
+}
 
-    const account = registry.accounts[ownerId];
+/**
+ * Commit a reserved operation after its transaction was confirmed (phase two)
+ * @param {string} operationId - Pending operation ID
+ * @param {string} txHash - Hash of the confirmed transaction
+ * @returns {Promise<Object>} Finalised operation and new balance
+ */
+export async function commitRegistryOperation(operationId, txHash) {
+  return postRegistryOperation(`/pending-operations/${encodeURIComponent(operationId)}/commit`, { txHash });
+}
 
-    // Initialize ETF balance if it doesn't exist
-    if (!account.etfs) {
-      account.etfs = {};
-    }
-    if (!account.etfs[symbol]) {
-      account.etfs[symbol] = 0;
-    }
+/**
+ * Roll back a reserved operation whose transaction failed or was never sent
+ * @param {string} operationId - Pending operation ID
+ * @param {string} reason - Why the operation is rolled back
+ * @returns {Promise<Object>} Rolled back operation and balance
+ */
+export async function rollbackRegistryOperation(operationId, reason) {
+  return postRegistryOperation(`/pending-operations/${encodeURIComponent(operationId)}/rollback`, { reason });
+}
 
-    // Increase ETF balance
-    const oldBalance = account.etfs[symbol];
-    account.etfs[symbol] = oldBalance + quantity;
+/**
+ * Record the SGD paid out for an SGDC redemption (offramp)
+ * The SGDC is burned onchain first; the registry service keeps the fiat payout ledger,
+ * keyed by the redemption transaction so a retry does not pay out twice
+ * @param {string} ownerId - Owner ID paid out (e.g., "THOMAS")
+ * @param {number} amount - SGDC redeemed, paid out 1:1 in SGD
+ * @param {string} txHash - Hash of the SGDC.redeem() transaction
+ * @param {string} address - Wallet the SGDC was burned from
+ * @param {number} blockNumber - Block of the redemption
+ * @returns {Promise<Object>} Payout ledger entry
+ */
+export async function recordFiatPayout(ownerId, amount, txHash, address, blockNumber) {
+  return postRegistryOperation('/fiat-payouts', { ownerId, amount, txHash, address, blockNumber });
+}
 
-    // Store updated registry in localStorage
-    localStorage.setItem('cdp-registry', JSON.stringify(registry));
+/**
+ * Record fiat received by the stablecoin provider for an onramp
+ * Recorded before SGDC is minted against it; the registry service assigns the deposit ID
+ * @param {string} ownerId - Owner ID the deposit is for (e.g., "THOMAS")
+ * @param {number} amount - SGD received, minted 1:1 as SGDC
+ * @param {string} address - Wallet the SGDC will be minted to
+ * @returns {Promise<Object>} Deposit ledger entry
+ */
+export async function recordFiatDeposit(ownerId, amount, address) {
+  return postRegistryOperation('/fiat-deposits', { ownerId, amount, address });
+}
 
-    return {
-      success: true,
-      newBalance: account.etfs[symbol],
-      message: `Successfully redeemed ${quantity} ${symbol} for ${ownerId}`,
-    };
-  } catch (error) {
-    console.error('Error redeeming security:', error);
-    throw error;
+/**
+ * Link a fiat deposit to the SGDC.mint() transaction that issued it
+ * @param {string} depositId - Deposit ID returned by recordFiatDeposit()
+ * @param {string} txHash - Hash of the SGDC.mint() transaction
+ * @param {number} blockNumber - Block of the mint
+ * @returns {Promise<Object>} Updated deposit ledger entry
+ */
+export async function markFiatDepositMinted(depositId, txHash, blockNumber) {
+  return postRegistryOperation(`/fiat-deposits/${encodeURIComponent(depositId)}/minted`, { txHash, blockNumber });
+}
+
+/**
+ * Fetch the stablecoin provider's reserve summary from the registry service
+ * SGD received less SGD paid out, with the SGDC supply the ledger expects
+ * @returns {Promise<Object>} { reserves, received, minted, unminted, paidOut, ledgerSupply } in SGD
+ */
+export async function fetchReserves() {
+  const response = await fetch(`${REGISTRY_API_URL}/reserves`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch reserves: ${response.status} ${response.statusText}`);
   }
+  return response.json();
 }
 
+/**
+ * Fetch a page of indexed transactions from the chain indexer, newest first
+ * @param {Object} [params] - Query parameters
+ * @param {string} [params.cursor] - nextCursor of the previous page (omit for the newest page)
+ * @param {number} [params.limit] - Page size (the indexer caps it at 500)
+ * @param {string} [params.address] - Only transactions that touched this address
+ * @param {string} [params.function] - Function label (e.g., "mintSGDC")
+ * @param {string} [params.contract] - Contract name (e.g., "TES3")
+ * @param {number} [params.fromBlock] - Lowest block (inclusive)
+ * @param {number} [params.toBlock] - Highest block (inclusive)
+ * @returns {Promise<Object>} { transactions, nextCursor } - nextCursor is null on the last page
+ */
+export async function fetchIndexedTransactions(params = {}) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  const response = await fetch(`${INDEXER_API_URL}/transactions?${query}`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch indexed transactions: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
@@ -19,6 +19,12 @@ export const CONTRACT_ADDRESSES_FALLBACK = {
   dCDP: '0x0165878A594ca255338adfa4d48449f69242Eb8F',
 };
 
+// FALLBACK tokenized ETF contracts by ETF symbol - only used if deployment-info.json cannot be loaded
+// deployment-info.json lists every tokenized ETF under `tokens` (e.g. ES3 → TES3, G3B → TG3B)
+export const TOKENS_FALLBACK = {
+  ES3: { symbol: 'TES3', address: CONTRACT_ADDRESSES_FALLBACK.TES3 },
+};
+
 // DEPRECATED: Use useDeploymentInfo hook instead
 // Kept for backward compatibility during migration
 export const CONTRACT_ADDRESSES = CONTRACT_ADDRESSES_FALLBACK;
@@ -34,13 +40,21 @@ export const ACCOUNTS = {
   STABLECOIN_PROVIDER: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266', // Same as admin (Account #0)
 };
 
+// How the role panels sign transactions (see utils/signers.js)
+// "node": accounts unlocked on the local Anvil node; "injected": an EIP-1193 browser wallet
+export const SIGNER_SOURCE = process.env.REACT_APP_SIGNER || 'node';
+
 // Fixed price for TES3 token (in SGDC, 18 decimals)
 export const TES3_PRICE = '100000000000000000000'; // 100 SGDC per TES3
 
-// API endpoint for CDP registry (offchain data)
-// Try to load from backend/data directory, fallback to public/api
-export const CDP_REGISTRY_API = '/api/cdp-registry.json';
-export const CDP_REGISTRY_PATH = '../../backend/data/cdp-registry.json';
+// Registry service (backend/script/registryServer.js) that owns the offchain CDP registry
+// All reads and mutations go through it so every user sees the same depository state
+export const REGISTRY_API_URL = process.env.REACT_APP_REGISTRY_API_URL || 'http://localhost:4000/api';
+export const CDP_REGISTRY_API = `${REGISTRY_API_URL}/cdp-registry`;
+
+// Chain indexer (backend/script/indexerServer.js) that serves the full transaction history
+// The Block Explorer falls back to scanning recent blocks over RPC when it is not running
+export const INDEXER_API_URL = process.env.REACT_APP_INDEXER_API_URL || 'http://localhost:4001/api';
 
 // Token decimals (all tokens use 18 decimals)
 export const TOKEN_DECIMALS = 18;
@@ -5,6 +5,7 @@
 
 import { ethers } from 'ethers';
 import { RPC_URL, TOKEN_DECIMALS } from './constants';
+import { decodeRevertData } from './txDecoder';
 
 /**
  * Create a provider connection to the local Anvil blockchain
@@ -90,3 +91,49 @@ export async function waitForTransaction(tx, timeoutMs = 120000) {
   ]);
 }
 
+/**
+ * Get the most useful message from a contract error (revert reason or decoded custom error first)
+ * Custom errors only decode when the contract's ABI lists them, or when a decoder is passed
+ * (errors raised by a contract the called contract calls into, e.g. a token under dCDP)
+ * @param {Error} err - Error thrown by ethers
+ * @param {Map<string, Object>} [decoder] - Transaction decoder (useTxDecoder)
+ * @returns {string} Message
+ */
+export function getRevertReason(err, decoder = null) {
+  if (err.reason) {
+    return err.reason;
+  }
+  if (err.revert) {
+    return `${err.revert.name}(${err.revert.args.join(', ')})`;
+  }
+  const decoded = decoder ? decodeRevertData(decoder, err.data) : null;
+  return decoded || err.shortMessage || err.message || 'Unknown error';
+}
+
+const ERC20_ALLOWANCE_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+];
+
+/**
+ * Approve a spender contract for a token, unless the allowance already covers the amount
+ * Used before settlement and order book calls that pull tokens with transferFrom
+ * @param {string} tokenAddress - Token to approve
+ * @param {ethers.Signer} signer - Token holder
+ * @param {string} spender - Contract that pulls the tokens
+ * @param {bigint} amount - Amount the spender will pull
+ * @returns {Promise<ethers.TransactionReceipt|null>} Approval receipt, or null if no approval was needed
+ */
+export async function ensureAllowance(tokenAddress, signer, spender, amount) {
+  const token = createContractWithSigner(tokenAddress, ERC20_ALLOWANCE_ABI, signer);
+  const allowance = await token.allowance(await signer.getAddress(), spender);
+  if (allowance >= amount) {
+    return null;
+  }
+
+  const receipt = await waitForTransaction(await token.approve(spender, amount), 60000);
+  if (receipt.status === 0) {
+    throw new Error('Token approval failed');
+  }
+  return receipt;
+}
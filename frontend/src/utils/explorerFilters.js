@@ -0,0 +1,148 @@
+/**
+ * Block Explorer Filters
+ * Search and filters for the Block Explorer, kept in the page URL so a filtered view can be
+ * shared or bookmarked (e.g. ?address=THOMAS&function=trade for all of Thomas's trades)
+ *
+ * The same filters are sent to the chain indexer (backend/script/indexerServer.js), or applied to
+ * the transactions scanned over RPC when the indexer is not running.
+ */
+
+import { ethers } from 'ethers';
+import { UNIQUE_ID_TO_OWNER_ID } from './constants';
+
+// Function types offered in the filter, with the Block Explorer labels each one covers
+export const FUNCTION_FILTERS = {
+  mint: ['mintSGDC', 'mint'],
+  tokenize: ['tokenize'],
+  redeem: ['redeem', 'redeemSGDC'],
+  transfer: ['transfer', 'transferFrom'],
+  createWallet: ['createWallet'],
+  trade: ['settleTrade', 'matchOrders'], // Transactions that move both legs of a DvP or order book trade
+};
+
+// URL query parameters, in the order they are written
+const FILTER_PARAMS = ['address', 'function', 'contract', 'fromBlock', 'toBlock', 'from', 'to'];
+
+// No filters: every transaction
+export const EMPTY_FILTERS = Object.fromEntries(FILTER_PARAMS.map((name) => [name, '']));
+
+/**
+ * Read the filters from a URL query string
+ * @param {string} search - Query string (window.location.search)
+ * @returns {Object} { address, function, contract, fromBlock, toBlock, from, to } - strings as
+ * entered; address is an address or an owner_id, from/to are local date-times
+ * ("2026-10-19T09:30"); empty when not filtered
+ */
+export function readExplorerFilters(search) {
+  const query = new URLSearchParams(search);
+  return Object.fromEntries(FILTER_PARAMS.map((name) => [name, query.get(name) || '']));
+}
+
+/**
+ * Write the filters to the page URL, keeping other query parameters and the browser history
+ * @param {Object} filters - Filters from readExplorerFilters()
+ */
+export function writeExplorerFilters(filters) {
+  const url = new URL(window.location.href);
+  for (const name of FILTER_PARAMS) {
+    if (filters[name]) {
+      url.searchParams.set(name, filters[name]);
+    } else {
+      url.searchParams.delete(name);
+    }
+  }
+  window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * Check whether any filter is set
+ * @param {Object} filters - Filters from readExplorerFilters()
+ * @returns {boolean} True if at least one filter is set
+ */
+export function hasExplorerFilters(filters) {
+  return FILTER_PARAMS.some((name) => filters[name]);
+}
+
+/**
+ * Resolve the address filter to a wallet address
+ * Accepts an address, an owner_id (e.g. THOMAS) or a unique identifier (e.g. SN72K45M83), which
+ * are looked up with dCDP.getAddress
+ * @param {ethers.Contract} dcdp - dCDP contract
+ * @param {string} value - Address filter as entered
+ * @returns {Promise<string>} Wallet address
+ * @throws {Error} If the owner_id has no registered wallet
+ */
+export async function resolveExplorerAddress(dcdp, value) {
+  const search = value.trim();
+  if (ethers.isAddress(search)) {
+    return ethers.getAddress(search);
+  }
+
+  const ownerId = UNIQUE_ID_TO_OWNER_ID[search.toUpperCase()] || search;
+  // getFunction: ethers' own Contract.getAddress() (the contract's address) shadows dCDP's
+  const address = await dcdp.getFunction('getAddress')(ownerId);
+  if (address === ethers.ZeroAddress) {
+    throw new Error(`No wallet registered for owner_id ${ownerId}`);
+  }
+  return address;
+}
+
+/**
+ * Convert a local date-time filter to a block timestamp
+ * @param {string} value - Local date-time ("2026-10-19T09:30")
+ * @returns {number|undefined} Seconds since the epoch, or undefined when empty or invalid
+ */
+function toTimestamp(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? undefined : Math.floor(time / 1000);
+}
+
+/**
+ * Convert a block number filter
+ * @param {string} value - Block number as entered
+ * @returns {number|undefined} Block number, or undefined when empty or invalid
+ */
+function toBlockNumber(value) {
+  const block = value === '' ? NaN : Number(value);
+  return Number.isInteger(block) && block >= 0 ? block : undefined;
+}
+
+/**
+ * Query parameters for the chain indexer's /api/transactions
+ * @param {Object} filters - Filters from readExplorerFilters()
+ * @param {string|null} address - Resolved address filter (resolveExplorerAddress)
+ * @returns {Object} { address, function, contract, fromBlock, toBlock, fromTime, toTime } -
+ * unset filters are undefined
+ */
+export function toIndexerParams(filters, address) {
+  return {
+    address: address || undefined,
+    function: FUNCTION_FILTERS[filters.function]?.join(','),
+    contract: filters.contract || undefined,
+    fromBlock: toBlockNumber(filters.fromBlock),
+    toBlock: toBlockNumber(filters.toBlock),
+    fromTime: toTimestamp(filters.from),
+    // datetime-local values stop at the minute ("2026-10-19T09:30"); include the whole minute
+    toTime: toTimestamp(filters.to.length === 16 ? `${filters.to}:59` : filters.to),
+  };
+}
+
+/**
+ * Check a transaction scanned over RPC against the filters
+ * @param {Object} tx - { blockNumber, timestamp, function, contract, accounts } - accounts are the
+ * lowercase addresses the transaction touched (sender, recipient and addresses in its events)
+ * @param {Object} filters - Filters from readExplorerFilters()
+ * @param {string|null} address - Resolved address filter (resolveExplorerAddress)
+ * @returns {boolean} True if the transaction matches every filter
+ */
+export function matchesExplorerFilters(tx, filters, address) {
+  const params = toIndexerParams(filters, address);
+  if (params.address && !tx.accounts.includes(params.address.toLowerCase())) return false;
+  if (params.function && !FUNCTION_FILTERS[filters.function].includes(tx.function)) return false;
+  if (params.contract && tx.contract !== params.contract) return false;
+  if (params.fromBlock !== undefined && tx.blockNumber < params.fromBlock) return false;
+  if (params.toBlock !== undefined && tx.blockNumber > params.toBlock) return false;
+  if (params.fromTime !== undefined && tx.timestamp < params.fromTime) return false;
+  if (params.toTime !== undefined && tx.timestamp > params.toTime) return false;
+  return true;
+}
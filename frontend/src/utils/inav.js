@@ -0,0 +1,46 @@
+/**
+ * Indicative NAV (iNAV)
+ * Values one ETF share from its constituent basket, the same way as backend/script/inav.js:
+ * iNAV = Σ constituent quantity per share × price + cash component / creation unit size
+ * Compositions come from the Depository registry's etf_compositions, prices from the price history
+ * The constituent columns of public/price-history.csv are synthetic demo figures, not market
+ * closes: they are value-per-ETF-share weights, set so the ES3 basket prices near its own close
+ */
+
+import { ethers } from 'ethers';
+
+/**
+ * Calculate the iNAV of one ETF share
+ * @param {Object} composition - Entry of registry.etf_compositions
+ * @param {Object<string, number>} prices - Price per constituent share
+ * @returns {Object} { nav, basketValue, cashComponent, creationUnitSize }; nav and basketValue
+ * per ETF share, cashComponent per creation unit
+ * @throws {Error} If a constituent has no price
+ */
+export function calculateINAV(composition, prices) {
+  const creationUnitSize = composition.creation_unit_size ?? 1;
+  const cashComponent = composition.cash_component ?? 0;
+  const constituents = Object.entries(composition.constituents || {});
+
+  const missing = constituents.filter(([stock]) => prices[stock] === undefined).map(([stock]) => stock);
+  if (missing.length > 0) {
+    throw new Error(`No price for constituent(s): ${missing.join(', ')}`);
+  }
+
+  const basketValue = constituents.reduce((sum, [stock, quantity]) => sum + quantity * prices[stock], 0);
+  return {
+    nav: basketValue + cashComponent / creationUnitSize,
+    basketValue,
+    cashComponent,
+    creationUnitSize,
+  };
+}
+
+/**
+ * Convert an iNAV to an SGDC price in wei, as used by the trade flows
+ * @param {number} nav - iNAV per share
+ * @returns {string} Price in wei (18 decimals), rounded to 6 decimal places
+ */
+export function navToWei(nav) {
+  return ethers.parseUnits(nav.toFixed(6), 18).toString();
+}
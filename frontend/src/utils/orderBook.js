@@ -0,0 +1,174 @@
+/**
+ * Order Book Client
+ * Reads and trades on the Digital Exchange OrderBook contract: escrowed limit orders for a
+ * tokenized ETF priced in SGDC
+ *
+ * Matching follows the same price-time priority as the backend matching service
+ * (backend/script/orderBook.js): highest bid meets lowest ask, earlier orders first at the same
+ * price, each match at the price of the order placed first, and never two orders from the same
+ * trader. After placing an order the app runs the matcher itself, so crossing orders trade
+ * immediately even when the service is not running.
+ */
+
+import { ensureAllowance, waitForTransaction } from './contractHelpers';
+
+export const ORDER_BOOK_ABI = [
+  'function cashToken() view returns (address)',
+  'function orderCount() view returns (uint256)',
+  'function orders(uint256 orderId) view returns (address trader, address asset, uint8 side, uint256 price, uint256 quantity, uint256 remaining, uint256 cashEscrow, uint8 status)',
+  'function cashFor(uint256 quantity, uint256 price) pure returns (uint256)',
+  'function placeOrder(address asset, uint8 side, uint256 price, uint256 quantity) returns (uint256 orderId)',
+  'function matchOrders(uint256 buyOrderId, uint256 sellOrderId, uint256 quantity)',
+  'function cancelOrder(uint256 orderId)',
+  'event OrderPlaced(uint256 indexed orderId, address indexed trader, address indexed asset, uint8 side, uint256 price, uint256 quantity)',
+  'event OrderMatched(uint256 indexed buyOrderId, uint256 indexed sellOrderId, address indexed asset, uint256 price, uint256 quantity, uint256 cashAmount)',
+  'event OrderCancelled(uint256 indexed orderId, address indexed trader)',
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+];
+
+// OrderBook.Side
+export const ORDER_SIDES = {
+  BUY: 0,
+  SELL: 1,
+};
+
+// OrderBook.OrderStatus.Open
+const ORDER_STATUS_OPEN = 1n;
+
+const ONE = 10n ** 18n;
+
+/**
+ * SGDC value of a quantity at a price, rounded down like OrderBook.cashFor()
+ * @param {bigint} quantity - Shares (wei)
+ * @param {bigint} price - SGDC per share (wei)
+ * @returns {bigint} SGDC (wei)
+ */
+export function cashFor(quantity, price) {
+  return (quantity * price) / ONE;
+}
+
+/**
+ * Read the open orders for an asset and sort them into bids and asks
+ * @param {ethers.Contract} orderBook - OrderBook contract
+ * @param {string} asset - Tokenized ETF address
+ * @returns {Promise<Object>} { bids, asks }; bids best (highest) first, asks best (lowest) first,
+ * earlier orders first at the same price. Entries: { id, trader, side, price, quantity, remaining }
+ */
+export async function loadOrderBook(orderBook, asset) {
+  const count = Number(await orderBook.orderCount());
+  const orders = await Promise.all(
+    Array.from({ length: count }, (_, index) => orderBook.orders(index + 1))
+  );
+
+  const bids = [];
+  const asks = [];
+  orders.forEach((order, index) => {
+    if (order.status !== ORDER_STATUS_OPEN || order.asset.toLowerCase() !== asset.toLowerCase()) {
+      return;
+    }
+    const entry = {
+      id: index + 1,
+      trader: order.trader,
+      side: Number(order.side) === ORDER_SIDES.BUY ? 'buy' : 'sell',
+      price: order.price,
+      quantity: order.quantity,
+      remaining: order.remaining,
+    };
+    (entry.side === 'buy' ? bids : asks).push(entry);
+  });
+
+  const byPriority = (better) => (a, b) => (a.price === b.price ? a.id - b.id : better(a.price, b.price) ? -1 : 1);
+  bids.sort(byPriority((a, b) => a > b));
+  asks.sort(byPriority((a, b) => a < b));
+  return { bids, asks };
+}
+
+/**
+ * Find the matches that clear every crossing bid and ask
+ * @param {Object} book - { bids, asks } from loadOrderBook()
+ * @returns {Array<Object>} Matches in execution order: { buyOrderId, sellOrderId, quantity, price }
+ */
+export function findMatches(book) {
+  const asks = book.asks.map((ask) => ({ ...ask }));
+  const matches = [];
+
+  for (const bid of book.bids) {
+    let remaining = bid.remaining;
+    for (const ask of asks) {
+      if (remaining === 0n || ask.price > bid.price) break;
+      if (ask.remaining === 0n || ask.trader === bid.trader) continue;
+
+      const quantity = remaining < ask.remaining ? remaining : ask.remaining;
+      const price = bid.id < ask.id ? bid.price : ask.price;
+      // The contract rejects matches worth less than 1 wei of SGDC
+      if (cashFor(quantity, price) === 0n) continue;
+
+      matches.push({ buyOrderId: bid.id, sellOrderId: ask.id, quantity, price });
+      remaining -= quantity;
+      ask.remaining -= quantity;
+    }
+  }
+  return matches;
+}
+
+/**
+ * Place a limit order, approving its escrow first when needed
+ * @param {Object} params
+ * @param {ethers.Contract} params.orderBook - OrderBook contract (read-only instance is enough)
+ * @param {ethers.Signer} params.signer - Trader
+ * @param {string} params.asset - Tokenized ETF address
+ * @param {string} params.side - "buy" or "sell"
+ * @param {bigint} params.price - SGDC per share (wei)
+ * @param {bigint} params.quantity - Shares (wei)
+ * @returns {Promise<Object>} { orderId, hash }
+ */
+export async function placeLimitOrder({ orderBook, signer, asset, side, price, quantity }) {
+  const orderBookAddress = await orderBook.getAddress();
+
+  // Buy orders escrow SGDC for the full order value, sell orders escrow the shares
+  if (side === 'buy') {
+    await ensureAllowance(await orderBook.cashToken(), signer, orderBookAddress, cashFor(quantity, price));
+  } else {
+    await ensureAllowance(asset, signer, orderBookAddress, quantity);
+  }
+
+  const sideValue = side === 'buy' ? ORDER_SIDES.BUY : ORDER_SIDES.SELL;
+  const receipt = await waitForTransaction(
+    await orderBook.connect(signer).placeOrder(asset, sideValue, price, quantity),
+    60000
+  );
+  const placed = receipt.logs
+    .map((log) => {
+      try {
+        return orderBook.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed?.name === 'OrderPlaced');
+
+  return { orderId: placed ? Number(placed.args.orderId) : null, hash: receipt.hash };
+}
+
+/**
+ * Match every crossing bid and ask for an asset
+ * Matching is permissionless; the signer only pays gas
+ * @param {Object} params
+ * @param {ethers.Contract} params.orderBook - OrderBook contract
+ * @param {ethers.Signer} params.signer - Account that sends matchOrders
+ * @param {string} params.asset - Tokenized ETF address
+ * @returns {Promise<Array<Object>>} Matches sent
+ */
+export async function matchCrossingOrders({ orderBook, signer, asset }) {
+  const matches = findMatches(await loadOrderBook(orderBook, asset));
+  const orderBookWithSigner = orderBook.connect(signer);
+
+  for (const match of matches) {
+    await waitForTransaction(
+      await orderBookWithSigner.matchOrders(match.buyOrderId, match.sellOrderId, match.quantity),
+      60000
+    );
+  }
+  return matches;
+}
@@ -0,0 +1,169 @@
+/**
+ * Portfolio
+ * Reconstructs an investor's trades in a tokenized ETF from SGDC and token Transfer events, and
+ * values the position with average cost accounting
+ *
+ * A transaction in which the investor receives tokens and pays SGDC is a buy, and the reverse is
+ * a sell (the DvP Buy/Sell flows). Order book escrow moves to and from the OrderBook contract are
+ * not trades; order book fills come from its OrderMatched events instead. Token transfers with no
+ * SGDC leg (e.g. tokenization) are added at the average cost so far, or at the active price for
+ * an empty position, and leave realised P&L unchanged.
+ */
+
+/* eslint-env es2020 */
+import { ethers } from 'ethers';
+
+// Convert an 18-decimal amount to a number for P&L arithmetic
+const toNumber = (amount) => Number(ethers.formatUnits(amount, 18));
+
+// Order events as they happened onchain
+const byChainOrder = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+/**
+ * Build the investor's trade history
+ * @param {Object} params
+ * @param {string} params.account - Investor address
+ * @param {Array<Object>} params.tokenTransfers - Token Transfer events to or from the account:
+ * { from, to, value (bigint), transactionHash, blockNumber, logIndex }
+ * @param {Array<Object>} params.cashTransfers - SGDC Transfer events to or from the account, same shape
+ * @param {Array<Object>} [params.orderFills] - Order book fills of the account's orders:
+ * { side: 'buy' | 'sell', quantity, cashAmount (bigint), transactionHash, blockNumber, logIndex }
+ * @param {string} [params.exchange] - OrderBook address; transfers to and from it are escrow
+ * @returns {Array<Object>} Trades in chain order: { type: 'buy' | 'sell' | 'transfer-in' |
+ * 'transfer-out', quantity, cashAmount (bigint, 0 for transfers), transactionHash, blockNumber, logIndex }
+ */
+export function buildTrades({ account, tokenTransfers, cashTransfers, orderFills = [], exchange }) {
+  const self = account.toLowerCase();
+  const escrow = exchange?.toLowerCase();
+
+  // Net token and SGDC movement of each transaction, leaving out order book escrow
+  const transactions = new Map();
+  const addTransfer = (transfer, key) => {
+    const from = transfer.from.toLowerCase();
+    const to = transfer.to.toLowerCase();
+    if (from === to || (escrow && (from === escrow || to === escrow))) return;
+
+    const tx = transactions.get(transfer.transactionHash) || {
+      transactionHash: transfer.transactionHash,
+      blockNumber: transfer.blockNumber,
+      logIndex: transfer.logIndex,
+      token: 0n,
+      cash: 0n,
+    };
+    if (to === self) tx[key] += transfer.value;
+    if (from === self) tx[key] -= transfer.value;
+    tx.logIndex = Math.min(tx.logIndex, transfer.logIndex);
+    transactions.set(transfer.transactionHash, tx);
+  };
+  tokenTransfers.forEach((transfer) => addTransfer(transfer, 'token'));
+  cashTransfers.forEach((transfer) => addTransfer(transfer, 'cash'));
+
+  const trades = [];
+  for (const tx of transactions.values()) {
+    // SGDC-only transactions (onramp, offramp) do not change the position
+    if (tx.token === 0n) continue;
+
+    const position = { transactionHash: tx.transactionHash, blockNumber: tx.blockNumber, logIndex: tx.logIndex };
+    if (tx.token > 0n && tx.cash < 0n) {
+      trades.push({ ...position, type: 'buy', quantity: tx.token, cashAmount: -tx.cash });
+    } else if (tx.token < 0n && tx.cash > 0n) {
+      trades.push({ ...position, type: 'sell', quantity: -tx.token, cashAmount: tx.cash });
+    } else {
+      trades.push({
+        ...position,
+        type: tx.token > 0n ? 'transfer-in' : 'transfer-out',
+        quantity: tx.token > 0n ? tx.token : -tx.token,
+        cashAmount: 0n,
+      });
+    }
+  }
+
+  for (const fill of orderFills) {
+    trades.push({
+      type: fill.side,
+      quantity: fill.quantity,
+      cashAmount: fill.cashAmount,
+      transactionHash: fill.transactionHash,
+      blockNumber: fill.blockNumber,
+      logIndex: fill.logIndex,
+    });
+  }
+
+  return trades.sort(byChainOrder);
+}
+
+/**
+ * Value a position from its trade history
+ * @param {Array<Object>} trades - Trades from buildTrades(), each with the date of its block
+ * (YYYY-MM-DD) when known
+ * @param {string|bigint} price - Active price in wei (DatePriceContext)
+ * @param {Function} [priceAsOf] - Price in wei on a date of the price history, or null if it has
+ * none (DatePriceContext getPriceAsOf)
+ * @returns {Object} { quantity, averageCost, costBasis, marketValue, realisedPnL, unrealisedPnL,
+ * totalPnL, trades (each with its price per share), history } as numbers. history has one point
+ * per trade ({ blockNumber, date, quantity, costBasis, value }, valued at the price history on its
+ * block date, or at the active price when that date has no price) and a last point at the active price.
+ */
+export function computePortfolio(trades, price, priceAsOf = () => null) {
+  const activePrice = toNumber(BigInt(price));
+  let quantity = 0;
+  let costBasis = 0;
+  let realisedPnL = 0;
+
+  const pricedTrades = [];
+  const history = [];
+  for (const trade of trades) {
+    const tradeQuantity = toNumber(trade.quantity);
+    const cashAmount = toNumber(trade.cashAmount);
+    const averageCost = quantity > 0 ? costBasis / quantity : 0;
+    let tradePrice = null;
+
+    if (trade.type === 'buy') {
+      tradePrice = cashAmount / tradeQuantity;
+      quantity += tradeQuantity;
+      costBasis += cashAmount;
+    } else if (trade.type === 'sell') {
+      tradePrice = cashAmount / tradeQuantity;
+      // Only the shares held count: proceeds for the rest of the sale are not P&L of this position
+      const sold = Math.min(tradeQuantity, quantity);
+      realisedPnL += (cashAmount * sold) / tradeQuantity - sold * averageCost;
+      costBasis -= sold * averageCost;
+      quantity -= sold;
+    } else if (trade.type === 'transfer-in') {
+      costBasis += tradeQuantity * (quantity > 0 ? averageCost : activePrice);
+      quantity += tradeQuantity;
+    } else {
+      const removed = Math.min(tradeQuantity, quantity);
+      costBasis -= removed * averageCost;
+      quantity -= removed;
+    }
+
+    // Clear rounding dust once the position is closed
+    if (quantity < 1e-9) {
+      quantity = 0;
+      costBasis = 0;
+    }
+
+    const datePrice = trade.date ? priceAsOf(trade.date) : null;
+    const pointPrice = datePrice ? toNumber(BigInt(datePrice)) : activePrice;
+
+    pricedTrades.push({ ...trade, price: tradePrice });
+    history.push({ blockNumber: trade.blockNumber, date: trade.date || null, quantity, costBasis, value: quantity * pointPrice });
+  }
+
+  const marketValue = quantity * activePrice;
+  const unrealisedPnL = marketValue - costBasis;
+  history.push({ blockNumber: null, date: null, quantity, costBasis, value: marketValue });
+
+  return {
+    quantity,
+    averageCost: quantity > 0 ? costBasis / quantity : 0,
+    costBasis,
+    marketValue,
+    realisedPnL,
+    unrealisedPnL,
+    totalPnL: realisedPnL + unrealisedPnL,
+    trades: pricedTrades,
+    history,
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Price History
+ * Parses the daily closes in public/price-history.csv: one row per trading day, a `date` column
+ * (YYYY-MM-DD) followed by one column per ETF (e.g. ES3) or constituent stock (e.g. D05)
+ *
+ *   date,ES3,D05,O39,...
+ *   2025-11-03,4.4999,0.013048,0.004436,...
+ */
+
+/**
+ * Parse the price history CSV
+ * @param {string} csv - CSV text
+ * @returns {Array<Object>} Rows sorted by date: { date, prices: { [symbol]: number } }
+ * @throws {Error} If the header has no date column or a row is malformed
+ */
+export function parsePriceHistory(csv) {
+  const lines = csv.trim().split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (lines.length === 0) {
+    throw new Error('Price history is empty');
+  }
+
+  const [dateColumn, ...symbols] = lines[0].split(',').map((cell) => cell.trim());
+  if (dateColumn !== 'date') {
+    throw new Error('Price history must start with a "date" column');
+  }
+
+  const rows = lines.slice(1).map((line, index) => {
+    const cells = line.split(',').map((cell) => cell.trim());
+    if (cells.length !== symbols.length + 1 || !/^\d{4}-\d{2}-\d{2}$/.test(cells[0])) {
+      throw new Error(`Malformed price history row ${index + 2}: ${line}`);
+    }
+
+    const prices = {};
+    symbols.forEach((symbol, column) => {
+      // Empty cells mean no close that day
+      if (cells[column + 1] === '') return;
+      const price = Number(cells[column + 1]);
+      if (!Number.isFinite(price) || price <= 0) {
+        throw new Error(`Invalid ${symbol} price on ${cells[0]}: ${cells[column + 1]}`);
+      }
+      prices[symbol] = price;
+    });
+    return { date: cells[0], prices };
+  });
+
+  // ISO dates sort correctly as strings
+  return rows.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+/**
+ * Format a price history date for display (e.g. "2025-11-03" → "3 Nov 2025")
+ * @param {string} date - ISO date
+ * @returns {string} Day, month and year
+ */
+export function formatPriceDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
@@ -0,0 +1,77 @@
+/**
+ * Price Oracle Client
+ * Reads and publishes the onchain reference prices of tokenized ETFs (PriceOracle contract)
+ * Buy/Sell trades are priced from the oracle, and DvPSettlement records the oracle price of every
+ * settled trade so it can be audited. Prices are published by the updater: the price publisher
+ * (backend/script/publishPrices.js), or the admin from the Tokenized Depository actions
+ */
+
+/* eslint-env es2020 */
+import { waitForTransaction } from './contractHelpers';
+
+export const PRICE_ORACLE_ABI = [
+  'function updater() view returns (address)',
+  'function prices(address asset) view returns (uint256 price, uint256 updatedAt)',
+  'function setPrice(address asset, uint256 price)',
+  'function setPrices(address[] assets, uint256[] newPrices)',
+  'event PriceUpdated(address indexed asset, uint256 price, uint256 updatedAt)',
+];
+
+/**
+ * Read the oracle price of a tokenized ETF
+ * @param {ethers.Contract} oracle - PriceOracle contract
+ * @param {string} asset - Tokenized ETF address
+ * @returns {Promise<Object|null>} { price (wei), updatedAt (unix seconds) }, or null if never priced
+ */
+export async function getOraclePrice(oracle, asset) {
+  const [price, updatedAt] = await oracle.prices(asset);
+  if (updatedAt === 0n) return null;
+  return { price, updatedAt: Number(updatedAt) };
+}
+
+/**
+ * Price a trade from the oracle, falling back to the client-side price
+ * The fallback covers deployments without a PriceOracle and ETFs not yet published
+ * @param {Object} params
+ * @param {ethers.Contract|null} params.oracle - PriceOracle contract, or null if not deployed
+ * @param {string} params.asset - Tokenized ETF address
+ * @param {string|bigint} params.fallbackPrice - Client-side price in wei (DatePriceContext)
+ * @returns {Promise<Object>} { price (wei, bigint), source: 'oracle' | 'client', updatedAt }
+ */
+export async function resolveTradePrice({ oracle, asset, fallbackPrice }) {
+  if (oracle) {
+    try {
+      const oraclePrice = await getOraclePrice(oracle, asset);
+      if (oraclePrice) {
+        return { ...oraclePrice, source: 'oracle' };
+      }
+      console.warn(`[Oracle] No oracle price for ${asset}, using the client price`);
+    } catch (err) {
+      console.warn('[Oracle] Could not read the oracle price, using the client price:', err.message);
+    }
+  }
+  return { price: BigInt(fallbackPrice), source: 'client', updatedAt: null };
+}
+
+/**
+ * Publish prices to the oracle in one transaction
+ * @param {Object} params
+ * @param {ethers.Contract} params.oracle - PriceOracle contract
+ * @param {ethers.Signer} params.signer - The oracle's updater
+ * @param {Array<Object>} params.prices - [{ asset, price (wei) }]
+ * @returns {Promise<Object>} Transaction receipt
+ */
+export async function publishOraclePrices({ oracle, signer, prices }) {
+  const oracleWithSigner = oracle.connect(signer);
+  const receipt = await waitForTransaction(
+    await oracleWithSigner.setPrices(
+      prices.map(({ asset }) => asset),
+      prices.map(({ price }) => BigInt(price))
+    ),
+    60000
+  );
+  if (receipt.status === 0) {
+    throw new Error('setPrices transaction reverted');
+  }
+  return receipt;
+}
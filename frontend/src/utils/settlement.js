@@ -0,0 +1,221 @@
+/**
+ * DvP Settlement Client
+ * Settles Buy/Sell trades through the DvPSettlement contract: the tokenized ETF leg and the
+ * SGDC leg move in a single settleTrade transaction, so a failure leaves both sides untouched
+ *
+ * Flow: one side approves its own leg and proposes the trade (proposeDvPTrade), the counterparty
+ * approves its leg and settles it (acceptDvPTrade). Each step is signed by its own party only, so
+ * in browser wallet mode the two steps run from two wallet accounts; settleDvPTrade runs both
+ * when the app signs for everyone. Approvals are skipped when the allowance already covers the trade.
+ * A counterparty that settles someone else's proposal checks its terms first (checkDvPTradeTerms).
+ * Settlement records the PriceOracle price of the asset alongside the trade (TradePriceRecorded).
+ */
+
+/* eslint-env es2020 */
+import { ensureAllowance, formatTokenAmount, getRevertReason, waitForTransaction } from './contractHelpers';
+
+export const DVP_SETTLEMENT_ABI = [
+  'function cashToken() view returns (address)',
+  'function priceOracle() view returns (address)',
+  'function tradeCount() view returns (uint256)',
+  'function trades(uint256 tradeId) view returns (address seller, address buyer, address asset, uint256 assetAmount, uint256 cashAmount, address proposer, uint8 status)',
+  'function proposeTrade(address seller, address buyer, address asset, uint256 assetAmount, uint256 cashAmount) returns (uint256 tradeId)',
+  'function settleTrade(uint256 tradeId)',
+  'function cancelTrade(uint256 tradeId)',
+  'function oraclePrices(uint256 tradeId) view returns (uint256 price, uint256 updatedAt)',
+  'event TradeProposed(uint256 indexed tradeId, address indexed seller, address indexed buyer, address asset, uint256 assetAmount, uint256 cashAmount)',
+  'event TradeSettled(uint256 indexed tradeId, address indexed seller, address indexed buyer, address asset, uint256 assetAmount, uint256 cashAmount)',
+  'event TradeCancelled(uint256 indexed tradeId, address indexed cancelledBy)',
+  'event TradePriceRecorded(uint256 indexed tradeId, address indexed asset, uint256 oraclePrice, uint256 oracleUpdatedAt)',
+  // ERC-20 errors bubbled up from a failed leg, so reverts decode to a readable reason
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+];
+
+/**
+ * Find the first event with a given name in a DvPSettlement transaction receipt
+ * @param {ethers.Contract} dvp - DvPSettlement contract
+ * @param {Object} receipt - Transaction receipt
+ * @param {string} name - Event name
+ * @returns {Object|null} Parsed log, or null if the receipt has none
+ */
+function findEvent(dvp, receipt, name) {
+  for (const log of receipt.logs) {
+    try {
+      const parsed = dvp.interface.parseLog(log);
+      if (parsed?.name === name) return parsed;
+    } catch {
+      // Logs from the token contracts (Transfer, Approval)
+    }
+  }
+  return null;
+}
+
+// DvPSettlement.TradeStatus
+const TRADE_STATUS_PROPOSED = 1n;
+
+/**
+ * Approve the DvP contract for a party's own leg of a trade
+ * @param {ethers.Contract} dvp - DvPSettlement contract
+ * @param {Object} trade - { seller, buyer, asset, assetAmount, cashAmount }
+ * @param {ethers.Signer} signer - Seller (approves the asset) or buyer (approves SGDC)
+ */
+async function approveOwnLeg(dvp, trade, signer) {
+  const party = (await signer.getAddress()).toLowerCase();
+  const dvpAddress = await dvp.getAddress();
+  if (party === trade.seller.toLowerCase()) {
+    await ensureAllowance(trade.asset, signer, dvpAddress, trade.assetAmount);
+  } else if (party === trade.buyer.toLowerCase()) {
+    await ensureAllowance(await dvp.cashToken(), signer, dvpAddress, trade.cashAmount);
+  } else {
+    throw new Error(`${party} is not a party to the trade`);
+  }
+}
+
+/**
+ * Propose a trade, approving only the proposer's own leg
+ * The counterparty settles it later with acceptDvPTrade, from its own wallet if need be
+ * @param {Object} params
+ * @param {ethers.Contract} params.dvp - DvPSettlement contract (read-only instance is enough)
+ * @param {Object} params.trade - { seller, buyer, asset, assetAmount, cashAmount }; amounts in wei
+ * @param {ethers.Signer} params.signer - Signer for the seller or the buyer
+ * @returns {Promise<bigint>} ID of the proposed trade
+ */
+export async function proposeDvPTrade({ dvp, trade, signer }) {
+  if (!dvp) {
+    throw new Error('DvPSettlement contract not deployed. Redeploy the contracts to enable atomic settlement.');
+  }
+
+  const { seller, buyer, asset, assetAmount, cashAmount } = trade;
+  await approveOwnLeg(dvp, trade, signer);
+
+  // Propose the trade and read its ID from the TradeProposed event
+  console.log('[DvP] Proposing trade...');
+  const proposeReceipt = await waitForTransaction(
+    await dvp.connect(signer).proposeTrade(seller, buyer, asset, assetAmount, cashAmount),
+    60000
+  );
+  const proposedEvent = findEvent(dvp, proposeReceipt, 'TradeProposed');
+  if (!proposedEvent) {
+    throw new Error('Trade proposal did not emit TradeProposed');
+  }
+  return proposedEvent.args.tradeId;
+}
+
+/**
+ * Accept a proposed trade, approving only the counterparty's own leg, and settle both legs
+ * @param {Object} params
+ * @param {ethers.Contract} params.dvp - DvPSettlement contract (read-only instance is enough)
+ * @param {bigint|string} params.tradeId - Proposed trade
+ * @param {ethers.Signer} params.signer - Signer for the counterparty of the proposer
+ * @returns {Promise<Object>} { tradeId, hash, blockNumber } of the settleTrade transaction, and
+ * oraclePrice: the oracle price recorded at settlement (wei), or null if none was recorded
+ */
+export async function acceptDvPTrade({ dvp, tradeId, signer }) {
+  if (!dvp) {
+    throw new Error('DvPSettlement contract not deployed. Redeploy the contracts to enable atomic settlement.');
+  }
+
+  const trade = await dvp.trades(tradeId);
+  await approveOwnLeg(dvp, trade, signer);
+
+  // Settle both legs in one transaction
+  console.log(`[DvP] Settling trade #${tradeId}...`);
+  const dvpAsSettler = dvp.connect(signer);
+  await dvpAsSettler.settleTrade.staticCall(tradeId);
+  const receipt = await waitForTransaction(await dvpAsSettler.settleTrade(tradeId), 60000);
+  if (receipt.status === 0) {
+    throw new Error('settleTrade transaction reverted');
+  }
+  console.log(`[DvP] Trade #${tradeId} settled in block ${receipt.blockNumber}`);
+
+  // Deployments without an oracle, or assets it has no price for, record no usable price
+  const priced = findEvent(dvp, receipt, 'TradePriceRecorded');
+  const oraclePrice = priced && priced.args.oracleUpdatedAt > 0n ? priced.args.oraclePrice : null;
+  return { tradeId: tradeId.toString(), hash: receipt.hash, blockNumber: receipt.blockNumber, oraclePrice };
+}
+
+/**
+ * Find the latest open trade between two parties
+ * @param {ethers.Contract} dvp - DvPSettlement contract
+ * @param {Object} params - { seller, buyer, asset, proposer }
+ * @returns {Promise<Object|null>} { tradeId, seller, buyer, asset, assetAmount, cashAmount,
+ * proposer }, or null if no proposal from that proposer is still open
+ */
+export async function findOpenDvPTrade(dvp, { seller, buyer, asset, proposer }) {
+  if (!dvp) return null;
+
+  const proposals = await dvp.queryFilter(dvp.filters.TradeProposed(null, seller, buyer));
+  for (const event of proposals.reverse()) {
+    if (event.args.asset.toLowerCase() !== asset.toLowerCase()) continue;
+    const trade = await dvp.trades(event.args.tradeId);
+    if (trade.status === TRADE_STATUS_PROPOSED && trade.proposer.toLowerCase() === proposer.toLowerCase()) {
+      return {
+        tradeId: event.args.tradeId,
+        seller: trade.seller,
+        buyer: trade.buyer,
+        asset: trade.asset,
+        assetAmount: trade.assetAmount,
+        cashAmount: trade.cashAmount,
+        proposer: trade.proposer,
+      };
+    }
+  }
+  return null;
+}
+
+// How far a proposal's price may be from the price the accepting party expects, in basis points
+export const DVP_PRICE_TOLERANCE_BPS = 50n;
+
+/**
+ * Check a proposed trade against the terms the accepting party asked for
+ * @param {Object} trade - Proposed trade: { assetAmount, cashAmount } in wei
+ * @param {Object} expected - { assetAmount, price } in wei; price is SGDC per share
+ * @param {bigint} [toleranceBps=DVP_PRICE_TOLERANCE_BPS] - Allowed price difference either way
+ * @throws {Error} If the quantity differs or the price is outside the tolerance; the message
+ * states the proposal's terms
+ */
+export function checkDvPTradeTerms(trade, expected, toleranceBps = DVP_PRICE_TOLERANCE_BPS) {
+  const price = (trade.cashAmount * 10n ** 18n) / trade.assetAmount;
+  const terms = `${formatTokenAmount(trade.assetAmount)} shares for ${formatTokenAmount(trade.cashAmount)} SGDC (${formatTokenAmount(price)} per share)`;
+
+  if (trade.assetAmount !== expected.assetAmount) {
+    throw new Error(`Proposal is for ${terms}, not ${formatTokenAmount(expected.assetAmount)} shares`);
+  }
+  const difference = price > expected.price ? price - expected.price : expected.price - price;
+  if (difference * 10000n > expected.price * toleranceBps) {
+    throw new Error(`Proposal is for ${terms}, more than ${Number(toleranceBps) / 100}% from the price of ${formatTokenAmount(expected.price)}`);
+  }
+}
+
+/**
+ * Settle a trade of tokenized ETF shares against SGDC atomically, signing for both parties
+ * Only possible when the app holds both signers (node signer); a browser wallet holds one
+ * account, so there the trade is proposed and accepted from each party's own wallet
+ * @param {Object} params
+ * @param {ethers.Contract} params.dvp - DvPSettlement contract (read-only instance is enough)
+ * @param {Object} params.trade - { seller, buyer, asset, assetAmount, cashAmount }; amounts in wei
+ * @param {ethers.Signer} params.sellerSigner - Signer for the seller (delivers the asset)
+ * @param {ethers.Signer} params.buyerSigner - Signer for the buyer (pays SGDC)
+ * @param {string} [params.proposer='buyer'] - Side that proposes; the other side settles
+ * @returns {Promise<Object>} Result of acceptDvPTrade
+ */
+export async function settleDvPTrade({ dvp, trade, sellerSigner, buyerSigner, proposer = 'buyer' }) {
+  const proposerSigner = proposer === 'seller' ? sellerSigner : buyerSigner;
+  const settlerSigner = proposer === 'seller' ? buyerSigner : sellerSigner;
+
+  const tradeId = await proposeDvPTrade({ dvp, trade, signer: proposerSigner });
+
+  // On failure nothing moves and the proposal is cancelled
+  try {
+    return await acceptDvPTrade({ dvp, tradeId, signer: settlerSigner });
+  } catch (err) {
+    const reason = getRevertReason(err);
+    try {
+      await waitForTransaction(await dvp.connect(proposerSigner).cancelTrade(tradeId), 60000);
+    } catch (cancelErr) {
+      console.warn(`[DvP] Could not cancel trade #${tradeId}:`, getRevertReason(cancelErr));
+    }
+    throw new Error(`Settlement failed, no assets or SGDC moved: ${reason}`);
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Signer Sources
+ * Pluggable transaction signers for the role panels. The app never holds private keys:
+ * - node:     accounts unlocked on the local node (Anvil's default accounts), signed by the
+ *             node through eth_sendTransaction
+ * - injected: an EIP-1193 browser wallet (window.ethereum, e.g. MetaMask); the wallet asks
+ *             the user to approve every transaction
+ * The source is chosen with REACT_APP_SIGNER (see SIGNER_SOURCE in constants.js)
+ */
+
+import { ethers } from 'ethers';
+
+export const SIGNER_SOURCES = {
+  NODE: 'node',
+  INJECTED: 'injected',
+};
+
+// One BrowserProvider per page so wallet event subscriptions are shared
+let injectedProvider = null;
+
+/**
+ * Get the provider for the injected EIP-1193 wallet
+ * @returns {ethers.BrowserProvider} Provider backed by window.ethereum
+ */
+export function getInjectedProvider() {
+  if (typeof window === 'undefined' || !window.ethereum) {
+    throw new Error('No browser wallet found. Install an EIP-1193 wallet (e.g. MetaMask) or set REACT_APP_SIGNER=node');
+  }
+  if (!injectedProvider) {
+    injectedProvider = new ethers.BrowserProvider(window.ethereum);
+  }
+  return injectedProvider;
+}
+
+/**
+ * Create a signer for an address
+ * @param {string} source - Signer source ("node" or "injected")
+ * @param {string} address - Address that signs
+ * @param {ethers.JsonRpcProvider} provider - Local node provider (used by the "node" source)
+ * @returns {ethers.JsonRpcSigner} Signer for the address
+ */
+export function createSigner(source, address, provider) {
+  switch (source) {
+    case SIGNER_SOURCES.NODE:
+      return new ethers.JsonRpcSigner(provider, address);
+    case SIGNER_SOURCES.INJECTED:
+      return new ethers.JsonRpcSigner(getInjectedProvider(), address);
+    default:
+      throw new Error(`Unknown signer source "${source}" (expected "${SIGNER_SOURCES.NODE}" or "${SIGNER_SOURCES.INJECTED}")`);
+  }
+}
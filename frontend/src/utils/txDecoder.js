@@ -0,0 +1,286 @@
+/**
+ * Transaction Decoder
+ * Decodes calls to the deployed contracts and the events they emit with the contract ABIs
+ * (src/contracts, copied from the Foundry build by scripts/copy-abis.js), and labels each
+ * transaction for the Block Explorer (mintSGDC, tokenize, linkTES3, deployTES3, ...)
+ *
+ * Token amounts (18 decimals) are formatted as decimals; other integers are shown as is.
+ */
+
+/* eslint-env es2020 */
+import { ethers } from 'ethers';
+import SGDC from '../contracts/SGDC.json';
+import TES3 from '../contracts/TES3.json';
+import TokenizedETF from '../contracts/TokenizedETF.json';
+import dCDP from '../contracts/dCDP.json';
+import DvPSettlement from '../contracts/DvPSettlement.json';
+import OrderBook from '../contracts/OrderBook.json';
+import PriceOracle from '../contracts/PriceOracle.json';
+
+// Contracts listed in deployment info (useDeploymentInfo contractAddresses), with the label of
+// the transaction that deploys them
+const CORE_CONTRACTS = {
+  SGDC: { abi: SGDC.abi, deployLabel: 'deploySGDC' },
+  TES3: { abi: TES3.abi, deployLabel: 'deployTES3', isToken: true },
+  dCDP: { abi: dCDP.abi, deployLabel: 'deployTDepository' },
+  DvPSettlement: { abi: DvPSettlement.abi, deployLabel: 'deployDvPSettlement' },
+  OrderBook: { abi: OrderBook.abi, deployLabel: 'deployOrderBook' },
+  PriceOracle: { abi: PriceOracle.abi, deployLabel: 'deployPriceOracle' },
+};
+
+// Integer parameters that hold 18-decimal token amounts or prices
+const AMOUNT_PARAMS = new Set([
+  'amount', 'value', 'quantity', 'price', 'assetAmount', 'cashAmount', 'oraclePrice', 'newPrices',
+]);
+
+// OrderBook.Side
+const ORDER_SIDES = ['Buy', 'Sell'];
+
+/**
+ * Map each deployed contract address to its name and ABI
+ * @param {Object} contractAddresses - Contract addresses by name (useDeploymentInfo)
+ * @param {Object} tokens - Tokenized ETFs by ETF symbol: { ES3: { symbol, address } }
+ * @returns {Map<string, Object>} Lowercase address → { name, iface, deployLabel, isToken }
+ */
+export function buildDecoder(contractAddresses = {}, tokens = {}) {
+  const decoder = new Map();
+  for (const [name, { abi, deployLabel, isToken = false }] of Object.entries(CORE_CONTRACTS)) {
+    const address = contractAddresses[name];
+    if (address) {
+      decoder.set(address.toLowerCase(), { name, iface: new ethers.Interface(abi), deployLabel, isToken });
+    }
+  }
+  // Other tokenized ETFs (e.g. TG3B) are plain TokenizedETF contracts
+  for (const token of Object.values(tokens)) {
+    if (token?.address && !decoder.has(token.address.toLowerCase())) {
+      decoder.set(token.address.toLowerCase(), {
+        name: token.symbol,
+        iface: new ethers.Interface(TokenizedETF.abi),
+        deployLabel: `deploy${token.symbol}`,
+        isToken: true,
+      });
+    }
+  }
+  return decoder;
+}
+
+/**
+ * Format a decoded value for display
+ * @param {ethers.ParamType} param - ABI parameter
+ * @param {*} value - Decoded value
+ * @returns {string|Array} Display value (arrays keep their shape)
+ */
+function formatValue(param, value) {
+  if (value instanceof ethers.Indexed) return value.hash;
+  if (param.baseType === 'array') {
+    return Array.from(value, (item) => formatValue({ ...param.arrayChildren, name: param.name }, item));
+  }
+  if (typeof value === 'bigint') {
+    if (param.name === 'side' && param.type === 'uint8') return ORDER_SIDES[Number(value)] ?? value.toString();
+    return AMOUNT_PARAMS.has(param.name) ? ethers.formatUnits(value, 18) : value.toString();
+  }
+  return String(value);
+}
+
+/**
+ * List decoded values with their ABI parameter names and types
+ * @param {ReadonlyArray<ethers.ParamType>} inputs - Fragment inputs
+ * @param {ethers.Result} values - Decoded values
+ * @returns {Array<Object>} [{ name, type, value }]
+ */
+function toArgs(inputs, values) {
+  return inputs.map((input, i) => ({
+    name: input.name || String(i),
+    type: input.type,
+    value: formatValue(input, values[i]),
+  }));
+}
+
+/**
+ * Decode a transaction's call data
+ * @param {Map<string, Object>} decoder - From buildDecoder()
+ * @param {Object} tx - { to, input or data, value }
+ * @returns {Object|null} { contract, method, signature, args }, or null if the target or the
+ * function is not known
+ */
+export function decodeCall(decoder, tx) {
+  const contract = tx.to && decoder.get(tx.to.toLowerCase());
+  const data = tx.input || tx.data;
+  if (!contract || !data || data === '0x') return null;
+
+  const parsed = contract.iface.parseTransaction({ data, value: tx.value || 0n });
+  if (!parsed) return null;
+  return {
+    contract: contract.name,
+    method: parsed.name,
+    signature: parsed.signature,
+    args: toArgs(parsed.fragment.inputs, parsed.args),
+  };
+}
+
+/**
+ * Decode the event logs of a receipt
+ * @param {Map<string, Object>} decoder - From buildDecoder()
+ * @param {Array<Object>} logs - Receipt logs: { address, topics, data, index }
+ * @param {Object|null} [call] - decodeCall() result; indexed strings (e.g. dCDP owner_id) only
+ * appear as their hash in a log, and are recovered from the call arguments when they match
+ * @returns {Array<Object>} [{ logIndex, address, contract, name, args }] - contract and name are
+ * null for logs of unknown contracts
+ */
+export function decodeLogs(decoder, logs, call = null) {
+  const callStrings = (call?.args || []).filter((arg) => arg.type === 'string').map((arg) => arg.value);
+  const resolveIndexed = (hash) => callStrings.find((value) => ethers.id(value) === hash) ?? hash;
+
+  return logs.map((log) => {
+    const contract = decoder.get(log.address.toLowerCase());
+    const parsed = contract ? contract.iface.parseLog({ topics: log.topics, data: log.data }) : null;
+    return {
+      logIndex: log.index,
+      address: log.address,
+      contract: contract ? contract.name : null,
+      name: parsed ? parsed.name : null,
+      args: parsed
+        ? toArgs(parsed.fragment.inputs, parsed.args).map((arg, i) => (
+          parsed.fragment.inputs[i].indexed && arg.type === 'string'
+            ? { ...arg, value: resolveIndexed(arg.value) }
+            : arg
+        ))
+        : [],
+    };
+  });
+}
+
+/**
+ * Block Explorer label for a transaction
+ * @param {Map<string, Object>} decoder - From buildDecoder()
+ * @param {Object} tx - { to, input or data }
+ * @param {string|null} [deployedAddress] - Contract created by the transaction (receipt.contractAddress)
+ * @returns {string} Label (e.g., "mintSGDC", "redeemSGDC", "linkTES3", "deployTDepository",
+ * "tokenize", "ethTransfer"; "unknown" for calls to contracts that are not deployed by the demo)
+ */
+export function labelTransaction(decoder, tx, deployedAddress = null) {
+  const data = tx.input || tx.data;
+
+  if (!tx.to) {
+    const created = deployedAddress && decoder.get(deployedAddress.toLowerCase());
+    return created ? created.deployLabel : 'deployContract';
+  }
+  if (!data || data === '0x') return 'ethTransfer';
+
+  const contract = decoder.get(tx.to.toLowerCase());
+  if (!contract) return 'unknown';
+
+  const method = decodeCall(decoder, tx)?.method;
+  if (contract.name === 'SGDC' && method === 'mint') return 'mintSGDC';
+  if (contract.name === 'SGDC' && method === 'redeem') return 'redeemSGDC';
+  if (contract.isToken && method === 'setDCDP') return `link${contract.name}`;
+  if (method) return method;
+  return contract.name === 'dCDP' ? 'dcdpCall' : `${contract.name.toLowerCase()}Call`;
+}
+
+/**
+ * Net SGDC and tokenized ETF balance change of each account, from the Transfer events in a receipt
+ * @param {Map<string, Object>} decoder - From buildDecoder()
+ * @param {Array<Object>} logs - Receipt logs
+ * @returns {Array<Object>} [{ account, token, change }] - change is a signed decimal string
+ * (e.g. "-250.0"); accounts whose transfers net to zero are left out
+ */
+export function getBalanceChanges(decoder, logs) {
+  const changes = new Map(); // "token:account" → { account, token, change }
+  const add = (token, account, amount) => {
+    const key = `${token}:${account.toLowerCase()}`;
+    const entry = changes.get(key) || { account, token, change: 0n };
+    entry.change += amount;
+    changes.set(key, entry);
+  };
+
+  for (const log of logs) {
+    const contract = decoder.get(log.address.toLowerCase());
+    if (!contract || !(contract.name === 'SGDC' || contract.isToken)) continue;
+
+    const parsed = contract.iface.parseLog({ topics: log.topics, data: log.data });
+    if (parsed?.name !== 'Transfer') continue;
+    const [from, to, value] = parsed.args;
+    if (from !== ethers.ZeroAddress) add(contract.name, from, -value);
+    if (to !== ethers.ZeroAddress) add(contract.name, to, value);
+  }
+
+  return [...changes.values()]
+    .filter((entry) => entry.change !== 0n)
+    .map((entry) => ({ ...entry, change: ethers.formatUnits(entry.change, 18) }));
+}
+
+/**
+ * Decode revert data with the ABIs of the deployed contracts
+ * Covers require() reasons, panics and custom errors (including OpenZeppelin errors raised by a
+ * token the called contract calls into)
+ * @param {Map<string, Object>} decoder - From buildDecoder()
+ * @param {string} data - Revert data
+ * @returns {string|null} Reason (e.g., "dCDP: insufficient TES3 balance" or
+ * "ERC20InsufficientBalance(0x..., 0, 5)"), or null if the data does not match any ABI
+ */
+export function decodeRevertData(decoder, data) {
+  if (!data || data === '0x') return null;
+
+  for (const { iface } of decoder.values()) {
+    let parsed;
+    try {
+      parsed = iface.parseError(data);
+    } catch (err) {
+      continue; // Selector matches but the arguments do not decode
+    }
+    if (!parsed) continue;
+    if (parsed.signature === 'Error(string)') return parsed.args[0];
+    return `${parsed.name}(${parsed.args.map(String).join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * Find why a mined transaction reverted by replaying it against the state before its block
+ * Receipts do not carry the revert data, so the call is re-run with eth_call. Transactions
+ * earlier in the same block are not replayed, which does not matter on Anvil (one transaction
+ * per block).
+ * @param {ethers.Provider} provider - Provider
+ * @param {Map<string, Object>} decoder - From buildDecoder()
+ * @param {Object} tx - { from, to, input or data, value, blockNumber }
+ * @returns {Promise<string|null>} Revert reason, or null if the replay succeeds
+ */
+export async function fetchRevertReason(provider, decoder, tx) {
+  try {
+    await provider.call({
+      from: tx.from,
+      to: tx.to,
+      data: tx.input || tx.data,
+      value: tx.value || 0n,
+      blockTag: Math.max(tx.blockNumber - 1, 0),
+    });
+    return null;
+  } catch (err) {
+    return decodeRevertData(decoder, err.data) || err.reason || err.shortMessage || err.message;
+  }
+}
+
+/**
+ * Addresses a transaction touched, as the chain indexer records them: the sender, the recipient
+ * or created contract, and every address in the decoded call arguments and events
+ * @param {Map<string, Object>} decoder - From buildDecoder()
+ * @param {Object} tx - { from, to, input or data }
+ * @param {Object} receipt - Transaction receipt
+ * @returns {Array<string>} Lowercase addresses
+ */
+export function getTouchedAccounts(decoder, tx, receipt) {
+  const call = tx.to ? decodeCall(decoder, tx) : null;
+  const args = [
+    ...(call?.args || []),
+    ...decodeLogs(decoder, receipt.logs, call).flatMap((event) => event.args),
+  ];
+  const addresses = [tx.from, tx.to || receipt.contractAddress];
+  for (const arg of args) {
+    if (arg.type === 'address') addresses.push(arg.value);
+    if (arg.type === 'address[]') addresses.push(...arg.value);
+  }
+  return [...new Set(
+    addresses.filter((address) => address && address !== ethers.ZeroAddress).map((address) => address.toLowerCase())
+  )];
+}
@@ -3,7 +3,8 @@ REM Tokenized ETF Demo Startup Script for Windows
 REM This script automates the entire demo setup:
 REM 1. Starts Anvil blockchain
 REM 2. Deploys smart contracts
-REM 3. Starts frontend development server
+REM 3. Starts the CDP registry service
+REM 4. Starts frontend development server
 
 setlocal enabledelayedexpansion
 
@@ -63,6 +64,23 @@ if not exist "%FRONTEND_DIR%" (
     exit /b 0
 )
 
+REM Step 4: Start the CDP registry service
+echo Starting CDP registry service...
+cd /d "%BACKEND_DIR%\script"
+if not exist "node_modules" (
+    echo    Installing script dependencies...
+    call npm install
+)
+netstat -an | findstr ":4000" >nul
+if %errorlevel% equ 0 (
+    echo    Registry service already running on port 4000
+) else (
+    start "CDP Registry" cmd /c "node registryServer.js"
+    timeout /t 2 /nobreak >nul
+    echo    Registry service started on http://localhost:4000/api
+)
+echo.
+
 REM Step 5: Start Frontend
 echo Step 4: Starting frontend development server...
 cd /d "%FRONTEND_DIR%"
@@ -4,7 +4,8 @@
 # This script automates the entire demo setup:
 # 1. Starts Anvil blockchain
 # 2. Deploys smart contracts
-# 3. Starts frontend development server
+# 3. Starts the CDP registry service
+# 4. Starts frontend development server
 
 set -e  # Exit on error
 
@@ -104,14 +105,36 @@ if [ ! -d "$FRONTEND_DIR" ]; then
     exit 0
 fi
 
-# Step 3: Copy CDP registry to frontend public folder
-echo -e "${GREEN}Step 3: Preparing frontend data files...${NC}"
-if [ -f "$BACKEND_DIR/data/cdp-registry.json" ]; then
-    mkdir -p "$FRONTEND_DIR/public/api"
-    cp "$BACKEND_DIR/data/cdp-registry.json" "$FRONTEND_DIR/public/api/cdp-registry.json"
-    echo -e "   ✓ CDP registry copied to frontend"
+# Step 3: Start the CDP registry service
+echo -e "${GREEN}Step 3: Starting CDP registry service...${NC}"
+cd "$BACKEND_DIR/script"
+
+if [ ! -d "node_modules" ]; then
+    echo -e "   Installing script dependencies..."
+    npm install
+fi
+
+if lsof -Pi :4000 -sTCP:LISTEN -t >/dev/null ; then
+    echo -e "   ${YELLOW}⚠️  Registry service already running on port 4000, reusing it${NC}"
+    REGISTRY_PID=""
 else
-    echo -e "   ${YELLOW}⚠️  CDP registry not found, skipping copy${NC}"
+    node registryServer.js > /tmp/registry.log 2>&1 &
+    REGISTRY_PID=$!
+
+    for i in {1..15}; do
+        if curl -s http://localhost:4000/api/health > /dev/null 2>&1; then
+            echo -e "   ✓ Registry service is ready (PID: $REGISTRY_PID)"
+            break
+        fi
+        if [ $i -eq 15 ]; then
+            echo -e "${RED}✗ Registry service failed to start (see /tmp/registry.log)${NC}"
+            if [ -n "$ANVIL_PID" ]; then
+                kill $ANVIL_PID 2>/dev/null || true
+            fi
+            exit 1
+        fi
+        sleep 1
+    done
 fi
 
 # Copy deployment info to frontend public folder (optional, for dynamic loading)
@@ -139,6 +162,10 @@ echo ""
 cleanup() {
     echo ""
     echo -e "${YELLOW}Shutting down...${NC}"
+    if [ -n "$REGISTRY_PID" ]; then
+        echo -e "   Stopping registry service (PID: $REGISTRY_PID)"
+        kill $REGISTRY_PID 2>/dev/null || true
+    fi
     if [ -n "$ANVIL_PID" ]; then
         echo -e "   Stopping Anvil (PID: $ANVIL_PID)"
         kill $ANVIL_PID 2>/dev/null || true